@@ -0,0 +1,164 @@
+// Deployment-level feature extraction settings, read once from the environment.
+// Settings that change the stored vector layout are folded into the extractor
+// version and trigger a re-index; group weights only apply at query time.
+
+const readInt = (name, defaultValue) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+};
+
+const readFloat = (name, defaultValue) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? defaultValue : value;
+};
+
+// Histogram of Oriented Gradients descriptor
+const hogConfig = {
+    imageSize: readInt('HOG_IMAGE_SIZE', 64),   // Grayscale working size (pixels)
+    cellSize: readInt('HOG_CELL_SIZE', 16),     // Pixels per cell side
+    blockSize: readInt('HOG_BLOCK_SIZE', 2),    // Cells per block side
+    bins: readInt('HOG_BINS', 9),               // Unsigned orientation bins over 0-180°
+    weight: readFloat('HOG_WEIGHT', 0.15)       // Default query-time weight of the group
+};
+
+const getHogLayout = (config = hogConfig) => {
+    const cellsPerSide = Math.floor(config.imageSize / config.cellSize);
+    const blocksPerSide = Math.max(0, cellsPerSide - config.blockSize + 1);
+    const blockLength = config.blockSize * config.blockSize * config.bins;
+    return {
+        cellsPerSide,
+        blocksPerSide,
+        blockLength,
+        length: blocksPerSide * blocksPerSide * blockLength
+    };
+};
+
+// Texture descriptors: uniform rotation-invariant LBP at several radii (8 x radius
+// sampling points each) and a Gabor filter bank applied over an image pyramid
+const readLbpRadii = () => {
+    const raw = process.env.TEXTURE_LBP_RADII || '1,2,3';
+    const radii = [...new Set(raw.split(',').map(radius => parseInt(radius.trim(), 10)))]
+        .sort((a, b) => a - b);
+
+    if (radii.length === 0 || radii.some(radius => Number.isNaN(radius) || radius < 1 || radius > 4)) {
+        throw new Error(`Invalid TEXTURE_LBP_RADII "${raw}": expected radii between 1 and 4`);
+    }
+    return radii;
+};
+
+const textureConfig = {
+    imageSize: 96,                                         // Grayscale working size for LBP (pixels)
+    lbpRadii: readLbpRadii(),                              // e.g. 1,2,3 -> 8, 16 and 24 neighbours
+    gaborImageSize: 64,                                    // Finest Gabor pyramid level (pixels)
+    gaborScales: readInt('GABOR_SCALES', 3),               // Pyramid levels, each half the previous size
+    gaborOrientations: readInt('GABOR_ORIENTATIONS', 4),   // Filter orientations over 0-180°
+    gaborWeight: readFloat('GABOR_WEIGHT', 0.1)            // Default query-time weight of the Gabor group
+};
+
+// riu2 codes per radius: P + 2 bins for P = 8 x radius sampling points
+const getLbpLength = (config = textureConfig) => {
+    return config.lbpRadii.reduce((sum, radius) => sum + 8 * radius + 2, 0);
+};
+
+// Mean and standard deviation of the response energy for every scale x orientation
+const getGaborLength = (config = textureConfig) => config.gaborScales * config.gaborOrientations * 2;
+
+// Spatial pyramid grids for the layout-aware colour and texture groups,
+// e.g. SPATIAL_PYRAMID_LEVELS=1,2,4 for 1x1, 2x2 and 4x4 grids. "1" (default) disables it.
+const readPyramidLevels = () => {
+    const raw = process.env.SPATIAL_PYRAMID_LEVELS || '1';
+    const levels = [...new Set(raw.split(',').map(level => parseInt(level.trim(), 10)))]
+        .sort((a, b) => a - b);
+
+    if (levels.some(level => Number.isNaN(level) || level < 1 || level > 8)) {
+        throw new Error(`Invalid SPATIAL_PYRAMID_LEVELS "${raw}": expected grid sizes between 1 and 8`);
+    }
+    return levels;
+};
+
+const spatialPyramidConfig = {
+    levels: readPyramidLevels(),
+    colorBins: { h: 8, s: 3, v: 3 },  // Coarse HSV histogram per cell
+    textureBins: 10,                  // Uniform rotation-invariant LBP codes per cell
+    weight: readFloat('SPATIAL_PYRAMID_WEIGHT', 0.1)
+};
+
+const isSpatialPyramidEnabled = (config = spatialPyramidConfig) => {
+    return config.levels.some(level => level > 1);
+};
+
+const getPyramidCellCount = (config = spatialPyramidConfig) => {
+    return config.levels.reduce((sum, level) => sum + level * level, 0);
+};
+
+// Optional ONNX image-embedding model, run locally on the CPU. It is tracked through
+// Product.embeddingModel rather than the extractor version, so enabling or swapping the
+// model only recomputes embeddings and classic vectors stay searchable meanwhile.
+const EMBEDDING_NORMALIZATIONS = {
+    imagenet: { mean: [0.485, 0.456, 0.406], std: [0.229, 0.224, 0.225] },
+    clip: { mean: [0.48145466, 0.4578275, 0.40821073], std: [0.26862954, 0.26130258, 0.27577711] },
+    none: { mean: [0, 0, 0], std: [1, 1, 1] }
+};
+
+const embeddingConfig = {
+    modelPath: process.env.ONNX_MODEL_PATH || null,                 // Local .onnx file; unset disables embeddings
+    inputSize: readInt('EMBEDDING_INPUT_SIZE', 224),                 // Square model input (pixels)
+    normalization: process.env.EMBEDDING_NORMALIZATION || 'imagenet', // imagenet | clip | none
+    layout: process.env.EMBEDDING_LAYOUT || 'nchw',                  // Input tensor layout: nchw | nhwc
+    inputName: process.env.EMBEDDING_INPUT_NAME || null,             // Defaults to the model's first input
+    outputName: process.env.EMBEDDING_OUTPUT_NAME || null,           // Defaults to the model's first output
+    threads: readInt('EMBEDDING_THREADS', 1),                        // onnxruntime intra-op threads
+    blendWeight: readFloat('EMBEDDING_BLEND_WEIGHT', 0.5)            // Embedding share of rankBy=blend scores
+};
+
+if (!EMBEDDING_NORMALIZATIONS[embeddingConfig.normalization]) {
+    throw new Error(`Invalid EMBEDDING_NORMALIZATION "${embeddingConfig.normalization}": expected ${Object.keys(EMBEDDING_NORMALIZATIONS).join(', ')}`);
+}
+if (!['nchw', 'nhwc'].includes(embeddingConfig.layout)) {
+    throw new Error(`Invalid EMBEDDING_LAYOUT "${embeddingConfig.layout}": expected nchw or nhwc`);
+}
+
+if (textureConfig.gaborScales < 1 || textureConfig.gaborScales > 4 ||
+    textureConfig.gaborOrientations < 2 || textureConfig.gaborOrientations > 12) {
+    throw new Error(`Invalid Gabor configuration: ${textureConfig.gaborScales} scales x ${textureConfig.gaborOrientations} orientations (expected 1-4 x 2-12)`);
+}
+
+// Default group weights must stay positive; a group is left out of a search with
+// request weights, e.g. {"hog": 0}, rather than a zero deployment weight
+Object.entries({
+    HOG_WEIGHT: hogConfig.weight,
+    GABOR_WEIGHT: textureConfig.gaborWeight,
+    SPATIAL_PYRAMID_WEIGHT: spatialPyramidConfig.weight
+}).forEach(([name, weight]) => {
+    if (!(weight > 0)) {
+        throw new Error(`Invalid ${name}=${weight}: expected a weight above 0 (to ignore the group, send weights such as {"hog": 0} with the request)`);
+    }
+});
+
+if (getHogLayout().length === 0) {
+    throw new Error(`Invalid HOG configuration: ${JSON.stringify(hogConfig)} produces an empty descriptor`);
+}
+
+// Compact signature of the settings, appended to the extractor version
+const describeFeatureConfig = () => {
+    const hog = `hog${hogConfig.imageSize}-${hogConfig.cellSize}-${hogConfig.blockSize}-${hogConfig.bins}`;
+    const pyramid = isSpatialPyramidEnabled()
+        ? `.sp${spatialPyramidConfig.levels.join('-')}`
+        : '';
+    const texture = `.lbp${textureConfig.lbpRadii.join('-')}.gabor${textureConfig.gaborScales}x${textureConfig.gaborOrientations}`;
+    return hog + texture + pyramid;
+};
+
+module.exports = {
+    hogConfig,
+    getHogLayout,
+    textureConfig,
+    getLbpLength,
+    getGaborLength,
+    spatialPyramidConfig,
+    isSpatialPyramidEnabled,
+    getPyramidCellCount,
+    embeddingConfig,
+    EMBEDDING_NORMALIZATIONS,
+    describeFeatureConfig
+};
@@ -0,0 +1,114 @@
+const os = require('os');
+const path = require('path');
+
+// Search-path settings, read once from the environment: candidate retrieval for large
+// catalogs, the in-memory catalog cache, the default similarity metrics, the category
+// classifier, relevance feedback sessions and hybrid text search.
+
+const readInt = (name, defaultValue) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+};
+
+const readFloat = (name, defaultValue) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? defaultValue : value;
+};
+
+// Files the server writes for itself (the ANN index). Kept outside the source tree and
+// out of tmp so they survive deploys and reboots.
+const dataDir = process.env.DATA_DIR || path.join(os.homedir(), '.vision-match');
+
+// Approximate nearest-neighbour (HNSW) index over the stored feature vectors. Below
+// minCatalogSize (or while the index is building) searches scan every product.
+const annConfig = {
+    enabled: process.env.ANN_ENABLED !== 'false',
+    indexPath: process.env.ANN_INDEX_PATH || path.join(dataDir, 'ann-index.bin'),
+    minCatalogSize: readInt('ANN_MIN_CATALOG_SIZE', 2000),     // Smaller catalogs are scanned exhaustively
+    dimensions: readInt('ANN_DIMENSIONS', 256),                 // Random projection size; 0 keeps full vectors
+    m: readInt('ANN_M', 16),                                    // Graph links per node and layer
+    efConstruction: readInt('ANN_EF_CONSTRUCTION', 100),        // Build-time candidate list (quality vs build time)
+    efSearch: readInt('ANN_EF_SEARCH', 100),                    // Query-time candidate list (recall vs latency)
+    candidates: readInt('ANN_CANDIDATES', 200),                 // Products re-ranked exactly per search
+    maxEfSearch: 2000,                                          // Upper bounds for per-request overrides
+    maxCandidates: 5000,
+    syncIntervalMs: readInt('ANN_SYNC_INTERVAL_MS', 30000),     // Catch-up with changes made by other processes
+    maxTombstoneRatio: readFloat('ANN_MAX_TOMBSTONE_RATIO', 0.25), // Rebuild once this share of nodes is deleted
+    seed: 1337                                                  // Projection and level generator seed
+};
+
+if (annConfig.m < 2 || annConfig.efConstruction < annConfig.m || annConfig.efSearch < 1 || annConfig.candidates < 1) {
+    throw new Error(`Invalid ANN configuration: M=${annConfig.m}, efConstruction=${annConfig.efConstruction}, efSearch=${annConfig.efSearch}, candidates=${annConfig.candidates}`);
+}
+if (annConfig.dimensions < 0) {
+    throw new Error(`Invalid ANN_DIMENSIONS ${annConfig.dimensions}: expected 0 (no projection) or a positive size`);
+}
+
+// In-memory catalog cache: lean products with Float32 vectors and precomputed feature stats
+const cacheConfig = {
+    enabled: process.env.CATALOG_CACHE_ENABLED !== 'false',
+    maxProducts: readInt('CATALOG_CACHE_MAX_PRODUCTS', 100000), // Larger catalogs are not cached
+    refreshDelayMs: 200,                                         // Coalesces bursts of writes
+    pollIntervalMs: readInt('CATALOG_CACHE_POLL_MS', 30000)      // Used when change streams are unavailable
+};
+
+// Deployment default for per-group similarity metrics (see featureMetrics.js):
+// FEATURE_METRIC_PRESET=blend | recommended, FEATURE_METRICS='{"colorHistogram": "bhattacharyya"}'
+const metricConfig = {
+    preset: process.env.FEATURE_METRIC_PRESET || 'blend',
+    overrides: process.env.FEATURE_METRICS || null
+};
+
+// Nearest-centroid category classifier trained from the labelled catalog
+const classifierConfig = {
+    enabled: process.env.CATEGORY_CLASSIFIER_ENABLED !== 'false',
+    minConfidence: readFloat('CATEGORY_BOOST_MIN_CONFIDENCE', 0.6),  // Boost results only above this probability
+    minExamples: readInt('CATEGORY_MIN_EXAMPLES', 3),                // Smaller categories are not predicted
+    calibrationSample: 2000,                                         // Products used to fit the softmax temperature
+    retrainDelayMs: 10000,                                           // Coalesces catalog writes before retraining
+    retrainIntervalMs: readInt('CATEGORY_RETRAIN_INTERVAL_MS', 600000) // Picks up other processes' writes (0 = off)
+};
+
+if (classifierConfig.minConfidence < 0 || classifierConfig.minConfidence > 1 || classifierConfig.minExamples < 2) {
+    throw new Error(`Invalid category classifier configuration: CATEGORY_BOOST_MIN_CONFIDENCE=${classifierConfig.minConfidence} (0-1), CATEGORY_MIN_EXAMPLES=${classifierConfig.minExamples} (at least 2)`);
+}
+
+// Relevance feedback: Rocchio coefficients and search session retention
+const feedbackConfig = {
+    alpha: readFloat('FEEDBACK_ALPHA', 1),      // Weight of the current query
+    beta: readFloat('FEEDBACK_BETA', 0.75),     // Weight of the liked products' mean
+    gamma: readFloat('FEEDBACK_GAMMA', 0.15),   // Weight of the disliked products' mean (subtracted)
+    maxProducts: 50,                            // Liked plus disliked products per request
+    maxIterations: 50,                          // Refinements kept per search session
+    sessionTtlHours: readFloat('SEARCH_SESSION_TTL_HOURS', 24) // Idle sessions expire after this
+};
+
+if (feedbackConfig.alpha < 0 || feedbackConfig.beta < 0 || feedbackConfig.gamma < 0 || feedbackConfig.sessionTtlHours <= 0) {
+    throw new Error(`Invalid relevance feedback configuration: alpha=${feedbackConfig.alpha}, beta=${feedbackConfig.beta}, gamma=${feedbackConfig.gamma}, SEARCH_SESSION_TTL_HOURS=${feedbackConfig.sessionTtlHours}`);
+}
+
+// Hybrid text + image search: in-process BM25 index over product text
+const textSearchConfig = {
+    enabled: process.env.TEXT_SEARCH_ENABLED !== 'false',
+    alpha: readFloat('TEXT_SEARCH_ALPHA', 0.3),       // Text share of the blended score; textAlpha overrides per request
+    candidates: readInt('TEXT_SEARCH_CANDIDATES', 100), // Best text matches added to nearest-neighbour candidates
+    k1: 1.2,                                          // BM25 term frequency saturation
+    b: 0.75,                                          // BM25 document length normalisation
+    maxQueryLength: 200,
+    rebuildDelayMs: 5000,                             // Coalesces catalog writes before rebuilding
+    rebuildIntervalMs: readInt('TEXT_INDEX_REFRESH_MS', 600000) // Picks up other processes' writes (0 = off)
+};
+
+if (textSearchConfig.alpha < 0 || textSearchConfig.alpha > 1 || textSearchConfig.candidates < 0) {
+    throw new Error(`Invalid text search configuration: TEXT_SEARCH_ALPHA=${textSearchConfig.alpha} (0-1), TEXT_SEARCH_CANDIDATES=${textSearchConfig.candidates}`);
+}
+
+module.exports = {
+    dataDir,
+    annConfig,
+    cacheConfig,
+    metricConfig,
+    classifierConfig,
+    feedbackConfig,
+    textSearchConfig
+};
@@ -1,7 +1,11 @@
 
 const mongoose = require('mongoose');
 const Product = require('../models/Product');
-const { extractFeaturesFromUrl, extractAdvancedFeatures } = require('../utils/imageProcessor');
+const { downloadImage, featureManifest } = require('../utils/imageProcessor');
+const { analyzeImageInPool, shutdownExtractionPool } = require('../utils/extractionPool');
+const { createFallbackVector } = require('../utils/featureManifest');
+const { buildProductFeatureData } = require('../utils/productFeatures');
+const { runReindex } = require('../utils/catalogReindexer');
 const dotenv = require('dotenv');
 
 dotenv.config();
@@ -224,61 +228,40 @@ const enhancedSeedDatabase = async () => {
             try {
                 // Extract advanced AI features from image URL
                 console.log(`🎨 Analyzing image with computer vision...`);
-                const advancedFeatures = await extractFeaturesFromUrl(product.imageUrl);
+                const imageBuffer = await downloadImage(product.imageUrl);
+                const { features: advancedFeatures, metadata: analysis } = await analyzeImageInPool(imageBuffer);
                 
-                // Break down features into components (approximate based on our feature extraction)
-                const featureLength = advancedFeatures.length;
-                const colorHistStart = 0;
-                const colorHistLength = Math.floor(featureLength * 0.3); // ~30% for color histogram
-                const edgeStart = colorHistStart + colorHistLength;
-                const edgeLength = Math.floor(featureLength * 0.15); // ~15% for edges
-                const textureStart = edgeStart + edgeLength;
-                const textureLength = Math.floor(featureLength * 0.15); // ~15% for texture
-                const shapeStart = textureStart + textureLength;
-                const shapeLength = 7; // Fixed 7 for shape features
-                const dominantStart = shapeStart + shapeLength;
-                const dominantLength = 15; // 5 colors × 3 RGB values
-                const brightnessStart = dominantStart + dominantLength;
-                const brightnessLength = 3;
-                const contrastStart = brightnessStart + brightnessLength;
-                
-                // Extract individual feature components
-                const visualFeatures = {
-                    colorHistogram: advancedFeatures.slice(colorHistStart, colorHistStart + colorHistLength),
-                    edgeFeatures: advancedFeatures.slice(edgeStart, edgeStart + edgeLength),
-                    textureFeatures: advancedFeatures.slice(textureStart, textureStart + textureLength),
-                    shapeFeatures: advancedFeatures.slice(shapeStart, shapeStart + shapeLength),
-                    dominantColors: advancedFeatures.slice(dominantStart, dominantStart + dominantLength),
-                    brightnessFeatures: advancedFeatures.slice(brightnessStart, brightnessStart + brightnessLength),
-                    contrastFeatures: advancedFeatures.slice(contrastStart, contrastStart + 1)
-                };
-                
-                // Calculate metadata
-                const avgBrightness = visualFeatures.brightnessFeatures.length > 0 
-                    ? visualFeatures.brightnessFeatures[0] : 0.5;
-                const avgContrast = visualFeatures.contrastFeatures.length > 0 
-                    ? visualFeatures.contrastFeatures[0] : 0.5;
-                
-                // Infer category confidence
-                const categoryConfidence = inferCategoryConfidence(product.category, visualFeatures);
+                // Break down features into components using the extractor's manifest
+                const featureData = buildProductFeatureData(
+                    advancedFeatures,
+                    { analysis },
+                    featureManifest
+                );
+                const avgBrightness = featureData.metadata.averageBrightness;
+                const qualityScore = featureData.featureExtractionScore;
                 
                 // Create enhanced product data
                 const productData = {
                     ...product,
                     cloudinaryId: `enhanced_sample_${i}`,
-                    colorFeatures: advancedFeatures, // Store complete feature vector
-                    visualFeatures: visualFeatures,
+                    colorFeatures: featureData.colorFeatures, // Store complete feature vector
+                    extractorVersion: featureData.extractorVersion,
+                    featureLayout: featureData.featureLayout,
+                    embedding: featureData.embedding,
+                    embeddingModel: featureData.embeddingModel,
+                    perceptualHashes: featureData.perceptualHashes,
+                    visualFeatures: featureData.visualFeatures,
                     productMetadata: {
                         inferredCategory: product.category,
                         priceRange: getPriceRange(product.price),
-                        dominantColorNames: extractColorNames(visualFeatures.dominantColors),
-                        averageBrightness: avgBrightness,
-                        averageContrast: avgContrast
+                        ...featureData.metadata
                     },
                     searchTags: product.tags || [],
                     analysisQuality: {
                         imageProcessingSuccess: true,
-                        featureExtractionScore: categoryConfidence,
+                        featureExtractionScore: qualityScore,
+                        metrics: featureData.qualityMetrics,
+                        warnings: featureData.qualityWarnings,
                         lastAnalyzed: new Date()
                     }
                 };
@@ -288,7 +271,10 @@ const enhancedSeedDatabase = async () => {
                 console.log(`   🎯 Features: ${advancedFeatures.length} dimensions`);
                 console.log(`   🌈 Dominant colors: ${productData.productMetadata.dominantColorNames.join(', ')}`);
                 console.log(`   💡 Brightness: ${(avgBrightness * 100).toFixed(1)}%`);
-                console.log(`   🔄 Analysis quality: ${(categoryConfidence * 100).toFixed(1)}%`);
+                console.log(`   🔄 Image quality: ${(qualityScore * 100).toFixed(1)}%`);
+                if (featureData.qualityWarnings.length > 0) {
+                    console.log(`   ⚠️  Quality warnings: ${featureData.qualityWarnings.join(', ')}`);
+                }
                 
                 // Add delay to avoid overwhelming servers
                 await new Promise(resolve => setTimeout(resolve, 500));
@@ -298,23 +284,18 @@ const enhancedSeedDatabase = async () => {
                 failedProducts.push({ product: product.name, error: error.message });
                 
                 // Create basic product entry without advanced features
+                const fallbackFeatures = createFallbackVector(featureManifest);
                 const basicProductData = {
                     ...product,
                     cloudinaryId: `basic_sample_${i}`,
-                    colorFeatures: new Array(1331).fill(0.001),
-                    visualFeatures: {
-                        colorHistogram: new Array(400).fill(0.001),
-                        edgeFeatures: new Array(16).fill(0.001),
-                        textureFeatures: new Array(256).fill(0.001),
-                        shapeFeatures: new Array(7).fill(0.001),
-                        dominantColors: new Array(15).fill(0.5),
-                        brightnessFeatures: [0.5, 0.1, 0],
-                        contrastFeatures: [0.3]
-                    },
+                    colorFeatures: fallbackFeatures,
+                    extractorVersion: null, // Picked up by the next re-index
+                    visualFeatures: Product.buildVisualFeatures(fallbackFeatures, featureManifest),
                     productMetadata: {
                         inferredCategory: product.category,
                         priceRange: getPriceRange(product.price),
                         dominantColorNames: ['unknown'],
+                        colorFamilies: [],
                         averageBrightness: 0.5,
                         averageContrast: 0.3
                     },
@@ -373,6 +354,21 @@ const enhancedSeedDatabase = async () => {
                 console.log(`   ${range}: ${count} products`);
             });
             
+            // Products sharing an identical image (same perceptual hash)
+            const productsByHash = {};
+            processedProducts.forEach(product => {
+                const hash = product.perceptualHashes && product.perceptualHashes.pHash;
+                if (!hash) return;
+                productsByHash[hash] = [...(productsByHash[hash] || []), product.name];
+            });
+            const duplicateGroups = Object.values(productsByHash).filter(names => names.length > 1);
+            if (duplicateGroups.length > 0) {
+                console.log(`\n🪞 Products sharing the same image:`);
+                duplicateGroups.forEach(names => {
+                    console.log(`   - ${names.join(', ')}`);
+                });
+            }
+            
             if (failedProducts.length > 0) {
                 console.log(`\n⚠️  Failed Products (will use basic features):`);
                 failedProducts.forEach(({ product, error }) => {
@@ -391,6 +387,7 @@ const enhancedSeedDatabase = async () => {
     } catch (error) {
         console.error('💥 Enhanced seeding error:', error);
     } finally {
+        await shutdownExtractionPool();
         mongoose.connection.close();
         console.log('🔐 Database connection closed');
     }
@@ -428,125 +425,32 @@ const getPriceRange = (price) => {
     return 'luxury';
 };
 
-const inferCategoryConfidence = (actualCategory, visualFeatures) => {
-    // Calculate confidence based on how well the visual features match the category
-    let confidence = 0.5; // Base confidence
-    
-    const avgBrightness = visualFeatures.brightnessFeatures.length > 0 
-        ? visualFeatures.brightnessFeatures[0] : 0.5;
-    const avgContrast = visualFeatures.contrastFeatures.length > 0 
-        ? visualFeatures.contrastFeatures[0] : 0.5;
-    
-    // Category-specific heuristics
-    switch (actualCategory.toLowerCase()) {
-        case 'electronics':
-            // Electronics tend to be bright and clean
-            if (avgBrightness > 0.6 && avgContrast < 0.4) confidence += 0.3;
-            break;
-        case 'fashion':
-        case 'shoes':
-            // Fashion items have varied brightness and contrast
-            if (avgBrightness > 0.3 && avgBrightness < 0.8) confidence += 0.2;
-            break;
-        case 'tools':
-            // Tools often have high contrast (metal/dark handles)
-            if (avgContrast > 0.5) confidence += 0.3;
-            break;
-        case 'kitchen':
-            // Kitchen items vary but often metallic or white
-            if (avgBrightness > 0.5 || avgContrast > 0.4) confidence += 0.2;
-            break;
-        default:
-            confidence += 0.1;
-    }
-    
-    return Math.min(1.0, confidence);
-};
-
-const extractColorNames = (dominantColors) => {
-    if (!dominantColors || dominantColors.length < 15) return ['unknown'];
-    
-    const colorNames = [];
-    
-    // Process each RGB color (5 colors × 3 values each)
-    for (let i = 0; i < 15; i += 3) {
-        const r = dominantColors[i] * 255;
-        const g = dominantColors[i + 1] * 255;
-        const b = dominantColors[i + 2] * 255;
-        
-        const colorName = getColorName(r, g, b);
-        if (colorName && !colorNames.includes(colorName)) {
-            colorNames.push(colorName);
-        }
-    }
-    
-    return colorNames.length > 0 ? colorNames : ['mixed'];
-};
-
-const getColorName = (r, g, b) => {
-    // Simple color name mapping based on RGB values
-    const brightness = (r + g + b) / 3;
-    
-    if (brightness < 50) return 'black';
-    if (brightness > 200) return 'white';
-    
-    if (r > g + 50 && r > b + 50) return 'red';
-    if (g > r + 50 && g > b + 50) return 'green';
-    if (b > r + 50 && b > g + 50) return 'blue';
-    if (r > 150 && g > 150 && b < 100) return 'yellow';
-    if (r > 150 && g < 100 && b > 150) return 'purple';
-    if (r < 100 && g > 150 && b > 150) return 'cyan';
-    if (r > 150 && g > 100 && b < 100) return 'orange';
-    if (r > 100 && g > 100 && b > 100) return 'gray';
-    if (r > 139 && g > 69 && b > 19 && r < 160 && g < 90 && b < 40) return 'brown';
-    
-    return 'mixed';
-};
-
-// Function to update existing products with advanced features
-const upgradeExistingProducts = async () => {
-    console.log('🔄 Upgrading existing products with advanced AI features...');
-    
+// Re-index products whose features came from an older extractor version.
+// Safe to interrupt: already updated products are skipped when run again.
+const reindexCatalog = async () => {
     try {
-        const products = await Product.find({});
-        console.log(`📦 Found ${products.length} existing products to upgrade`);
-        
-        let upgraded = 0;
-        let failed = 0;
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('🔗 Connected to MongoDB for catalog re-index');
         
-        for (const product of products) {
-            try {
-                console.log(`⏳ Upgrading: ${product.name}`);
-                
-                // Extract advanced features
-                const advancedFeatures = await extractFeaturesFromUrl(product.imageUrl);
-                
-                // Update product with new features
-                await Product.findByIdAndUpdate(product._id, {
-                    colorFeatures: advancedFeatures,
-                    'analysisQuality.imageProcessingSuccess': true,
-                    'analysisQuality.featureExtractionScore': 0.9,
-                    'analysisQuality.lastAnalyzed': new Date()
-                });
-                
-                upgraded++;
-                console.log(`✅ Upgraded: ${product.name}`);
-                
-                // Rate limiting
-                await new Promise(resolve => setTimeout(resolve, 300));
-                
-            } catch (error) {
-                failed++;
-                console.error(`❌ Failed to upgrade ${product.name}:`, error.message);
+        const result = await runReindex({
+            onProgress: ({ processed, total, succeeded, failed }) => {
+                console.log(`⏳ Re-indexed ${processed}/${total} (✅ ${succeeded} ❌ ${failed})`);
             }
-        }
+        });
         
-        console.log(`\n📊 Upgrade Results:`);
-        console.log(`   ✅ Successfully upgraded: ${upgraded} products`);
-        console.log(`   ❌ Failed to upgrade: ${failed} products`);
+        console.log(`\n📊 Re-index Results:`);
+        console.log(`   ✅ Successfully re-indexed: ${result.succeeded} products`);
+        console.log(`   ❌ Failed to re-index: ${result.failed} products`);
+        result.errors.forEach(({ name, error }) => {
+            console.log(`   - ${name}: ${error}`);
+        });
         
     } catch (error) {
-        console.error('💥 Upgrade process error:', error);
+        console.error('💥 Re-index process error:', error);
+    } finally {
+        await shutdownExtractionPool();
+        mongoose.connection.close();
+        console.log('🔐 Database connection closed');
     }
 };
 
@@ -554,9 +458,9 @@ const upgradeExistingProducts = async () => {
 if (require.main === module) {
     const args = process.argv.slice(2);
     
-    if (args.includes('--upgrade')) {
-        console.log('🔄 Starting product upgrade process...');
-        upgradeExistingProducts();
+    if (args.includes('--reindex') || args.includes('--upgrade')) {
+        console.log('🔄 Starting catalog re-index process...');
+        reindexCatalog();
     } else {
         console.log('🌱 Starting enhanced AI database seeding process...');
         enhancedSeedDatabase();
@@ -565,6 +469,6 @@ if (require.main === module) {
 
 module.exports = { 
     enhancedSeedDatabase, 
-    upgradeExistingProducts, 
+    reindexCatalog, 
     enhancedSampleProducts 
 };
\ No newline at end of file
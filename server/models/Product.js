@@ -1,4 +1,26 @@
 const mongoose = require('mongoose');
+const {
+    EXTRACTOR_VERSION,
+    FEATURE_MANIFEST,
+    splitFeatureVector,
+    assembleFeatureVector
+} = require('../utils/featureManifest');
+const { calculateAdvancedSimilarity } = require('../utils/imageProcessor');
+const { getEmbeddingModelId } = require('../utils/imageEmbedding');
+const { emitProductChange } = require('../utils/productEvents');
+const { computeHashBands } = require('../utils/perceptualHash');
+
+// One [Number] field per feature group, so plugin extractors get storage without schema edits
+const buildVisualFeaturesSchema = (manifest = FEATURE_MANIFEST) => {
+    const fields = {};
+    manifest.groups.forEach(({ name }) => {
+        fields[name] = {
+            type: [Number],
+            default: []
+        };
+    });
+    return fields;
+};
 
 const productSchema = new mongoose.Schema({
     name: {
@@ -29,35 +51,48 @@ const productSchema = new mongoose.Schema({
         type: [Number],
         default: []
     },
-    // Additional feature vectors for better matching
-    visualFeatures: {
-        colorHistogram: {
-            type: [Number],
-            default: []
-        },
-        edgeFeatures: {
-            type: [Number],
-            default: []
-        },
-        textureFeatures: {
-            type: [Number],
-            default: []
+    // Version of the feature extractor that produced colorFeatures (null = unknown/fallback)
+    extractorVersion: {
+        type: String,
+        default: null
+    },
+    // Unit-length embedding from the optional ONNX model, and the model that produced it
+    embedding: {
+        type: [Number],
+        default: []
+    },
+    embeddingModel: {
+        type: String,
+        default: null
+    },
+    // Perceptual hashes (64-bit hex) for exact and near-duplicate lookup
+    perceptualHashes: {
+        aHash: {
+            type: String,
+            default: null
         },
-        shapeFeatures: {
-            type: [Number],
-            default: []
+        dHash: {
+            type: String,
+            default: null
         },
-        dominantColors: {
-            type: [Number],
-            default: []
+        pHash: {
+            type: String,
+            default: null
         },
-        brightnessFeatures: {
-            type: [Number],
+        // "<type>:<band>:<hex>" keys for indexed near-duplicate lookup (see perceptualHash.js)
+        bands: {
+            type: [String],
             default: []
-        },
-        contrastFeatures: {
+        }
+    },
+    // Per-group feature vectors, split from colorFeatures through the feature manifest;
+    // one array per registered feature extractor
+    visualFeatures: buildVisualFeaturesSchema(),
+    // Layout of the stored vector beyond what extractorVersion encodes
+    featureLayout: {
+        pyramidLevels: {
             type: [Number],
-            default: []
+            default: [1]
         }
     },
     // Metadata for improved matching
@@ -71,10 +106,15 @@ const productSchema = new mongoose.Schema({
             enum: ['budget', 'mid-range', 'premium', 'luxury'],
             default: 'mid-range'
         },
+        // Named colours of the Lab palette (utils/colorNames.js), most prominent first
         dominantColorNames: {
             type: [String],
             default: []
         },
+        colorFamilies: {
+            type: [String],
+            default: []
+        },
         averageBrightness: {
             type: Number,
             default: 0
@@ -99,12 +139,29 @@ const productSchema = new mongoose.Schema({
             type: Boolean,
             default: true
         },
+        // Overall image quality score from blur, exposure, resolution, coverage and compression
         featureExtractionScore: {
             type: Number,
             min: 0,
             max: 1,
             default: 1
         },
+        metrics: {
+            sharpness: Number,
+            brightness: Number,
+            shadowClipping: Number,
+            highlightClipping: Number,
+            width: Number,
+            height: Number,
+            foregroundCoverage: Number,
+            blockiness: Number,
+            bytesPerPixel: Number
+        },
+        // Warning codes: blurry, underexposed, overexposed, low_resolution, small_object, heavy_compression
+        warnings: {
+            type: [String],
+            default: []
+        },
         lastAnalyzed: {
             type: Date,
             default: Date.now
@@ -118,8 +175,13 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ category: 1, 'productMetadata.priceRange': 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ 'productMetadata.dominantColorNames': 1 });
+productSchema.index({ 'productMetadata.colorFamilies': 1 });
 productSchema.index({ 'productMetadata.inferredCategory': 1 });
 productSchema.index({ searchTags: 1 });
+productSchema.index({ extractorVersion: 1 });
+productSchema.index({ embeddingModel: 1 });
+productSchema.index({ 'perceptualHashes.bands': 1 });
+productSchema.index({ updatedAt: 1 }); // ANN index catch-up sync
 
 // Pre-save middleware to automatically calculate metadata
 productSchema.pre('save', function(next) {
@@ -137,6 +199,24 @@ productSchema.pre('save', function(next) {
     next();
 });
 
+// Tell in-process caches about writes (see catalogCache.js); writes from other
+// processes reach them through change streams or polling instead
+productSchema.post('save', function(doc) {
+    emitProductChange('save', [doc._id]);
+});
+productSchema.post('insertMany', function(docs) {
+    emitProductChange('insert', docs.map(doc => doc._id));
+});
+productSchema.post(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function() {
+    emitProductChange('update');
+});
+productSchema.post(['deleteOne', 'deleteMany', 'findOneAndDelete'], function() {
+    emitProductChange('delete');
+});
+productSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+    emitProductChange('delete', [doc._id]);
+});
+
 // Instance method to calculate feature completeness
 productSchema.methods.getFeatureCompleteness = function() {
     const features = this.visualFeatures;
@@ -154,6 +234,81 @@ productSchema.methods.getFeatureCompleteness = function() {
     return totalFeatures > 0 ? completeness / totalFeatures : 0;
 };
 
+// Query matching products whose stored vectors came from another extractor version
+productSchema.statics.staleFeaturesQuery = function(version = EXTRACTOR_VERSION) {
+    return { extractorVersion: { $ne: version } };
+};
+
+productSchema.statics.countStale = function(version = EXTRACTOR_VERSION) {
+    return this.countDocuments(this.staleFeaturesQuery(version));
+};
+
+// Products missing an embedding from the configured model (null when embeddings are disabled)
+productSchema.statics.staleEmbeddingQuery = function(modelId = getEmbeddingModelId()) {
+    return modelId ? { embeddingModel: { $ne: modelId } } : null;
+};
+
+// Store hash band keys for products hashed before near-duplicate lookups used them;
+// returns the number of products updated
+productSchema.statics.backfillHashBands = async function(batchSize = 500) {
+    const cursor = this.find({ 'perceptualHashes.pHash': { $ne: null }, 'perceptualHashes.bands.0': { $exists: false } })
+        .select('perceptualHashes')
+        .lean()
+        .cursor();
+
+    let updated = 0;
+    let updates = [];
+    const flush = async () => {
+        if (updates.length === 0) return;
+        await this.bulkWrite(updates, { ordered: false });
+        updated += updates.length;
+        updates = [];
+    };
+
+    for await (const product of cursor) {
+        updates.push({
+            updateOne: {
+                filter: { _id: product._id },
+                update: { $set: { 'perceptualHashes.bands': computeHashBands(product.perceptualHashes) } }
+            }
+        });
+        if (updates.length >= batchSize) await flush();
+    }
+    await flush();
+    return updated;
+};
+
+// Everything the re-indexer has to recompute: stale vectors or stale embeddings
+productSchema.statics.reindexQuery = function() {
+    const embeddingQuery = this.staleEmbeddingQuery();
+    return embeddingQuery
+        ? { $or: [this.staleFeaturesQuery(), embeddingQuery] }
+        : this.staleFeaturesQuery();
+};
+
+// Whether the stored vector can be compared with vectors from the current extractor
+productSchema.methods.hasCurrentFeatures = function(version = EXTRACTOR_VERSION) {
+    return this.extractorVersion === version;
+};
+
+// Split a combined feature vector into the visualFeatures groups
+productSchema.statics.buildVisualFeatures = function(featureVector, manifest = FEATURE_MANIFEST) {
+    return splitFeatureVector(featureVector, manifest);
+};
+
+// Combined feature vector, reassembled from visualFeatures when colorFeatures is missing
+productSchema.methods.getFeatureVector = function(manifest = FEATURE_MANIFEST) {
+    if (this.colorFeatures && this.colorFeatures.length === manifest.totalLength) {
+        return this.colorFeatures;
+    }
+
+    try {
+        return assembleFeatureVector(this.visualFeatures || {}, manifest);
+    } catch (error) {
+        return [];
+    }
+};
+
 // Static method to find products by advanced criteria
 productSchema.statics.findSimilarByFeatures = async function(features, options = {}) {
     const {
@@ -161,10 +316,15 @@ productSchema.statics.findSimilarByFeatures = async function(features, options =
         minSimilarity = 0.15,
         categoryFilter = null,
         priceRange = null,
-        excludeIds = []
+        excludeIds = [],
+        includeStale = false,
+        weighting,           // resolveWeighting() result; default group weights when omitted
+        metrics              // resolveMetrics() result; deployment default when omitted
     } = options;
     
     const query = {};
+    // Vectors from other extractor versions are not comparable with the query
+    if (!includeStale) query.extractorVersion = EXTRACTOR_VERSION;
     if (categoryFilter) query.category = categoryFilter;
     if (priceRange) query['productMetadata.priceRange'] = priceRange;
     if (excludeIds.length > 0) query._id = { $nin: excludeIds };
@@ -174,7 +334,7 @@ productSchema.statics.findSimilarByFeatures = async function(features, options =
     // Calculate similarities and sort
     const similarities = products.map(product => ({
         ...product.toObject(),
-        similarity: calculateAdvancedSimilarity(features, product.colorFeatures)
+        similarity: calculateAdvancedSimilarity(features, product.getFeatureVector(), weighting, metrics)
     }));
     
     return similarities
@@ -189,8 +349,12 @@ productSchema.virtual('colorPalette').get(function() {
         return [];
     }
     
+    const weights = this.visualFeatures.dominantColorWeights || [];
     const colors = [];
     for (let i = 0; i < 15; i += 3) {
+        // Skip clusters that ended up with no pixels
+        if (weights.length === 5 && weights[i / 3] === 0) continue;
+        
         const r = Math.round(this.visualFeatures.dominantColors[i] * 255);
         const g = Math.round(this.visualFeatures.dominantColors[i + 1] * 255);
         const b = Math.round(this.visualFeatures.dominantColors[i + 2] * 255);
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const { EXTRACTOR_VERSION } = require('../utils/featureManifest');
+const { feedbackConfig } = require('../config/search');
+
+// One image search and its relevance feedback refinements. The session keeps the
+// original query vector, the current (refined) one and the request options, so each
+// feedback round starts from the last refinement and ranks the way the search did.
+// Idle sessions expire after feedbackConfig.sessionTtlHours (TTL index on expiresAt).
+
+const refinementSchema = new mongoose.Schema({
+    iteration: {
+        type: Number,
+        required: true
+    },
+    liked: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: []
+    },
+    disliked: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: []
+    },
+    // Feedback ids left out because the product is missing or has a stale vector
+    ignored: {
+        type: [String],
+        default: []
+    },
+    coefficients: {
+        alpha: Number,
+        beta: Number,
+        gamma: Number
+    },
+    // Ranked results returned for this iteration
+    resultIds: {
+        type: [mongoose.Schema.Types.ObjectId],
+        default: []
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const searchSessionSchema = new mongoose.Schema({
+    queryFeatures: {
+        type: [Number],
+        required: true
+    },
+    currentFeatures: {
+        type: [Number],
+        required: true
+    },
+    extractorVersion: {
+        type: String,
+        required: true
+    },
+    uploadedImageUrl: {
+        type: String,
+        default: null
+    },
+    // Ranking options of the original request, reused by feedback rounds
+    options: {
+        weightProfile: String,
+        weights: mongoose.Schema.Types.Mixed,
+        metricPreset: String,
+        metrics: mongoose.Schema.Types.Mixed,
+        colors: mongoose.Schema.Types.Mixed
+    },
+    // Iteration 0 is the original search, later entries are feedback rounds
+    history: {
+        type: [refinementSchema],
+        default: []
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+searchSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const nextExpiry = () => new Date(Date.now() + feedbackConfig.sessionTtlHours * 3600 * 1000);
+
+// New (unsaved) session for a ranked search or a raw query vector
+searchSessionSchema.statics.buildForSearch = function({ features, uploadedImageUrl = null, options = {}, resultIds = [] }) {
+    const queryFeatures = Array.from(features);
+    return new this({
+        queryFeatures,
+        currentFeatures: queryFeatures,
+        extractorVersion: EXTRACTOR_VERSION,
+        uploadedImageUrl,
+        options,
+        history: [{ iteration: 0, resultIds }],
+        expiresAt: nextExpiry()
+    });
+};
+
+// Whether the stored vectors can be compared with the current catalog
+searchSessionSchema.methods.hasCurrentFeatures = function(version = EXTRACTOR_VERSION) {
+    return this.extractorVersion === version;
+};
+
+// Record a feedback round: the refined query becomes the session's current query.
+// Only the latest feedbackConfig.maxIterations rounds are kept.
+searchSessionSchema.methods.recordRefinement = function({ features, liked, disliked, ignored, coefficients, resultIds }) {
+    const lastIteration = this.history.length > 0 ? this.history[this.history.length - 1].iteration : 0;
+    this.currentFeatures = Array.from(features);
+    this.history.push({
+        iteration: lastIteration + 1,
+        liked,
+        disliked,
+        ignored,
+        coefficients,
+        resultIds
+    });
+    if (this.history.length > feedbackConfig.maxIterations + 1) {
+        // Keep the original search and the latest rounds
+        this.history.splice(1, this.history.length - feedbackConfig.maxIterations - 1);
+    }
+    this.expiresAt = nextExpiry();
+    return lastIteration + 1;
+};
+
+// Serializable summary without the vectors, for API responses
+searchSessionSchema.methods.describe = function() {
+    return {
+        searchId: this._id,
+        extractorVersion: this.extractorVersion,
+        uploadedImageUrl: this.uploadedImageUrl,
+        options: this.options,
+        refined: this.history.length > 1,
+        history: this.history.map(entry => ({
+            iteration: entry.iteration,
+            liked: entry.liked,
+            disliked: entry.disliked,
+            ignored: entry.ignored,
+            coefficients: entry.coefficients,
+            resultIds: entry.resultIds,
+            createdAt: entry.createdAt
+        })),
+        createdAt: this.createdAt,
+        expiresAt: this.expiresAt
+    };
+};
+
+const SearchSession = mongoose.model('SearchSession', searchSessionSchema);
+
+module.exports = SearchSession;
@@ -1,13 +1,104 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 const Product = require('../models/Product');
+const SearchSession = require('../models/SearchSession');
 const { 
-    extractAdvancedFeatures,
-    extractFeaturesFromUrl, 
+    downloadImage,
     findAdvancedSimilarProducts,
-    calculateAdvancedSimilarity
+    calculateAdvancedSimilarity,
+    calculateSimilarityBreakdown,
+    toPlainProduct,
+    RANKING_MODES
 } = require('../utils/imageProcessor');
+const { isEmbeddingEnabled, getEmbeddingModelId } = require('../utils/imageEmbedding');
+const {
+    normalizeImage,
+    getSupportedInputFormats,
+    isUnsupportedFormatError
+} = require('../utils/imageNormalizer');
+const {
+    analyzeImageInPool,
+    analyzeImageFromUrlInPool,
+    assertExtractionCapacity,
+    isQueueFullError,
+    isExtractionTimeoutError,
+    getExtractionPoolStats
+} = require('../utils/extractionPool');
+const { embeddingConfig } = require('../config/features');
+const { annConfig, classifierConfig, feedbackConfig, textSearchConfig } = require('../config/search');
+const {
+    EXTRACTOR_VERSION,
+    FEATURE_MANIFEST,
+    splitFeatureVector,
+    describeManifest,
+    getFeatureTypes
+} = require('../utils/featureManifest');
+const {
+    startReindex,
+    stopReindex,
+    getReindexStatus,
+    isReindexRunning
+} = require('../utils/catalogReindexer');
+const {
+    parseColorFilter,
+    buildColorQuery,
+    matchesColorFilter,
+    getColorVocabulary
+} = require('../utils/colorNames');
+const {
+    resolveRequestMetrics,
+    calculateMetricSimilarity,
+    describeMetrics,
+    describeMetricOptions,
+    isInvalidMetricsError
+} = require('../utils/featureMetrics');
+const {
+    DEFAULT_WEIGHT_PROFILE,
+    resolveWeighting,
+    describeWeighting,
+    describeWeightProfiles,
+    isInvalidWeightsError
+} = require('../utils/weightProfiles');
+const { extractColorNames } = require('../utils/productFeatures');
+const {
+    buildAnnIndex,
+    searchAnnIndex,
+    shouldUseAnnIndex,
+    getAnnIndexStatus
+} = require('../utils/annIndex');
+const { getCachedProducts, getCatalogCacheStats } = require('../utils/catalogCache');
+const {
+    parseFeedbackRequest,
+    computeRocchioQuery,
+    isInvalidFeedbackError
+} = require('../utils/relevanceFeedback');
+const {
+    FUSION_MODES,
+    DEFAULT_FUSION_MODE,
+    MAX_QUERY_IMAGES,
+    RRF_K,
+    fuseFeatureVectors,
+    fuseEmbeddings,
+    annotateContributions,
+    fuseRankings
+} = require('../utils/queryFusion');
+const { parseRegions, cropRegions, isInvalidRegionsError } = require('../utils/regionCrop');
+const {
+    trainCategoryClassifier,
+    classifyCategory,
+    getCategoryClassifierStatus
+} = require('../utils/categoryClassifier');
+const { searchTextIndex, getTextIndexStatus } = require('../utils/textIndex');
+const {
+    HASH_TYPES,
+    HASH_BITS,
+    MAX_INDEXED_DISTANCE,
+    computePerceptualHashes,
+    nearDuplicateBandKeys,
+    findNearDuplicates
+} = require('../utils/perceptualHash');
 
 const router = express.Router();
 
@@ -46,114 +137,278 @@ const upload = multer({
     }
 });
 
+// Query images for /upload: one or more "image" (or "images") files, answered with a
+// JSON 400 instead of the default error page when there are too many
+const uploadQueryImages = upload.fields([
+    { name: 'image', maxCount: MAX_QUERY_IMAGES },
+    { name: 'images', maxCount: MAX_QUERY_IMAGES }
+]);
+
+const acceptQueryImages = (req, res, next) => {
+    uploadQueryImages(req, res, error => {
+        if (!error) return next();
+        const tooMany = error.code === 'LIMIT_UNEXPECTED_FILE' || error.code === 'LIMIT_FILE_COUNT';
+        res.status(400).json({
+            error: tooMany ? `At most ${MAX_QUERY_IMAGES} query images per search` : error.message
+        });
+    });
+};
+
 // Enhanced upload endpoint with advanced AI matching
-router.post('/upload', upload.single('image'), async (req, res) => {
+router.post('/upload', acceptQueryImages, async (req, res) => {
     try {
         console.log('📝 Enhanced upload request received');
-        console.log('File:', req.file ? `Present (${req.file.size} bytes)` : 'Not present');
-        console.log('URL:', req.body.imageUrl ? 'Present' : 'Not present');
+        const queryImages = collectQueryImages(req);
+        const queryFile = queryImages.find(image => image.source === 'file');
+        console.log('File:', queryFile ? `Present (${queryFile.file.size} bytes)` : 'Not present');
+        console.log('URL:', queryImages.some(image => image.source === 'url') ? 'Present' : 'Not present');
+        if (queryImages.length > MAX_QUERY_IMAGES) {
+            return res.status(400).json({ error: `At most ${MAX_QUERY_IMAGES} query images per search` });
+        }
 
         let uploadedImageUrl;
         let imageFeatures;
-        let analysisQuality = { success: true, score: 1.0 };
+        // Query photos are cropped to the most salient region unless the client opts out
+        const analysisOptions = { autoCrop: parseBooleanOption(req.body.autoCrop, true) };
+        let imageAnalysis = null;
 
-        // Handle file upload
-        if (req.file) {
-            console.log('🔄 Processing file upload with advanced AI...');
-            
-            // Check Cloudinary config again
-            if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
-                throw new Error('Cloudinary configuration is missing. Please check your .env file.');
-            }
+        // Ranking: classic features, learned embedding or a blend (default when a model is configured)
+        const requestedRankBy = req.body.rankBy || (isEmbeddingEnabled() ? 'blend' : 'classic');
+        if (!RANKING_MODES.includes(requestedRankBy)) {
+            return res.status(400).json({
+                error: `Invalid rankBy "${requestedRankBy}"`,
+                validValues: RANKING_MODES
+            });
+        }
 
-            // Upload to Cloudinary
-            const uploadResult = await new Promise((resolve, reject) => {
-                cloudinary.uploader.upload_stream(
-                    {
-                        resource_type: 'image',
-                        folder: 'uploads',
-                        transformation: [
-                            { width: 800, height: 800, crop: 'limit' },
-                            { quality: 'auto' },
-                            { format: 'auto' }
-                        ]
-                    },
-                    (error, result) => {
-                        if (error) {
-                            console.error('Cloudinary upload error:', error);
-                            reject(error);
-                        } else {
-                            console.log('✅ Cloudinary upload successful');
-                            resolve(result);
-                        }
-                    }
-                ).end(req.file.buffer);
+        // Feature group weights: a named profile plus optional custom weights
+        const weighting = resolveWeighting({ profile: req.body.weightProfile, weights: req.body.weights });
+
+        // Per-group similarity metrics: a preset plus optional overrides
+        const metrics = resolveRequestMetrics({ preset: req.body.metricPreset, metrics: req.body.metrics });
+
+        // Optional colour filter: colour names ("navy") or families ("blue")
+        const colorFilter = parseColorFilter(req.body.colors);
+        if (colorFilter.unknown.length > 0) return sendUnknownColors(res, colorFilter.unknown);
+        const colorQuery = colorFilter.isEmpty ? {} : buildColorQuery(colorFilter);
+
+        // Candidate retrieval knobs for the nearest-neighbour index
+        const retrievalOptions = parseRetrievalOptions(req.body);
+
+        // How several query images are combined: mean vector, max similarity or rank fusion
+        const fusion = req.body.fusion || DEFAULT_FUSION_MODE;
+        if (!FUSION_MODES.includes(fusion)) {
+            return res.status(400).json({
+                error: `Invalid fusion "${fusion}"`,
+                validValues: FUSION_MODES
             });
+        }
+
+        // Optional text query blended with visual similarity
+        const textQuery = parseTextQuery(req.body);
+        if (textQuery.alpha === null) {
+            return res.status(400).json({ error: `Invalid textAlpha "${req.body.textAlpha}"; use a number from 0 (image only) to 1 (text only)` });
+        }
+
+        // Optional regions of interest: each box is cut out and searched on its own
+        const regions = parseRegions(req.body.regions);
+        if (regions.length > 0 && queryImages.length !== 1) {
+            return res.status(400).json({ error: 'regions apply to exactly one query image' });
+        }
 
-            uploadedImageUrl = uploadResult.secure_url;
+        // Refuse early when the extraction queue is full, before uploading anything
+        assertExtractionCapacity();
+
+        if (regions.length > 0) {
+            return await runRegionSearch(req, res, queryImages[0], regions, {
+                requestedRankBy,
+                weighting,
+                metrics,
+                colorFilter,
+                retrievalOptions,
+                textQuery
+            });
+        }
+
+        if (queryImages.length > 1) {
+            return await runMultiImageSearch(req, res, queryImages, {
+                analysisOptions,
+                requestedRankBy,
+                weighting,
+                metrics,
+                colorFilter,
+                retrievalOptions,
+                fusion,
+                textQuery
+            });
+        }
+
+        // Handle file upload
+        const queryImage = queryImages[0];
+        if (queryImage && queryImage.source === 'file') {
+            console.log('🔄 Processing file upload with advanced AI...');
+            uploadedImageUrl = await uploadToCloudinary(queryImage.file.buffer);
             console.log('📸 Image uploaded to:', uploadedImageUrl);
             
             // Extract advanced features from uploaded image
             console.log('🧠 Extracting advanced AI features...');
             try {
-                imageFeatures = await extractAdvancedFeatures(req.file.buffer);
+                ({ features: imageFeatures, metadata: imageAnalysis } = await analyzeImageInPool(queryImage.file.buffer, analysisOptions));
                 console.log(`✨ Extracted ${imageFeatures.length} feature dimensions`);
             } catch (featureError) {
-                console.warn('⚠️ Feature extraction partially failed, using fallback');
-                analysisQuality.success = false;
-                analysisQuality.score = 0.5;
-                imageFeatures = new Array(1331).fill(0.001);
+                if (isExtractionFailureToRethrow(featureError)) throw featureError;
+                return sendAnalysisFailed(res, featureError, uploadedImageUrl);
             }
         }
         // Handle URL upload
-        else if (req.body.imageUrl) {
+        else if (queryImage && queryImage.source === 'url') {
             console.log('🔗 Processing URL upload with advanced AI...');
-            uploadedImageUrl = req.body.imageUrl;
+            uploadedImageUrl = queryImage.url;
             
             // Extract advanced features from URL image
             console.log('🧠 Extracting advanced AI features from URL...');
             try {
-                imageFeatures = await extractFeaturesFromUrl(req.body.imageUrl);
+                ({ features: imageFeatures, metadata: imageAnalysis } = await analyzeImageFromUrlInPool(queryImage.url, analysisOptions));
                 console.log(`✨ Extracted ${imageFeatures.length} feature dimensions`);
             } catch (featureError) {
-                console.warn('⚠️ Feature extraction from URL failed, using fallback');
-                analysisQuality.success = false;
-                analysisQuality.score = 0.3;
-                imageFeatures = new Array(1331).fill(0.001);
+                if (isExtractionFailureToRethrow(featureError)) throw featureError;
+                return sendAnalysisFailed(res, featureError, uploadedImageUrl);
             }
         }
         else {
             return res.status(400).json({ error: 'No image file or URL provided' });
         }
 
+        // Named colours of the query image, e.g. to suggest a colour filter
+        const queryColors = imageAnalysis ? extractColorNames(splitFeatureVector(imageFeatures)) : null;
+
+        // Measured quality of the query image, with warnings the client can show the user
+        const analysisQuality = buildAnalysisQuality(imageAnalysis);
+        if (analysisQuality.warnings.length > 0) {
+            console.warn(`⚠️ Query image quality warnings: ${analysisQuality.warnings.map(warning => warning.code).join(', ')}`);
+        }
+
+        // Short-circuit when the upload is a copy of a catalog image
+        const queryHashes = imageAnalysis ? imageAnalysis.perceptualHashes : null;
+        if (queryHashes) {
+            const exactMatchOptions = { maxDistance: EXACT_MATCH_MAX_DISTANCE, hashType: 'all' };
+            const hashedProducts = await findHashCandidates(queryHashes, exactMatchOptions, colorQuery)
+                .select('-colorFeatures -visualFeatures -embedding -perceptualHashes.bands');
+            const exactMatches = findNearDuplicates(queryHashes, hashedProducts, exactMatchOptions);
+
+            if (exactMatches.length > 0) {
+                console.log(`🎯 Exact match found: ${exactMatches.map(match => match.product.name).join(', ')}`);
+                const exactResults = exactMatches.map(({ product, distances }) => ({
+                    ...product.toObject(),
+                    similarity: 1,
+                    originalSimilarity: 1,
+                    matchStrategy: 'Exact Match',
+                    hashDistances: distances
+                }));
+
+                return res.json({
+                    success: true,
+                    uploadedImageUrl: uploadedImageUrl,
+                    similarProducts: exactResults,
+                    warnings: analysisQuality.warnings,
+                    metadata: {
+                        exactMatch: true,
+                        totalProductsAnalyzed: hashedProducts.length,
+                        perceptualHashes: queryHashes,
+                        foreground: imageAnalysis.foreground,
+                        crop: imageAnalysis.crop,
+                        normalization: imageAnalysis.normalization,
+                        colors: queryColors,
+                        colorFilter: colorFilter.isEmpty ? null : { names: colorFilter.names, families: colorFilter.families },
+                        analysisQuality: analysisQuality,
+                        confidence: 1
+                    },
+                    message: `Found ${exactResults.length} exact catalog match${exactResults.length === 1 ? '' : 'es'} for this image`
+                });
+            }
+        }
+
         console.log('🔍 Finding similar products with advanced AI matching...');
         
-        // Get all products from database
-        const allProducts = await Product.find({});
-        console.log(`📦 Found ${allProducts.length} products in database`);
+        // Products whose vectors come from the current extractor version: nearest-neighbour
+        // candidates on large catalogs, every product otherwise
+        const { products: allProducts, retrieval } = await loadRankingProducts(imageFeatures, {
+            colorFilter,
+            weighting,
+            retrievalOptions,
+            extraIds: textCandidateIds(textQuery)
+        });
+        const staleProductCount = await Product.countStale();
+        console.log(`📦 Found ${allProducts.length} products in database (${retrieval.mode} retrieval)`);
         
+        if (staleProductCount > 0) {
+            console.warn(`⚠️ Skipping ${staleProductCount} products indexed by an older extractor version`);
+            ensureReindexRunning();
+        }
+
+        if (allProducts.length === 0 && !colorFilter.isEmpty) {
+            return res.json({
+                success: true,
+                uploadedImageUrl: uploadedImageUrl,
+                similarProducts: [],
+                warnings: analysisQuality.warnings,
+                metadata: {
+                    totalProductsAnalyzed: 0,
+                    retrieval: retrieval,
+                    colors: queryColors,
+                    colorFilter: { names: colorFilter.names, families: colorFilter.families },
+                    analysisQuality: analysisQuality
+                },
+                message: 'No products match the requested colours'
+            });
+        }
+
         if (allProducts.length === 0) {
+            if (staleProductCount > 0) {
+                res.set('Retry-After', '60');
+                return res.status(503).json({
+                    error: 'Catalog is being re-indexed for the current feature extractor. Please try again shortly.',
+                    reindex: getReindexStatus()
+                });
+            }
             return res.status(404).json({ 
                 error: 'No products found in database. Please seed the database first.' 
             });
         }
 
+        // Embedding ranking needs a query embedding; fall back to classic features without one
+        const queryEmbedding = imageAnalysis ? imageAnalysis.embedding : null;
+        const rankBy = queryEmbedding ? requestedRankBy : 'classic';
+        const categoryPrediction = classifyCategory(imageFeatures);
+        const rankingOptions = {
+            queryEmbedding,
+            rankBy,
+            embeddingWeight: embeddingConfig.blendWeight,
+            weighting,
+            metrics,
+            categoryPrediction,
+            ...textRankingOptions(textQuery)
+        };
+        if (rankBy !== requestedRankBy) {
+            console.warn(`⚠️ No query embedding available, ranking by classic features instead of ${requestedRankBy}`);
+        }
+
         // Enhanced similarity search with multiple strategies
         const searchStrategies = [
             // Strategy 1: Direct advanced similarity
             {
                 name: 'AI Visual Similarity',
-                products: findAdvancedSimilarProducts(imageFeatures, allProducts, 8)
+                products: findAdvancedSimilarProducts(imageFeatures, allProducts, 8, 0.1, rankingOptions)
             },
             // Strategy 2: Category-aware search
             {
                 name: 'Category-Enhanced',
-                products: findCategoryAwareSimilarProducts(imageFeatures, allProducts, 6)
+                products: findCategoryAwareSimilarProducts(imageFeatures, allProducts, 6, rankingOptions)
             },
             // Strategy 3: Price-range aware search
             {
                 name: 'Price-Range Similar',
-                products: findPriceAwareSimilarProducts(imageFeatures, allProducts, 4)
+                products: findPriceAwareSimilarProducts(imageFeatures, allProducts, 4, rankingOptions)
             }
         ];
 
@@ -165,6 +420,32 @@ router.post('/upload', upload.single('image'), async (req, res) => {
         const analysisMetadata = {
             totalProductsAnalyzed: allProducts.length,
             featureDimensions: imageFeatures.length,
+            featureTypes: getFeatureTypes(),
+            featureLayout: {
+                version: FEATURE_MANIFEST.version,
+                groups: FEATURE_MANIFEST.groups.map(group => group.name)
+            },
+            staleProductsExcluded: staleProductCount,
+            retrieval: retrieval,
+            weighting: describeWeighting(weighting),
+            metrics: describeMetrics(metrics),
+            categoryPrediction: categoryPrediction,
+            text: describeTextQuery(textQuery),
+            ranking: {
+                rankBy: rankBy,
+                requestedRankBy: requestedRankBy,
+                embeddingModel: queryEmbedding ? queryEmbedding.model : getEmbeddingModelId(),
+                embeddingWeight: rankBy === 'blend' ? embeddingConfig.blendWeight : null,
+                productsWithEmbedding: queryEmbedding
+                    ? allProducts.filter(product => product.embeddingModel === queryEmbedding.model).length
+                    : 0
+            },
+            foreground: imageAnalysis ? imageAnalysis.foreground : null,
+            crop: imageAnalysis ? imageAnalysis.crop : null,
+            normalization: imageAnalysis ? imageAnalysis.normalization : null,
+            colors: queryColors,
+            colorFilter: colorFilter.isEmpty ? null : { names: colorFilter.names, families: colorFilter.families },
+            exactMatch: false,
             averageSimilarity: topResults.length > 0 
                 ? topResults.reduce((sum, p) => sum + p.similarity, 0) / topResults.length 
                 : 0,
@@ -176,6 +457,9 @@ router.post('/upload', upload.single('image'), async (req, res) => {
             confidence: calculateSearchConfidence(topResults)
         };
 
+        // Keep the query for relevance feedback (POST /api/feedback)
+        const searchId = await createSearchSession(imageFeatures, uploadedImageUrl, req.body, topResults);
+
         console.log(`✨ Enhanced AI search complete: Found ${topResults.length} highly similar products`);
         console.log(`🎯 Average similarity score: ${analysisMetadata.averageSimilarity.toFixed(3)}`);
         console.log(`🔬 Search confidence: ${analysisMetadata.confidence.toFixed(3)}`);
@@ -183,12 +467,20 @@ router.post('/upload', upload.single('image'), async (req, res) => {
         res.json({
             success: true,
             uploadedImageUrl: uploadedImageUrl,
+            searchId: searchId,
             similarProducts: topResults,
+            warnings: analysisQuality.warnings,
             metadata: analysisMetadata,
             message: `AI found ${topResults.length} visually similar products with ${(analysisMetadata.confidence * 100).toFixed(1)}% confidence`
         });
 
     } catch (error) {
+        if (isQueueFullError(error)) return sendQueueFull(res, error);
+        if (isExtractionTimeoutError(error)) return sendExtractionTimeout(res, error);
+        if (isUnsupportedFormatError(error)) return sendUnsupportedFormat(res, error);
+        if (isInvalidWeightsError(error)) return sendInvalidWeights(res, error);
+        if (isInvalidMetricsError(error)) return sendInvalidMetrics(res, error);
+        if (isInvalidRegionsError(error)) return sendInvalidRegions(res, error);
         console.error('❌ Enhanced upload error:', error);
         res.status(500).json({ 
             error: 'Failed to process image with AI',
@@ -199,7 +491,7 @@ router.post('/upload', upload.single('image'), async (req, res) => {
 });
 
 // Category-aware similarity search
-const findCategoryAwareSimilarProducts = (uploadedFeatures, products, limit) => {
+const findCategoryAwareSimilarProducts = (uploadedFeatures, products, limit, rankingOptions = {}) => {
     // Group products by category
     const categorizedProducts = {};
     products.forEach(product => {
@@ -212,7 +504,7 @@ const findCategoryAwareSimilarProducts = (uploadedFeatures, products, limit) =>
     // Find best matches within each category
     const categoryResults = [];
     Object.entries(categorizedProducts).forEach(([category, categoryProducts]) => {
-        const categoryMatches = findAdvancedSimilarProducts(uploadedFeatures, categoryProducts, 2);
+        const categoryMatches = findAdvancedSimilarProducts(uploadedFeatures, categoryProducts, 2, 0.1, rankingOptions);
         categoryResults.push(...categoryMatches.map(product => ({
             ...product,
             matchType: 'category-aware',
@@ -226,11 +518,11 @@ const findCategoryAwareSimilarProducts = (uploadedFeatures, products, limit) =>
 };
 
 // Price-range aware similarity search
-const findPriceAwareSimilarProducts = (uploadedFeatures, products, limit) => {
+const findPriceAwareSimilarProducts = (uploadedFeatures, products, limit, rankingOptions = {}) => {
     // Calculate average similarity to infer likely price range
     const similarities = products.map(product => ({
-        ...product.toObject(),
-        similarity: calculateAdvancedSimilarity(uploadedFeatures, product.colorFeatures)
+        ...toPlainProduct(product),
+        similarity: calculateAdvancedSimilarity(uploadedFeatures, product.colorFeatures, rankingOptions.weighting, rankingOptions.metrics)
     }));
 
     // Find the price range of the most similar products
@@ -250,7 +542,7 @@ const findPriceAwareSimilarProducts = (uploadedFeatures, products, limit) => {
                Math.abs(product.price - avgPrice) / avgPrice < 0.5; // Within 50% of average
     });
 
-    return findAdvancedSimilarProducts(uploadedFeatures, priceFilteredProducts, limit)
+    return findAdvancedSimilarProducts(uploadedFeatures, priceFilteredProducts, limit, 0.1, rankingOptions)
         .map(product => ({
             ...product,
             matchType: 'price-aware',
@@ -311,6 +603,681 @@ const calculateSearchConfidence = (results) => {
     return (topScore * 0.5 + consistencyScore * 0.3 + quantityScore * 0.2);
 };
 
+// Maximum Hamming distance (on every hash type) for an upload to count as an exact catalog copy
+const EXACT_MATCH_MAX_DISTANCE = 2;
+
+// Products that may lie within options.maxDistance of the query hashes, fetched through
+// the indexed hash bands rather than by scanning every hashed product
+const findHashCandidates = (queryHashes, options, filter = {}) => {
+    return Product.find({
+        'perceptualHashes.bands': { $in: nearDuplicateBandKeys(queryHashes, options) },
+        ...filter
+    });
+};
+
+// Read a boolean flag from JSON or multipart bodies (where it arrives as a string)
+const parseBooleanOption = (value, defaultValue) => {
+    if (value === undefined || value === null || value === '') return defaultValue;
+    if (typeof value === 'boolean') return value;
+    return !['false', '0', 'no', 'off'].includes(String(value).toLowerCase());
+};
+
+// Quality block for API responses; extraction failures leave nothing to measure
+const buildAnalysisQuality = (imageAnalysis) => {
+    if (!imageAnalysis || !imageAnalysis.quality) {
+        return {
+            success: false,
+            score: 0,
+            components: {},
+            metrics: null,
+            warnings: [{
+                code: 'analysis_failed',
+                severity: 'critical',
+                message: 'The image could not be analysed, results are based on default features.',
+                value: null
+            }]
+        };
+    }
+    return { success: true, ...imageAnalysis.quality };
+};
+
+// 400 for colour filter terms outside the named-colour vocabulary
+const sendUnknownColors = (res, unknown) => {
+    return res.status(400).json({
+        error: `Unknown colour${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`,
+        validColors: getColorVocabulary()
+    });
+};
+
+// 400 for unknown weight profiles or malformed custom weights
+const sendInvalidWeights = (res, error) => {
+    return res.status(400).json({
+        error: error.message,
+        weightProfiles: describeWeightProfiles()
+    });
+};
+
+// 400 for unknown metric presets, metrics or metric keys
+const sendInvalidMetrics = (res, error) => {
+    return res.status(400).json({
+        error: error.message,
+        ...describeMetricOptions()
+    });
+};
+
+// 400 for malformed, out-of-bounds or too small regions of interest
+const sendInvalidRegions = (res, error) => {
+    return res.status(400).json({
+        error: error.message,
+        usage: 'regions: [{ "x": 0.1, "y": 0.4, "width": 0.3, "height": 0.35, "label": "bag" }] with fractions of the upright image'
+    });
+};
+
+// 503 with Retry-After when the extraction pool cannot take more work
+const sendQueueFull = (res, error) => {
+    console.warn(`🚦 Extraction queue full, asking client to retry in ${error.retryAfter}s`);
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(503).json({
+        error: 'Image analysis is busy. Please try again shortly.',
+        retryAfter: error.retryAfter,
+        extractionPool: getExtractionPoolStats()
+    });
+};
+
+// 503 with Retry-After when extraction ran past the pool's per-job timeout
+const sendExtractionTimeout = (res, error) => {
+    console.warn(`⏱️ Extraction timed out, asking client to retry in ${error.retryAfter}s`);
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(503).json({
+        error: 'Image analysis took too long. Please try again shortly.',
+        retryAfter: error.retryAfter,
+        extractionPool: getExtractionPoolStats()
+    });
+};
+
+// Pool and format errors have their own responses; anything else means this image
+// could not be analysed
+const isExtractionFailureToRethrow = (error) => {
+    return isQueueFullError(error) || isExtractionTimeoutError(error) || isUnsupportedFormatError(error);
+};
+
+// 422 when the query image could not be analysed, instead of ranking a fallback vector
+const sendAnalysisFailed = (res, error, uploadedImageUrl) => {
+    console.warn('⚠️ Query image could not be analysed:', error.message);
+    return res.status(422).json({
+        error: 'The query image could not be analysed',
+        details: error.message,
+        uploadedImageUrl: uploadedImageUrl || null
+    });
+};
+
+// 415 for images the decoder cannot read
+const sendUnsupportedFormat = (res, error) => {
+    return res.status(415).json({
+        error: error.message,
+        supportedFormats: getSupportedInputFormats()
+    });
+};
+
+// Optional text query ("leather", "running") for hybrid search: BM25 matches from the
+// text index blended with visual similarity, textAlpha being the text share (0-1).
+// matches stays null without text or while the index is unavailable; alpha is null
+// for an invalid textAlpha.
+const parseTextQuery = (body = {}) => {
+    const text = typeof body.text === 'string' ? body.text.trim() : '';
+    let alpha = textSearchConfig.alpha;
+    if (body.textAlpha !== undefined && body.textAlpha !== null && body.textAlpha !== '') {
+        alpha = Number(body.textAlpha);
+        if (!Number.isFinite(alpha) || alpha < 0 || alpha > 1) alpha = null;
+    }
+    return {
+        text,
+        alpha,
+        matches: text && alpha !== null ? searchTextIndex(text) : null
+    };
+};
+
+// Ranking options and extra candidates of a text query (none without matches)
+const textRankingOptions = (textQuery) => {
+    return textQuery.matches ? { textMatches: textQuery.matches, textAlpha: textQuery.alpha } : {};
+};
+
+const textCandidateIds = (textQuery) => (textQuery.matches ? textQuery.matches.topIds : []);
+
+// Text query block for response metadata; null when no text was sent
+const describeTextQuery = (textQuery) => {
+    if (!textQuery.text) return null;
+    if (!textQuery.matches) {
+        return {
+            query: textQuery.text,
+            applied: false,
+            reason: `Text index ${getTextIndexStatus().status}, ranked on the image alone`
+        };
+    }
+    return {
+        query: textQuery.text,
+        applied: true,
+        terms: textQuery.matches.terms,
+        alpha: textQuery.alpha,
+        matches: textQuery.matches.hits.size
+    };
+};
+
+// Per-request retrieval knobs: exactSearch skips the index, annCandidates sets how many
+// products are re-ranked and annEfSearch the index search width (recall vs latency)
+const parseRetrievalOptions = (body = {}) => ({
+    exact: parseBooleanOption(body.exactSearch, false),
+    candidates: parseBoundedInt(body.annCandidates, annConfig.candidates, annConfig.maxCandidates),
+    efSearch: parseBoundedInt(body.annEfSearch, annConfig.efSearch, annConfig.maxEfSearch)
+});
+
+const parseBoundedInt = (value, defaultValue, max) => {
+    const parsed = parseInt(value, 10);
+    if (Number.isNaN(parsed) || parsed < 1) return defaultValue;
+    return Math.min(parsed, max);
+};
+
+// Products to rank for a query, from the catalog cache when it is warm and from
+// MongoDB otherwise. With an active index only the nearest candidates are used; the
+// index has default weights and knows nothing about colours, so filtered or
+// re-weighted searches draw a wider candidate pool. extraIds (the best text matches of
+// a hybrid query) join the candidates, so products the index misses can win on text.
+const loadRankingProducts = async (imageFeatures, { colorFilter = null, weighting, retrievalOptions, select = null, extraIds = [] }) => {
+    const filtered = Boolean(colorFilter && !colorFilter.isEmpty);
+    const query = { extractorVersion: EXTRACTOR_VERSION, ...(filtered ? buildColorQuery(colorFilter) : {}) };
+    const predicate = filtered ? product => matchesColorFilter(product, colorFilter) : null;
+
+    const fetchProducts = async (ids) => {
+        const cached = getCachedProducts({ ids, predicate });
+        if (cached) return { products: cached, source: 'cache' };
+
+        let productQuery = Product.find(ids ? { ...query, _id: { $in: ids } } : query);
+        if (select) productQuery = productQuery.select(select);
+        return { products: await productQuery, source: 'database' };
+    };
+
+    if (!retrievalOptions.exact && shouldUseAnnIndex()) {
+        const defaultWeighting = !weighting || (weighting.profile === DEFAULT_WEIGHT_PROFILE && !weighting.custom);
+        const widening = (filtered ? 4 : 1) * (defaultWeighting ? 1 : 2);
+        const k = Math.min(retrievalOptions.candidates * widening, annConfig.maxCandidates);
+
+        const startedAt = Date.now();
+        const neighbours = searchAnnIndex(imageFeatures, { k, efSearch: retrievalOptions.efSearch });
+        const searchMs = Date.now() - startedAt;
+
+        if (neighbours) {
+            const neighbourIds = neighbours.map(neighbour => String(neighbour.id));
+            const ids = [...new Set([...neighbourIds, ...extraIds])];
+            const { products, source } = await fetchProducts(ids);
+            return {
+                products,
+                retrieval: {
+                    mode: 'ann',
+                    source: source,
+                    candidates: neighbours.length,
+                    ...(ids.length > neighbourIds.length ? { textCandidates: ids.length - neighbourIds.length } : {}),
+                    efSearch: Math.max(retrievalOptions.efSearch, k),
+                    indexSize: getAnnIndexStatus().size,
+                    searchMs: searchMs
+                }
+            };
+        }
+    }
+
+    const { products, source } = await fetchProducts(null);
+    return {
+        products,
+        retrieval: { mode: 'exact', source: source, reason: retrievalOptions.exact ? 'requested' : 'index_inactive' }
+    };
+};
+
+// URLs from imageUrl / imageUrls: a string, repeated form fields or a JSON array
+const parseImageUrls = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    if (Array.isArray(value)) return value.flatMap(parseImageUrls);
+    const text = String(value).trim();
+    if (text.startsWith('[')) {
+        try {
+            return parseImageUrls(JSON.parse(text));
+        } catch (error) {
+            return [text];
+        }
+    }
+    return text ? [text] : [];
+};
+
+// Query images of an upload request, files first: [{ source: 'file', file } | { source: 'url', url }]
+const collectQueryImages = (req) => {
+    const files = req.files
+        ? [...(req.files.image || []), ...(req.files.images || [])]
+        : (req.file ? [req.file] : []);
+    const urls = [...parseImageUrls(req.body.imageUrl), ...parseImageUrls(req.body.imageUrls)];
+    return [
+        ...files.map(file => ({ source: 'file', file })),
+        ...[...new Set(urls)].map(url => ({ source: 'url', url }))
+    ];
+};
+
+// Store an uploaded query image on Cloudinary and return its URL
+const uploadToCloudinary = async (buffer) => {
+    if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
+        throw new Error('Cloudinary configuration is missing. Please check your .env file.');
+    }
+
+    const uploadResult = await new Promise((resolve, reject) => {
+        cloudinary.uploader.upload_stream(
+            {
+                resource_type: 'image',
+                folder: 'uploads',
+                transformation: [
+                    { width: 800, height: 800, crop: 'limit' },
+                    { quality: 'auto' },
+                    { format: 'auto' }
+                ]
+            },
+            (error, result) => {
+                if (error) {
+                    console.error('Cloudinary upload error:', error);
+                    reject(error);
+                } else {
+                    console.log('✅ Cloudinary upload successful');
+                    resolve(result);
+                }
+            }
+        ).end(buffer);
+    });
+    return uploadResult.secure_url;
+};
+
+// Upload (files) and analyse one query image of a multi-image search. Images that
+// cannot be analysed are reported instead of searched with a fallback vector; a full
+// or timed-out extraction pool and unsupported formats fail the whole search.
+const analyzeQueryImage = async (image, index, analysisOptions) => {
+    const described = {
+        index,
+        source: image.source,
+        imageUrl: image.source === 'url' ? image.url : null,
+        fileName: image.source === 'file' ? image.file.originalname : null
+    };
+    try {
+        if (image.source === 'file') {
+            described.imageUrl = await uploadToCloudinary(image.file.buffer);
+        }
+        const { features, metadata } = image.source === 'file'
+            ? await analyzeImageInPool(image.file.buffer, analysisOptions)
+            : await analyzeImageFromUrlInPool(image.url, analysisOptions);
+        return { ...described, features, analysis: metadata, error: null };
+    } catch (error) {
+        if (isExtractionFailureToRethrow(error)) throw error;
+        console.warn(`⚠️ Query image ${index + 1} could not be analysed:`, error.message);
+        return { ...described, features: null, analysis: null, error: error.message };
+    }
+};
+
+// Ranking candidates for several query vectors: the union of each one's nearest
+// neighbours on indexed catalogs, the whole catalog (loaded once) otherwise
+const loadCandidatesForQueries = async (queryVectors, { colorFilter, weighting, retrievalOptions, extraIds = [] }) => {
+    const perQuery = !retrievalOptions.exact && shouldUseAnnIndex() ? queryVectors : queryVectors.slice(0, 1);
+    const products = new Map();
+    let retrieval = null;
+    for (const vector of perQuery) {
+        const loaded = await loadRankingProducts(vector, { colorFilter, weighting, retrievalOptions, extraIds });
+        loaded.products.forEach(product => products.set(String(product._id), product));
+        retrieval = retrieval || loaded.retrieval;
+    }
+    return {
+        products: [...products.values()],
+        retrieval: { ...retrieval, queries: perQuery.length, candidates: products.size }
+    };
+};
+
+// Several photos of one item searched together; see queryFusion.js for the fusion modes
+const runMultiImageSearch = async (req, res, queryImages, options) => {
+    const { analysisOptions, requestedRankBy, weighting, metrics, colorFilter, retrievalOptions, fusion, textQuery } = options;
+    console.log(`🖼️ Multi-image search: ${queryImages.length} images, ${fusion} fusion`);
+
+    // The extraction pool analyses the images in parallel
+    const images = await Promise.all(queryImages.map((image, index) => analyzeQueryImage(image, index, analysisOptions)));
+    const analysed = images.filter(image => image.features);
+    if (analysed.length === 0) {
+        return res.status(422).json({
+            error: 'None of the query images could be analysed',
+            images: images.map(({ index, source, imageUrl, fileName, error }) => ({ index, source, imageUrl, fileName, error }))
+        });
+    }
+
+    const fusedFeatures = fuseFeatureVectors(analysed.map(image => image.features));
+    const { products: allProducts, retrieval } = await loadCandidatesForQueries(
+        [fusedFeatures, ...analysed.map(image => image.features)],
+        { colorFilter, weighting, retrievalOptions, extraIds: textCandidateIds(textQuery) }
+    );
+    const staleProductCount = await Product.countStale();
+    if (staleProductCount > 0) ensureReindexRunning();
+
+    if (allProducts.length === 0) {
+        if (colorFilter.isEmpty && staleProductCount > 0) {
+            res.set('Retry-After', '60');
+            return res.status(503).json({
+                error: 'Catalog is being re-indexed for the current feature extractor. Please try again shortly.',
+                reindex: getReindexStatus()
+            });
+        }
+        if (colorFilter.isEmpty) {
+            return res.status(404).json({ error: 'No products found in database. Please seed the database first.' });
+        }
+    }
+
+    // Per-image rankings over the whole candidate pool, for max / rrf and the contributions;
+    // images that could not be analysed keep an empty ranking so indexes line up
+    const rankingFor = (features, queryEmbedding) => {
+        const rankBy = queryEmbedding ? requestedRankBy : 'classic';
+        return {
+            rankBy,
+            queryEmbedding,
+            categoryPrediction: classifyCategory(features),
+            ...textRankingOptions(textQuery)
+        };
+    };
+    const imageRankings = images.map(image => {
+        if (!image.features) return [];
+        const ranking = rankingFor(image.features, image.analysis ? image.analysis.embedding : null);
+        return findAdvancedSimilarProducts(image.features, allProducts, allProducts.length, 0.1, {
+            ...ranking,
+            embeddingWeight: embeddingConfig.blendWeight,
+            weighting,
+            metrics
+        });
+    });
+
+    const fusedRanking = rankingFor(fusedFeatures, fuseEmbeddings(analysed.map(image => image.analysis ? image.analysis.embedding : null)));
+    let similarProducts;
+    if (fusion === 'mean') {
+        similarProducts = annotateContributions(
+            findAdvancedSimilarProducts(fusedFeatures, allProducts, 12, 0.1, {
+                ...fusedRanking,
+                embeddingWeight: embeddingConfig.blendWeight,
+                weighting,
+                metrics
+            }),
+            imageRankings
+        );
+    } else {
+        similarProducts = fuseRankings(imageRankings, fusion, { limit: 12 });
+    }
+    similarProducts = similarProducts.map(product => ({ ...product, matchStrategy: `Multi-Image ${fusion}` }));
+
+    // Feedback rounds continue from the mean vector whatever the fusion mode
+    const searchId = await createSearchSession(fusedFeatures, analysed[0].imageUrl, req.body, similarProducts);
+
+    const contributionImages = images.map(image => {
+        const ranking = imageRankings[image.index];
+        return {
+            index: image.index,
+            source: image.source,
+            imageUrl: image.imageUrl,
+            fileName: image.fileName,
+            analysed: Boolean(image.features),
+            error: image.error,
+            featureDimensions: image.features ? image.features.length : 0,
+            analysisQuality: buildAnalysisQuality(image.analysis),
+            colors: image.analysis ? extractColorNames(splitFeatureVector(image.features)) : null,
+            categoryPrediction: image.features ? classifyCategory(image.features) : null,
+            topMatches: ranking.slice(0, 3).map(product => ({ _id: product._id, name: product.name, similarity: product.similarity })),
+            // Results this image ranked best among the query images
+            bestFor: similarProducts.filter(product => product.bestImage === image.index).length
+        };
+    });
+
+    const warnings = contributionImages.flatMap(image => image.analysisQuality.warnings.map(warning => ({ ...warning, image: image.index })));
+    const confidence = calculateSearchConfidence(similarProducts);
+    console.log(`✨ Multi-image search complete: ${similarProducts.length} products from ${analysed.length} images`);
+
+    res.json({
+        success: true,
+        uploadedImageUrls: images.map(image => image.imageUrl),
+        searchId: searchId,
+        similarProducts: similarProducts,
+        images: contributionImages,
+        warnings: warnings,
+        metadata: {
+            fusion: {
+                mode: fusion,
+                images: images.length,
+                analysedImages: analysed.length,
+                rrfK: fusion === 'rrf' ? RRF_K : null
+            },
+            totalProductsAnalyzed: allProducts.length,
+            featureDimensions: fusedFeatures.length,
+            staleProductsExcluded: staleProductCount,
+            retrieval: retrieval,
+            weighting: describeWeighting(weighting),
+            metrics: describeMetrics(metrics),
+            categoryPrediction: fusedRanking.categoryPrediction,
+            text: describeTextQuery(textQuery),
+            ranking: {
+                requestedRankBy: requestedRankBy,
+                rankBy: fusion === 'mean' ? fusedRanking.rankBy : null
+            },
+            colorFilter: colorFilter.isEmpty ? null : { names: colorFilter.names, families: colorFilter.families },
+            exactMatch: false,
+            averageSimilarity: similarProducts.length > 0
+                ? similarProducts.reduce((sum, product) => sum + product.similarity, 0) / similarProducts.length
+                : 0,
+            confidence: confidence
+        },
+        message: `AI found ${similarProducts.length} products matching ${analysed.length} query images with ${(confidence * 100).toFixed(1)}% confidence`
+    });
+};
+
+// Cut the regions out of a query image and analyse each one; regions that cannot be
+// analysed are reported instead of searched with a fallback vector, while pool and
+// format errors fail the whole search (see isExtractionFailureToRethrow). Region cut-outs
+// are not auto-cropped again unless the request asks for it.
+const analyzeRegions = async (imageBuffer, regions, body) => {
+    const analysisOptions = { autoCrop: parseBooleanOption(body.autoCrop, false) };
+    const crops = await cropRegions(imageBuffer, regions);
+    return Promise.all(crops.map(async ({ buffer, ...region }) => {
+        try {
+            const { features, metadata } = await analyzeImageInPool(buffer, analysisOptions);
+            return { ...region, features, analysis: metadata, error: null };
+        } catch (error) {
+            if (isExtractionFailureToRethrow(error)) throw error;
+            console.warn(`⚠️ Region ${region.index + 1} could not be analysed:`, error.message);
+            return { ...region, features: null, analysis: null, error: error.message };
+        }
+    }));
+};
+
+// Encoded bytes of a query image, downloading URLs
+const readQueryImage = (image) => {
+    return image.source === 'file' ? Promise.resolve(image.file.buffer) : downloadImage(image.url);
+};
+
+// Public fields of an analysed region for API responses
+const describeRegion = (region) => ({
+    index: region.index,
+    label: region.label,
+    box: region.box,
+    pixelBox: region.pixelBox,
+    analysed: Boolean(region.features),
+    error: region.error
+});
+
+// One search per region of interest of a single query image, in one response
+const runRegionSearch = async (req, res, queryImage, regions, options) => {
+    const { requestedRankBy, weighting, metrics, colorFilter, retrievalOptions, textQuery } = options;
+    console.log(`✂️ Region search: ${regions.length} region${regions.length === 1 ? '' : 's'}`);
+
+    const imageBuffer = await readQueryImage(queryImage);
+    const uploadedImageUrl = queryImage.source === 'file' ? await uploadToCloudinary(imageBuffer) : queryImage.url;
+    const analysedRegions = await analyzeRegions(imageBuffer, regions, req.body);
+    const searchable = analysedRegions.filter(region => region.features);
+    if (searchable.length === 0) {
+        return res.status(422).json({
+            error: 'None of the regions could be analysed',
+            regions: analysedRegions.map(describeRegion)
+        });
+    }
+
+    const { products: allProducts, retrieval } = await loadCandidatesForQueries(
+        searchable.map(region => region.features),
+        { colorFilter, weighting, retrievalOptions, extraIds: textCandidateIds(textQuery) }
+    );
+    const staleProductCount = await Product.countStale();
+    if (staleProductCount > 0) ensureReindexRunning();
+    if (allProducts.length === 0 && colorFilter.isEmpty) {
+        if (staleProductCount > 0) {
+            res.set('Retry-After', '60');
+            return res.status(503).json({
+                error: 'Catalog is being re-indexed for the current feature extractor. Please try again shortly.',
+                reindex: getReindexStatus()
+            });
+        }
+        return res.status(404).json({ error: 'No products found in database. Please seed the database first.' });
+    }
+
+    const results = [];
+    for (const region of analysedRegions) {
+        if (!region.features) {
+            results.push({ ...describeRegion(region), similarProducts: [], searchId: null });
+            continue;
+        }
+
+        const queryEmbedding = region.analysis ? region.analysis.embedding : null;
+        const rankBy = queryEmbedding ? requestedRankBy : 'classic';
+        const categoryPrediction = classifyCategory(region.features);
+        const similarProducts = findAdvancedSimilarProducts(region.features, allProducts, 8, 0.1, {
+            queryEmbedding,
+            rankBy,
+            embeddingWeight: embeddingConfig.blendWeight,
+            weighting,
+            metrics,
+            categoryPrediction,
+            ...textRankingOptions(textQuery)
+        }).map(product => ({ ...product, matchStrategy: 'Region Visual Similarity' }));
+
+        // Each region gets its own session, so feedback refines one region's results
+        const searchId = await createSearchSession(region.features, uploadedImageUrl, req.body, similarProducts);
+        results.push({
+            ...describeRegion(region),
+            searchId,
+            similarProducts,
+            rankBy,
+            categoryPrediction,
+            colors: region.analysis ? extractColorNames(splitFeatureVector(region.features)) : null,
+            analysisQuality: buildAnalysisQuality(region.analysis),
+            confidence: calculateSearchConfidence(similarProducts)
+        });
+    }
+
+    const warnings = results.flatMap(region => (region.analysisQuality ? region.analysisQuality.warnings : [])
+        .map(warning => ({ ...warning, region: region.index })));
+    const matched = results.reduce((sum, region) => sum + region.similarProducts.length, 0);
+    console.log(`✨ Region search complete: ${matched} products across ${searchable.length} regions`);
+
+    res.json({
+        success: true,
+        uploadedImageUrl: uploadedImageUrl,
+        regions: results,
+        warnings: warnings,
+        metadata: {
+            regions: regions.length,
+            analysedRegions: searchable.length,
+            imageSize: analysedRegions[0].imageSize,
+            totalProductsAnalyzed: allProducts.length,
+            staleProductsExcluded: staleProductCount,
+            retrieval: retrieval,
+            weighting: describeWeighting(weighting),
+            metrics: describeMetrics(metrics),
+            text: describeTextQuery(textQuery),
+            colorFilter: colorFilter.isEmpty ? null : { names: colorFilter.names, families: colorFilter.families },
+            exactMatch: false
+        },
+        message: `AI found ${matched} products across ${searchable.length} region${searchable.length === 1 ? '' : 's'}`
+    });
+};
+
+// Request options a search session replays on feedback rounds
+const SESSION_OPTION_FIELDS = ['weightProfile', 'weights', 'metricPreset', 'metrics', 'colors'];
+
+const pickSessionOptions = (body) => {
+    const options = {};
+    SESSION_OPTION_FIELDS.forEach(field => {
+        if (body[field] !== undefined && body[field] !== '') options[field] = body[field];
+    });
+    return options;
+};
+
+// Store a search for relevance feedback; the search itself succeeds without a session
+const createSearchSession = async (features, uploadedImageUrl, body, results) => {
+    try {
+        const session = await SearchSession.buildForSearch({
+            features,
+            uploadedImageUrl,
+            options: pickSessionOptions(body),
+            resultIds: results.map(product => product._id)
+        }).save();
+        return session._id;
+    } catch (error) {
+        console.warn('⚠️ Could not store the search session:', error.message);
+        return null;
+    }
+};
+
+// Current-version vectors of the feedback products by id, plus the ids left out
+const loadFeedbackVectors = async (ids) => {
+    const vectors = new Map();
+    const cached = getCachedProducts({ ids });
+    const products = cached || await Product.find({ _id: { $in: ids }, extractorVersion: EXTRACTOR_VERSION })
+        .select('colorFeatures')
+        .lean();
+    products.forEach(product => {
+        if (product.colorFeatures && product.colorFeatures.length === FEATURE_MANIFEST.totalLength) {
+            vectors.set(String(product._id), product.colorFeatures);
+        }
+    });
+    return { vectors, ignored: ids.filter(id => !vectors.has(id)) };
+};
+
+// 400 for malformed relevance feedback
+const sendInvalidFeedback = (res, error) => {
+    return res.status(400).json({
+        error: error.message,
+        usage: {
+            searchId: 'searchId returned by POST /api/upload (or queryFeatures, the raw query vector)',
+            liked: 'Product ids to move towards',
+            disliked: 'Product ids to move away from (also dropped from the results)',
+            alpha: `Weight of the current query (default ${feedbackConfig.alpha})`,
+            beta: `Weight of the liked products (default ${feedbackConfig.beta})`,
+            gamma: `Weight of the disliked products (default ${feedbackConfig.gamma})`
+        }
+    });
+};
+
+// Kick off a background re-index for stale products unless disabled or already running
+const ensureReindexRunning = () => {
+    if (process.env.AUTO_REINDEX === 'false' || isReindexRunning()) return;
+    startReindex().catch(error => console.error('💥 Background re-index failed:', error));
+};
+
+// Per-group similarity between two combined vectors, split through the feature manifest,
+// each group compared with its configured metric
+const calculateGroupSimilarities = (features1, features2, metrics) => {
+    let groups1, groups2;
+    try {
+        groups1 = splitFeatureVector(features1);
+        groups2 = splitFeatureVector(features2);
+    } catch (error) {
+        return {};
+    }
+
+    const groupSimilarities = {};
+    FEATURE_MANIFEST.groups.forEach(({ name }) => {
+        groupSimilarities[name] = calculateMetricSimilarity(metrics.groupMetrics[name], groups1[name], groups2[name]);
+    });
+    return groupSimilarities;
+};
+
 // Helper function for price range calculation
 const getPriceRange = (price) => {
     if (price < 30) return 'budget';
@@ -322,12 +1289,16 @@ const getPriceRange = (price) => {
 // GET /api/products - Enhanced product listing with analytics
 router.get('/products', async (req, res) => {
     try {
-        const { category, priceRange, limit = 50 } = req.query;
+        const { category, priceRange, colors, limit = 50 } = req.query;
         
         // Build query
         const query = {};
         if (category) query.category = new RegExp(category, 'i');
         if (priceRange) query['productMetadata.priceRange'] = priceRange;
+
+        const colorFilter = parseColorFilter(colors);
+        if (colorFilter.unknown.length > 0) return sendUnknownColors(res, colorFilter.unknown);
+        if (!colorFilter.isEmpty) Object.assign(query, buildColorQuery(colorFilter));
         
         const products = await Product.find(query).limit(parseInt(limit));
         
@@ -335,6 +1306,8 @@ router.get('/products', async (req, res) => {
         const analytics = {
             totalProducts: await Product.countDocuments(),
             categoriesAvailable: await Product.distinct('category'),
+            extractorVersion: EXTRACTOR_VERSION,
+            staleProducts: await Product.countStale(),
             priceRanges: await Product.aggregate([
                 {
                     $group: {
@@ -373,7 +1346,7 @@ router.get('/products', async (req, res) => {
             products: products,
             count: products.length,
             analytics: analytics,
-            query: { category, priceRange, limit }
+            query: { category, priceRange, colors, limit }
         });
     } catch (error) {
         console.error('Error fetching products:', error);
@@ -395,6 +1368,9 @@ router.post('/compare', async (req, res) => {
             });
         }
 
+        const weighting = resolveWeighting({ profile: req.body.weightProfile, weights: req.body.weights });
+        const metrics = resolveRequestMetrics({ preset: req.body.metricPreset, metrics: req.body.metrics });
+
         const products = await Product.find({ _id: { $in: productIds } });
         
         if (products.length !== productIds.length) {
@@ -403,14 +1379,35 @@ router.post('/compare', async (req, res) => {
             });
         }
 
+        // Vectors from different extractor versions cannot be compared meaningfully
+        const staleProducts = products.filter(product => !product.hasCurrentFeatures());
+        if (staleProducts.length > 0) {
+            return res.status(409).json({
+                error: 'Some products have features from an older extractor version and must be re-indexed before they can be compared',
+                extractorVersion: EXTRACTOR_VERSION,
+                staleProducts: staleProducts.map(product => ({
+                    id: product._id,
+                    name: product.name,
+                    extractorVersion: product.extractorVersion || null
+                })),
+                reindex: getReindexStatus()
+            });
+        }
+
+        // Reassemble each product's vector through the feature manifest
+        const featureVectors = products.map(product => product.getFeatureVector());
+
         // Calculate pairwise similarities
         const comparisons = [];
         for (let i = 0; i < products.length; i++) {
             for (let j = i + 1; j < products.length; j++) {
-                const similarity = calculateAdvancedSimilarity(
-                    products[i].colorFeatures, 
-                    products[j].colorFeatures
+                const breakdown = calculateSimilarityBreakdown(
+                    featureVectors[i], 
+                    featureVectors[j],
+                    weighting,
+                    metrics
                 );
+                const similarity = breakdown.combined;
                 
                 comparisons.push({
                     product1: {
@@ -424,6 +1421,9 @@ router.post('/compare', async (req, res) => {
                         category: products[j].category
                     },
                     visualSimilarity: similarity,
+                    colorSimilarity: breakdown.color,
+                    layoutSimilarity: breakdown.layout,
+                    groupSimilarities: calculateGroupSimilarities(featureVectors[i], featureVectors[j], metrics),
                     categoryMatch: products[i].category === products[j].category,
                     priceRatio: Math.min(products[i].price, products[j].price) / Math.max(products[i].price, products[j].price)
                 });
@@ -434,10 +1434,15 @@ router.post('/compare', async (req, res) => {
             success: true,
             products: products,
             comparisons: comparisons,
+            featureLayout: describeManifest(),
+            weighting: describeWeighting(weighting),
+            metrics: describeMetrics(metrics),
             overallSimilarity: comparisons.reduce((sum, comp) => sum + comp.visualSimilarity, 0) / comparisons.length
         });
 
     } catch (error) {
+        if (isInvalidWeightsError(error)) return sendInvalidWeights(res, error);
+        if (isInvalidMetricsError(error)) return sendInvalidMetrics(res, error);
         console.error('Error comparing products:', error);
         res.status(500).json({ 
             error: 'Failed to compare products',
@@ -450,21 +1455,44 @@ router.post('/compare', async (req, res) => {
 router.post('/suggestions', upload.single('image'), async (req, res) => {
     try {
         let imageFeatures;
+        let imageAnalysis;
+        
+        const analysisOptions = { autoCrop: parseBooleanOption(req.body.autoCrop, true) };
+        const weighting = resolveWeighting({ profile: req.body.weightProfile, weights: req.body.weights });
+        const metrics = resolveRequestMetrics({ preset: req.body.metricPreset, metrics: req.body.metrics });
+        const retrievalOptions = parseRetrievalOptions(req.body);
+        const regions = parseRegions(req.body.regions);
+
+        if (regions.length > 0) {
+            const queryImage = req.file
+                ? { source: 'file', file: req.file }
+                : (req.body.imageUrl ? { source: 'url', url: req.body.imageUrl } : null);
+            if (!queryImage) return res.status(400).json({ error: 'No image provided' });
+            return await sendRegionSuggestions(req, res, queryImage, regions, { weighting, metrics, retrievalOptions });
+        }
         
         if (req.file) {
-            imageFeatures = await extractAdvancedFeatures(req.file.buffer);
+            ({ features: imageFeatures, metadata: imageAnalysis } = await analyzeImageInPool(req.file.buffer, analysisOptions));
         } else if (req.body.imageUrl) {
-            imageFeatures = await extractFeaturesFromUrl(req.body.imageUrl);
+            ({ features: imageFeatures, metadata: imageAnalysis } = await analyzeImageFromUrlInPool(req.body.imageUrl, analysisOptions));
         } else {
             return res.status(400).json({ error: 'No image provided' });
         }
 
         // Get quick suggestions without full processing
-        const allProducts = await Product.find({}).select('name category price imageUrl colorFeatures');
-        const quickMatches = findAdvancedSimilarProducts(imageFeatures, allProducts, 5);
+        const { products: allProducts } = await loadRankingProducts(imageFeatures, {
+            weighting,
+            retrievalOptions,
+            select: 'name category price imageUrl colorFeatures extractorVersion'
+        });
+        const categoryPrediction = classifyCategory(imageFeatures);
+        const quickMatches = findAdvancedSimilarProducts(imageFeatures, allProducts, 5, 0.1, { weighting, metrics, categoryPrediction });
         
-        // Extract suggested categories and price ranges
-        const suggestedCategories = [...new Set(quickMatches.map(p => p.category))];
+        // Extract suggested categories (a confident prediction first) and price ranges
+        const suggestedCategories = [...new Set([
+            ...(categoryPrediction && categoryPrediction.category ? [categoryPrediction.category] : []),
+            ...quickMatches.map(p => p.category)
+        ])];
         const suggestedPriceRanges = [...new Set(quickMatches.map(p => getPriceRange(p.price)))];
         
         res.json({
@@ -472,12 +1500,22 @@ router.post('/suggestions', upload.single('image'), async (req, res) => {
             suggestions: {
                 categories: suggestedCategories,
                 priceRanges: suggestedPriceRanges,
+                categoryPrediction: categoryPrediction,
                 quickMatches: quickMatches.slice(0, 3),
                 confidence: calculateSearchConfidence(quickMatches)
-            }
+            },
+            weighting: describeWeighting(weighting),
+            metrics: describeMetrics(metrics),
+            warnings: buildAnalysisQuality(imageAnalysis).warnings
         });
 
     } catch (error) {
+        if (isQueueFullError(error)) return sendQueueFull(res, error);
+        if (isExtractionTimeoutError(error)) return sendExtractionTimeout(res, error);
+        if (isUnsupportedFormatError(error)) return sendUnsupportedFormat(res, error);
+        if (isInvalidWeightsError(error)) return sendInvalidWeights(res, error);
+        if (isInvalidMetricsError(error)) return sendInvalidMetrics(res, error);
+        if (isInvalidRegionsError(error)) return sendInvalidRegions(res, error);
         console.error('Error generating suggestions:', error);
         res.status(500).json({ 
             error: 'Failed to generate suggestions',
@@ -486,6 +1524,223 @@ router.post('/suggestions', upload.single('image'), async (req, res) => {
     }
 });
 
+// Quick suggestions for each region of interest of one image
+const sendRegionSuggestions = async (req, res, queryImage, regions, { weighting, metrics, retrievalOptions }) => {
+    const analysedRegions = await analyzeRegions(await readQueryImage(queryImage), regions, req.body);
+    const searchable = analysedRegions.filter(region => region.features);
+    const { products: allProducts } = searchable.length > 0
+        ? await loadCandidatesForQueries(searchable.map(region => region.features), { weighting, retrievalOptions })
+        : { products: [] };
+
+    const suggestions = analysedRegions.map(region => {
+        if (!region.features) return { ...describeRegion(region), suggestions: null };
+        const categoryPrediction = classifyCategory(region.features);
+        const quickMatches = findAdvancedSimilarProducts(region.features, allProducts, 5, 0.1, { weighting, metrics, categoryPrediction });
+        return {
+            ...describeRegion(region),
+            suggestions: {
+                categories: [...new Set([
+                    ...(categoryPrediction && categoryPrediction.category ? [categoryPrediction.category] : []),
+                    ...quickMatches.map(p => p.category)
+                ])],
+                priceRanges: [...new Set(quickMatches.map(p => getPriceRange(p.price)))],
+                categoryPrediction: categoryPrediction,
+                quickMatches: quickMatches.slice(0, 3),
+                confidence: calculateSearchConfidence(quickMatches)
+            },
+            warnings: buildAnalysisQuality(region.analysis).warnings
+        };
+    });
+
+    res.json({
+        success: true,
+        regions: suggestions,
+        weighting: describeWeighting(weighting),
+        metrics: describeMetrics(metrics)
+    });
+};
+
+// POST /api/feedback - Refine a search with liked / disliked products (Rocchio)
+router.post('/feedback', async (req, res) => {
+    try {
+        const feedback = parseFeedbackRequest(req.body);
+
+        let session = null;
+        if (feedback.searchId) {
+            session = await SearchSession.findById(feedback.searchId);
+            if (!session) {
+                return res.status(404).json({ error: 'Search session not found or expired', searchId: feedback.searchId });
+            }
+            if (!session.hasCurrentFeatures()) {
+                return res.status(409).json({
+                    error: 'This search was indexed by an older feature extractor. Please search again.',
+                    searchId: feedback.searchId
+                });
+            }
+        }
+
+        // Ranking options default to the original search's
+        const sessionOptions = session && session.options ? session.options : {};
+        const option = (field) => (req.body[field] !== undefined ? req.body[field] : sessionOptions[field]);
+        const weighting = resolveWeighting({ profile: option('weightProfile'), weights: option('weights') });
+        const metrics = resolveRequestMetrics({ preset: option('metricPreset'), metrics: option('metrics') });
+        const colorFilter = parseColorFilter(option('colors'));
+        if (colorFilter.unknown.length > 0) return sendUnknownColors(res, colorFilter.unknown);
+        const retrievalOptions = parseRetrievalOptions(req.body);
+        const limit = parseBoundedInt(req.body.limit, 12, 50);
+
+        const { vectors, ignored } = await loadFeedbackVectors([...feedback.liked, ...feedback.disliked]);
+        const likedVectors = feedback.liked.filter(id => vectors.has(id)).map(id => vectors.get(id));
+        const dislikedVectors = feedback.disliked.filter(id => vectors.has(id)).map(id => vectors.get(id));
+        if (likedVectors.length === 0 && dislikedVectors.length === 0) {
+            return res.status(400).json({
+                error: 'None of the feedback products exist with current features',
+                ignored: ignored
+            });
+        }
+
+        const query = session ? session.currentFeatures : feedback.queryFeatures;
+        const refinedFeatures = computeRocchioQuery(query, likedVectors, dislikedVectors, feedback.coefficients);
+
+        // Disliked products are dropped from the refined results
+        const disliked = new Set(feedback.disliked);
+        const { products, retrieval } = await loadRankingProducts(refinedFeatures, { colorFilter, weighting, retrievalOptions });
+        const categoryPrediction = classifyCategory(refinedFeatures);
+        const similarProducts = findAdvancedSimilarProducts(
+            refinedFeatures,
+            products.filter(product => !disliked.has(String(product._id))),
+            limit,
+            0.1,
+            { weighting, metrics, categoryPrediction }
+        );
+
+        // A raw query vector starts a new session
+        if (!session) {
+            session = SearchSession.buildForSearch({
+                features: feedback.queryFeatures,
+                options: pickSessionOptions(req.body)
+            });
+        }
+        const iteration = session.recordRefinement({
+            features: refinedFeatures,
+            liked: feedback.liked.filter(id => vectors.has(id)),
+            disliked: feedback.disliked.filter(id => vectors.has(id)),
+            ignored,
+            coefficients: feedback.coefficients,
+            resultIds: similarProducts.map(product => product._id)
+        });
+        await session.save();
+
+        console.log(`🔁 Feedback round ${iteration} for search ${session._id}: ${likedVectors.length} liked, ${dislikedVectors.length} disliked`);
+
+        res.json({
+            success: true,
+            searchId: session._id,
+            iteration: iteration,
+            similarProducts: similarProducts,
+            feedback: {
+                liked: likedVectors.length,
+                disliked: dislikedVectors.length,
+                ignored: ignored,
+                coefficients: feedback.coefficients
+            },
+            metadata: {
+                totalProductsAnalyzed: products.length,
+                retrieval: retrieval,
+                weighting: describeWeighting(weighting),
+                metrics: describeMetrics(metrics),
+                categoryPrediction: categoryPrediction,
+                colorFilter: colorFilter.isEmpty ? null : { names: colorFilter.names, families: colorFilter.families },
+                confidence: calculateSearchConfidence(similarProducts)
+            }
+        });
+
+    } catch (error) {
+        if (isInvalidFeedbackError(error)) return sendInvalidFeedback(res, error);
+        if (isInvalidWeightsError(error)) return sendInvalidWeights(res, error);
+        if (isInvalidMetricsError(error)) return sendInvalidMetrics(res, error);
+        console.error('❌ Relevance feedback error:', error);
+        res.status(500).json({
+            error: 'Failed to refine the search',
+            details: error.message
+        });
+    }
+});
+
+// GET /api/searches/:searchId - Search session with its refinement history
+router.get('/searches/:searchId', async (req, res) => {
+    try {
+        const session = mongoose.isValidObjectId(req.params.searchId)
+            ? await SearchSession.findById(req.params.searchId)
+            : null;
+        if (!session) {
+            return res.status(404).json({ error: 'Search session not found or expired', searchId: req.params.searchId });
+        }
+        res.json({
+            success: true,
+            search: session.describe()
+        });
+    } catch (error) {
+        console.error('Error loading search session:', error);
+        res.status(500).json({
+            error: 'Failed to load the search session',
+            details: error.message
+        });
+    }
+});
+
+// New endpoint: Near-duplicate lookup by perceptual hash
+router.post('/duplicates', upload.single('image'), async (req, res) => {
+    try {
+        const maxDistance = req.body.maxDistance !== undefined ? parseInt(req.body.maxDistance) : 10;
+        const hashType = req.body.hashType || 'pHash';
+
+        if (isNaN(maxDistance) || maxDistance < 0 || maxDistance > MAX_INDEXED_DISTANCE) {
+            return res.status(400).json({ error: `maxDistance must be between 0 and ${MAX_INDEXED_DISTANCE}` });
+        }
+        if (hashType !== 'all' && !HASH_TYPES.includes(hashType)) {
+            return res.status(400).json({ error: `hashType must be one of: ${[...HASH_TYPES, 'all'].join(', ')}` });
+        }
+
+        let imageBuffer;
+        if (req.file) {
+            imageBuffer = req.file.buffer;
+        } else if (req.body.imageUrl) {
+            imageBuffer = await downloadImage(req.body.imageUrl);
+        } else {
+            return res.status(400).json({ error: 'No image provided' });
+        }
+
+        // Hash the upright sRGB image, like the hashes stored for catalog products
+        const { frames } = await normalizeImage(imageBuffer, { sampleFrames: 1 });
+        const queryHashes = await computePerceptualHashes(frames[0].buffer);
+        const hashedProducts = await findHashCandidates(queryHashes, { maxDistance, hashType })
+            .select('name category price imageUrl perceptualHashes.aHash perceptualHashes.dHash perceptualHashes.pHash');
+        const matches = findNearDuplicates(queryHashes, hashedProducts, { maxDistance, hashType });
+
+        res.json({
+            success: true,
+            perceptualHashes: queryHashes,
+            query: { maxDistance, hashType },
+            totalProductsChecked: hashedProducts.length,
+            duplicates: matches.map(({ product, distances, distance }) => ({
+                ...product.toObject(),
+                distance: distance,
+                hashDistances: distances,
+                similarity: 1 - distance / HASH_BITS
+            }))
+        });
+
+    } catch (error) {
+        if (isUnsupportedFormatError(error)) return sendUnsupportedFormat(res, error);
+        console.error('Error finding duplicates:', error);
+        res.status(500).json({ 
+            error: 'Failed to find duplicates',
+            details: error.message 
+        });
+    }
+});
+
 // Enhanced analytics endpoint
 router.get('/analytics', async (req, res) => {
     try {
@@ -535,8 +1790,9 @@ router.get('/analytics', async (req, res) => {
             analytics: analytics[0],
             systemInfo: {
                 aiEnhanced: true,
-                featureTypes: ['color', 'edge', 'texture', 'shape', 'brightness', 'contrast'],
-                supportedFormats: ['JPEG', 'PNG', 'WebP', 'GIF'],
+                featureTypes: getFeatureTypes(),
+                extractionPool: getExtractionPoolStats(),
+                supportedFormats: getSupportedInputFormats(),
                 maxFileSize: '10MB'
             }
         });
@@ -550,6 +1806,138 @@ router.get('/analytics', async (req, res) => {
     }
 });
 
+// GET /api/reindex/status - Progress of the catalog re-index
+router.get('/reindex/status', async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            extractorVersion: EXTRACTOR_VERSION,
+            staleProducts: await Product.countStale(),
+            reindex: getReindexStatus()
+        });
+    } catch (error) {
+        console.error('Error fetching re-index status:', error);
+        res.status(500).json({ 
+            error: 'Failed to fetch re-index status',
+            details: error.message 
+        });
+    }
+});
+
+// POST /api/reindex - Start (or resume) re-indexing stale products in the background
+router.post('/reindex', async (req, res) => {
+    try {
+        if (req.body && req.body.action === 'stop') {
+            return res.json({ success: true, reindex: stopReindex() });
+        }
+
+        const staleProducts = await Product.countStale();
+        if (staleProducts > 0 && !isReindexRunning()) {
+            startReindex().catch(error => console.error('💥 Background re-index failed:', error));
+        }
+
+        res.status(202).json({
+            success: true,
+            staleProducts: staleProducts,
+            reindex: getReindexStatus()
+        });
+    } catch (error) {
+        console.error('Error starting re-index:', error);
+        res.status(500).json({ 
+            error: 'Failed to start re-index',
+            details: error.message 
+        });
+    }
+});
+
+// GET /api/ann/status - Nearest-neighbour index size, settings and sync state
+router.get('/ann/status', (req, res) => {
+    res.json({
+        success: true,
+        ann: getAnnIndexStatus()
+    });
+});
+
+// POST /api/ann/rebuild - Rebuild the nearest-neighbour index in the background
+router.post('/ann/rebuild', (req, res) => {
+    if (!annConfig.enabled) {
+        return res.status(409).json({ error: 'The ANN index is disabled (ANN_ENABLED=false)' });
+    }
+    buildAnnIndex();
+    res.status(202).json({
+        success: true,
+        ann: getAnnIndexStatus()
+    });
+});
+
+// GET /api/cache/stats - Catalog cache size, memory, hit rate and freshness
+router.get('/cache/stats', (req, res) => {
+    res.json({
+        success: true,
+        cache: getCatalogCacheStats()
+    });
+});
+
+// GET /api/classifier/status - Category classifier categories, calibration and freshness
+router.get('/classifier/status', (req, res) => {
+    res.json({
+        success: true,
+        classifier: getCategoryClassifierStatus()
+    });
+});
+
+// POST /api/classifier/train - Retrain the category classifier in the background
+router.post('/classifier/train', (req, res) => {
+    if (!classifierConfig.enabled) {
+        return res.status(409).json({ error: 'The category classifier is disabled (CATEGORY_CLASSIFIER_ENABLED=false)' });
+    }
+    trainCategoryClassifier();
+    res.status(202).json({
+        success: true,
+        classifier: getCategoryClassifierStatus()
+    });
+});
+
+// GET /api/text-index/status - Text index size, BM25 settings and freshness
+router.get('/text-index/status', (req, res) => {
+    res.json({
+        success: true,
+        textIndex: getTextIndexStatus()
+    });
+});
+
+// GET /api/features/manifest - Feature vector layout published by the extractor
+router.get('/features/manifest', (req, res) => {
+    res.json({
+        success: true,
+        manifest: describeManifest()
+    });
+});
+
+// GET /api/weight-profiles - Named feature weight profiles and their group weights
+router.get('/weight-profiles', (req, res) => {
+    res.json({
+        success: true,
+        profiles: describeWeightProfiles()
+    });
+});
+
+// GET /api/metrics - Similarity metrics, presets and the deployment default
+router.get('/metrics', (req, res) => {
+    res.json({
+        success: true,
+        ...describeMetricOptions()
+    });
+});
+
+// GET /api/colors - Vocabulary accepted by the colors filter
+router.get('/colors', (req, res) => {
+    res.json({
+        success: true,
+        ...getColorVocabulary()
+    });
+});
+
 // GET /api/upload - Enhanced info endpoint
 router.get('/upload', (req, res) => {
     res.json({
@@ -560,24 +1948,59 @@ router.get('/upload', (req, res) => {
             'Edge detection using Sobel operators',
             'Texture analysis with Local Binary Patterns',
             'Shape analysis with Hu moments',
+            'Histogram of Oriented Gradients shape descriptor',
             'Dominant color extraction with k-means clustering',
+            'Perceptual palette matching in CIELAB with CIEDE2000 distances',
             'Brightness and contrast analysis',
+            'Query image quality checks (blur, exposure, resolution, coverage, compression) with warnings',
+            'Optional learned embeddings from a local ONNX model',
             'Multi-strategy similarity matching',
+            'Approximate nearest-neighbour (HNSW) candidate retrieval for large catalogs',
             'Category-aware and price-aware search',
             'Confidence scoring for results'
         ],
         endpoints: {
             'POST /api/upload': 'Upload image file or URL to find similar products (Enhanced AI)',
-            'GET /api/products': 'Get all products with analytics',
+            'GET /api/products': 'Get all products with analytics (filters: category, priceRange, colors)',
+            'GET /api/colors': 'List the colour names and families accepted by the colors filter',
+            'GET /api/weight-profiles': 'List the feature weight profiles accepted by weightProfile',
+            'GET /api/metrics': 'List the similarity metrics and presets accepted by metricPreset and metrics',
             'POST /api/compare': 'Compare multiple products visually',
             'POST /api/suggestions': 'Get quick suggestions from partial image analysis',
-            'GET /api/analytics': 'Get database and AI performance analytics'
+            'POST /api/duplicates': 'Find catalog images within a Hamming distance of an uploaded image (maxDistance, hashType)',
+            'GET /api/analytics': 'Get database and AI performance analytics',
+            'GET /api/features/manifest': 'Get the feature vector layout used by the extractor',
+            'GET /api/reindex/status': 'Get catalog re-index progress',
+            'POST /api/reindex': 'Start re-indexing stale products ({ "action": "stop" } to pause)',
+            'GET /api/ann/status': 'Get nearest-neighbour index size, settings and sync state',
+            'GET /api/cache/stats': 'Get catalog cache size, memory, hit rate and freshness',
+            'POST /api/ann/rebuild': 'Rebuild the nearest-neighbour index in the background',
+            'POST /api/feedback': 'Refine a search: searchId (or queryFeatures) plus liked / disliked product ids',
+            'GET /api/searches/:searchId': 'Get a search session and its refinement history',
+            'GET /api/classifier/status': 'Get category classifier categories, calibration and freshness',
+            'POST /api/classifier/train': 'Retrain the category classifier in the background',
+            'GET /api/text-index/status': 'Get text index size, BM25 settings and freshness'
         },
         usage: {
             fileUpload: 'Send multipart/form-data with "image" field',
             urlUpload: 'Send JSON with "imageUrl" field',
+            multiImage: `Up to ${MAX_QUERY_IMAGES} photos of one item: repeat the "image" field and/or send "imageUrls" (array)`,
+            regions: 'Search parts of one image separately: JSON array of { x, y, width, height, label } boxes as fractions of the image (also on /api/suggestions)',
+            fusion: `How several images are combined: ${FUSION_MODES.join(', ')} (default ${DEFAULT_FUSION_MODE}); rrf is reciprocal rank fusion`,
+            text: 'Optional text query, e.g. "leather" or "running", matched against product names, categories, tags and descriptions and blended with visual similarity',
+            textAlpha: `Text share of the blended score from 0 (image only) to 1 (text only) (default ${textSearchConfig.alpha})`,
+            autoCrop: 'Set "autoCrop" to false to match the whole image instead of the most salient region',
+            weightProfile: 'Feature weighting: balanced (default), color-first, shape-first or texture-first (also on /api/suggestions and /api/compare)',
+            weights: 'Custom weights by feature group or type, e.g. {"color": 0, "hogFeatures": 0.3}; applied on top of weightProfile',
+            metricPreset: 'Similarity metrics: blend (cosine/Euclidean/correlation over the whole vector) or recommended (a histogram distance or L2 per group); also on /api/suggestions and /api/compare',
+            metrics: 'Metric overrides by group, feature type or "default", e.g. {"colorHistogram": "bhattacharyya", "shape": "l2"}',
+            colors: 'Restrict results to colour names or families, e.g. "navy,burgundy" or "blue" (also on GET /api/products)',
+            exactSearch: 'Set to true to scan every product instead of nearest-neighbour candidates (also on /api/suggestions)',
+            annCandidates: `Products re-ranked per search when the index is active (default ${annConfig.candidates})`,
+            annEfSearch: `Index search width; higher improves recall at some latency (default ${annConfig.efSearch})`,
+            rankBy: `Rank by ${RANKING_MODES.join(', ')} (embedding modes need ONNX_MODEL_PATH)`,
             maxFileSize: '10MB',
-            supportedFormats: ['JPEG', 'PNG', 'WebP', 'GIF']
+            supportedFormats: getSupportedInputFormats()
         }
     });
 });
@@ -5,7 +5,13 @@ dotenv.config();
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/database');
+const Product = require('./models/Product');
 const uploadRoutes = require('./routes/upload');
+const { checkExtractorVersion } = require('./utils/catalogReindexer');
+const { initAnnIndex } = require('./utils/annIndex');
+const { warmCatalogCache } = require('./utils/catalogCache');
+const { initCategoryClassifier } = require('./utils/categoryClassifier');
+const { initTextIndex } = require('./utils/textIndex');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -16,8 +22,40 @@ console.log('📍 Port:', PORT);
 console.log('🗃️  MongoDB URI:', process.env.MONGODB_URI ? 'Loaded' : 'Missing');
 console.log('☁️  Cloudinary Cloud Name:', process.env.CLOUDINARY_CLOUD_NAME ? 'Loaded' : 'Missing');
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then look for products indexed by an older feature extractor,
+// store near-duplicate hash bands missing from older products and load the catalog
+// cache, the category classifier, the text index and the nearest-neighbour index used
+// for large catalogs
+connectDB().then(() => {
+    Product.backfillHashBands()
+        .then(updated => {
+            if (updated > 0) console.log(`🪞 Stored hash bands for ${updated} products`);
+        })
+        .catch(error => {
+            console.error('Hash band backfill failed:', error.message);
+        });
+    checkExtractorVersion({
+        autoReindex: process.env.AUTO_REINDEX !== 'false'
+    }).catch(error => {
+        console.error('Extractor version check failed:', error.message);
+    });
+    // The classifier and text index build from the cache once it is warm (or from MongoDB without it)
+    warmCatalogCache()
+        .catch(error => {
+            console.error('Catalog cache warm-up failed:', error.message);
+        })
+        .then(() => initCategoryClassifier())
+        .catch(error => {
+            console.error('Category classifier training failed:', error.message);
+        })
+        .then(() => initTextIndex())
+        .catch(error => {
+            console.error('Text index build failed:', error.message);
+        });
+    initAnnIndex().catch(error => {
+        console.error('ANN index initialisation failed:', error.message);
+    });
+});
 
 // Middleware
 app.use(cors({
@@ -46,7 +84,14 @@ app.get('/', (req, res) => {
             'GET /': 'API status',
             'GET /api/products': 'Get all products',
             'POST /api/upload': 'Upload image and find similar products',
-            'GET /api/upload': 'Upload endpoint info'
+            'GET /api/upload': 'Upload endpoint info',
+            'GET /api/reindex/status': 'Catalog re-index progress',
+            'POST /api/reindex': 'Start re-indexing products with stale features',
+            'GET /api/ann/status': 'Nearest-neighbour index status',
+            'GET /api/cache/stats': 'Catalog cache statistics',
+            'GET /api/metrics': 'Similarity metrics and presets',
+            'GET /api/classifier/status': 'Category classifier status',
+            'GET /api/text-index/status': 'Text search index status'
         }
     });
 });
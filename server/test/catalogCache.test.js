@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockModule } = require('./helpers/routeHarness');
+const { EXTRACTOR_VERSION, FEATURE_MANIFEST } = require('../utils/featureManifest');
+const { emitProductChange } = require('../utils/productEvents');
+
+// Only this process's writes refresh the cache
+process.env.CATALOG_CACHE_POLL_MS = '0';
+
+// In-memory stand-in for the Product queries the cache runs
+const catalog = new Map();
+const matches = (product, query) => Object.entries(query).every(([field, condition]) => {
+    if (condition && condition.$gt !== undefined) return product[field] > condition.$gt;
+    if (condition && condition.$in) return condition.$in.map(String).includes(String(product[field]));
+    return product[field] === condition;
+});
+const findProducts = (query) => [...catalog.values()].filter(product => matches(product, query));
+const chain = (query) => {
+    const results = () => findProducts(query).sort((a, b) => a.updatedAt - b.updatedAt).map(product => ({ ...product }));
+    const cursorChain = {
+        select: () => cursorChain,
+        sort: () => cursorChain,
+        lean: () => cursorChain,
+        cursor: () => results()[Symbol.iterator](),
+        then: (resolve, reject) => Promise.resolve(results()).then(resolve, reject)
+    };
+    return cursorChain;
+};
+mockModule('../../models/Product', {
+    countDocuments: async (query) => findProducts(query).length,
+    distinct: async (field, query) => findProducts(query).map(product => product[field]),
+    find: chain,
+    watch: () => { throw new Error('standalone server'); }
+});
+
+const {
+    warmCatalogCache,
+    getCachedProducts,
+    isCatalogCacheReady,
+    getCatalogCacheStats
+} = require('../utils/catalogCache');
+
+let clock = 1;
+const save = (id, fields = {}) => {
+    catalog.set(id, {
+        _id: id,
+        name: id,
+        extractorVersion: EXTRACTOR_VERSION,
+        colorFeatures: Array(FEATURE_MANIFEST.totalLength).fill(0.5),
+        embedding: [],
+        updatedAt: new Date(Date.now() + clock++),
+        ...fields
+    });
+};
+const cachedIds = () => getCachedProducts().map(product => product._id).sort();
+const afterRefresh = () => new Promise(resolve => setTimeout(resolve, 400));
+
+test('searches fall back to MongoDB until the cache is warm', () => {
+    assert.equal(isCatalogCacheReady(), false);
+    assert.equal(getCachedProducts(), null);
+    assert.equal(getCatalogCacheStats().misses, 1);
+});
+
+test('warming loads current products with Float32 vectors kept out of responses', async () => {
+    save('a');
+    save('b', { category: 'Bags' });
+    save('stale', { extractorVersion: 'old' });
+
+    const stats = await warmCatalogCache();
+    assert.equal(stats.status, 'ready');
+    assert.equal(stats.size, 2);
+    assert.equal(stats.vectorBytes, 2 * FEATURE_MANIFEST.totalLength * 4);
+    assert.deepEqual(cachedIds(), ['a', 'b']);
+
+    const [entry] = getCachedProducts({ ids: ['b'] });
+    assert.ok(entry.colorFeatures instanceof Float32Array);
+    assert.ok(entry.featureStats);
+    assert.deepEqual(Object.keys(entry).sort(), ['_id', 'category', 'extractorVersion', 'name', 'updatedAt']);
+    assert.deepEqual(getCachedProducts({ predicate: product => product.category === 'Bags' }).map(product => product._id), ['b']);
+});
+
+test('product change events drop deleted products at once and refresh the rest', async () => {
+    catalog.delete('a');
+    emitProductChange('delete', ['a']);
+    assert.deepEqual(cachedIds(), ['b']);
+
+    save('b', { name: 'renamed' });
+    save('c');
+    save('d', { extractorVersion: 'old' });
+    emitProductChange('update', ['b', 'c', 'd']);
+    await afterRefresh();
+
+    assert.deepEqual(cachedIds(), ['b', 'c']);
+    assert.equal(getCachedProducts({ ids: ['b'] })[0].name, 'renamed');
+    const stats = getCatalogCacheStats();
+    assert.equal(stats.invalidations, 2);
+    assert.ok(stats.refreshes >= 1);
+});
+
+test('query-level writes without ids are reconciled by id count', async () => {
+    // deleteMany: no ids and nothing newer to find by updatedAt
+    catalog.delete('c');
+    emitProductChange('delete');
+    await afterRefresh();
+    assert.deepEqual(cachedIds(), ['b']);
+});
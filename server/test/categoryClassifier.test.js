@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mockModule, startApi } = require('./helpers/routeHarness');
+const { EXTRACTOR_VERSION, FEATURE_MANIFEST } = require('../utils/featureManifest');
+
+// Labelled catalog the classifier trains from (the catalog cache is never warmed here)
+let catalog = [];
+const Product = {
+    find: () => {
+        const query = {
+            select: () => query,
+            lean: () => query,
+            cursor: () => catalog.map(product => ({ extractorVersion: EXTRACTOR_VERSION, ...product }))[Symbol.iterator]()
+        };
+        return query;
+    }
+};
+mockModule('../../models/Product', Product);
+
+const { classifierConfig } = require('../config/search');
+const { trainCategoryClassifier, classifyCategory, getCategoryClassifierStatus } = require('../utils/categoryClassifier');
+const { findAdvancedSimilarProducts } = require('../utils/imageProcessor');
+
+// Two clearly different looks with a little per-product variation
+const look = (phase, variation = 0) => Array.from({ length: FEATURE_MANIFEST.totalLength }, (_, i) => {
+    return 0.5 + 0.4 * Math.sin(i * 0.7 + phase) + 0.02 * Math.cos(i * 1.3 + variation);
+});
+const BAGS = 0;
+const SHOES = Math.PI;
+const labelled = (category, phase, count) => Array.from({ length: count }, (_, i) => ({
+    _id: `${category}-${i}`,
+    category,
+    colorFeatures: look(phase, i)
+}));
+
+test('the classifier waits for enough labelled categories', async () => {
+    assert.equal(getCategoryClassifierStatus().status, 'idle');
+    assert.equal(classifyCategory(look(BAGS)), null);
+
+    catalog = [...labelled('Bags', BAGS, 4), ...labelled('Shoes', SHOES, 2)];
+    const status = await trainCategoryClassifier();
+    assert.equal(status.status, 'insufficient-data');
+    assert.deepEqual(status.skippedCategories, ['Shoes']);
+    assert.equal(classifyCategory(look(BAGS)), null);
+});
+
+test('a trained classifier reports its categories and calibration', async () => {
+    catalog = [...labelled('Bags', BAGS, 4), ...labelled('Shoes', SHOES, 4), ...labelled('Hats', 1, 1)];
+    const status = await trainCategoryClassifier();
+
+    assert.equal(status.status, 'ready');
+    assert.equal(status.examples, 9);
+    assert.deepEqual(status.categories, [{ category: 'Bags', examples: 4 }, { category: 'Shoes', examples: 4 }]);
+    assert.deepEqual(status.skippedCategories, ['Hats']);
+    assert.equal(status.calibration.accuracy, 1);
+    assert.equal(status.settings.minConfidence, classifierConfig.minConfidence);
+});
+
+test('a category is predicted only at or above the confidence threshold', () => {
+    const confident = classifyCategory(look(BAGS, 9));
+    assert.equal(confident.category, 'Bags');
+    assert.ok(confident.confidence >= classifierConfig.minConfidence);
+    assert.deepEqual(confident.distribution.map(entry => entry.category), ['Bags', 'Shoes']);
+
+    const strict = classifyCategory(look(BAGS, 9), { minConfidence: 1.01 });
+    assert.equal(strict.category, null);
+    assert.equal(strict.topCategory, 'Bags');
+});
+
+test('only a confident prediction boosts products of its category', () => {
+    const query = look(BAGS, 9);
+    const products = [
+        { _id: 'bag', category: 'Bags', price: 50, colorFeatures: look(BAGS, 2) },
+        { _id: 'shoe', category: 'Shoes', price: 50, colorFeatures: look(SHOES, 2) }
+    ];
+    const bagFor = (categoryPrediction) => {
+        return findAdvancedSimilarProducts(query, products, 10, 0.1, { categoryPrediction }).find(product => product._id === 'bag');
+    };
+
+    const unboosted = bagFor(null);
+    const boosted = bagFor(classifyCategory(query));
+    assert.equal(boosted.categoryMatch, true);
+    assert.ok(Math.abs(boosted.baseSimilarity - unboosted.baseSimilarity - 0.1) < 1e-9);
+
+    const belowThreshold = bagFor(classifyCategory(query, { minConfidence: 1.01 }));
+    assert.equal(belowThreshold.categoryMatch, false);
+    assert.equal(belowThreshold.baseSimilarity, unboosted.baseSimilarity);
+});
+
+test('the status endpoint reports the trained model', async (t) => {
+    const api = await startApi({ Product });
+    t.after(() => api.close());
+
+    const { status, body } = await api.request('/classifier/status', { method: 'GET' });
+    assert.equal(status, 200);
+    assert.equal(body.classifier.status, 'ready');
+    assert.equal(body.classifier.categories.length, 2);
+});
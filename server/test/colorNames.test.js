@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rgbToLab } = require('../utils/colorScience');
+const {
+    COLOR_FAMILIES,
+    nameLabColor,
+    nameLabPalette,
+    parseColorFilter,
+    buildColorQuery,
+    matchesColorFilter
+} = require('../utils/colorNames');
+const { startApi } = require('./helpers/routeHarness');
+
+const nameOf = (r, g, b) => nameLabColor(rgbToLab(r, g, b));
+
+test('colours get the name a shopper would use', () => {
+    assert.deepEqual([nameOf(10, 20, 120).name, nameOf(10, 20, 120).family], ['navy', 'blue']);
+    assert.deepEqual([nameOf(125, 5, 35).name, nameOf(125, 5, 35).family], ['burgundy', 'red']);
+    assert.equal(nameOf(255, 255, 255).name, 'white');
+    assert.equal(nameOf(128, 128, 128).family, 'gray');
+    assert.equal(nameOf(0, 0, 128).distance, 0);
+});
+
+test('palettes are named most prominent first, skipping specks', () => {
+    const palette = [
+        { lab: rgbToLab(255, 255, 255), weight: 0.3 },
+        { lab: rgbToLab(0, 0, 128), weight: 0.65 },
+        { lab: rgbToLab(255, 0, 0), weight: 0.05 }
+    ];
+    const { names, families, colors } = nameLabPalette(palette);
+    assert.deepEqual(names, ['navy', 'white']);
+    assert.deepEqual(families, ['blue', 'white']);
+    assert.deepEqual(colors.map(color => color.share), [0.65, 0.3]);
+});
+
+test('filters accept names, families, aliases and spacing variants', () => {
+    const filter = parseColorFilter('Navy, grey ,sky-blue,Fuchsia,plaid');
+    assert.deepEqual(filter.names, ['navy', 'skyblue', 'magenta']);
+    assert.deepEqual(filter.families, ['gray']);
+    assert.deepEqual(filter.unknown, ['plaid']);
+    assert.equal(filter.isEmpty, false);
+
+    assert.deepEqual(parseColorFilter(['Sky Blue', 'red']), { names: ['skyblue'], families: ['red'], unknown: [], isEmpty: false });
+    assert.equal(parseColorFilter(undefined).isEmpty, true);
+    assert.ok(COLOR_FAMILIES.includes('red'));
+});
+
+test('the MongoDB query and the in-memory test agree', () => {
+    const filter = parseColorFilter('navy,red');
+    assert.deepEqual(buildColorQuery(filter), {
+        $or: [
+            { 'productMetadata.dominantColorNames': { $in: ['navy'] } },
+            { 'productMetadata.colorFamilies': { $in: ['red'] } }
+        ]
+    });
+
+    const product = (dominantColorNames, colorFamilies) => ({ productMetadata: { dominantColorNames, colorFamilies } });
+    assert.equal(matchesColorFilter(product(['navy', 'white'], ['blue', 'white']), filter), true);
+    assert.equal(matchesColorFilter(product(['burgundy'], ['red']), filter), true);
+    assert.equal(matchesColorFilter(product(['skyblue'], ['blue']), filter), false);
+    assert.equal(matchesColorFilter({}, filter), false);
+});
+
+test.describe('colour filters through the API', () => {
+    let api;
+    test.before(async () => { api = await startApi(); });
+    test.after(() => api.close());
+
+    test('unknown colours are rejected with the accepted vocabulary', async () => {
+        const { status, body } = await api.request('/products?colors=navy,plaid,tartan', { method: 'GET' });
+        assert.equal(status, 400);
+        assert.equal(body.error, 'Unknown colours: plaid, tartan');
+        assert.deepEqual(body.validColors.families, COLOR_FAMILIES);
+    });
+
+    test('the vocabulary lists every name with its family', async () => {
+        const { status, body } = await api.request('/colors', { method: 'GET' });
+        assert.equal(status, 200);
+        assert.deepEqual(body.families, COLOR_FAMILIES);
+        assert.deepEqual(body.names.find(color => color.name === 'navy'), { name: 'navy', family: 'blue', hex: '#000080' });
+    });
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EXTRACTOR_VERSION, FEATURE_MANIFEST } = require('../utils/featureManifest');
+const { startApi } = require('./helpers/routeHarness');
+
+const makeProduct = (id, extractorVersion, fill) => ({
+    _id: id,
+    name: `Product ${id}`,
+    category: 'Bags',
+    price: 50,
+    extractorVersion,
+    hasCurrentFeatures() { return this.extractorVersion === EXTRACTOR_VERSION; },
+    getFeatureVector: () => Array.from({ length: FEATURE_MANIFEST.totalLength }, (_, i) => (i % 7) * fill + 0.01)
+});
+
+const catalog = new Map([
+    ['a', makeProduct('a', EXTRACTOR_VERSION, 0.1)],
+    ['b', makeProduct('b', EXTRACTOR_VERSION, 0.12)],
+    ['old', makeProduct('old', 'v1', 0.1)]
+]);
+
+let api;
+
+test.before(async () => {
+    api = await startApi({
+        Product: { find: async ({ _id }) => _id.$in.map(id => catalog.get(id)).filter(Boolean) }
+    });
+});
+
+test.after(() => api.close());
+
+test('compare refuses products whose features came from an older extractor', async () => {
+    const { status, body } = await api.request('/compare', { body: { productIds: ['a', 'old'] } });
+    assert.equal(status, 409);
+    assert.equal(body.extractorVersion, EXTRACTOR_VERSION);
+    assert.deepEqual(body.staleProducts, [{ id: 'old', name: 'Product old', extractorVersion: 'v1' }]);
+    assert.match(body.error, /re-indexed/);
+});
+
+test('compare scores products that share the current extractor version', async () => {
+    const { status, body } = await api.request('/compare', { body: { productIds: ['a', 'b'] } });
+    assert.equal(status, 200);
+    assert.equal(body.comparisons.length, 1);
+    assert.ok(body.overallSimilarity > 0 && body.overallSimilarity <= 1);
+});
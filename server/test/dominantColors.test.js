@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { BUILTIN_EXTRACTORS, decodeLabPalette } = require('../utils/builtinExtractors');
+
+const SIZE = 224;
+const extractor = (name) => BUILTIN_EXTRACTORS.find(candidate => candidate.name === name);
+
+// Raw RGB image of vertical bands: [[r, g, b], share of the width]
+const bands = (spec) => {
+    const buffer = Buffer.alloc(SIZE * SIZE * 3);
+    for (let x = 0, band = 0, edge = spec[0][1] * SIZE; x < SIZE; x++) {
+        while (x >= edge && band < spec.length - 1) edge += spec[++band][1] * SIZE;
+        for (let y = 0; y < SIZE; y++) buffer.set(spec[band][0], (y * SIZE + x) * 3);
+    }
+    return buffer;
+};
+
+// Extractors share one palette per image through the context memo
+const extractPalette = async (buffer) => {
+    const memos = new Map();
+    const context = {
+        width: SIZE,
+        height: SIZE,
+        mask: null,
+        memo: (key, compute) => {
+            if (!memos.has(key)) memos.set(key, compute());
+            return memos.get(key);
+        }
+    };
+    return {
+        colors: await extractor('dominantColors').extract(buffer, context),
+        weights: await extractor('dominantColorWeights').extract(buffer, context),
+        labPalette: await extractor('labPalette').extract(buffer, context)
+    };
+};
+
+const RED = [200, 30, 30];
+const GREEN = [30, 160, 60];
+const BLUE = [30, 60, 200];
+
+test('clusters come back largest first with their pixel share', async () => {
+    const { colors, weights } = await extractPalette(bands([[GREEN, 0.3], [RED, 0.5], [BLUE, 0.2]]));
+
+    assert.equal(colors.length, 15);
+    assert.equal(weights.length, 5);
+    assert.ok(Math.abs(weights.reduce((sum, weight) => sum + weight, 0) - 1) < 1e-9);
+
+    // Resampled band edges may split a colour over two clusters, so shares are summed per colour
+    const references = { RED, GREEN, BLUE };
+    const shares = { RED: 0, GREEN: 0, BLUE: 0 };
+    const nearest = (rgb) => Object.keys(references).reduce((best, name) => {
+        const distance = (reference) => Math.hypot(...rgb.map((value, c) => value - references[reference][c]));
+        return distance(name) < distance(best) ? name : best;
+    });
+    weights.forEach((weight, i) => {
+        shares[nearest(colors.slice(i * 3, i * 3 + 3).map(value => value * 255))] += weight;
+    });
+
+    assert.equal(nearest(colors.slice(0, 3).map(value => value * 255)), 'RED');
+    assert.ok(Math.abs(shares.RED - 0.5) < 0.03, `red ${shares.RED}`);
+    assert.ok(Math.abs(shares.GREEN - 0.3) < 0.03, `green ${shares.GREEN}`);
+    assert.ok(Math.abs(shares.BLUE - 0.2) < 0.03, `blue ${shares.BLUE}`);
+    assert.deepEqual(weights, [...weights].sort((a, b) => b - a));
+});
+
+test('the same image always yields the same palette', async () => {
+    const image = bands([[RED, 0.25], [GREEN, 0.25], [BLUE, 0.25], [[240, 240, 240], 0.25]]);
+    const first = await extractPalette(image);
+    for (let run = 0; run < 3; run++) {
+        assert.deepEqual(await extractPalette(Buffer.from(image)), first);
+    }
+});
+
+test('a single-colour image fills one cluster instead of inventing black ones', async () => {
+    const { colors, weights, labPalette } = await extractPalette(bands([[RED, 1]]));
+    assert.equal(weights[0], 1);
+    assert.deepEqual(colors.slice(0, 3).map(value => Math.round(value * 255)), RED);
+    assert.equal(decodeLabPalette(labPalette).length, 1);
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+// One worker so jobs queue up behind each other
+process.env.EXTRACTION_WORKERS = '1';
+
+const {
+    poolConfig,
+    analyzeImageInPool,
+    assertExtractionCapacity,
+    isQueueFullError,
+    isExtractionTimeoutError,
+    getExtractionPoolStats,
+    shutdownExtractionPool
+} = require('../utils/extractionPool');
+const { startApi } = require('./helpers/routeHarness');
+
+const DEFAULTS = { ...poolConfig };
+let api;
+let image;
+
+test.before(async () => {
+    image = await sharp({ create: { width: 64, height: 64, channels: 3, background: '#c81e1e' } }).png().toBuffer();
+    api = await startApi();
+});
+
+test.afterEach(() => Object.assign(poolConfig, DEFAULTS));
+
+test.after(async () => {
+    await api.close();
+    await shutdownExtractionPool();
+});
+
+const imageForm = (count, fields = {}) => {
+    const form = new FormData();
+    for (let i = 0; i < count; i++) {
+        form.append('image', new Blob([image], { type: 'image/png' }), `query-${i}.png`);
+    }
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    return form;
+};
+
+const assertRetryLater = ({ status, headers, body }, message) => {
+    assert.equal(status, 503);
+    assert.match(body.error, message);
+    assert.ok(body.retryAfter >= 1);
+    assert.equal(headers.get('retry-after'), String(body.retryAfter));
+};
+
+test('workers analyse images off the main thread', async () => {
+    const { features, metadata } = await analyzeImageInPool(image);
+    assert.ok(features.length > 0);
+    assert.ok(metadata.perceptualHashes.pHash);
+    assert.equal(getExtractionPoolStats().mode, 'workers');
+});
+
+test('jobs over the time limit are rejected with a retry hint', async () => {
+    poolConfig.timeoutMs = 1;
+    const error = await analyzeImageInPool(image).catch(rejection => rejection);
+    assert.ok(isExtractionTimeoutError(error), error.message);
+    assert.ok(error.retryAfter >= 1);
+});
+
+test('a full queue refuses new jobs', () => {
+    poolConfig.maxQueue = 0;
+    assert.throws(() => assertExtractionCapacity(), error => isQueueFullError(error) && error.retryAfter >= 1);
+});
+
+test('uploads answer 503 with Retry-After when the queue is full', async () => {
+    poolConfig.maxQueue = 0;
+    assertRetryLater(await api.request('/upload', { body: imageForm(1) }), /busy/);
+});
+
+test('single-image, multi-image and region searches answer 503 with Retry-After on timeouts', async () => {
+    poolConfig.timeoutMs = 1;
+    assertRetryLater(await api.request('/upload', { body: imageForm(1) }), /took too long/);
+    assertRetryLater(await api.request('/upload', { body: imageForm(2) }), /took too long/);
+    assertRetryLater(await api.request('/upload', {
+        body: imageForm(1, { regions: JSON.stringify([[0, 0, 0.5, 0.5], [0.5, 0.5, 0.5, 0.5]]) })
+    }), /took too long/);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+    EXTRACTOR_CODE_VERSION,
+    EXTRACTOR_VERSION,
+    FEATURE_MANIFEST,
+    buildFeatureManifest,
+    splitFeatureVector,
+    assembleFeatureVector,
+    createFallbackVector
+} = require('../utils/featureManifest');
+
+const MANIFEST_MODULE = path.join(__dirname, '..', 'utils', 'featureManifest.js');
+
+// Manifest version and length in a fresh process with the given environment
+const manifestWith = (env) => {
+    const output = execFileSync(process.execPath, [
+        '-e',
+        `const m = require(${JSON.stringify(MANIFEST_MODULE)}); console.log(JSON.stringify({ version: m.EXTRACTOR_VERSION, totalLength: m.FEATURE_MANIFEST.totalLength }))`
+    ], { env: { ...process.env, ...env }, encoding: 'utf8' });
+    return JSON.parse(output.trim().split('\n').pop());
+};
+
+test('groups are laid out back to back and cover the whole vector', () => {
+    let offset = 0;
+    FEATURE_MANIFEST.groups.forEach(group => {
+        assert.equal(group.offset, offset, group.name);
+        assert.ok(group.length > 0 && group.weight > 0, group.name);
+        offset += group.length;
+    });
+    assert.equal(FEATURE_MANIFEST.totalLength, offset);
+    assert.equal(new Set(FEATURE_MANIFEST.groups.map(group => group.name)).size, FEATURE_MANIFEST.groups.length);
+});
+
+test('splitFeatureVector and assembleFeatureVector round-trip a vector', () => {
+    const vector = Array.from({ length: FEATURE_MANIFEST.totalLength }, (_, i) => i);
+    const groups = splitFeatureVector(vector);
+    assert.deepEqual(Object.keys(groups), FEATURE_MANIFEST.groups.map(group => group.name));
+    assert.deepEqual(assembleFeatureVector(groups), vector);
+
+    assert.throws(() => splitFeatureVector(vector.slice(1)), /does not match manifest/);
+    const [first] = FEATURE_MANIFEST.groups;
+    assert.throws(() => assembleFeatureVector({ ...groups, [first.name]: [] }), new RegExp(first.name));
+});
+
+test('buildFeatureManifest computes offsets for custom layouts', () => {
+    const manifest = buildFeatureManifest([
+        { name: 'a', length: 3, weight: 1 },
+        { name: 'b', length: 2, weight: 1 }
+    ], 'test');
+    assert.equal(manifest.version, 'test');
+    assert.equal(manifest.totalLength, 5);
+    assert.deepEqual(manifest.groups.map(group => group.offset), [0, 3]);
+    assert.deepEqual(createFallbackVector(manifest), [0.001, 0.001, 0.001, 0.001, 0.001]);
+});
+
+test('the extractor version carries the code version and the feature settings', () => {
+    assert.ok(EXTRACTOR_VERSION.startsWith(`${EXTRACTOR_CODE_VERSION}+hog`));
+    assert.equal(FEATURE_MANIFEST.version, EXTRACTOR_VERSION);
+
+    const defaults = manifestWith({});
+    const finerHog = manifestWith({ HOG_CELL_SIZE: '8' });
+    assert.notEqual(finerHog.version, defaults.version);
+    assert.ok(finerHog.totalLength > defaults.totalLength);
+
+    // Query-time weights do not change the stored layout
+    assert.equal(manifestWith({ HOG_WEIGHT: '0.3' }).version, defaults.version);
+});
@@ -0,0 +1,140 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// Deployment overrides, read when the search config loads
+process.env.FEATURE_METRIC_PRESET = 'blend';
+process.env.FEATURE_METRICS = JSON.stringify({ colorHistogram: 'bhattacharyya' });
+
+const {
+    METRICS,
+    DEFAULT_METRICS,
+    resolveMetrics,
+    resolveRequestMetrics,
+    calculateMetricSimilarity,
+    isInvalidMetricsError
+} = require('../utils/featureMetrics');
+const { FEATURE_MANIFEST } = require('../utils/featureManifest');
+const { prepareSimilarityQuery, compareWithQuery } = require('../utils/imageProcessor');
+
+const HISTOGRAM_METRICS = Object.keys(METRICS).filter(name => METRICS[name].histogram);
+const groupNames = FEATURE_MANIFEST.groups.map(group => group.name);
+const otherGroup = groupNames.find(name => name !== 'colorHistogram');
+
+test('every metric scores identical vectors 1 and stays within 0-1', () => {
+    const a = [0.1, 0.4, 0.3, 0.2];
+    const b = [0.4, 0.1, 0.2, 0.3];
+    Object.keys(METRICS).forEach(metric => {
+        assert.ok(Math.abs(calculateMetricSimilarity(metric, a, a) - 1) < 1e-9, `${metric} of identical vectors`);
+        const similarity = calculateMetricSimilarity(metric, a, b);
+        assert.ok(similarity >= 0 && similarity <= 1, `${metric} gave ${similarity}`);
+    });
+});
+
+test('histogram metrics give disjoint histograms 0 and skip two empty ones', () => {
+    HISTOGRAM_METRICS.filter(metric => metric !== 'emd').forEach(metric => {
+        assert.ok(calculateMetricSimilarity(metric, [1, 0, 0], [0, 0, 1]) < 1e-9, metric);
+        assert.equal(calculateMetricSimilarity(metric, [0, 0], [0, 0]), null, metric);
+        assert.equal(calculateMetricSimilarity(metric, [1, 0], [0, 0]), 0, metric);
+    });
+});
+
+test('emd prefers mass moved to a neighbouring bin over a distant one', () => {
+    const near = calculateMetricSimilarity('emd', [1, 0, 0, 0], [0, 1, 0, 0]);
+    const far = calculateMetricSimilarity('emd', [1, 0, 0, 0], [0, 0, 0, 1]);
+    assert.ok(near > far);
+    assert.ok(Math.abs(far) < 1e-9);
+});
+
+test('histogram metrics ignore scale', () => {
+    HISTOGRAM_METRICS.forEach(metric => {
+        const unscaled = calculateMetricSimilarity(metric, [1, 2, 3], [3, 2, 1]);
+        const scaled = calculateMetricSimilarity(metric, [10, 20, 30], [3, 2, 1]);
+        assert.ok(Math.abs(unscaled - scaled) < 1e-9, metric);
+    });
+});
+
+test('resolveMetrics applies group names over feature types over the default', () => {
+    const colorHistogram = FEATURE_MANIFEST.groups.find(group => group.name === 'colorHistogram');
+    const resolved = resolveMetrics({
+        preset: 'blend',
+        metrics: { default: 'l2', [colorHistogram.featureType]: 'cosine', colorHistogram: 'chi-square' }
+    });
+    assert.equal(resolved.groupMetrics.colorHistogram, 'chi-square');
+    FEATURE_MANIFEST.groups.forEach(group => {
+        if (group.name === 'colorHistogram') return;
+        assert.equal(resolved.groupMetrics[group.name], group.featureType === colorHistogram.featureType ? 'cosine' : 'l2');
+    });
+});
+
+test('request overrides apply on top of the deployment overrides unless a preset is named', () => {
+    assert.equal(DEFAULT_METRICS.groupMetrics.colorHistogram, 'bhattacharyya');
+
+    const overridden = resolveRequestMetrics({ metrics: { [otherGroup]: 'l2' } });
+    assert.equal(overridden.groupMetrics.colorHistogram, 'bhattacharyya');
+    assert.equal(overridden.groupMetrics[otherGroup], 'l2');
+
+    const fresh = resolveRequestMetrics({ preset: 'blend', metrics: { [otherGroup]: 'l2' } });
+    assert.equal(fresh.groupMetrics.colorHistogram, 'blend');
+
+    assert.equal(resolveRequestMetrics({}), DEFAULT_METRICS);
+});
+
+test('unknown presets, keys and metrics are INVALID_METRICS, including inherited object keys', () => {
+    const invalid = [
+        { preset: 'nope' },
+        { preset: 'constructor' },
+        { metrics: { default: 'toString' } },
+        { metrics: { colorHistogram: 'hasOwnProperty' } },
+        { metrics: { colorHistogram: {} } },
+        { metrics: { notAGroup: 'l2' } },
+        { metrics: '{not json' },
+        { metrics: ['l2'] }
+    ];
+    invalid.forEach(input => {
+        assert.throws(() => resolveRequestMetrics(input), isInvalidMetricsError, JSON.stringify(input));
+    });
+});
+
+// Cosine/Euclidean/correlation blend of two plain vectors, as the blended groups are scored
+const referenceBlend = (a, b) => {
+    const n = a.length;
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / n;
+    const meanA = mean(a);
+    const meanB = mean(b);
+    let dot = 0, normA = 0, normB = 0, distance = 0, covariance = 0, varianceA = 0, varianceB = 0;
+    for (let i = 0; i < n; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+        distance += (a[i] - b[i]) ** 2;
+        covariance += (a[i] - meanA) * (b[i] - meanB);
+        varianceA += (a[i] - meanA) ** 2;
+        varianceB += (b[i] - meanB) ** 2;
+    }
+    const cosine = dot / Math.sqrt(normA * normB);
+    const correlation = Math.min(1, Math.abs(covariance) / Math.sqrt(varianceA * varianceB));
+    return cosine * 0.5 + 1 / (1 + Math.sqrt(distance)) * 0.3 + correlation * 0.2;
+};
+
+test('the blend correlation is taken over the blended groups only', () => {
+    const vector = (seed) => Array.from({ length: FEATURE_MANIFEST.totalLength }, (_, i) => ((i * seed) % 13) / 12 + 0.05);
+    const queryFeatures = vector(5);
+    const productFeatures = vector(7);
+    // Same colour histogram on both sides, so its own metric scores 1
+    const histogram = FEATURE_MANIFEST.groups.find(group => group.name === 'colorHistogram');
+    for (let i = histogram.offset; i < histogram.offset + histogram.length; i++) productFeatures[i] = queryFeatures[i];
+
+    const query = prepareSimilarityQuery(queryFeatures);
+    const { weightVector, groupWeights } = query.weighting;
+    const blended = FEATURE_MANIFEST.groups.filter(group => DEFAULT_METRICS.groupMetrics[group.name] === 'blend' && groupWeights[group.name] > 0);
+    assert.equal(query.blendedLength, blended.reduce((total, group) => total + group.length, 0));
+    assert.ok(query.blendedLength < FEATURE_MANIFEST.totalLength);
+
+    const weightedSlices = (features) => blended.flatMap(({ offset, length }) => {
+        return Array.from({ length }, (_, i) => features[offset + i] * weightVector[offset + i]);
+    });
+    const blendScore = referenceBlend(weightedSlices(queryFeatures), weightedSlices(productFeatures));
+    const expected = (blendScore * query.blendWeight + groupWeights.colorHistogram) / (query.blendWeight + groupWeights.colorHistogram);
+
+    assert.ok(Math.abs(compareWithQuery(query, productFeatures).visual - expected) < 1e-9);
+});
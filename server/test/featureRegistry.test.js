@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const sharp = require('sharp');
+const { execFileSync } = require('child_process');
+
+const PLUGIN = path.join(__dirname, 'fixtures', 'patternExtractor.js');
+const INVALID_PLUGIN = path.join(__dirname, 'fixtures', 'invalidExtractor.js');
+
+// Plugins are read from the environment when the registry is first required
+process.env.FEATURE_EXTRACTORS = PLUGIN;
+
+const featureRegistry = require('../utils/featureRegistry');
+const { FEATURE_MANIFEST, EXTRACTOR_VERSION, splitFeatureVector } = require('../utils/featureManifest');
+const { analyzeImage } = require('../utils/imageProcessor');
+
+// Load a module in a fresh process and return its stderr when it fails to load
+const loadError = (modulePath, env) => {
+    try {
+        execFileSync(process.execPath, ['-e', `require(${JSON.stringify(modulePath)})`], {
+            env: { ...process.env, ...env },
+            stdio: 'pipe'
+        });
+        return null;
+    } catch (error) {
+        return error.stderr.toString();
+    }
+};
+
+test('plugins from FEATURE_EXTRACTORS become groups after the built-ins', () => {
+    const lastGroup = FEATURE_MANIFEST.groups[FEATURE_MANIFEST.groups.length - 1];
+    assert.equal(lastGroup.name, 'patternFeatures');
+    assert.equal(lastGroup.length, 4);
+    assert.equal(lastGroup.featureType, 'pattern');
+    assert.equal(lastGroup.metric, 'l2');
+
+    const registered = featureRegistry.getRegisteredExtractors();
+    assert.equal(featureRegistry.getExtractor('patternFeatures').builtin, false);
+    assert.ok(registered.filter(extractor => extractor.builtin).every((extractor, i) => registered[i] === extractor));
+});
+
+test('the plugin name, version and length are part of the extractor version', () => {
+    assert.ok(EXTRACTOR_VERSION.endsWith('.x-patternFeatures@2-4'), EXTRACTOR_VERSION);
+});
+
+test('the registry exposes no runtime registration API', () => {
+    assert.deepEqual(Object.keys(featureRegistry).sort(), [
+        'describeCustomExtractors',
+        'freezeRegistry',
+        'getExtractor',
+        'getRegisteredExtractors'
+    ]);
+});
+
+test('analyzeImage runs plugins on the foreground pixels', async () => {
+    const image = await sharp({ create: { width: 120, height: 120, channels: 3, background: '#ffffff' } })
+        .composite([{ input: { create: { width: 60, height: 60, channels: 3, background: '#ff0000' } }, left: 30, top: 30 }])
+        .png()
+        .toBuffer();
+
+    const { features } = await analyzeImage(image);
+    const [red, green, blue, coverage] = splitFeatureVector(features).patternFeatures;
+    assert.ok(red > 0.95 && green < 0.05 && blue < 0.05, `mean colour ${[red, green, blue]}`);
+    assert.ok(Math.abs(coverage - 0.25) < 0.02, `coverage ${coverage}`);
+});
+
+test('invalid plugins and non-positive group weights stop startup with a clear error', () => {
+    const manifestModule = path.join(__dirname, '..', 'utils', 'featureManifest.js');
+    assert.match(loadError(manifestModule, { FEATURE_EXTRACTORS: INVALID_PLUGIN }), /"brokenFeatures" must declare a positive integer length/);
+    assert.match(loadError(manifestModule, { FEATURE_EXTRACTORS: 'test/fixtures/missing.js' }), /Failed to load feature extractor plugin "test\/fixtures\/missing.js"/);
+    assert.match(loadError(manifestModule, { FEATURE_EXTRACTORS: '', HOG_WEIGHT: '0' }), /Invalid HOG_WEIGHT=0: expected a weight above 0/);
+});
@@ -0,0 +1,6 @@
+// Feature extractor plugin with an invalid descriptor (no length)
+module.exports = {
+    name: 'brokenFeatures',
+    weight: 0.1,
+    extract: async () => []
+};
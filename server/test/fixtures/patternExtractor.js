@@ -0,0 +1,20 @@
+// Feature extractor plugin used by the registry tests: the mean of each RGB channel
+// over the foreground, plus the share of foreground pixels
+module.exports = {
+    name: 'patternFeatures',
+    length: 4,
+    weight: 0.1,
+    version: '2',
+    featureType: 'pattern',
+    metric: 'l2',
+    extract: async (buffer, { width, height, mask }) => {
+        const sums = [0, 0, 0];
+        let count = 0;
+        for (let i = 0; i < width * height; i++) {
+            if (mask && !mask[i]) continue;
+            sums.forEach((sum, c) => { sums[c] += buffer[i * 3 + c] / 255; });
+            count++;
+        }
+        return [...sums.map(sum => (count > 0 ? sum / count : 0)), count / (width * height)];
+    }
+};
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { computeForegroundMask, resizeMask, countForeground } = require('../utils/foregroundMask');
+const { analyzeImage } = require('../utils/imageProcessor');
+
+const SIZE = 40;
+
+// RGBA buffer filled by a callback returning [r, g, b, a] for each pixel
+const rgbaImage = (pixelAt) => {
+    const buffer = Buffer.alloc(SIZE * SIZE * 4);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            buffer.set(pixelAt(x, y), (y * SIZE + x) * 4);
+        }
+    }
+    return buffer;
+};
+
+const inSquare = (x, y, from, to) => x >= from && x < to && y >= from && y < to;
+
+test('a plain border is flood-filled away, keeping background-coloured pixels inside the object', () => {
+    const white = [255, 255, 255, 255];
+    const red = [200, 30, 30, 255];
+    const buffer = rgbaImage((x, y) => (inSquare(x, y, 10, 30) && !inSquare(x, y, 18, 22) ? red : white));
+
+    const { mask, method, coverage } = computeForegroundMask(buffer, SIZE, SIZE);
+    assert.equal(method, 'border');
+    assert.equal(coverage, 400 / 1600);
+    assert.equal(mask[20 * SIZE + 20], 1, 'white hole inside the object stays foreground');
+    assert.equal(mask[0], 0);
+});
+
+test('transparent pixels are background when the image has alpha', () => {
+    const buffer = rgbaImage((x, y) => (inSquare(x, y, 0, 20) ? [10, 200, 10, 255] : [10, 200, 10, 0]));
+    const { method, coverage } = computeForegroundMask(buffer, SIZE, SIZE, { hasAlpha: true });
+    assert.equal(method, 'alpha');
+    assert.equal(coverage, 0.25);
+});
+
+test('busy borders and tiny objects fall back to the whole image', () => {
+    const noisy = rgbaImage((x, y) => ((x + y) % 2 ? [0, 0, 0, 255] : [255, 255, 255, 255]));
+    assert.deepEqual(computeForegroundMask(noisy, SIZE, SIZE), { mask: null, method: 'none', coverage: 1, detectedCoverage: null });
+
+    const speck = rgbaImage((x, y) => (inSquare(x, y, 19, 21) ? [0, 0, 0, 255] : [255, 255, 255, 255]));
+    const result = computeForegroundMask(speck, SIZE, SIZE);
+    assert.equal(result.mask, null);
+    assert.equal(result.detectedCoverage, 4 / 1600);
+});
+
+test('resizeMask scales masks to the extractor size', async () => {
+    const mask = new Uint8Array(SIZE * SIZE).map((_, i) => (inSquare(i % SIZE, Math.floor(i / SIZE), 0, 20) ? 1 : 0));
+    const resized = await resizeMask(mask, SIZE, SIZE, 10);
+    assert.equal(resized.length, 100);
+    assert.equal(countForeground(resized), 25);
+    assert.equal(await resizeMask(null, SIZE, SIZE, 10), null);
+});
+
+test('analyzeImage reports the isolated foreground of a product on a plain backdrop', async () => {
+    const product = await sharp({ create: { width: 200, height: 200, channels: 3, background: '#2a5ac8' } })
+        .composite([{ input: { create: { width: 100, height: 100, channels: 3, background: '#c81e1e' } }, left: 50, top: 50 }])
+        .png()
+        .toBuffer();
+
+    const { metadata } = await analyzeImage(product);
+    assert.equal(metadata.foreground.method, 'border');
+    assert.ok(Math.abs(metadata.foreground.coverage - 0.25) < 0.02, `coverage ${metadata.foreground.coverage}`);
+});
@@ -0,0 +1,58 @@
+const express = require('express');
+
+// Replace a module with a stand-in before anything requires it
+const mockModule = (modulePath, exports) => {
+    const resolved = require.resolve(modulePath);
+    require.cache[resolved] = { id: resolved, filename: resolved, loaded: true, exports };
+};
+
+// Cloudinary stand-in: uploads succeed at a fixed URL without leaving the machine
+const UPLOADED_IMAGE_URL = 'https://res.cloudinary.test/uploads/query.png';
+const cloudinaryStub = {
+    v2: {
+        config: () => {},
+        uploader: {
+            upload_stream: (options, callback) => ({
+                end: () => callback(null, { secure_url: UPLOADED_IMAGE_URL })
+            })
+        }
+    }
+};
+
+// Mount the API router on an ephemeral port with stand-in models and Cloudinary, so
+// route tests run without MongoDB or network access. Models must be mocked here,
+// before the router (and the utils it loads) first require them.
+const startApi = async ({ Product = {}, SearchSession = {} } = {}) => {
+    mockModule('../../models/Product', Product);
+    mockModule('../../models/SearchSession', SearchSession);
+    mockModule('cloudinary', cloudinaryStub);
+    ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET'].forEach(name => {
+        process.env[name] = process.env[name] || 'test';
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api', require('../../routes/upload'));
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+    // Send a JSON body (or FormData as is) and read back status, headers and JSON
+    const request = async (path, { method = 'POST', body } = {}) => {
+        const isForm = body instanceof FormData;
+        const response = await fetch(`${baseUrl}${path}`, {
+            method,
+            headers: body && !isForm ? { 'Content-Type': 'application/json' } : undefined,
+            body: body && !isForm ? JSON.stringify(body) : body
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    const close = () => new Promise(resolve => server.close(resolve));
+
+    return { request, close };
+};
+
+module.exports = { UPLOADED_IMAGE_URL, mockModule, startApi };
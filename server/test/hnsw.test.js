@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { createRandom, createHnswIndex, deserializeHnswIndex } = require('../utils/hnsw');
+
+const DIMENSIONS = 16;
+const COUNT = 1000;
+const K = 10;
+
+const randomVectors = (count, seed) => {
+    const random = createRandom(seed);
+    return Array.from({ length: count }, () => Array.from({ length: DIMENSIONS }, () => random() * 2 - 1));
+};
+
+const cosineDistance = (a, b) => {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return 1 - dot / Math.sqrt(normA * normB);
+};
+
+// Exact k nearest ids, skipping excluded ones
+const bruteForce = (vectors, query, k, excluded = new Set()) => {
+    return vectors
+        .map((vector, i) => ({ id: `p${i}`, distance: cosineDistance(vector, query) }))
+        .filter(item => !excluded.has(item.id))
+        .sort((a, b) => a.distance - b.distance)
+        .slice(0, k)
+        .map(item => item.id);
+};
+
+const buildIndex = (vectors) => {
+    const index = createHnswIndex({ dimensions: DIMENSIONS, m: 12, efConstruction: 100 });
+    vectors.forEach((vector, i) => index.add(`p${i}`, vector));
+    return index;
+};
+
+const recallAt = (index, vectors, queries, excluded) => {
+    let found = 0;
+    queries.forEach(query => {
+        const expected = new Set(bruteForce(vectors, query, K, excluded));
+        index.search(query, K, 100).forEach(({ id }) => {
+            if (expected.has(id)) found++;
+        });
+    });
+    return found / (queries.length * K);
+};
+
+const vectors = randomVectors(COUNT, 1);
+const queries = randomVectors(50, 2);
+
+test('search recalls the exact nearest neighbours', () => {
+    const index = buildIndex(vectors);
+    assert.equal(index.size(), COUNT);
+    assert.ok(recallAt(index, vectors, queries) >= 0.95);
+
+    const results = index.search(queries[0], K, 100);
+    assert.equal(results.length, K);
+    results.slice(1).forEach((result, i) => assert.ok(result.distance >= results[i].distance));
+});
+
+test('removed ids never come back and recall holds around tombstones', () => {
+    const index = buildIndex(vectors);
+    const removed = new Set();
+    for (let i = 0; i < COUNT; i += 4) {
+        assert.equal(index.remove(`p${i}`), true);
+        removed.add(`p${i}`);
+    }
+    assert.equal(index.remove('p0'), false);
+    assert.equal(index.size(), COUNT - removed.size);
+    assert.equal(index.tombstones(), removed.size);
+
+    queries.forEach(query => {
+        index.search(query, K, 100).forEach(({ id }) => assert.ok(!removed.has(id), `${id} was removed`));
+    });
+    assert.ok(recallAt(index, vectors, queries, removed) >= 0.9);
+});
+
+test('re-adding an id replaces its vector', () => {
+    const index = buildIndex(vectors.slice(0, 100));
+    index.add('p5', queries[0]);
+    assert.equal(index.size(), 100);
+    assert.equal(index.search(queries[0], 1, 50)[0].id, 'p5');
+});
+
+test('serialize and deserialize round-trip the graph and metadata', () => {
+    const index = buildIndex(vectors);
+    index.remove('p3');
+    const { index: restored, meta } = deserializeHnswIndex(index.serialize({ signature: 'abc' }));
+
+    assert.deepEqual(meta, { signature: 'abc' });
+    assert.equal(restored.size(), index.size());
+    assert.equal(restored.has('p3'), false);
+    queries.forEach(query => {
+        assert.deepEqual(restored.search(query, K, 100), index.search(query, K, 100));
+    });
+
+    // The restored index keeps accepting inserts
+    restored.add('extra', queries[1]);
+    assert.equal(restored.search(queries[1], 1, 50)[0].id, 'extra');
+});
+
+test('createRandom is deterministic per seed', () => {
+    const a = createRandom(7);
+    const b = createRandom(7);
+    const c = createRandom(8);
+    const first = [a(), a(), a()];
+    assert.deepEqual(first, [b(), b(), b()]);
+    assert.notDeepEqual(first, [c(), c(), c()]);
+    first.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+// The search config as loaded in a fresh process with the given environment
+const searchConfigWith = (env) => {
+    const script = `const c = require('./config/search'); console.log(JSON.stringify({ dataDir: c.dataDir, indexPath: c.annConfig.indexPath }))`;
+    const output = execFileSync(process.execPath, ['-e', script], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, DATA_DIR: '', ANN_INDEX_PATH: '', ...env },
+        encoding: 'utf8'
+    });
+    return JSON.parse(output);
+};
+
+test('the index is kept in a persistent data directory outside the source tree', () => {
+    const defaults = searchConfigWith({});
+    assert.equal(defaults.indexPath, path.join(os.homedir(), '.vision-match', 'ann-index.bin'));
+    assert.ok(!defaults.indexPath.startsWith(os.tmpdir()));
+    assert.ok(!defaults.indexPath.startsWith(path.join(__dirname, '..', '..')));
+
+    assert.equal(searchConfigWith({ DATA_DIR: '/srv/vision-match' }).indexPath, path.join('/srv/vision-match', 'ann-index.bin'));
+    assert.equal(searchConfigWith({ DATA_DIR: '/srv/vision-match', ANN_INDEX_PATH: '/mnt/ann.bin' }).indexPath, '/mnt/ann.bin');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hogConfig, getHogLayout } = require('../config/features');
+const { BUILTIN_EXTRACTORS } = require('../utils/builtinExtractors');
+
+const SIZE = 224;
+const hogExtractor = BUILTIN_EXTRACTORS.find(extractor => extractor.name === 'hogFeatures');
+
+// Raw RGB stripes, 28 pixels wide: vertical stripes change along x, horizontal along y
+const stripes = (vertical, offset = 0) => {
+    const buffer = Buffer.alloc(SIZE * SIZE * 3);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            const position = (vertical ? x : y) + offset;
+            buffer.fill(Math.floor(position / 28) % 2 ? 230 : 20, (y * SIZE + x) * 3, (y * SIZE + x) * 3 + 3);
+        }
+    }
+    return buffer;
+};
+
+const extract = (buffer, mask = null) => hogExtractor.extract(buffer, { width: SIZE, height: SIZE, mask });
+
+const cosine = (a, b) => {
+    const dot = a.reduce((sum, value, i) => sum + value * b[i], 0);
+    return dot / (Math.hypot(...a) * Math.hypot(...b));
+};
+
+// Share of the descriptor's energy in each orientation bin
+const binEnergy = (descriptor) => {
+    const energy = new Array(hogConfig.bins).fill(0);
+    descriptor.forEach((value, i) => { energy[i % hogConfig.bins] += value * value; });
+    return energy;
+};
+
+test('the layout follows the cell, block and bin settings', () => {
+    assert.deepEqual(getHogLayout({ imageSize: 64, cellSize: 16, blockSize: 2, bins: 9 }), {
+        cellsPerSide: 4,
+        blocksPerSide: 3,
+        blockLength: 36,
+        length: 324
+    });
+    assert.equal(getHogLayout({ imageSize: 64, cellSize: 8, blockSize: 2, bins: 9 }).length, 7 * 7 * 36);
+    assert.equal(hogExtractor.length, getHogLayout().length);
+});
+
+test('the descriptor has unit length and votes for the edge orientation', async () => {
+    const vertical = await extract(stripes(true));
+    const horizontal = await extract(stripes(false));
+
+    assert.equal(vertical.length, hogExtractor.length);
+    assert.ok(Math.abs(Math.hypot(...vertical) - 1) < 1e-3);
+
+    // Gradients across vertical stripes point along x (bins 0 and 8), across horizontal ones along y (bin 4)
+    const verticalEnergy = binEnergy(vertical);
+    const horizontalEnergy = binEnergy(horizontal);
+    assert.ok(verticalEnergy[0] + verticalEnergy[8] > 0.9);
+    assert.ok(horizontalEnergy[4] > 0.9);
+});
+
+test('shapes with the same orientation match, rotated ones do not', async () => {
+    const vertical = await extract(stripes(true));
+    const shifted = await extract(stripes(true, 6));
+    const horizontal = await extract(stripes(false));
+
+    assert.ok(cosine(vertical, shifted) > 0.8, `shifted ${cosine(vertical, shifted)}`);
+    assert.ok(cosine(vertical, horizontal) < 0.2, `rotated ${cosine(vertical, horizontal)}`);
+});
+
+test('masked-out pixels cast no votes', async () => {
+    // Only the left half is foreground: blocks over the two right-hand cell columns stay empty
+    const leftHalf = new Uint8Array(SIZE * SIZE).map((_, i) => (i % SIZE < SIZE / 2 ? 1 : 0));
+    const descriptor = await extract(stripes(true), leftHalf);
+    const { blocksPerSide, blockLength } = getHogLayout();
+    const block = (blockX, blockY) => descriptor.slice((blockY * blocksPerSide + blockX) * blockLength, (blockY * blocksPerSide + blockX + 1) * blockLength);
+
+    for (let blockY = 0; blockY < blocksPerSide; blockY++) {
+        assert.ok(block(0, blockY).some(value => value > 0));
+        assert.ok(block(blocksPerSide - 1, blockY).every(value => value === 0));
+    }
+});
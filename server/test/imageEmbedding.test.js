@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const {
+    isEmbeddingEnabled,
+    getEmbeddingModelId,
+    computeImageEmbedding,
+    calculateEmbeddingSimilarity
+} = require('../utils/imageEmbedding');
+const { FEATURE_MANIFEST } = require('../utils/featureManifest');
+const { findAdvancedSimilarProducts } = require('../utils/imageProcessor');
+
+const EMBEDDING_MODULE = path.join(__dirname, '..', 'utils', 'imageEmbedding.js');
+
+// Model id and embedding of a tiny image in a fresh process with the given environment
+const embeddingWith = (env) => {
+    const script = `
+        const sharp = require('sharp');
+        const m = require(${JSON.stringify(EMBEDDING_MODULE)});
+        sharp({ create: { width: 8, height: 8, channels: 3, background: '#808080' } }).png().toBuffer()
+            .then(image => m.computeImageEmbedding(image))
+            .then(embedding => console.log(JSON.stringify({ id: m.getEmbeddingModelId(), embedding })));
+    `;
+    const output = execFileSync(process.execPath, ['-e', script], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, ...env },
+        encoding: 'utf8',
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    return JSON.parse(output.trim().split('\n').pop());
+};
+
+test('embeddings are off without ONNX_MODEL_PATH', async () => {
+    assert.equal(isEmbeddingEnabled(), false);
+    assert.equal(getEmbeddingModelId(), null);
+    assert.equal(await computeImageEmbedding(Buffer.alloc(0)), null);
+});
+
+test('the model id tracks the file contents and preprocessing', (t) => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'embedding-test-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const modelPath = path.join(directory, 'encoder.onnx');
+
+    fs.writeFileSync(modelPath, 'model v1');
+    const first = embeddingWith({ ONNX_MODEL_PATH: modelPath });
+    assert.match(first.id, /^encoder\.onnx@[0-9a-f]{12}:imagenet-224-nchw$/);
+
+    // A model file the runtime cannot load (or no runtime at all) disables embeddings
+    assert.equal(first.embedding, null);
+
+    assert.match(embeddingWith({ ONNX_MODEL_PATH: modelPath, EMBEDDING_NORMALIZATION: 'clip' }).id, /:clip-224-nchw$/);
+    fs.writeFileSync(modelPath, 'model v2');
+    assert.notEqual(embeddingWith({ ONNX_MODEL_PATH: modelPath }).id, first.id);
+});
+
+test('embedding similarity needs vectors from the same model', () => {
+    const query = { vector: [0.6, 0.8], model: 'a' };
+    assert.equal(calculateEmbeddingSimilarity(query, { embedding: [0.6, 0.8], embeddingModel: 'a' }), 1);
+    assert.equal(calculateEmbeddingSimilarity(query, { embedding: [-0.6, -0.8], embeddingModel: 'a' }), 0);
+    assert.equal(calculateEmbeddingSimilarity(query, { embedding: [0.6, 0.8], embeddingModel: 'b' }), null);
+    assert.equal(calculateEmbeddingSimilarity(query, { embedding: [1], embeddingModel: 'a' }), null);
+    assert.equal(calculateEmbeddingSimilarity(null, { embedding: [0.6, 0.8], embeddingModel: 'a' }), null);
+});
+
+test('rankBy chooses classic, embedding or blended scores', () => {
+    const vector = (seed) => Array.from({ length: FEATURE_MANIFEST.totalLength }, (_, i) => ((i * seed) % 11) / 10 + 0.05);
+    const query = vector(3);
+    const queryEmbedding = { vector: [1, 0], model: 'm' };
+    const products = [
+        { _id: 'look-alike', category: 'Bags', price: 50, colorFeatures: vector(3), embedding: [0.6, 0.8], embeddingModel: 'm' },
+        { _id: 'same-object', category: 'Bags', price: 50, colorFeatures: vector(7), embedding: [1, 0], embeddingModel: 'm' },
+        { _id: 'not-embedded', category: 'Bags', price: 50, colorFeatures: vector(3), embedding: [], embeddingModel: null }
+    ];
+    const rank = (rankBy) => findAdvancedSimilarProducts(query, products, 10, 0, { queryEmbedding, rankBy, embeddingWeight: 0.5 });
+
+    const imageScore = (ranked, id) => ranked.find(product => product._id === id).similarityComponents.image;
+
+    const classic = rank('classic');
+    assert.ok(imageScore(classic, 'look-alike') > imageScore(classic, 'same-object'));
+
+    const embedding = rank('embedding');
+    assert.ok(imageScore(embedding, 'same-object') > imageScore(embedding, 'look-alike'));
+    assert.equal(imageScore(embedding, 'same-object'), 1);
+    // Products without a comparable embedding keep their classic score
+    assert.equal(imageScore(embedding, 'not-embedded'), imageScore(classic, 'not-embedded'));
+
+    const blended = rank('blend').find(product => product._id === 'same-object').similarityComponents;
+    assert.ok(Math.abs(blended.image - (0.5 * 1 + 0.5 * blended.classic)) < 1e-9);
+});
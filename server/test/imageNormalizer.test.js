@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const sharp = require('sharp');
+const { normalizeImage, isUnsupportedFormatError } = require('../utils/imageNormalizer');
+const { analyzeImageFromUrl, extractFeaturesFromUrl } = require('../utils/imageProcessor');
+
+const solid = (width, height, background = '#3c78c8') => sharp({ create: { width, height, channels: 3, background } });
+
+test('EXIF orientation is applied before extraction', async () => {
+    const phonePhoto = await solid(40, 20).jpeg().withMetadata({ orientation: 6 }).toBuffer();
+    const { frames, report } = await normalizeImage(phonePhoto);
+
+    assert.deepEqual({ width: report.input.width, height: report.input.height, orientation: report.input.orientation }, { width: 20, height: 40, orientation: 6 });
+    assert.ok(report.transforms.includes('auto-rotated (EXIF orientation 6)'));
+
+    const upright = await sharp(frames[0].buffer).metadata();
+    assert.deepEqual({ width: upright.width, height: upright.height, orientation: upright.orientation }, { width: 20, height: 40, orientation: undefined });
+});
+
+test('CMYK and 16-bit inputs leave as 8-bit sRGB', async () => {
+    const print = await normalizeImage(await solid(16, 16).toColourspace('cmyk').jpeg().toBuffer());
+    assert.equal(print.report.input.colourSpace, 'cmyk');
+    assert.ok(print.report.transforms.includes('converted CMYK to sRGB'));
+    const printFrame = await sharp(print.frames[0].buffer).metadata();
+    assert.deepEqual([printFrame.space, printFrame.depth], ['srgb', 'uchar']);
+
+    const deep = await normalizeImage(await solid(16, 16).toColourspace('rgb16').png().toBuffer());
+    assert.ok(deep.report.transforms.includes('reduced ushort samples to 8 bits'));
+    assert.equal((await sharp(deep.frames[0].buffer).metadata()).depth, 'uchar');
+});
+
+test('animated images contribute evenly spaced frames', async () => {
+    const colours = ['#ff0000', '#00ff00', '#0000ff', '#ffff00', '#ff00ff'];
+    const frames = await Promise.all(colours.map(colour => solid(12, 12, colour).png().toBuffer()));
+    const animation = await sharp(frames, { join: { animated: true } }).gif().toBuffer();
+
+    const { frames: sampled, report } = await normalizeImage(animation);
+    assert.equal(report.input.animated, true);
+    assert.equal(report.input.pages, 5);
+    assert.deepEqual(report.framesAnalyzed, [0, 2, 4]);
+    assert.deepEqual(sampled.map(frame => frame.page), [0, 2, 4]);
+    assert.deepEqual((await normalizeImage(animation, { sampleFrames: 1 })).report.framesAnalyzed, [0]);
+});
+
+test('large images are downscaled to the working size', async () => {
+    const { frames, report } = await normalizeImage(await solid(2048, 512).png().toBuffer());
+    assert.ok(report.transforms.includes('downscaled 2048x512 to 1024x256'));
+    const { width, height } = await sharp(frames[0].buffer).metadata();
+    assert.deepEqual({ width, height }, { width: 1024, height: 256 });
+});
+
+test('undecodable input is reported as an unsupported format', async () => {
+    const error = await normalizeImage(Buffer.from('not an image')).catch(rejection => rejection);
+    assert.ok(isUnsupportedFormatError(error));
+    assert.match(error.message, /Supported formats: .*jpeg/);
+});
+
+test('URL helpers propagate download and decode errors', async (t) => {
+    // The helpers log progress and failures; that output can corrupt the runner's message stream
+    ['log', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+    const server = http.createServer((req, res) => {
+        if (req.url === '/broken.jpg') {
+            res.writeHead(200, { 'Content-Type': 'image/jpeg' });
+            return res.end('not an image');
+        }
+        res.writeHead(404);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await assert.rejects(analyzeImageFromUrl(`${baseUrl}/broken.jpg`), isUnsupportedFormatError);
+    await assert.rejects(extractFeaturesFromUrl(`${baseUrl}/broken.jpg`), isUnsupportedFormatError);
+    await assert.rejects(analyzeImageFromUrl(`${baseUrl}/missing.jpg`), /404/);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { measureFrameQuality, measureCompression, assessImageQuality } = require('../utils/imageQuality');
+const { analyzeImage } = require('../utils/imageProcessor');
+
+const GOOD_FRAME = { sharpness: 400, brightness: 0.5, shadowClipping: 0, highlightClipping: 0 };
+const GOOD_INPUT = { width: 800, height: 600 };
+
+const warningCodes = (assessment) => assessment.warnings.map(warning => warning.code);
+
+// Black and white checkerboard: plenty of sharp edges
+const checkerboard = (size, square = 16) => {
+    const pixels = Buffer.alloc(size * size * 3);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            pixels.fill((Math.floor(x / square) + Math.floor(y / square)) % 2 ? 235 : 20, (y * size + x) * 3, (y * size + x) * 3 + 3);
+        }
+    }
+    return sharp(pixels, { raw: { width: size, height: size, channels: 3 } });
+};
+
+test('a clean, well-exposed image scores high without warnings', () => {
+    const assessment = assessImageQuality({ frame: GOOD_FRAME, input: GOOD_INPUT, foreground: { detectedCoverage: 0.4 } });
+    assert.deepEqual(assessment.warnings, []);
+    assert.equal(assessment.score, 1);
+    assert.deepEqual(Object.keys(assessment.components).sort(), ['coverage', 'exposure', 'resolution', 'sharpness']);
+});
+
+test('each problem produces a structured warning with its severity', () => {
+    const dark = assessImageQuality({ frame: { ...GOOD_FRAME, brightness: 0.05, shadowClipping: 0.7 }, input: GOOD_INPUT });
+    assert.deepEqual(dark.warnings.map(({ code, severity }) => [code, severity]), [['underexposed', 'critical']]);
+
+    const washedOut = assessImageQuality({ frame: { ...GOOD_FRAME, brightness: 0.95, highlightClipping: 0.5 }, input: GOOD_INPUT });
+    assert.deepEqual(warningCodes(washedOut), ['overexposed']);
+
+    const blurry = assessImageQuality({ frame: { ...GOOD_FRAME, sharpness: 60 }, input: GOOD_INPUT });
+    assert.deepEqual(blurry.warnings.map(({ code, severity }) => [code, severity]), [['blurry', 'critical']]);
+
+    const tinyObject = assessImageQuality({ frame: GOOD_FRAME, input: GOOD_INPUT, foreground: { detectedCoverage: 0.04 } });
+    assert.deepEqual(warningCodes(tinyObject), ['small_object']);
+    assert.match(tinyObject.warnings[0].message, /fills only 4%/);
+
+    const blocky = assessImageQuality({ frame: GOOD_FRAME, input: GOOD_INPUT, compression: { blockiness: 2.5, bytesPerPixel: 0.05 } });
+    assert.deepEqual(warningCodes(blocky), ['heavy_compression']);
+});
+
+test('the effective resolution shrinks with the saliency crop', () => {
+    const crop = { normalized: { x: 0.4, y: 0.4, width: 0.2, height: 0.2 } };
+    const assessment = assessImageQuality({ frame: GOOD_FRAME, input: GOOD_INPUT, crop });
+    assert.deepEqual(warningCodes(assessment), ['low_resolution']);
+    assert.equal(assessment.warnings[0].value, 120);
+
+    // One critical component drags the overall score down
+    assert.ok(assessment.score < 0.8, `score ${assessment.score}`);
+});
+
+test('sharpness ignores plain background and drops when the image is blurred', async () => {
+    const crisp = await checkerboard(256).png().toBuffer();
+    const soft = await checkerboard(256).blur(6).png().toBuffer();
+    const plain = await sharp({ create: { width: 256, height: 256, channels: 3, background: '#808080' } }).png().toBuffer();
+
+    const crispQuality = await measureFrameQuality(crisp);
+    assert.ok(crispQuality.sharpness > (await measureFrameQuality(soft)).sharpness * 5);
+    assert.equal((await measureFrameQuality(plain)).sharpness, null);
+    assert.ok(Math.abs(crispQuality.brightness - (20 + 235) / 2 / 255) < 0.02);
+});
+
+test('blockiness is only measured for JPEG files and rises with compression', async () => {
+    const image = checkerboard(128, 5).blur(1.5);
+    const fine = await image.clone().jpeg({ quality: 95 }).toBuffer();
+    const coarse = await image.clone().jpeg({ quality: 5 }).toBuffer();
+
+    assert.equal(await measureCompression(fine, 'png', 128, 128), null);
+    const fineCompression = await measureCompression(fine, 'jpeg', 128, 128);
+    const coarseCompression = await measureCompression(coarse, 'jpeg', 128, 128);
+    assert.ok(coarseCompression.blockiness > fineCompression.blockiness);
+    assert.ok(coarseCompression.bytesPerPixel < fineCompression.bytesPerPixel);
+});
+
+test('analyzeImage reports quality warnings for a small, dark photo', async () => {
+    const photo = await sharp({ create: { width: 48, height: 48, channels: 3, background: '#060606' } }).png().toBuffer();
+    const { metadata } = await analyzeImage(photo);
+    const codes = warningCodes(metadata.quality);
+    assert.ok(codes.includes('low_resolution'), codes.join(', '));
+    assert.ok(codes.includes('underexposed'), codes.join(', '));
+    assert.ok(metadata.quality.score < 0.5);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const {
+    MAX_INDEXED_DISTANCE,
+    computePerceptualHashes,
+    computeHashBands,
+    nearDuplicateBandKeys,
+    hammingDistance,
+    findNearDuplicates
+} = require('../utils/perceptualHash');
+const { startApi, UPLOADED_IMAGE_URL } = require('./helpers/routeHarness');
+
+const BAND_FILTER = 'perceptualHashes.bands';
+
+// Flip `count` distinct bits of a 64-bit hex hash, chosen by a fixed stride
+const flipBits = (hash, count, stride = 11) => {
+    const bits = hash.split('').flatMap(nibble => parseInt(nibble, 16).toString(2).padStart(4, '0').split('').map(Number));
+    for (let i = 0; i < count; i++) bits[(i * stride) % 64] ^= 1;
+    let hex = '';
+    for (let i = 0; i < 64; i += 4) hex += parseInt(bits.slice(i, i + 4).join(''), 2).toString(16);
+    return hex;
+};
+
+const productImage = (color, stripe) => sharp({ create: { width: 160, height: 160, channels: 3, background: color } })
+    .composite([{ input: { create: { width: 40, height: 160, channels: 3, background: stripe } }, left: 30, top: 0 }])
+    .png()
+    .toBuffer();
+
+test('hash bands split each hash type into four 16-bit keys', () => {
+    const hashes = { aHash: '0123456789abcdef', dHash: null, pHash: 'ffff0000ffff0000' };
+    assert.deepEqual(computeHashBands(hashes), [
+        'aHash:0:0123', 'aHash:1:4567', 'aHash:2:89ab', 'aHash:3:cdef',
+        'pHash:0:ffff', 'pHash:1:0000', 'pHash:2:ffff', 'pHash:3:0000'
+    ]);
+    assert.deepEqual(computeHashBands(null), []);
+});
+
+test('every hash within maxDistance shares a band key with the query', () => {
+    const query = { pHash: '9c3e61a7f00d52b8' };
+    [0, 2, 3, 4, 7, 10, 15].forEach(distance => {
+        const keys = new Set(nearDuplicateBandKeys(query, { maxDistance: distance }));
+        [1, 5, 11, 13].forEach(stride => {
+            const candidate = { pHash: flipBits(query.pHash, distance, stride) };
+            assert.equal(hammingDistance(query.pHash, candidate.pHash), distance);
+            assert.ok(computeHashBands(candidate).some(key => keys.has(key)), `distance ${distance}, stride ${stride}`);
+        });
+    });
+
+    // Exact lookups only need the four bands themselves
+    assert.equal(nearDuplicateBandKeys(query, { maxDistance: 2 }).length, 4);
+    assert.equal(nearDuplicateBandKeys(query, { maxDistance: 4 }).length, 4 * 17);
+    assert.ok(nearDuplicateBandKeys(query, { maxDistance: 8, hashType: 'all' }).every(key => key.startsWith('pHash:')));
+    assert.throws(() => nearDuplicateBandKeys(query, { maxDistance: MAX_INDEXED_DISTANCE + 1 }), /hash band index/);
+});
+
+test('findNearDuplicates keeps products within range on the requested hash types', () => {
+    const query = { aHash: '0000000000000000', dHash: '0000000000000000', pHash: '0000000000000000' };
+    const close = { perceptualHashes: { aHash: '0000000000000001', dHash: '0000000000000003', pHash: '0000000000000000' } };
+    const far = { perceptualHashes: { aHash: 'ffffffffffffffff', dHash: '0000000000000000', pHash: '0000000000000000' } };
+
+    assert.deepEqual(findNearDuplicates(query, [far, close], { maxDistance: 2, hashType: 'all' }).map(match => match.product), [close]);
+    assert.equal(findNearDuplicates(query, [far, close], { maxDistance: 0 }).length, 2);
+});
+
+test.describe('hash lookups through the API', () => {
+    const filters = [];
+    let catalog = [];
+    let api;
+    let catalogImage;
+
+    const makeProduct = (id, hashes) => ({
+        _id: id,
+        name: `Product ${id}`,
+        perceptualHashes: { ...hashes, bands: computeHashBands(hashes) },
+        toObject() { return { _id: this._id, name: this.name, perceptualHashes: this.perceptualHashes }; }
+    });
+
+    test.before(async () => {
+        catalogImage = await productImage('#f5f5f5', '#c81e1e');
+        const otherImage = await productImage('#101010', '#2a5ac8');
+        catalog = [
+            makeProduct('copy', await computePerceptualHashes(catalogImage)),
+            makeProduct('other', await computePerceptualHashes(otherImage))
+        ];
+
+        // Only products holding one of the requested band keys come back, like the index lookup
+        api = await startApi({
+            Product: {
+                find: (filter) => {
+                    filters.push(filter);
+                    const keys = new Set(filter[BAND_FILTER].$in);
+                    const matches = catalog.filter(product => product.perceptualHashes.bands.some(key => keys.has(key)));
+                    return { select: async () => matches };
+                }
+            }
+        });
+    });
+
+    test.after(() => api.close());
+
+    const imageForm = (buffer, fields = {}) => {
+        const form = new FormData();
+        form.append('image', new Blob([buffer], { type: 'image/png' }), 'query.png');
+        Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+        return form;
+    };
+
+    test('an upload of a catalog image short-circuits to the exact match', async () => {
+        filters.length = 0;
+        const { status, body } = await api.request('/upload', { body: imageForm(catalogImage, { autoCrop: 'false' }) });
+
+        assert.equal(status, 200);
+        assert.equal(body.metadata.exactMatch, true);
+        assert.equal(body.uploadedImageUrl, UPLOADED_IMAGE_URL);
+        assert.deepEqual(body.similarProducts.map(product => [product._id, product.matchStrategy]), [['copy', 'Exact Match']]);
+
+        // Only the four pHash bands of the query were looked up
+        assert.equal(filters.length, 1);
+        assert.deepEqual(filters[0][BAND_FILTER].$in, computeHashBands(catalog[0].perceptualHashes).filter(key => key.startsWith('pHash:')));
+    });
+
+    test('duplicates are fetched by band and range-checked', async () => {
+        const { status, body } = await api.request('/duplicates', { body: imageForm(catalogImage, { maxDistance: '6' }) });
+        assert.equal(status, 200);
+        assert.deepEqual(body.duplicates.map(duplicate => [duplicate._id, duplicate.distance]), [['copy', 0]]);
+        assert.ok(filters.at(-1)[BAND_FILTER].$in.length > 4);
+    });
+
+    test('maxDistance beyond what the band index can answer is rejected', async () => {
+        const { status, body } = await api.request('/duplicates', {
+            body: imageForm(catalogImage, { maxDistance: String(MAX_INDEXED_DISTANCE + 1) })
+        });
+        assert.equal(status, 400);
+        assert.match(body.error, new RegExp(`between 0 and ${MAX_INDEXED_DISTANCE}`));
+    });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    RRF_K,
+    fuseFeatureVectors,
+    fuseEmbeddings,
+    annotateContributions,
+    fuseRankings
+} = require('../utils/queryFusion');
+
+const product = (id, similarity) => ({ _id: id, name: id, similarity });
+
+test('fuseFeatureVectors averages the query vectors', () => {
+    assert.deepEqual(fuseFeatureVectors([[0, 2, 4], [2, 2, 0]]), [1, 2, 2]);
+});
+
+test('fuseEmbeddings returns a unit mean only when every image has one from the same model', () => {
+    const fused = fuseEmbeddings([{ model: 'm', vector: [1, 0] }, { model: 'm', vector: [0, 1] }]);
+    assert.equal(fused.model, 'm');
+    assert.ok(Math.abs(fused.vector[0] - Math.SQRT1_2) < 1e-12);
+    assert.ok(Math.abs(fused.vector[1] - Math.SQRT1_2) < 1e-12);
+
+    assert.equal(fuseEmbeddings([{ model: 'm', vector: [1, 0] }, null]), null);
+    assert.equal(fuseEmbeddings([{ model: 'm', vector: [1, 0] }, { model: 'other', vector: [0, 1] }]), null);
+    assert.equal(fuseEmbeddings([{ model: 'm', vector: [1, 0] }, { model: 'm', vector: [-1, 0] }]), null);
+});
+
+test('rrf rewards products that rank well for several images', () => {
+    const rankings = [
+        [product('a', 0.95), product('b', 0.9), product('c', 0.5)],
+        [product('b', 0.8), product('c', 0.7), product('a', 0.2)],
+        [product('c', 0.9), product('b', 0.85), product('d', 0.8)]
+    ];
+    const fused = fuseRankings(rankings, 'rrf');
+
+    assert.deepEqual(fused.map(item => item._id), ['b', 'c', 'a', 'd']);
+    const b = fused[0];
+    assert.ok(Math.abs(b.fusionScore - (1 / (RRF_K + 2) + 1 / (RRF_K + 1) + 1 / (RRF_K + 2))) < 1e-12);
+    assert.equal(b.similarity, 0.9);
+    assert.equal(b.bestImage, 0);
+    assert.deepEqual(fused[3].imageContributions, [
+        { image: 0, rank: null, similarity: null },
+        { image: 1, rank: null, similarity: null },
+        { image: 2, rank: 3, similarity: 0.8 }
+    ]);
+});
+
+test('max scores each product by its most similar image and honours the limit', () => {
+    const rankings = [
+        [product('a', 0.6), product('b', 0.5)],
+        [product('b', 0.99), product('a', 0.4)]
+    ];
+    const fused = fuseRankings(rankings, 'max', { limit: 1 });
+    assert.equal(fused.length, 1);
+    assert.equal(fused[0]._id, 'b');
+    assert.equal(fused[0].fusionScore, 0.99);
+    assert.equal(fused[0].bestImage, 1);
+});
+
+test('annotateContributions keeps the ranked order and adds per-image ranks', () => {
+    const results = [product('x', 0.9), product('y', 0.8)];
+    const rankings = [[product('y', 0.7), product('x', 0.6)], []];
+    const annotated = annotateContributions(results, rankings);
+
+    assert.deepEqual(annotated.map(item => item._id), ['x', 'y']);
+    assert.equal(annotated[0].bestImage, 0);
+    assert.deepEqual(annotated[0].imageContributions, [
+        { image: 0, rank: 2, similarity: 0.6 },
+        { image: 1, rank: null, similarity: null }
+    ]);
+});
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { MAX_REGIONS, parseRegions, cropRegions, isInvalidRegionsError } = require('../utils/regionCrop');
+const { startApi } = require('./helpers/routeHarness');
+
+// 200x100 image, red on the left half and blue on the right
+const splitImage = () => sharp({ create: { width: 200, height: 100, channels: 3, background: '#0000ff' } })
+    .composite([{
+        input: { create: { width: 100, height: 100, channels: 3, background: '#ff0000' } },
+        left: 0,
+        top: 0
+    }]);
+
+const meanColour = async (buffer) => {
+    const { channels } = await sharp(buffer).stats();
+    return channels.slice(0, 3).map(channel => Math.round(channel.mean));
+};
+
+test('regions are read from objects, arrays and JSON strings', () => {
+    assert.deepEqual(parseRegions(undefined), []);
+    assert.deepEqual(parseRegions('[]'), []);
+    assert.deepEqual(parseRegions([0.1, 0.2, 0.3, 0.4]), [
+        { index: 0, label: null, box: { x: 0.1, y: 0.2, width: 0.3, height: 0.4 } }
+    ]);
+    assert.deepEqual(parseRegions('[{"x": "0.5", "y": 0, "width": 0.5, "height": 1, "label": "bag"}, [0, 0, 1, 1]]'), [
+        { index: 0, label: 'bag', box: { x: 0.5, y: 0, width: 0.5, height: 1 } },
+        { index: 1, label: null, box: { x: 0, y: 0, width: 1, height: 1 } }
+    ]);
+    // Rounding past the image edge is clamped
+    assert.equal(parseRegions([[0.7, 0, 0.3000000001, 1]])[0].box.width, 1 - 0.7);
+});
+
+test('malformed, out-of-bounds and oversized region lists are INVALID_REGIONS', () => {
+    const invalid = [
+        '{not json',
+        [{ x: 0, y: 0, width: 0.5 }],
+        [[0, 0, 'wide', 0.5]],
+        [[-0.1, 0, 0.5, 0.5]],
+        [[0, 1, 0.5, 0.5]],
+        [[0, 0, 0.01, 0.5]],
+        [[0.6, 0, 0.5, 0.5]],
+        ['bag'],
+        Array.from({ length: MAX_REGIONS + 1 }, () => [0, 0, 0.5, 0.5])
+    ];
+    invalid.forEach(input => {
+        assert.throws(() => parseRegions(input), isInvalidRegionsError, JSON.stringify(input));
+    });
+});
+
+test('crops cut the requested part of the upright image', async () => {
+    const image = await splitImage().png().toBuffer();
+    const [left, right] = await cropRegions(image, parseRegions([[0, 0, 0.5, 1], [0.5, 0, 0.5, 1]]));
+
+    assert.deepEqual(left.pixelBox, { left: 0, top: 0, width: 100, height: 100 });
+    assert.deepEqual(right.imageSize, { width: 200, height: 100 });
+    assert.deepEqual(await meanColour(left.buffer), [255, 0, 0]);
+    assert.deepEqual(await meanColour(right.buffer), [0, 0, 255]);
+
+    // Rotated 90° clockwise by its EXIF tag: the red half is on top once upright
+    const phonePhoto = await splitImage().jpeg({ quality: 100 }).withMetadata({ orientation: 6 }).toBuffer();
+    const [top] = await cropRegions(phonePhoto, parseRegions([[0, 0, 1, 0.4]]));
+    assert.deepEqual(top.imageSize, { width: 100, height: 200 });
+    const [red, green, blue] = await meanColour(top.buffer);
+    assert.ok(red > 200 && green < 40 && blue < 40, `${red},${green},${blue}`);
+});
+
+test('regions smaller than the minimum pixel size are rejected', async () => {
+    const image = await splitImage().png().toBuffer();
+    const error = await cropRegions(image, parseRegions([[0, 0, 0.05, 0.5]])).catch(rejection => rejection);
+    assert.ok(isInvalidRegionsError(error));
+    assert.match(error.message, /only 10x50 pixels of a 200x100 image/);
+});
+
+test('invalid regions answer 400 with usage help', async (t) => {
+    const api = await startApi();
+    t.after(() => api.close());
+
+    const form = new FormData();
+    form.append('image', new Blob([await splitImage().png().toBuffer()], { type: 'image/png' }), 'outfit.png');
+    form.append('regions', JSON.stringify([[0.6, 0, 0.5, 0.5]]));
+    const { status, body } = await api.request('/upload', { body: form });
+    assert.equal(status, 400);
+    assert.match(body.error, /Region 1 extends past the image/);
+    assert.match(body.usage, /regions:/);
+});
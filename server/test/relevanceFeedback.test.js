@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFeedbackRequest, computeRocchioQuery, isInvalidFeedbackError } = require('../utils/relevanceFeedback');
+const { FEATURE_MANIFEST } = require('../utils/featureManifest');
+
+const ID_A = '64b7f0c2a1b2c3d4e5f60718';
+const ID_B = '64b7f0c2a1b2c3d4e5f60719';
+const SEARCH_ID = '64b7f0c2a1b2c3d4e5f60720';
+
+const assertInvalid = (body, pattern) => {
+    assert.throws(() => parseFeedbackRequest(body), error => isInvalidFeedbackError(error) && pattern.test(error.message));
+};
+
+test('computeRocchioQuery moves towards liked and away from disliked vectors', () => {
+    const refined = computeRocchioQuery([1, 0, 0.5], [[0, 1, 0.5]], [[0, 0, 0.5]], { alpha: 1, beta: 1, gamma: 0.5 });
+    // (q + liked - 0.5 * disliked) / (alpha + beta)
+    assert.deepEqual(refined, [0.5, 0.5, 0.375]);
+});
+
+test('computeRocchioQuery averages several liked vectors and scales by alpha alone without them', () => {
+    const liked = computeRocchioQuery([0, 0], [[1, 0], [0, 1]], [], { alpha: 1, beta: 1, gamma: 0 });
+    assert.deepEqual(liked, [0.25, 0.25]);
+
+    const dislikedOnly = computeRocchioQuery([1, 1], [], [[0.5, 0]], { alpha: 2, beta: 1, gamma: 1 });
+    assert.deepEqual(dislikedOnly, [0.75, 1]);
+});
+
+test('computeRocchioQuery keeps non-negative features at or above zero', () => {
+    const refined = computeRocchioQuery([0.1, 0.2], [], [[1, 1]], { alpha: 1, beta: 0.75, gamma: 0.9 });
+    assert.deepEqual(refined, [0, 0]);
+
+    // Negative values already in the query or a liked vector lower the floor
+    const signed = computeRocchioQuery([-0.5, 0], [[-1, 0]], [[1, 1]], { alpha: 1, beta: 1, gamma: 4 });
+    assert.deepEqual(signed, [-1, 0]);
+});
+
+test('computeRocchioQuery rejects a zero alpha without liked products', () => {
+    assert.throws(() => computeRocchioQuery([1], [], [[1]], { alpha: 0, beta: 1, gamma: 1 }), isInvalidFeedbackError);
+});
+
+test('parseFeedbackRequest accepts arrays, comma lists and JSON strings', () => {
+    const fromArrays = parseFeedbackRequest({ searchId: SEARCH_ID, liked: [ID_A, ID_A], disliked: [ID_B] });
+    assert.deepEqual(fromArrays.liked, [ID_A]);
+    assert.deepEqual(fromArrays.disliked, [ID_B]);
+
+    const fromForm = parseFeedbackRequest({ searchId: SEARCH_ID, liked: `${ID_A}, ${ID_B}`, alpha: '2' });
+    assert.deepEqual(fromForm.liked, [ID_A, ID_B]);
+    assert.equal(fromForm.coefficients.alpha, 2);
+
+    const fromJson = parseFeedbackRequest({ searchId: SEARCH_ID, disliked: JSON.stringify([ID_B]) });
+    assert.deepEqual(fromJson.disliked, [ID_B]);
+});
+
+test('parseFeedbackRequest accepts a raw query vector instead of a searchId', () => {
+    const queryFeatures = new Array(FEATURE_MANIFEST.totalLength).fill(0.1);
+    const parsed = parseFeedbackRequest({ queryFeatures, liked: [ID_A] });
+    assert.equal(parsed.searchId, null);
+    assert.equal(parsed.queryFeatures.length, FEATURE_MANIFEST.totalLength);
+});
+
+test('parseFeedbackRequest rejects malformed requests', () => {
+    assertInvalid({ liked: [ID_A] }, /searchId/);
+    assertInvalid({ searchId: 'nope', liked: [ID_A] }, /Invalid searchId/);
+    assertInvalid({ searchId: SEARCH_ID }, /at least one/);
+    assertInvalid({ searchId: SEARCH_ID, liked: ['x1'] }, /Invalid product id/);
+    assertInvalid({ searchId: SEARCH_ID, liked: [ID_A], disliked: [ID_A] }, /both liked and disliked/);
+    assertInvalid({ searchId: SEARCH_ID, liked: [ID_A], gamma: -1 }, /gamma/);
+    assertInvalid({ queryFeatures: [1, 2, 3], liked: [ID_A] }, /queryFeatures/);
+});
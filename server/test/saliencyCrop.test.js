@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { findSalientRegion, cropToSalientRegion } = require('../utils/saliencyCrop');
+
+// A small product photographed off-centre on a plain backdrop
+const offCentreProduct = () => sharp({ create: { width: 400, height: 300, channels: 3, background: '#f0f0f0' } })
+    .composite([{ input: { create: { width: 80, height: 60, channels: 3, background: '#1e3cb4' } }, left: 260, top: 40 }])
+    .png()
+    .toBuffer();
+
+test('the salient box surrounds the object in original pixel coordinates', async () => {
+    const region = await findSalientRegion(await offCentreProduct());
+    assert.equal(region.cropped, true);
+    assert.deepEqual(region.imageSize, { width: 400, height: 300 });
+
+    const { left, top, width, height } = region.box;
+    assert.ok(left <= 260 && top <= 40, `box starts at ${left},${top}`);
+    assert.ok(left + width >= 340 && top + height >= 100, `box ends at ${left + width},${top + height}`);
+    assert.ok(width * height < 400 * 300 * 0.5, 'box is much smaller than the image');
+});
+
+test('cropToSalientRegion returns the cropped pixels', async () => {
+    const { buffer, region } = await cropToSalientRegion(await offCentreProduct());
+    const { width, height } = await sharp(buffer).metadata();
+    assert.deepEqual({ width, height }, { width: region.box.width, height: region.box.height });
+});
+
+test('images with nothing to focus on are left whole', async () => {
+    const plain = await sharp({ create: { width: 120, height: 80, channels: 3, background: '#808080' } }).png().toBuffer();
+    const { buffer, region } = await cropToSalientRegion(plain);
+    assert.equal(region.cropped, false);
+    assert.equal(buffer, plain);
+    assert.deepEqual(region.box, { left: 0, top: 0, width: 120, height: 80 });
+    assert.deepEqual(region.normalized, { x: 0, y: 0, width: 1, height: 1 });
+});
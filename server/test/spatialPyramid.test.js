@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+
+// The pyramid groups only exist when the deployment enables more than one grid
+process.env.SPATIAL_PYRAMID_LEVELS = '1,2';
+
+const { buildPyramidHistograms, pyramidMatchSimilarity } = require('../utils/spatialPyramid');
+const { FEATURE_MANIFEST } = require('../utils/featureManifest');
+const { analyzeImage, calculateSimilarityBreakdown } = require('../utils/imageProcessor');
+
+// Two-tone product photo: top half one colour, bottom half the other
+const twoTone = (top, bottom) => sharp({ create: { width: 160, height: 160, channels: 3, background: bottom } })
+    .composite([{ input: { create: { width: 160, height: 80, channels: 3, background: top } }, left: 0, top: 0 }])
+    .png()
+    .toBuffer();
+
+test('histograms are built per cell, level by level, row by row', () => {
+    // 2x2 image: bins 0 1 / 1 -1 (skipped)
+    const descriptor = buildPyramidHistograms([0, 1, 1, -1], 2, [1, 2], 2);
+    assert.deepEqual(descriptor, [
+        1 / 3, 2 / 3,   // 1x1
+        1, 0,           // top left
+        0, 1,           // top right
+        0, 1,           // bottom left
+        0, 0            // bottom right: no foreground pixels
+    ]);
+});
+
+test('the pyramid match rewards matching layouts at the finer levels', () => {
+    const levels = [1, 2];
+    const topRed = buildPyramidHistograms([0, 0, 1, 1], 2, levels, 2);
+    const topBlue = buildPyramidHistograms([1, 1, 0, 0], 2, levels, 2);
+
+    assert.equal(pyramidMatchSimilarity(topRed, topRed, levels, 2), 1);
+    // Same colours overall (level 1 matches) but swapped halves (level 2 does not)
+    assert.equal(pyramidMatchSimilarity(topRed, topBlue, levels, 2), (0.5 * 1 + 1 * 0) / 1.5);
+    assert.equal(pyramidMatchSimilarity(topRed, topRed.slice(1), levels, 2), null);
+});
+
+test('the manifest gains colour and texture pyramid groups', () => {
+    const pyramidGroups = FEATURE_MANIFEST.groups.filter(group => group.pyramid);
+    assert.deepEqual(pyramidGroups.map(group => group.name), ['colorPyramid', 'texturePyramid']);
+    assert.equal(pyramidGroups[0].length, (1 + 4) * 72);
+    assert.match(FEATURE_MANIFEST.version, /\.sp1-2$/);
+});
+
+test('swapping the halves of a photo lowers its layout similarity', async () => {
+    const redOverBlue = (await analyzeImage(await twoTone('#c81e1e', '#1e3cb4'))).features;
+    const blueOverRed = (await analyzeImage(await twoTone('#1e3cb4', '#c81e1e'))).features;
+
+    const same = calculateSimilarityBreakdown(redOverBlue, redOverBlue);
+    const swapped = calculateSimilarityBreakdown(redOverBlue, blueOverRed);
+    assert.ok(same.layout > 0.99);
+    assert.ok(swapped.layout < 0.8, `swapped layout ${swapped.layout}`);
+    assert.ok(swapped.combined < same.combined);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.TEXT_SEARCH_ENABLED = 'true';
+process.env.CATALOG_CACHE_ENABLED = 'false';
+
+// The index reads products through Product.find(...).cursor() when the catalog cache is off
+const PRODUCTS = [
+    { _id: 'bag', name: 'Leather Tote Bag', category: 'Bags', searchTags: ['leather', 'tote'], description: 'Full-grain leather bag with leather handles' },
+    { _id: 'wallet', name: 'Slim Wallet', category: 'Accessories', searchTags: ['leather'], description: 'A slim card wallet' },
+    { _id: 'shoes', name: 'Trail Running Shoes', category: 'Footwear', searchTags: ['sport'], description: 'Lightweight shoes for running on trails' },
+    { _id: 'tee', name: 'Cotton Tee', category: 'Clothing', searchTags: [], description: 'Soft cotton t-shirt for the gym' },
+    { _id: 'dresses', name: 'Summer Dresses Set', category: 'Clothing', searchTags: [], description: 'Two light dresses' }
+];
+const productQuery = { select: () => productQuery, lean: () => productQuery, cursor: () => PRODUCTS };
+require.cache[require.resolve('../models/Product')] = {
+    id: require.resolve('../models/Product'),
+    loaded: true,
+    exports: { find: () => productQuery }
+};
+
+const { tokenize, buildTextIndex, searchTextIndex, isTextIndexReady } = require('../utils/textIndex');
+
+test('tokenize lower-cases, strips accents and stopwords and stems plurals and -ing', () => {
+    assert.deepEqual(tokenize('The Running SHOES, with Dresses & Watches'), ['run', 'shoe', 'dress', 'watch']);
+    assert.deepEqual(tokenize('Crème brûlée bags'), ['creme', 'brulee', 'bag']);
+    assert.deepEqual(tokenize('glass berries a'), ['glass', 'berry']);
+    assert.deepEqual(tokenize(''), []);
+    assert.deepEqual(tokenize(null), []);
+});
+
+test('searchTextIndex returns null before the index is built', () => {
+    assert.equal(isTextIndexReady(), false);
+    assert.equal(searchTextIndex('leather'), null);
+});
+
+test('BM25 ranks products by term frequency, field weight and rarity', async () => {
+    const status = await buildTextIndex();
+    assert.equal(status.status, 'ready');
+    assert.equal(status.documents, PRODUCTS.length);
+
+    const leather = searchTextIndex('leather');
+    assert.deepEqual(leather.terms, ['leather']);
+    // The bag repeats the term in its name, tags and description
+    assert.deepEqual(leather.topIds, ['bag', 'wallet']);
+    assert.equal(leather.hits.get('bag').score, 1);
+    assert.ok(leather.hits.get('wallet').score < 1);
+    assert.equal(leather.hits.has('shoes'), false);
+});
+
+test('queries match stemmed forms and sum over their terms', () => {
+    const running = searchTextIndex('run');
+    assert.deepEqual(running.topIds, ['shoes']);
+    assert.deepEqual(running.hits.get('shoes').matchedTerms, ['run']);
+
+    const dress = searchTextIndex('dress');
+    assert.deepEqual(dress.topIds, ['dresses']);
+
+    const combined = searchTextIndex('cotton running shoes');
+    assert.deepEqual(combined.topIds, ['shoes', 'tee']);
+    assert.deepEqual(combined.hits.get('shoes').matchedTerms, ['run', 'shoe']);
+});
+
+test('limit caps topIds but every match keeps a score', () => {
+    const result = searchTextIndex('leather', { limit: 1 });
+    assert.deepEqual(result.topIds, ['bag']);
+    assert.equal(result.hits.size, 2);
+    assert.equal(searchTextIndex('submarine').hits.size, 0);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { textureConfig, getLbpLength, getGaborLength } = require('../config/features');
+const { BUILTIN_EXTRACTORS } = require('../utils/builtinExtractors');
+
+const SIZE = 224;
+const context = { width: SIZE, height: SIZE, mask: null, memo: (key, compute) => compute() };
+const extract = (name, pixels) => BUILTIN_EXTRACTORS.find(extractor => extractor.name === name).extract(pixels, context);
+
+const pattern = (intensity) => {
+    const pixels = Buffer.alloc(SIZE * SIZE * 3);
+    for (let y = 0; y < SIZE; y++) {
+        for (let x = 0; x < SIZE; x++) {
+            pixels.fill(Math.round(intensity(x, y)), (y * SIZE + x) * 3, (y * SIZE + x) * 3 + 3);
+        }
+    }
+    return pixels;
+};
+
+const stripes = (degrees, period = 16) => {
+    const angle = degrees * Math.PI / 180;
+    return pattern((x, y) => 127.5 + 127.5 * Math.sin(2 * Math.PI * (x * Math.cos(angle) + y * Math.sin(angle)) / period));
+};
+const blobs = pattern((x, y) => 127.5 + 127.5 * Math.sin(2 * Math.PI * x / 40) * Math.sin(2 * Math.PI * y / 40));
+
+const distance = (a, b) => a.reduce((sum, value, i) => sum + Math.abs(value - b[i]), 0);
+
+test('descriptor lengths follow the texture configuration', async () => {
+    assert.deepEqual(textureConfig.lbpRadii, [1, 2, 3]);
+    assert.equal(getLbpLength(), 10 + 18 + 26);
+    assert.equal(getLbpLength({ lbpRadii: [1] }), 10);
+    assert.equal(getGaborLength(), textureConfig.gaborScales * textureConfig.gaborOrientations * 2);
+
+    assert.equal((await extract('textureFeatures', stripes(0))).length, getLbpLength());
+    assert.equal((await extract('gaborFeatures', stripes(0))).length, getGaborLength());
+});
+
+test('each LBP radius contributes a normalised histogram', async () => {
+    const lbp = await extract('textureFeatures', blobs);
+    let offset = 0;
+    for (const radius of textureConfig.lbpRadii) {
+        const bins = 8 * radius + 2;
+        const total = lbp.slice(offset, offset + bins).reduce((sum, value) => sum + value, 0);
+        assert.ok(Math.abs(total - 1) < 1e-6, `radius ${radius} sums to ${total}`);
+        offset += bins;
+    }
+});
+
+test('rotating a texture barely moves its descriptors', async () => {
+    for (const name of ['textureFeatures', 'gaborFeatures']) {
+        const upright = await extract(name, stripes(0));
+        const turned = distance(upright, await extract(name, stripes(90)));
+        const different = distance(upright, await extract(name, blobs));
+        assert.ok(turned < 0.05, `${name}: rotated stripes differ by ${turned}`);
+        assert.ok(different > 1, `${name}: stripes and blobs differ by only ${different}`);
+    }
+
+    // Gabor orientations are shifted so the dominant one comes first, so diagonal stripes stay closer than a finer weave
+    const gabor = await extract('gaborFeatures', stripes(0));
+    const diagonal = distance(gabor, await extract('gaborFeatures', stripes(45)));
+    assert.ok(diagonal < distance(gabor, await extract('gaborFeatures', stripes(0, 6))));
+});
@@ -0,0 +1,49 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WEIGHT_PROFILES, DEFAULT_WEIGHTING, resolveWeighting, applyWeighting, isInvalidWeightsError } = require('../utils/weightProfiles');
+const { FEATURE_MANIFEST } = require('../utils/featureManifest');
+
+test('the balanced profile keeps the manifest weights', () => {
+    FEATURE_MANIFEST.groups.forEach(group => {
+        assert.equal(DEFAULT_WEIGHTING.groupWeights[group.name], group.weight);
+    });
+});
+
+test('custom weights override profiles, group names winning over feature types', () => {
+    const [group] = FEATURE_MANIFEST.groups;
+    const weighting = resolveWeighting({
+        profile: 'shape-first',
+        weights: JSON.stringify({ [group.featureType]: 2, [group.name]: 0.5 })
+    });
+    assert.equal(weighting.profile, 'shape-first');
+    assert.equal(weighting.custom, true);
+    assert.equal(weighting.groupWeights[group.name], 0.5);
+
+    const vector = new Array(FEATURE_MANIFEST.totalLength).fill(2);
+    assert.equal(applyWeighting(vector, weighting)[group.offset], 1);
+});
+
+test('every profile resolves to a positive weighting', () => {
+    Object.keys(WEIGHT_PROFILES).forEach(profile => {
+        const { groupWeights } = resolveWeighting({ profile });
+        assert.ok(Object.values(groupWeights).some(weight => weight > 0), profile);
+    });
+});
+
+test('unknown profiles and weights are INVALID_WEIGHTS, including inherited object keys', () => {
+    const allZero = Object.fromEntries(FEATURE_MANIFEST.groups.map(group => [group.name, 0]));
+    const invalid = [
+        { profile: 'nope' },
+        { profile: 'constructor' },
+        { profile: '__proto__' },
+        { weights: { constructor: 1 } },
+        { weights: '{"__proto__": 1}' },
+        { weights: { [FEATURE_MANIFEST.groups[0].name]: -1 } },
+        { weights: { [FEATURE_MANIFEST.groups[0].name]: 11 } },
+        { weights: '[1, 2]' },
+        { weights: allZero }
+    ];
+    invalid.forEach(input => {
+        assert.throws(() => resolveWeighting(input), isInvalidWeightsError, JSON.stringify(input));
+    });
+});
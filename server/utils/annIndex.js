@@ -0,0 +1,381 @@
+const fs = require('fs');
+const path = require('path');
+const Product = require('../models/Product');
+const { annConfig } = require('../config/search');
+const { EXTRACTOR_VERSION, FEATURE_MANIFEST } = require('./featureManifest');
+const { DEFAULT_WEIGHTING, applyWeighting } = require('./weightProfiles');
+const { createRandom, createHnswIndex, deserializeHnswIndex } = require('./hnsw');
+
+// In-process approximate nearest-neighbour index over the catalog's stored vectors.
+// Vectors are weighted with the default profile, reduced by a seeded Gaussian random
+// projection and kept in an HNSW graph; searches use it to pick candidates that are
+// then loaded and re-ranked exactly, so only a few hundred vectors leave MongoDB.
+//
+// The graph is persisted to annConfig.indexPath and tagged with a signature of the
+// extractor version, default weights and index settings; a mismatch on startup
+// rebuilds it. Changes reach it two ways: the re-indexer upserts products as it writes
+// them, and a periodic sync picks up anything else (seed script, other processes) by
+// updatedAt and reconciles deletions by id.
+
+const inputDimensions = FEATURE_MANIFEST.totalLength;
+const indexDimensions = annConfig.dimensions > 0 && annConfig.dimensions < inputDimensions
+    ? annConfig.dimensions
+    : inputDimensions;
+
+const INDEX_SIGNATURE = [
+    EXTRACTOR_VERSION,
+    `w${Object.values(DEFAULT_WEIGHTING.groupWeights).join(',')}`,
+    `p${indexDimensions}.${annConfig.seed}`,
+    `m${annConfig.m}.ef${annConfig.efConstruction}`
+].join('|');
+
+const YIELD_EVERY = 100; // Inserts between event-loop yields while building or syncing
+const SAVE_DELAY_MS = 5000;
+
+const annState = {
+    status: 'idle', // idle | disabled | loading | building | ready | failed
+    builtAt: null,
+    syncedAt: null,   // Latest product updatedAt reflected in the index
+    lastSyncAt: null,
+    lastSavedAt: null,
+    build: null,      // { processed, total, startedAt } while a build runs
+    error: null
+};
+
+let index = null;
+let indexedAt = new Map(); // Product id -> time of the last direct upsert, so syncs skip it
+let activeBuild = null;
+let activeSync = null;
+let saveTimer = null;
+let syncTimer = null;
+
+// Gaussian random projection (Johnson-Lindenstrauss): inner products, and so cosine
+// distances, are preserved approximately in far fewer dimensions
+const createProjection = (inputSize, outputSize, seed) => {
+    const random = createRandom(seed);
+    const matrix = new Float32Array(inputSize * outputSize);
+    for (let i = 0; i < matrix.length; i += 2) {
+        // Box-Muller transform
+        const radius = Math.sqrt(-2 * Math.log(1 - random()));
+        const angle = 2 * Math.PI * random();
+        matrix[i] = radius * Math.cos(angle);
+        if (i + 1 < matrix.length) matrix[i + 1] = radius * Math.sin(angle);
+    }
+    return matrix;
+};
+
+const projection = indexDimensions < inputDimensions
+    ? createProjection(inputDimensions, indexDimensions, annConfig.seed)
+    : null;
+
+// Indexed form of a stored (unweighted) feature vector; null for other layouts
+const toIndexVector = (featureVector) => {
+    if (!featureVector || featureVector.length !== inputDimensions) return null;
+    const weighted = applyWeighting(featureVector, DEFAULT_WEIGHTING);
+    if (!projection) return Float32Array.from(weighted);
+
+    const projected = new Float32Array(indexDimensions);
+    for (let row = 0; row < indexDimensions; row++) {
+        const offset = row * inputDimensions;
+        let sum = 0;
+        for (let i = 0; i < inputDimensions; i++) sum += projection[offset + i] * weighted[i];
+        projected[row] = sum;
+    }
+    return projected;
+};
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+const isAnnIndexReady = () => index !== null;
+
+// Whether searches should retrieve candidates from the index instead of scanning
+const shouldUseAnnIndex = () => {
+    return annConfig.enabled && index !== null && index.size() >= annConfig.minCatalogSize;
+};
+
+const getAnnIndexStatus = () => ({
+    ...annState,
+    enabled: annConfig.enabled,
+    active: shouldUseAnnIndex(),
+    rebuilding: activeBuild !== null && index !== null,
+    signature: INDEX_SIGNATURE,
+    indexPath: annConfig.indexPath,
+    size: index ? index.size() : 0,
+    tombstones: index ? index.tombstones() : 0,
+    dimensions: { input: inputDimensions, indexed: indexDimensions },
+    settings: {
+        m: annConfig.m,
+        efConstruction: annConfig.efConstruction,
+        efSearch: annConfig.efSearch,
+        candidates: annConfig.candidates,
+        minCatalogSize: annConfig.minCatalogSize
+    }
+});
+
+// Write the index atomically (temp file + rename)
+const saveAnnIndex = async () => {
+    if (!index) return false;
+    const buffer = index.serialize({
+        signature: INDEX_SIGNATURE,
+        builtAt: annState.builtAt,
+        syncedAt: annState.syncedAt
+    });
+    const temporaryPath = `${annConfig.indexPath}.tmp`;
+    await fs.promises.mkdir(path.dirname(annConfig.indexPath), { recursive: true });
+    await fs.promises.writeFile(temporaryPath, buffer);
+    await fs.promises.rename(temporaryPath, annConfig.indexPath);
+    annState.lastSavedAt = new Date();
+    return true;
+};
+
+// Coalesce saves after incremental updates
+const scheduleSave = () => {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        saveAnnIndex().catch(error => console.error('❌ Failed to save ANN index:', error.message));
+    }, SAVE_DELAY_MS);
+    saveTimer.unref();
+};
+
+// Index from disk, or null when missing or built with other settings
+const loadIndexFile = async () => {
+    let buffer;
+    try {
+        buffer = await fs.promises.readFile(annConfig.indexPath);
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+
+    const { index: loaded, meta } = deserializeHnswIndex(buffer);
+    if (meta.signature !== INDEX_SIGNATURE) {
+        console.log(`♻️ ANN index on disk was built for ${meta.signature}, rebuilding for ${INDEX_SIGNATURE}`);
+        return null;
+    }
+    return { index: loaded, meta };
+};
+
+const runBuild = async () => {
+    const startedAt = new Date();
+    const query = { extractorVersion: EXTRACTOR_VERSION };
+    annState.build = { processed: 0, total: await Product.countDocuments(query), startedAt };
+    annState.error = null;
+    if (!index) annState.status = 'building';
+    console.log(`🏗️ Building ANN index over ${annState.build.total} products (${indexDimensions} dimensions)`);
+
+    const fresh = createHnswIndex({
+        dimensions: indexDimensions,
+        m: annConfig.m,
+        efConstruction: annConfig.efConstruction,
+        seed: annConfig.seed
+    });
+
+    const cursor = Product.find(query).select('_id colorFeatures').lean().cursor({ batchSize: 500 });
+    for await (const product of cursor) {
+        const vector = toIndexVector(product.colorFeatures);
+        if (vector) fresh.add(String(product._id), vector);
+        annState.build.processed++;
+        if (annState.build.processed % YIELD_EVERY === 0) await yieldToEventLoop();
+    }
+
+    // Writes made while the cursor ran are newer than startedAt and caught by the sync below
+    index = fresh;
+    indexedAt = new Map();
+    Object.assign(annState, {
+        status: 'ready',
+        builtAt: new Date(),
+        syncedAt: startedAt,
+        build: null
+    });
+    console.log(`✅ ANN index built: ${fresh.size()} products in ${((Date.now() - startedAt.getTime()) / 1000).toFixed(1)}s`);
+
+    await saveAnnIndex();
+    await syncAnnIndex();
+};
+
+// Build a fresh index in the background; the current one keeps serving until it is replaced
+const buildAnnIndex = () => {
+    if (!activeBuild) {
+        activeBuild = runBuild()
+            .catch(error => {
+                console.error('💥 ANN index build failed:', error);
+                annState.error = error.message;
+                annState.build = null;
+                if (!index) annState.status = 'failed';
+            })
+            .finally(() => {
+                activeBuild = null;
+            });
+    }
+    return activeBuild;
+};
+
+// Deleted products leave nothing to find by updatedAt: compare ids with the catalog
+const reconcileIds = async (target) => {
+    const liveIds = new Set((await Product.distinct('_id', { extractorVersion: EXTRACTOR_VERSION })).map(String));
+    let removed = 0;
+    let added = 0;
+
+    target.ids().forEach(id => {
+        if (!liveIds.has(id) && target.remove(id)) removed++;
+    });
+
+    const missingIds = [...liveIds].filter(id => !target.has(id));
+    for (let start = 0; start < missingIds.length; start += 500) {
+        const products = await Product.find({ _id: { $in: missingIds.slice(start, start + 500) } })
+            .select('_id colorFeatures').lean();
+        for (const product of products) {
+            const vector = toIndexVector(product.colorFeatures);
+            if (!vector) continue;
+            target.add(String(product._id), vector);
+            if (++added % YIELD_EVERY === 0) await yieldToEventLoop();
+        }
+    }
+    return { added, removed };
+};
+
+const runSync = async () => {
+    const target = index;
+    const since = annState.syncedAt || new Date(0);
+    let latest = since;
+    let upserted = 0;
+    let removed = 0;
+
+    const cursor = Product.find({ updatedAt: { $gt: since } })
+        .select('_id colorFeatures extractorVersion updatedAt')
+        .sort({ updatedAt: 1 })
+        .lean()
+        .cursor({ batchSize: 500 });
+
+    for await (const product of cursor) {
+        const id = String(product._id);
+        if (product.updatedAt > latest) latest = product.updatedAt;
+        if ((indexedAt.get(id) || 0) >= product.updatedAt.getTime()) continue;
+
+        const vector = product.extractorVersion === EXTRACTOR_VERSION ? toIndexVector(product.colorFeatures) : null;
+        if (vector) {
+            target.add(id, vector);
+            if (++upserted % YIELD_EVERY === 0) await yieldToEventLoop();
+        } else if (target.remove(id)) {
+            removed++;
+        }
+    }
+
+    const expected = await Product.countDocuments({ extractorVersion: EXTRACTOR_VERSION });
+    if (expected !== target.size()) {
+        const reconciled = await reconcileIds(target);
+        upserted += reconciled.added;
+        removed += reconciled.removed;
+    }
+
+    // A build finished meanwhile and brought its own sync
+    if (target !== index) return;
+
+    annState.syncedAt = latest;
+    annState.lastSyncAt = new Date();
+    if (upserted > 0 || removed > 0) {
+        console.log(`🔁 ANN index sync: ${upserted} upserted, ${removed} removed`);
+        scheduleSave();
+    }
+
+    if (target.tombstones() > annConfig.maxTombstoneRatio * Math.max(1, target.size())) {
+        console.log(`🧹 ANN index has ${target.tombstones()} deleted nodes, rebuilding`);
+        buildAnnIndex();
+    }
+};
+
+// Bring the index up to date with the catalog; concurrent calls share one run
+const syncAnnIndex = () => {
+    if (!index) return Promise.resolve();
+    if (!activeSync) {
+        activeSync = runSync()
+            .catch(error => {
+                console.error('❌ ANN index sync failed:', error.message);
+                annState.error = error.message;
+            })
+            .finally(() => {
+                activeSync = null;
+            });
+    }
+    return activeSync;
+};
+
+// Load the persisted index (or build one) and start the periodic sync
+const initAnnIndex = async () => {
+    if (!annConfig.enabled) {
+        annState.status = 'disabled';
+        console.log('ℹ️ ANN index disabled (ANN_ENABLED=false), searches scan the whole catalog');
+        return getAnnIndexStatus();
+    }
+
+    annState.status = 'loading';
+    try {
+        const loaded = await loadIndexFile();
+        if (loaded) {
+            index = loaded.index;
+            Object.assign(annState, {
+                status: 'ready',
+                builtAt: loaded.meta.builtAt ? new Date(loaded.meta.builtAt) : null,
+                syncedAt: loaded.meta.syncedAt ? new Date(loaded.meta.syncedAt) : null
+            });
+            console.log(`✅ Loaded ANN index with ${index.size()} products from ${annConfig.indexPath}`);
+            await syncAnnIndex();
+        } else {
+            await buildAnnIndex();
+        }
+    } catch (error) {
+        console.error('💥 Failed to load ANN index:', error.message);
+        annState.error = error.message;
+        await buildAnnIndex();
+    }
+
+    if (!syncTimer && annConfig.syncIntervalMs > 0) {
+        syncTimer = setInterval(syncAnnIndex, annConfig.syncIntervalMs);
+        syncTimer.unref();
+    }
+    return getAnnIndexStatus();
+};
+
+// Direct update after a product's vector was written (see catalogReindexer.js)
+const upsertAnnProduct = (productId, featureVector) => {
+    if (!index) return false;
+    const id = String(productId);
+    const vector = toIndexVector(featureVector);
+    if (!vector) {
+        index.remove(id);
+        return false;
+    }
+    index.add(id, vector);
+    indexedAt.set(id, Date.now());
+    scheduleSave();
+    return true;
+};
+
+const removeAnnProduct = (productId) => {
+    if (!index || !index.remove(String(productId))) return false;
+    scheduleSave();
+    return true;
+};
+
+// Nearest product ids of a query vector as [{ id, distance }], or null without an index.
+// efSearch trades latency for recall and is raised to at least k.
+const searchAnnIndex = (featureVector, { k = annConfig.candidates, efSearch = annConfig.efSearch } = {}) => {
+    if (!index) return null;
+    const vector = toIndexVector(featureVector);
+    if (!vector) return null;
+    return index.search(vector, k, Math.max(efSearch, k));
+};
+
+module.exports = {
+    initAnnIndex,
+    buildAnnIndex,
+    syncAnnIndex,
+    saveAnnIndex,
+    upsertAnnProduct,
+    removeAnnProduct,
+    searchAnnIndex,
+    isAnnIndexReady,
+    shouldUseAnnIndex,
+    getAnnIndexStatus
+};
@@ -0,0 +1,993 @@
+const sharp = require('sharp');
+const { resizeMask } = require('./foregroundMask');
+const {
+    hogConfig,
+    getHogLayout,
+    textureConfig,
+    getLbpLength,
+    getGaborLength,
+    spatialPyramidConfig,
+    isSpatialPyramidEnabled,
+    getPyramidCellCount
+} = require('../config/features');
+const { rgbToLab } = require('./colorScience');
+const { buildPyramidHistograms } = require('./spatialPyramid');
+
+// Built-in feature extractors. Each one receives the standardized RGB buffer produced
+// by analyzeImage (224x224, flattened onto white) plus the foreground mask, and only
+// counts object pixels when a mask is available.
+
+// Enhanced color histogram with better binning - uses processed buffer
+const extractColorHistogram = async (processedBuffer, width, height, mask = null) => {
+    try {
+        // Sample from the processed buffer for histogram calculation
+        const sampleSize = 128;
+        const sampleBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
+            .resize(sampleSize, sampleSize)
+            .raw()
+            .toBuffer();
+        const sampleMask = await resizeMask(mask, width, height, sampleSize);
+
+        // Use HSV color space for better perceptual similarity
+        const pixels = [];
+        for (let i = 0; i < sampleBuffer.length; i += 3) {
+            if (sampleMask && !sampleMask[i / 3]) continue;
+
+            const r = sampleBuffer[i] / 255;
+            const g = sampleBuffer[i + 1] / 255;
+            const b = sampleBuffer[i + 2] / 255;
+            
+            // Convert RGB to HSV
+            const hsv = rgbToHsv(r, g, b);
+            pixels.push(hsv);
+        }
+
+        // Create HSV histogram (16x8x8 bins)
+        const hBins = 16, sBins = 8, vBins = 8;
+        const histogram = new Array(hBins * sBins * vBins).fill(0);
+
+        pixels.forEach(([h, s, v]) => {
+            const hBin = Math.min(Math.floor(h * hBins), hBins - 1);
+            const sBin = Math.min(Math.floor(s * sBins), sBins - 1);
+            const vBin = Math.min(Math.floor(v * vBins), vBins - 1);
+            const index = hBin * sBins * vBins + sBin * vBins + vBin;
+            histogram[index]++;
+        });
+
+        // Normalize
+        const total = pixels.length;
+        return histogram.map(count => count / total);
+    } catch (error) {
+        console.error('Error extracting color histogram:', error);
+        return new Array(1024).fill(0);
+    }
+};
+
+// Extract edge features using Sobel operator - uses processed buffer
+const extractEdgeFeatures = async (processedBuffer, width, height, mask = null) => {
+    try {
+        // Convert processed buffer to grayscale and resize for edge detection
+        const edgeSize = 64;
+        const grayBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
+            .resize(edgeSize, edgeSize)
+            .grayscale()
+            .raw()
+            .toBuffer();
+        const edgeMask = await resizeMask(mask, width, height, edgeSize);
+
+        const edgeWidth = edgeSize, edgeHeight = edgeSize;
+        const edgeStrength = new Array(edgeWidth * edgeHeight).fill(0);
+
+        // Sobel kernels
+        const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
+        const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
+
+        // Apply Sobel operator
+        for (let y = 1; y < edgeHeight - 1; y++) {
+            for (let x = 1; x < edgeWidth - 1; x++) {
+                let gx = 0, gy = 0;
+                
+                for (let ky = -1; ky <= 1; ky++) {
+                    for (let kx = -1; kx <= 1; kx++) {
+                        const pixel = grayBuffer[(y + ky) * edgeWidth + (x + kx)];
+                        const kernelIndex = (ky + 1) * 3 + (kx + 1);
+                        gx += pixel * sobelX[kernelIndex];
+                        gy += pixel * sobelY[kernelIndex];
+                    }
+                }
+                
+                edgeStrength[y * edgeWidth + x] = Math.sqrt(gx * gx + gy * gy);
+            }
+        }
+
+        // Create edge histogram over foreground pixels
+        const bins = 16;
+        const objectEdges = edgeMask
+            ? edgeStrength.filter((strength, index) => edgeMask[index])
+            : edgeStrength;
+        const maxEdge = Math.max(...objectEdges);
+        const edgeHist = new Array(bins).fill(0);
+        
+        if (maxEdge > 0) {
+            objectEdges.forEach(strength => {
+                const bin = Math.min(Math.floor((strength / maxEdge) * bins), bins - 1);
+                edgeHist[bin]++;
+            });
+        }
+
+        // Normalize
+        const total = objectEdges.length;
+        return edgeHist.map(count => count / total);
+    } catch (error) {
+        console.error('Error extracting edge features:', error);
+        return new Array(16).fill(0);
+    }
+};
+
+// Extract texture features: uniform rotation-invariant LBP (riu2) at every configured
+// radius, so rotated products and sensor noise no longer scatter the histogram - uses processed buffer
+const extractTextureFeatures = async (processedBuffer, width, height, mask = null, config = textureConfig) => {
+    try {
+        const size = config.imageSize;
+        const grayBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
+            .resize(size, size)
+            .grayscale()
+            .raw()
+            .toBuffer();
+        const textureMask = await resizeMask(mask, width, height, size);
+
+        // One riu2 histogram per radius, each normalised on its own
+        const descriptor = [];
+        config.lbpRadii.forEach(radius => {
+            const points = 8 * radius;
+            const histogram = new Array(points + 2).fill(0);
+            const offsets = circularOffsets(radius, points);
+            const bits = new Array(points);
+            let total = 0;
+
+            for (let y = radius; y < size - radius; y++) {
+                for (let x = radius; x < size - radius; x++) {
+                    if (textureMask && !textureMask[y * size + x]) continue;
+
+                    const center = grayBuffer[y * size + x];
+                    for (let p = 0; p < points; p++) {
+                        const neighbor = sampleBilinear(grayBuffer, size, x + offsets[p].dx, y + offsets[p].dy);
+                        bits[p] = neighbor >= center ? 1 : 0;
+                    }
+                    histogram[uniformRotationInvariantCode(bits)]++;
+                    total++;
+                }
+            }
+
+            histogram.forEach(count => descriptor.push(total > 0 ? count / total : 0));
+        });
+        return descriptor;
+    } catch (error) {
+        console.error('Error extracting texture features:', error);
+        return new Array(getLbpLength(config)).fill(0);
+    }
+};
+
+// Sampling points evenly spaced on a circle, starting to the right and going clockwise.
+// Rounded so axis-aligned points land exactly on pixels instead of 1e-16 beside them.
+const circularOffsets = (radius, points) => {
+    const offsets = [];
+    for (let p = 0; p < points; p++) {
+        const angle = (2 * Math.PI * p) / points;
+        offsets.push({
+            dx: Math.round(radius * Math.cos(angle) * 1e6) / 1e6,
+            dy: Math.round(radius * Math.sin(angle) * 1e6) / 1e6
+        });
+    }
+    return offsets;
+};
+
+const sampleBilinear = (grayBuffer, size, x, y) => {
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const x1 = Math.min(size - 1, x0 + 1), y1 = Math.min(size - 1, y0 + 1);
+    const fx = x - x0, fy = y - y0;
+    const top = grayBuffer[y0 * size + x0] * (1 - fx) + grayBuffer[y0 * size + x1] * fx;
+    const bottom = grayBuffer[y1 * size + x0] * (1 - fx) + grayBuffer[y1 * size + x1] * fx;
+    return top * (1 - fy) + bottom * fy;
+};
+
+// Gabor filter bank over an image pyramid: the same kernel (4px wavelength) at every
+// level covers coarser structure as the image halves. Each filter yields the mean and
+// standard deviation of its response energy over foreground pixels. Orientations are
+// circularly shifted so the strongest one comes first, making the descriptor
+// rotation-invariant, and energies are divided by their total so contrast drops out.
+const GABOR_WAVELENGTH = 4;
+
+const extractGaborFeatures = async (processedBuffer, width, height, mask = null, config = textureConfig) => {
+    const { gaborImageSize, gaborScales: scales, gaborOrientations: orientations } = config;
+
+    try {
+        const kernels = [];
+        for (let o = 0; o < orientations; o++) {
+            kernels.push(buildGaborKernel(GABOR_WAVELENGTH, (Math.PI * o) / orientations));
+        }
+
+        // means[scale][orientation], deviations[scale][orientation]
+        const means = [];
+        const deviations = [];
+        for (let scale = 0; scale < scales; scale++) {
+            const size = Math.max(8, gaborImageSize >> scale);
+            const grayBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
+                .resize(size, size)
+                .grayscale()
+                .raw()
+                .toBuffer();
+            const scaleMask = await resizeMask(mask, width, height, size);
+
+            means.push([]);
+            deviations.push([]);
+            kernels.forEach(kernel => {
+                const { mean, deviation } = gaborEnergyStats(grayBuffer, size, kernel, scaleMask);
+                means[scale].push(mean);
+                deviations[scale].push(deviation);
+            });
+        }
+
+        // Dominant orientation: largest mean energy summed over scales
+        let dominant = 0;
+        let dominantEnergy = -1;
+        for (let o = 0; o < orientations; o++) {
+            const energy = means.reduce((sum, scaleMeans) => sum + scaleMeans[o], 0);
+            if (energy > dominantEnergy) {
+                dominantEnergy = energy;
+                dominant = o;
+            }
+        }
+
+        const totalEnergy = means.reduce((sum, scaleMeans) => sum + scaleMeans.reduce((a, b) => a + b, 0), 0);
+        const descriptor = [];
+        for (let scale = 0; scale < scales; scale++) {
+            for (let o = 0; o < orientations; o++) {
+                const shifted = (o + dominant) % orientations;
+                descriptor.push(
+                    totalEnergy > 0 ? means[scale][shifted] / totalEnergy : 0,
+                    totalEnergy > 0 ? deviations[scale][shifted] / totalEnergy : 0
+                );
+            }
+        }
+        return descriptor;
+    } catch (error) {
+        console.error('Error extracting Gabor features:', error);
+        return new Array(getGaborLength(config)).fill(0);
+    }
+};
+
+// Complex Gabor kernel (real and imaginary parts) with a one-octave bandwidth
+const buildGaborKernel = (wavelength, theta) => {
+    const sigma = 0.56 * wavelength;
+    const aspect = 0.5;
+    const half = Math.ceil(2.5 * sigma);
+    const side = half * 2 + 1;
+    const real = new Float32Array(side * side);
+    const imaginary = new Float32Array(side * side);
+
+    let realMean = 0;
+    for (let y = -half; y <= half; y++) {
+        for (let x = -half; x <= half; x++) {
+            const rotatedX = x * Math.cos(theta) + y * Math.sin(theta);
+            const rotatedY = -x * Math.sin(theta) + y * Math.cos(theta);
+            const envelope = Math.exp(-(rotatedX * rotatedX + aspect * aspect * rotatedY * rotatedY) / (2 * sigma * sigma));
+            const phase = (2 * Math.PI * rotatedX) / wavelength;
+            const index = (y + half) * side + (x + half);
+            real[index] = envelope * Math.cos(phase);
+            imaginary[index] = envelope * Math.sin(phase);
+            realMean += real[index];
+        }
+    }
+
+    // Zero-mean real part, so flat regions give no response
+    realMean /= real.length;
+    for (let i = 0; i < real.length; i++) real[i] -= realMean;
+
+    return { real, imaginary, half, side };
+};
+
+// Mean and standard deviation of the response magnitude over (foreground) pixels;
+// borders are handled by clamping coordinates
+const gaborEnergyStats = (grayBuffer, size, { real, imaginary, half, side }, mask) => {
+    let sum = 0, squares = 0, count = 0;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (mask && !mask[y * size + x]) continue;
+
+            let responseReal = 0, responseImaginary = 0;
+            for (let ky = -half; ky <= half; ky++) {
+                const sampleY = Math.min(size - 1, Math.max(0, y + ky));
+                for (let kx = -half; kx <= half; kx++) {
+                    const sampleX = Math.min(size - 1, Math.max(0, x + kx));
+                    const pixel = grayBuffer[sampleY * size + sampleX] / 255;
+                    const index = (ky + half) * side + (kx + half);
+                    responseReal += pixel * real[index];
+                    responseImaginary += pixel * imaginary[index];
+                }
+            }
+
+            const magnitude = Math.sqrt(responseReal * responseReal + responseImaginary * responseImaginary);
+            sum += magnitude;
+            squares += magnitude * magnitude;
+            count++;
+        }
+    }
+
+    if (count === 0) return { mean: 0, deviation: 0 };
+    const mean = sum / count;
+    return { mean, deviation: Math.sqrt(Math.max(0, squares / count - mean * mean)) };
+};
+
+// Extract shape features using moments - uses processed buffer
+const extractShapeFeatures = async (processedBuffer, width, height, mask = null) => {
+    try {
+        // Convert processed buffer to binary image - the foreground mask when available, else a threshold
+        const shapeSize = 64;
+        const shapeMask = await resizeMask(mask, width, height, shapeSize);
+        const grayBuffer = shapeMask
+            ? Uint8Array.from(shapeMask, value => value * 255)
+            : await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
+                .resize(shapeSize, shapeSize)
+                .grayscale()
+                .raw()
+                .toBuffer();
+
+        const shapeWidth = shapeSize, shapeHeight = shapeSize;
+        const threshold = 128;
+        
+        // Calculate moments
+        let m00 = 0, m10 = 0, m01 = 0, m20 = 0, m11 = 0, m02 = 0;
+        
+        for (let y = 0; y < shapeHeight; y++) {
+            for (let x = 0; x < shapeWidth; x++) {
+                const pixel = grayBuffer[y * shapeWidth + x] > threshold ? 1 : 0;
+                m00 += pixel;
+                m10 += x * pixel;
+                m01 += y * pixel;
+                m20 += x * x * pixel;
+                m11 += x * y * pixel;
+                m02 += y * y * pixel;
+            }
+        }
+
+        if (m00 === 0) return [0, 0, 0, 0, 0, 0, 0];
+
+        // Calculate central moments
+        const xc = m10 / m00;
+        const yc = m01 / m00;
+        
+        const mu20 = m20 / m00 - xc * xc;
+        const mu11 = m11 / m00 - xc * yc;
+        const mu02 = m02 / m00 - yc * yc;
+
+        // Hu moments (invariant to translation, scale, rotation)
+        const eta20 = mu20 / Math.pow(m00, 2);
+        const eta11 = mu11 / Math.pow(m00, 2);
+        const eta02 = mu02 / Math.pow(m00, 2);
+
+        const hu1 = eta20 + eta02;
+        const hu2 = Math.pow(eta20 - eta02, 2) + 4 * eta11 * eta11;
+        
+        // Compactness and aspect ratio
+        const perimeter = calculatePerimeter(grayBuffer, shapeWidth, shapeHeight, threshold);
+        const compactness = perimeter > 0 ? (4 * Math.PI * m00) / (perimeter * perimeter) : 0;
+        const aspectRatio = mu20 > 0 && mu02 > 0 ? Math.sqrt(mu20 / mu02) : 1;
+
+        return [hu1, hu2, compactness, aspectRatio, eta20, eta11, eta02];
+    } catch (error) {
+        console.error('Error extracting shape features:', error);
+        return new Array(7).fill(0);
+    }
+};
+
+// Spatial pyramid of coarse HSV histograms - uses processed buffer
+const PYRAMID_SIZE = 64;
+const extractColorPyramid = async (processedBuffer, width, height, mask, { levels, binCount }) => {
+    try {
+        const { h: hBins, s: sBins, v: vBins } = spatialPyramidConfig.colorBins;
+        const sampleBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
+            .resize(PYRAMID_SIZE, PYRAMID_SIZE)
+            .raw()
+            .toBuffer();
+        const pyramidMask = await resizeMask(mask, width, height, PYRAMID_SIZE);
+
+        const binIndices = new Int16Array(PYRAMID_SIZE * PYRAMID_SIZE);
+        for (let i = 0; i < binIndices.length; i++) {
+            if (pyramidMask && !pyramidMask[i]) {
+                binIndices[i] = -1;
+                continue;
+            }
+            const [h, sat, v] = rgbToHsv(sampleBuffer[i * 3] / 255, sampleBuffer[i * 3 + 1] / 255, sampleBuffer[i * 3 + 2] / 255);
+            const hBin = Math.min(Math.floor(h * hBins), hBins - 1);
+            const sBin = Math.min(Math.floor(sat * sBins), sBins - 1);
+            const vBin = Math.min(Math.floor(v * vBins), vBins - 1);
+            binIndices[i] = hBin * sBins * vBins + sBin * vBins + vBin;
+        }
+
+        return buildPyramidHistograms(binIndices, PYRAMID_SIZE, levels, binCount);
+    } catch (error) {
+        console.error('Error extracting color pyramid:', error);
+        return new Array(levels.reduce((sum, grid) => sum + grid * grid, 0) * binCount).fill(0);
+    }
+};
+
+// Spatial pyramid of uniform rotation-invariant LBP histograms - uses processed buffer
+const extractTexturePyramid = async (processedBuffer, width, height, mask, { levels, binCount }) => {
+    try {
+        const grayBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
+            .resize(PYRAMID_SIZE, PYRAMID_SIZE)
+            .grayscale()
+            .raw()
+            .toBuffer();
+        const pyramidMask = await resizeMask(mask, width, height, PYRAMID_SIZE);
+
+        const size = PYRAMID_SIZE;
+        const binIndices = new Int16Array(size * size).fill(-1);
+        for (let y = 1; y < size - 1; y++) {
+            for (let x = 1; x < size - 1; x++) {
+                if (pyramidMask && !pyramidMask[y * size + x]) continue;
+
+                const center = grayBuffer[y * size + x];
+                const neighbors = [
+                    grayBuffer[(y-1) * size + (x-1)], grayBuffer[(y-1) * size + x],
+                    grayBuffer[(y-1) * size + (x+1)], grayBuffer[y * size + (x+1)],
+                    grayBuffer[(y+1) * size + (x+1)], grayBuffer[(y+1) * size + x],
+                    grayBuffer[(y+1) * size + (x-1)], grayBuffer[y * size + (x-1)]
+                ];
+                binIndices[y * size + x] = uniformRotationInvariantCode(
+                    neighbors.map(neighbor => (neighbor >= center ? 1 : 0))
+                );
+            }
+        }
+
+        return buildPyramidHistograms(binIndices, size, levels, binCount);
+    } catch (error) {
+        console.error('Error extracting texture pyramid:', error);
+        return new Array(levels.reduce((sum, grid) => sum + grid * grid, 0) * binCount).fill(0);
+    }
+};
+
+// Uniform rotation-invariant LBP code (riu2): number of set bits for patterns with
+// at most two 0/1 transitions, P + 1 for every other pattern - P + 2 codes in total
+const uniformRotationInvariantCode = (bits) => {
+    let transitions = 0;
+    let ones = 0;
+    for (let i = 0; i < bits.length; i++) {
+        ones += bits[i];
+        if (bits[i] !== bits[(i + 1) % bits.length]) transitions++;
+    }
+    return transitions <= 2 ? ones : bits.length + 1;
+};
+
+// Extract Histogram of Oriented Gradients - uses processed buffer
+// Cell, block and bin counts come from config/features.js
+const extractHogFeatures = async (processedBuffer, width, height, mask = null, config = hogConfig) => {
+    const { cellsPerSide, blocksPerSide, length } = getHogLayout(config);
+
+    try {
+        const { imageSize, cellSize, blockSize, bins } = config;
+        const grayBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
+            .resize(imageSize, imageSize)
+            .grayscale()
+            .raw()
+            .toBuffer();
+        const hogMask = await resizeMask(mask, width, height, imageSize);
+
+        // Cell histograms of unsigned gradient orientation weighted by magnitude
+        const cellHistograms = new Float64Array(cellsPerSide * cellsPerSide * bins);
+        const binWidth = Math.PI / bins;
+
+        for (let y = 1; y < imageSize - 1; y++) {
+            for (let x = 1; x < imageSize - 1; x++) {
+                if (hogMask && !hogMask[y * imageSize + x]) continue;
+
+                const cellX = Math.floor(x / cellSize);
+                const cellY = Math.floor(y / cellSize);
+                if (cellX >= cellsPerSide || cellY >= cellsPerSide) continue;
+
+                const gx = grayBuffer[y * imageSize + x + 1] - grayBuffer[y * imageSize + x - 1];
+                const gy = grayBuffer[(y + 1) * imageSize + x] - grayBuffer[(y - 1) * imageSize + x];
+                const magnitude = Math.sqrt(gx * gx + gy * gy);
+                if (magnitude === 0) continue;
+
+                let angle = Math.atan2(gy, gx);
+                if (angle < 0) angle += Math.PI;
+
+                // Split the vote between the two nearest bins
+                const position = angle / binWidth - 0.5;
+                const lowerBin = Math.floor(position);
+                const upperShare = position - lowerBin;
+                const cellOffset = (cellY * cellsPerSide + cellX) * bins;
+                cellHistograms[cellOffset + ((lowerBin + bins) % bins)] += magnitude * (1 - upperShare);
+                cellHistograms[cellOffset + ((lowerBin + 1) % bins)] += magnitude * upperShare;
+            }
+        }
+
+        // Overlapping blocks with L2-Hys normalisation
+        const descriptor = [];
+        for (let blockY = 0; blockY < blocksPerSide; blockY++) {
+            for (let blockX = 0; blockX < blocksPerSide; blockX++) {
+                const block = [];
+                for (let cy = blockY; cy < blockY + blockSize; cy++) {
+                    for (let cx = blockX; cx < blockX + blockSize; cx++) {
+                        const cellOffset = (cy * cellsPerSide + cx) * bins;
+                        for (let b = 0; b < bins; b++) block.push(cellHistograms[cellOffset + b]);
+                    }
+                }
+
+                let norm = Math.sqrt(block.reduce((sum, val) => sum + val * val, 0) + 1e-6);
+                const clipped = block.map(val => Math.min(val / norm, 0.2));
+                norm = Math.sqrt(clipped.reduce((sum, val) => sum + val * val, 0) + 1e-6);
+                clipped.forEach(val => descriptor.push(val / norm));
+            }
+        }
+
+        // Scale to unit length overall so the group doesn't swamp the others
+        const blockCount = blocksPerSide * blocksPerSide;
+        return descriptor.map(val => val / Math.sqrt(blockCount));
+    } catch (error) {
+        console.error('Error extracting HOG features:', error);
+        return new Array(length).fill(0);
+    }
+};
+
+// Extract dominant colors using k-means clustering - uses processed buffer
+// Returns normalized RGB centroids plus each cluster's share of the pixels
+const extractColorPalette = async (processedBuffer, width, height, mask = null) => {
+    try {
+        const colorSize = 32;
+        const resizedBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
+            .resize(colorSize, colorSize)
+            .raw()
+            .toBuffer();
+        const colorMask = await resizeMask(mask, width, height, colorSize);
+
+        const pixels = [];
+        for (let i = 0; i < resizedBuffer.length; i += 3) {
+            if (colorMask && !colorMask[i / 3]) continue;
+            pixels.push([
+                resizedBuffer[i],
+                resizedBuffer[i + 1],
+                resizedBuffer[i + 2]
+            ]);
+        }
+
+        // Deterministic k-means for 5 dominant colors
+        const { centroids, clusterSizes } = clusterColors(pixels, DOMINANT_COLOR_COUNT);
+
+        // Return normalized dominant colors with their pixel share
+        return {
+            colors: centroids.flat().map(val => val / 255),
+            weights: clusterSizes.map(size => size / pixels.length)
+        };
+    } catch (error) {
+        console.error('Error extracting dominant colors:', error);
+        return {
+            colors: new Array(DOMINANT_COLOR_COUNT * 3).fill(0),
+            weights: new Array(DOMINANT_COLOR_COUNT).fill(0)
+        };
+    }
+};
+
+const DOMINANT_COLOR_COUNT = 5;
+const KMEANS_SEED = 0x5eed;
+const KMEANS_MAX_ITERATIONS = 20;
+const KMEANS_TOLERANCE = 0.5; // Max centroid shift (RGB units) that counts as converged
+
+// Small seeded PRNG (mulberry32) so clustering is reproducible
+const createSeededRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const squaredDistance = (point1, point2) => {
+    return Math.pow(point1[0] - point2[0], 2) +
+        Math.pow(point1[1] - point2[1], 2) +
+        Math.pow(point1[2] - point2[2], 2);
+};
+
+// k-means++ seeding with a fixed seed
+const initializeCentroids = (pixels, k, random) => {
+    const centroids = [[...pixels[Math.floor(random() * pixels.length)]]];
+    const nearest = pixels.map(pixel => squaredDistance(pixel, centroids[0]));
+
+    while (centroids.length < k) {
+        const total = nearest.reduce((sum, dist) => sum + dist, 0);
+
+        // Every pixel already sits on a centroid - fewer distinct colors than clusters
+        if (total === 0) {
+            centroids.push([...centroids[0]]);
+            continue;
+        }
+
+        let target = random() * total;
+        let chosen = pixels.length - 1;
+        for (let i = 0; i < pixels.length; i++) {
+            target -= nearest[i];
+            if (target <= 0) {
+                chosen = i;
+                break;
+            }
+        }
+
+        const centroid = [...pixels[chosen]];
+        centroids.push(centroid);
+        pixels.forEach((pixel, i) => {
+            nearest[i] = Math.min(nearest[i], squaredDistance(pixel, centroid));
+        });
+    }
+
+    return centroids;
+};
+
+// Deterministic k-means: k-means++ init, convergence check, and empty clusters
+// re-seeded from the worst-fitting pixel instead of collapsing to black.
+// Clusters are returned largest first.
+const clusterColors = (pixels, k) => {
+    const random = createSeededRandom(KMEANS_SEED);
+    let centroids = initializeCentroids(pixels, k, random);
+    let assignments = new Array(pixels.length).fill(-1);
+    let clusterSizes = new Array(k).fill(0);
+
+    for (let iter = 0; iter < KMEANS_MAX_ITERATIONS; iter++) {
+        const sums = Array(k).fill().map(() => [0, 0, 0]);
+        const distances = new Array(pixels.length);
+        clusterSizes = new Array(k).fill(0);
+
+        // Assign pixels to nearest centroid (ties go to the lowest index)
+        pixels.forEach((pixel, i) => {
+            let minDist = Infinity;
+            let closestCluster = 0;
+
+            centroids.forEach((centroid, index) => {
+                const dist = squaredDistance(pixel, centroid);
+                if (dist < minDist) {
+                    minDist = dist;
+                    closestCluster = index;
+                }
+            });
+
+            assignments[i] = closestCluster;
+            distances[i] = minDist;
+            clusterSizes[closestCluster]++;
+            sums[closestCluster][0] += pixel[0];
+            sums[closestCluster][1] += pixel[1];
+            sums[closestCluster][2] += pixel[2];
+        });
+
+        // Update centroids
+        let maxShift = 0;
+        const taken = new Set();
+        centroids = centroids.map((centroid, index) => {
+            if (clusterSizes[index] > 0) {
+                const updated = sums[index].map(sum => sum / clusterSizes[index]);
+                maxShift = Math.max(maxShift, Math.sqrt(squaredDistance(updated, centroid)));
+                return updated;
+            }
+
+            // Empty cluster: move it to the pixel farthest from its centroid
+            let farthest = -1;
+            distances.forEach((dist, i) => {
+                if (dist > 0 && !taken.has(i) && (farthest === -1 || dist > distances[farthest])) {
+                    farthest = i;
+                }
+            });
+            if (farthest === -1) return centroid; // Nothing left to split - stays empty with zero weight
+
+            taken.add(farthest);
+            maxShift = Infinity;
+            return [...pixels[farthest]];
+        });
+
+        if (maxShift < KMEANS_TOLERANCE) break;
+    }
+
+    // Largest clusters first; ties broken by color so the order is stable
+    const order = centroids
+        .map((centroid, index) => index)
+        .sort((a, b) => (clusterSizes[b] - clusterSizes[a]) ||
+            (centroids[a][0] - centroids[b][0]) ||
+            (centroids[a][1] - centroids[b][1]) ||
+            (centroids[a][2] - centroids[b][2]));
+
+    return {
+        centroids: order.map(index => centroids[index]),
+        clusterSizes: order.map(index => clusterSizes[index])
+    };
+};
+
+// Dominant colors converted to CIELAB, encoded as [L/100, a/128, b/128, weight] per color
+const buildLabPalette = ({ colors, weights }) => {
+    const encoded = [];
+    weights.forEach((weight, index) => {
+        const [L, a, b] = rgbToLab(
+            colors[index * 3] * 255,
+            colors[index * 3 + 1] * 255,
+            colors[index * 3 + 2] * 255
+        );
+        encoded.push(L / 100, a / 128, b / 128, weight);
+    });
+    return encoded;
+};
+
+// Decode a labPalette group back into { lab, weight } entries
+const decodeLabPalette = (encoded) => {
+    const palette = [];
+    for (let i = 0; i + 3 < encoded.length; i += 4) {
+        palette.push({
+            lab: [encoded[i] * 100, encoded[i + 1] * 128, encoded[i + 2] * 128],
+            weight: encoded[i + 3]
+        });
+    }
+    return palette.filter(color => color.weight > 0);
+};
+
+// Extract brightness features - uses processed buffer
+const extractBrightnessFeatures = async (processedBuffer, width, height, mask = null) => {
+    try {
+        const brightnessSize = 64;
+        const grayBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
+            .resize(brightnessSize, brightnessSize)
+            .grayscale()
+            .raw()
+            .toBuffer();
+        const brightnessMask = await resizeMask(mask, width, height, brightnessSize);
+
+        const pixels = Array.from(grayBuffer).filter((pixel, index) => !brightnessMask || brightnessMask[index]);
+        const mean = pixels.reduce((sum, pixel) => sum + pixel, 0) / pixels.length;
+        const variance = pixels.reduce((sum, pixel) => sum + Math.pow(pixel - mean, 2), 0) / pixels.length;
+        const skewness = variance > 0 ? 
+            pixels.reduce((sum, pixel) => sum + Math.pow(pixel - mean, 3), 0) / (pixels.length * Math.pow(variance, 1.5)) : 0;
+
+        return [mean / 255, variance / (255 * 255), skewness];
+    } catch (error) {
+        console.error('Error extracting brightness features:', error);
+        return [0, 0, 0];
+    }
+};
+
+// Extract contrast features - uses processed buffer
+const extractContrastFeatures = async (processedBuffer, width, height, mask = null) => {
+    try {
+        const contrastSize = 64;
+        const grayBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
+            .resize(contrastSize, contrastSize)
+            .grayscale()
+            .raw()
+            .toBuffer();
+        const contrastMask = await resizeMask(mask, width, height, contrastSize);
+
+        const contrastWidth = contrastSize, contrastHeight = contrastSize;
+        let totalContrast = 0;
+        let contrastCount = 0;
+
+        // Calculate local contrast
+        for (let y = 1; y < contrastHeight - 1; y++) {
+            for (let x = 1; x < contrastWidth - 1; x++) {
+                if (contrastMask && !contrastMask[y * contrastWidth + x]) continue;
+
+                const center = grayBuffer[y * contrastWidth + x];
+                const neighbors = [
+                    grayBuffer[(y-1) * contrastWidth + x],     // top
+                    grayBuffer[y * contrastWidth + (x+1)],     // right
+                    grayBuffer[(y+1) * contrastWidth + x],     // bottom
+                    grayBuffer[y * contrastWidth + (x-1)]      // left
+                ];
+
+                const localContrast = neighbors.reduce((sum, neighbor) => {
+                    return sum + Math.abs(center - neighbor);
+                }, 0) / 4;
+
+                totalContrast += localContrast;
+                contrastCount++;
+            }
+        }
+
+        const avgContrast = contrastCount > 0 ? totalContrast / contrastCount : 0;
+        return [avgContrast / 255];
+    } catch (error) {
+        console.error('Error extracting contrast features:', error);
+        return [0];
+    }
+};
+
+// Helper functions
+const rgbToHsv = (r, g, b) => {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const diff = max - min;
+    
+    let h = 0;
+    if (diff !== 0) {
+        if (max === r) h = ((g - b) / diff) % 6;
+        else if (max === g) h = (b - r) / diff + 2;
+        else h = (r - g) / diff + 4;
+    }
+    h = h / 6;
+    if (h < 0) h += 1;
+    
+    const s = max === 0 ? 0 : diff / max;
+    const v = max;
+    
+    return [h, s, v];
+};
+
+const calculatePerimeter = (binaryBuffer, width, height, threshold) => {
+    let perimeter = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const current = binaryBuffer[y * width + x] > threshold;
+            if (current) {
+                // Check if it's a boundary pixel
+                const neighbors = [
+                    y > 0 ? binaryBuffer[(y-1) * width + x] > threshold : false,
+                    x < width-1 ? binaryBuffer[y * width + (x+1)] > threshold : false,
+                    y < height-1 ? binaryBuffer[(y+1) * width + x] > threshold : false,
+                    x > 0 ? binaryBuffer[y * width + (x-1)] > threshold : false
+                ];
+                
+                if (neighbors.some(neighbor => !neighbor)) {
+                    perimeter++;
+                }
+            }
+        }
+    }
+    return perimeter;
+};
+
+// The k-means palette feeds three groups, so it is computed once per image
+const getPalette = (buffer, context) => {
+    return context.memo('palette', () => extractColorPalette(buffer, context.width, context.height, context.mask));
+};
+
+// Registry descriptors for the built-in groups, in vector order.
+// featureType is the coarse label reported in API metadata; metric is the comparison
+// that suits the values (histogram distances for normalised histograms, L2 for
+// moments and centroids) and is used by the "recommended" metric preset.
+const BUILTIN_EXTRACTORS = [
+    {
+        name: 'colorHistogram',
+        length: 1024,
+        weight: 0.3,
+        featureType: 'color',
+        metric: 'bhattacharyya',
+        description: 'HSV histogram (16x8x8 bins)',
+        extract: (buffer, { width, height, mask }) => extractColorHistogram(buffer, width, height, mask)
+    },
+    {
+        name: 'edgeFeatures',
+        length: 16,
+        weight: 0.15,
+        featureType: 'edge',
+        metric: 'emd',
+        description: 'Sobel magnitude histogram',
+        extract: (buffer, { width, height, mask }) => extractEdgeFeatures(buffer, width, height, mask)
+    },
+    {
+        name: 'textureFeatures',
+        length: getLbpLength(),
+        weight: 0.15,
+        featureType: 'texture',
+        metric: 'chi-square',
+        description: 'Uniform rotation-invariant LBP histogram per radius',
+        extract: (buffer, { width, height, mask }) => extractTextureFeatures(buffer, width, height, mask)
+    },
+    {
+        name: 'gaborFeatures',
+        length: getGaborLength(),
+        weight: textureConfig.gaborWeight,
+        featureType: 'texture',
+        metric: 'cosine',
+        description: 'Gabor energy mean/std per scale x orientation, dominant orientation first',
+        extract: (buffer, { width, height, mask }) => extractGaborFeatures(buffer, width, height, mask)
+    },
+    {
+        name: 'shapeFeatures',
+        length: 7,
+        weight: 0.1,
+        featureType: 'shape',
+        metric: 'l2',
+        description: 'Moments, compactness, aspect ratio',
+        extract: (buffer, { width, height, mask }) => extractShapeFeatures(buffer, width, height, mask)
+    },
+    {
+        name: 'dominantColors',
+        length: DOMINANT_COLOR_COUNT * 3,
+        weight: 0.25,
+        featureType: 'color',
+        metric: 'l2',
+        description: '5 k-means centroids x RGB, largest first',
+        extract: async (buffer, context) => (await getPalette(buffer, context)).colors
+    },
+    {
+        name: 'dominantColorWeights',
+        length: DOMINANT_COLOR_COUNT,
+        weight: 0.05,
+        featureType: 'color',
+        metric: 'l2',
+        description: 'Pixel share of each centroid',
+        extract: async (buffer, context) => (await getPalette(buffer, context)).weights
+    },
+    {
+        name: 'labPalette',
+        length: DOMINANT_COLOR_COUNT * 4,
+        weight: 0.05,
+        featureType: 'color',
+        metric: 'l2',
+        description: 'Centroids in CIELAB + pixel share',
+        extract: async (buffer, context) => buildLabPalette(await getPalette(buffer, context))
+    },
+    {
+        name: 'brightnessFeatures',
+        length: 3,
+        weight: 0.03,
+        featureType: 'brightness',
+        metric: 'l2',
+        description: 'Mean, variance, skewness',
+        extract: (buffer, { width, height, mask }) => extractBrightnessFeatures(buffer, width, height, mask)
+    },
+    {
+        name: 'contrastFeatures',
+        length: 1,
+        weight: 0.02,
+        featureType: 'contrast',
+        metric: 'l2',
+        description: 'Average local contrast',
+        extract: (buffer, { width, height, mask }) => extractContrastFeatures(buffer, width, height, mask)
+    },
+    {
+        name: 'hogFeatures',
+        length: getHogLayout().length,
+        weight: hogConfig.weight,
+        featureType: 'hog',
+        metric: 'cosine',
+        description: 'Histogram of Oriented Gradients',
+        extract: (buffer, { width, height, mask }) => extractHogFeatures(buffer, width, height, mask)
+    }
+];
+
+// Layout-aware groups, only present when the deployment enables a spatial pyramid.
+// binCount is the histogram size of one grid cell.
+if (isSpatialPyramidEnabled()) {
+    const { levels, colorBins, textureBins, weight } = spatialPyramidConfig;
+    const colorBinCount = colorBins.h * colorBins.s * colorBins.v;
+    const cellCount = getPyramidCellCount();
+    const colorPyramid = { levels, binCount: colorBinCount };
+    const texturePyramid = { levels, binCount: textureBins };
+
+    BUILTIN_EXTRACTORS.push(
+        {
+            name: 'colorPyramid',
+            length: cellCount * colorBinCount,
+            weight,
+            featureType: 'layout',
+            metric: 'intersection',
+            description: 'Coarse HSV histogram per pyramid cell',
+            pyramid: colorPyramid,
+            extract: (buffer, { width, height, mask }) => extractColorPyramid(buffer, width, height, mask, colorPyramid)
+        },
+        {
+            name: 'texturePyramid',
+            length: cellCount * textureBins,
+            weight,
+            featureType: 'layout',
+            metric: 'intersection',
+            description: 'Uniform LBP histogram per pyramid cell',
+            pyramid: texturePyramid,
+            extract: (buffer, { width, height, mask }) => extractTexturePyramid(buffer, width, height, mask, texturePyramid)
+        }
+    );
+}
+
+module.exports = {
+    BUILTIN_EXTRACTORS,
+    decodeLabPalette
+};
@@ -0,0 +1,318 @@
+const Product = require('../models/Product');
+const { cacheConfig } = require('../config/search');
+const { EXTRACTOR_VERSION, FEATURE_MANIFEST } = require('./featureManifest');
+const { computeFeatureStats } = require('./imageProcessor');
+const { productEvents } = require('./productEvents');
+
+// Searchable products (current extractor version) held in memory as lean objects, with
+// the feature vector as a Float32Array and its per-group stats precomputed, so searches
+// neither re-fetch and hydrate every document nor recompute norms and means.
+//
+// The cache is warmed on startup and refreshed incrementally by updatedAt whenever
+// something changes: Product middleware reports writes made by this process, and a
+// MongoDB change stream (replica sets) or polling covers everyone else. Deletions
+// leave nothing to find by updatedAt and are reconciled by id count.
+
+const cacheState = {
+    status: 'idle', // idle | disabled | warming | ready | failed
+    reason: null,   // Why the cache is disabled
+    changeFeed: null, // change-stream | polling
+    warmedAt: null,
+    warmMs: null,
+    syncedAt: null,   // Latest product updatedAt reflected in the cache
+    lastRefreshAt: null,
+    error: null
+};
+
+const counters = {
+    hits: 0,          // Searches served from memory
+    misses: 0,        // Searches that had to query MongoDB
+    refreshes: 0,
+    upserts: 0,
+    removals: 0,
+    invalidations: 0  // Change notifications received
+};
+
+let entries = new Map();
+let activeWarm = null;
+let activeRefresh = null;
+let refreshPending = false;
+let refreshTimer = null;
+let pollTimer = null;
+
+const YIELD_EVERY = 500;
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+// Cache entry for a lean product, or null when its vector has another layout.
+// Vectors, embedding and stats are non-enumerable, so results built by spreading an
+// entry (as the ranking code does) leave them out of API responses.
+const toCacheEntry = (product) => {
+    const { colorFeatures, embedding, visualFeatures, ...fields } = product;
+    if (!colorFeatures || colorFeatures.length !== FEATURE_MANIFEST.totalLength) return null;
+
+    const vector = Float32Array.from(colorFeatures);
+    const entry = { ...fields };
+    Object.defineProperties(entry, {
+        colorFeatures: { value: vector },
+        embedding: { value: embedding && embedding.length > 0 ? Float32Array.from(embedding) : null },
+        featureStats: { value: computeFeatureStats(vector) }
+    });
+    return entry;
+};
+
+const isCatalogCacheReady = () => cacheState.status === 'ready';
+
+const disableCache = (reason) => {
+    entries = new Map();
+    cacheState.status = 'disabled';
+    cacheState.reason = reason;
+    console.warn(`⚠️ Catalog cache disabled: ${reason}`);
+};
+
+const runWarm = async () => {
+    const startedAt = new Date();
+    const query = { extractorVersion: EXTRACTOR_VERSION };
+    const total = await Product.countDocuments(query);
+    if (total > cacheConfig.maxProducts) {
+        disableCache(`${total} products exceed CATALOG_CACHE_MAX_PRODUCTS (${cacheConfig.maxProducts})`);
+        return;
+    }
+
+    cacheState.status = 'warming';
+    cacheState.error = null;
+    const fresh = new Map();
+    const cursor = Product.find(query).select('-visualFeatures').lean().cursor({ batchSize: 500 });
+    for await (const product of cursor) {
+        const entry = toCacheEntry(product);
+        if (entry) fresh.set(String(product._id), entry);
+        if (fresh.size % YIELD_EVERY === 0) await yieldToEventLoop();
+    }
+
+    entries = fresh;
+    Object.assign(cacheState, {
+        status: 'ready',
+        reason: null,
+        warmedAt: new Date(),
+        warmMs: Date.now() - startedAt.getTime(),
+        syncedAt: startedAt
+    });
+    console.log(`✅ Catalog cache warmed: ${entries.size} products in ${cacheState.warmMs}ms`);
+
+    // Writes made while the cursor ran are newer than startedAt
+    await refreshCatalogCache();
+};
+
+// Load the catalog into memory and subscribe to changes; concurrent calls share one run
+const warmCatalogCache = () => {
+    if (!cacheConfig.enabled) {
+        disableCache('CATALOG_CACHE_ENABLED=false');
+        return Promise.resolve(getCatalogCacheStats());
+    }
+    if (!activeWarm) {
+        activeWarm = runWarm()
+            .then(() => {
+                if (isCatalogCacheReady()) startChangeFeed();
+            })
+            .catch(error => {
+                console.error('💥 Catalog cache warm-up failed:', error);
+                cacheState.status = 'failed';
+                cacheState.error = error.message;
+            })
+            .finally(() => {
+                activeWarm = null;
+            });
+    }
+    return activeWarm.then(() => getCatalogCacheStats());
+};
+
+// Products removed from the catalog (or from the current version) since the last check
+const reconcileIds = async () => {
+    const liveIds = new Set((await Product.distinct('_id', { extractorVersion: EXTRACTOR_VERSION })).map(String));
+    let removed = 0;
+    [...entries.keys()].forEach(id => {
+        if (!liveIds.has(id)) {
+            entries.delete(id);
+            removed++;
+        }
+    });
+
+    // Anything live but missing (written without touching updatedAt) is loaded by id
+    const missingIds = [...liveIds].filter(id => !entries.has(id));
+    let added = 0;
+    for (let start = 0; start < missingIds.length; start += 500) {
+        const products = await Product.find({ _id: { $in: missingIds.slice(start, start + 500) } })
+            .select('-visualFeatures').lean();
+        products.forEach(product => {
+            const entry = toCacheEntry(product);
+            if (entry) {
+                entries.set(String(product._id), entry);
+                added++;
+            }
+        });
+    }
+    return { added, removed };
+};
+
+const runRefresh = async () => {
+    const since = cacheState.syncedAt || new Date(0);
+    let latest = since;
+    let upserted = 0;
+    let removed = 0;
+
+    const cursor = Product.find({ updatedAt: { $gt: since } })
+        .select('-visualFeatures')
+        .sort({ updatedAt: 1 })
+        .lean()
+        .cursor({ batchSize: 500 });
+
+    for await (const product of cursor) {
+        if (product.updatedAt > latest) latest = product.updatedAt;
+        const id = String(product._id);
+        const entry = product.extractorVersion === EXTRACTOR_VERSION ? toCacheEntry(product) : null;
+        if (entry) {
+            entries.set(id, entry);
+            if (++upserted % YIELD_EVERY === 0) await yieldToEventLoop();
+        } else if (entries.delete(id)) {
+            removed++;
+        }
+    }
+
+    const expected = await Product.countDocuments({ extractorVersion: EXTRACTOR_VERSION });
+    if (expected !== entries.size) {
+        const reconciled = await reconcileIds();
+        upserted += reconciled.added;
+        removed += reconciled.removed;
+    }
+
+    cacheState.syncedAt = latest;
+    cacheState.lastRefreshAt = new Date();
+    counters.refreshes++;
+    counters.upserts += upserted;
+    counters.removals += removed;
+    if (upserted > 0 || removed > 0) {
+        console.log(`🔁 Catalog cache refresh: ${upserted} updated, ${removed} removed`);
+    }
+
+    if (entries.size > cacheConfig.maxProducts) {
+        disableCache(`${entries.size} products exceed CATALOG_CACHE_MAX_PRODUCTS (${cacheConfig.maxProducts})`);
+    }
+};
+
+// Bring the cache up to date; a call during a refresh queues exactly one more run
+const refreshCatalogCache = () => {
+    if (!isCatalogCacheReady() && cacheState.status !== 'warming') return Promise.resolve();
+    if (activeRefresh) {
+        refreshPending = true;
+        return activeRefresh;
+    }
+
+    activeRefresh = runRefresh()
+        .catch(error => {
+            console.error('❌ Catalog cache refresh failed:', error.message);
+            cacheState.error = error.message;
+        })
+        .finally(() => {
+            activeRefresh = null;
+            if (refreshPending) {
+                refreshPending = false;
+                scheduleRefresh();
+            }
+        });
+    return activeRefresh;
+};
+
+// Coalesce bursts of writes (e.g. a seed run) into one refresh
+const scheduleRefresh = () => {
+    if (refreshTimer || !isCatalogCacheReady()) return;
+    refreshTimer = setTimeout(() => {
+        refreshTimer = null;
+        refreshCatalogCache();
+    }, cacheConfig.refreshDelayMs);
+    refreshTimer.unref();
+};
+
+const handleChange = ({ type, ids }) => {
+    counters.invalidations++;
+    if (!isCatalogCacheReady()) return;
+    // Deleted ids are known up front; dropping them now keeps them out of the next search
+    if (type === 'delete' && ids) ids.forEach(id => entries.delete(id));
+    scheduleRefresh();
+};
+
+productEvents.on('change', handleChange);
+
+const startPolling = (reason) => {
+    if (pollTimer) return;
+    if (cacheConfig.pollIntervalMs <= 0) {
+        console.warn(`⚠️ Change streams unavailable (${reason}) and CATALOG_CACHE_POLL_MS=0: only this process's writes refresh the catalog cache`);
+        return;
+    }
+    console.warn(`ℹ️ Change streams unavailable (${reason}), polling the catalog every ${cacheConfig.pollIntervalMs}ms`);
+    cacheState.changeFeed = 'polling';
+    pollTimer = setInterval(refreshCatalogCache, cacheConfig.pollIntervalMs);
+    pollTimer.unref();
+};
+
+// Change streams need a replica set; standalone servers fall back to polling
+const startChangeFeed = () => {
+    if (cacheState.changeFeed) return;
+    try {
+        const stream = Product.watch([], { batchSize: 100 });
+        cacheState.changeFeed = 'change-stream';
+        stream.on('change', change => {
+            handleChange({
+                type: change.operationType === 'delete' ? 'delete' : 'update',
+                ids: change.documentKey ? [String(change.documentKey._id)] : null
+            });
+        });
+        stream.on('error', error => {
+            stream.close().catch(() => {});
+            cacheState.changeFeed = null;
+            startPolling(error.message);
+        });
+    } catch (error) {
+        startPolling(error.message);
+    }
+};
+
+// Cached products, all of them or the given ids, optionally filtered by a predicate.
+// Returns null when the cache is not ready, so callers fall back to MongoDB.
+const getCachedProducts = ({ ids = null, predicate = null } = {}) => {
+    if (!isCatalogCacheReady()) {
+        counters.misses++;
+        return null;
+    }
+    counters.hits++;
+
+    const products = ids
+        ? ids.map(id => entries.get(String(id))).filter(Boolean)
+        : [...entries.values()];
+    return predicate ? products.filter(predicate) : products;
+};
+
+const getCatalogCacheStats = () => {
+    let vectorBytes = 0;
+    entries.forEach(entry => {
+        vectorBytes += entry.colorFeatures.byteLength + (entry.embedding ? entry.embedding.byteLength : 0);
+    });
+    const lookups = counters.hits + counters.misses;
+
+    return {
+        ...cacheState,
+        enabled: cacheConfig.enabled,
+        size: entries.size,
+        maxProducts: cacheConfig.maxProducts,
+        vectorBytes: vectorBytes,
+        ...counters,
+        hitRate: lookups > 0 ? counters.hits / lookups : null
+    };
+};
+
+module.exports = {
+    warmCatalogCache,
+    refreshCatalogCache,
+    getCachedProducts,
+    isCatalogCacheReady,
+    getCatalogCacheStats
+};
@@ -0,0 +1,199 @@
+const Product = require('../models/Product');
+const { downloadImage } = require('./imageProcessor');
+const { analyzeImageInPool, isQueueFullError } = require('./extractionPool');
+const { EXTRACTOR_VERSION } = require('./featureManifest');
+const { buildProductFeatureData } = require('./productFeatures');
+const { upsertAnnProduct } = require('./annIndex');
+
+// Background re-index of products whose stored vectors came from another extractor version,
+// or whose embedding came from another ONNX model.
+// Progress lives in the database itself: each product is stamped with the current
+// extractorVersion (and embeddingModel) when it is recomputed, so an interrupted run
+// resumes where it stopped.
+const reindexState = {
+    status: 'idle', // idle | running | stopping | stopped | completed | failed
+    extractorVersion: EXTRACTOR_VERSION,
+    total: 0,
+    processed: 0,
+    succeeded: 0,
+    failed: 0,
+    currentProduct: null,
+    startedAt: null,
+    finishedAt: null,
+    errors: []
+};
+
+let activeRun = null;
+let stopRequested = false;
+
+const MAX_RECORDED_ERRORS = 50;
+
+const getReindexStatus = () => ({
+    ...reindexState,
+    errors: [...reindexState.errors],
+    progress: reindexState.total > 0 ? reindexState.processed / reindexState.total : 0
+});
+
+const isReindexRunning = () => activeRun !== null;
+
+// Background work yields to uploads: wait for the extraction queue instead of failing
+const analyzeWhenPoolHasRoom = async (imageBuffer) => {
+    while (true) {
+        try {
+            return await analyzeImageInPool(imageBuffer);
+        } catch (error) {
+            if (!isQueueFullError(error) || stopRequested) throw error;
+            await new Promise(resolve => setTimeout(resolve, error.retryAfter * 1000));
+        }
+    }
+};
+
+// Recompute features for a single product and stamp it with the current version
+const reindexProduct = async (product) => {
+    const imageBuffer = await downloadImage(product.imageUrl);
+    const { features, metadata } = await analyzeWhenPoolHasRoom(imageBuffer);
+    const featureData = buildProductFeatureData(features, { analysis: metadata });
+
+    await Product.updateOne({ _id: product._id }, {
+        colorFeatures: featureData.colorFeatures,
+        visualFeatures: featureData.visualFeatures,
+        extractorVersion: featureData.extractorVersion,
+        featureLayout: featureData.featureLayout,
+        embedding: featureData.embedding,
+        embeddingModel: featureData.embeddingModel,
+        perceptualHashes: featureData.perceptualHashes,
+        'productMetadata.dominantColorNames': featureData.metadata.dominantColorNames,
+        'productMetadata.colorFamilies': featureData.metadata.colorFamilies,
+        'productMetadata.averageBrightness': featureData.metadata.averageBrightness,
+        'productMetadata.averageContrast': featureData.metadata.averageContrast,
+        'analysisQuality.imageProcessingSuccess': true,
+        'analysisQuality.featureExtractionScore': featureData.featureExtractionScore,
+        'analysisQuality.metrics': featureData.qualityMetrics,
+        'analysisQuality.warnings': featureData.qualityWarnings,
+        'analysisQuality.lastAnalyzed': new Date()
+    });
+    upsertAnnProduct(product._id, featureData.colorFeatures);
+};
+
+const runReindex = async (options = {}) => {
+    const {
+        batchSize = 10,
+        delayMs = 300,
+        onProgress = null
+    } = options;
+
+    const staleQuery = Product.reindexQuery();
+    const failedIds = [];
+
+    Object.assign(reindexState, {
+        status: 'running',
+        extractorVersion: EXTRACTOR_VERSION,
+        total: 0,
+        processed: 0,
+        succeeded: 0,
+        failed: 0,
+        currentProduct: null,
+        startedAt: new Date(),
+        finishedAt: null,
+        errors: []
+    });
+
+    try {
+        reindexState.total = await Product.countDocuments(staleQuery);
+        console.log(`🔄 Re-indexing ${reindexState.total} products to extractor version ${EXTRACTOR_VERSION}`);
+
+        while (!stopRequested) {
+            // Products that failed in this run are skipped so the loop terminates;
+            // they stay stale and will be retried by the next run
+            const batch = await Product.find({ ...staleQuery, _id: { $nin: failedIds } })
+                .select('name category imageUrl')
+                .sort({ _id: 1 })
+                .limit(batchSize);
+
+            if (batch.length === 0) break;
+
+            for (const product of batch) {
+                if (stopRequested) break;
+
+                reindexState.currentProduct = product.name;
+                try {
+                    await reindexProduct(product);
+                    reindexState.succeeded++;
+                } catch (error) {
+                    failedIds.push(product._id);
+                    reindexState.failed++;
+                    if (reindexState.errors.length < MAX_RECORDED_ERRORS) {
+                        reindexState.errors.push({ productId: product._id, name: product.name, error: error.message });
+                    }
+                    await Product.updateOne({ _id: product._id }, {
+                        'analysisQuality.imageProcessingSuccess': false,
+                        'analysisQuality.lastAnalyzed': new Date()
+                    });
+                    console.error(`❌ Failed to re-index ${product.name}:`, error.message);
+                }
+
+                reindexState.processed++;
+                if (onProgress) onProgress(getReindexStatus());
+
+                // Rate limiting for remote image hosts
+                if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        }
+
+        reindexState.status = stopRequested ? 'stopped' : 'completed';
+    } catch (error) {
+        console.error('💥 Re-index error:', error);
+        reindexState.status = 'failed';
+        reindexState.errors.push({ error: error.message });
+    } finally {
+        reindexState.currentProduct = null;
+        reindexState.finishedAt = new Date();
+        stopRequested = false;
+        activeRun = null;
+    }
+
+    console.log(`📊 Re-index ${reindexState.status}: ${reindexState.succeeded} updated, ${reindexState.failed} failed`);
+    return getReindexStatus();
+};
+
+// Start a re-index in the background; returns the existing run if one is active
+const startReindex = (options = {}) => {
+    if (!activeRun) {
+        activeRun = runReindex(options);
+    }
+    return activeRun;
+};
+
+// Ask the active run to stop after the current product; it can be resumed later
+const stopReindex = () => {
+    if (activeRun) {
+        stopRequested = true;
+        reindexState.status = 'stopping';
+    }
+    return getReindexStatus();
+};
+
+// Compare stored vectors (and embeddings) with the current extractor and optionally start re-indexing
+const checkExtractorVersion = async ({ autoReindex = true } = {}) => {
+    const staleCount = await Product.countDocuments(Product.reindexQuery());
+    if (staleCount === 0) {
+        console.log(`✅ All products match extractor version ${EXTRACTOR_VERSION}`);
+        return { staleCount, reindexStarted: false };
+    }
+
+    console.warn(`⚠️ ${staleCount} products have features or embeddings from an older extractor`);
+    if (autoReindex && !isReindexRunning()) {
+        startReindex().catch(error => console.error('💥 Background re-index failed:', error));
+        return { staleCount, reindexStarted: true };
+    }
+    return { staleCount, reindexStarted: false };
+};
+
+module.exports = {
+    runReindex,
+    startReindex,
+    stopReindex,
+    getReindexStatus,
+    isReindexRunning,
+    checkExtractorVersion
+};
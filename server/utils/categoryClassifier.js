@@ -0,0 +1,308 @@
+const Product = require('../models/Product');
+const { classifierConfig } = require('../config/search');
+const { EXTRACTOR_VERSION, FEATURE_MANIFEST } = require('./featureManifest');
+const { DEFAULT_WEIGHTING, applyWeighting } = require('./weightProfiles');
+const { getCachedProducts } = require('./catalogCache');
+const { productEvents } = require('./productEvents');
+
+// Category classifier trained from the labelled catalog. Each product's vector is
+// weighted with the default profile, centred on the catalog mean and normalised; a
+// category is represented by the mean of its products (its centroid), and a query's
+// cosine similarities to the centroids become probabilities through a softmax whose
+// temperature is fitted by leave-one-out log loss, so "0.8" means right about 80% of
+// the time on this catalog. Results are boosted towards the predicted category only
+// when its probability reaches classifierConfig.minConfidence.
+//
+// The model is trained on startup and retrained after catalog writes (debounced) and
+// on an interval for writes made by other processes.
+
+const dimensions = FEATURE_MANIFEST.totalLength;
+const TEMPERATURES = Array.from({ length: 41 }, (_, i) => 0.002 * Math.pow(10, i * 0.075)); // 0.002 .. 2
+const YIELD_EVERY = 500;
+
+const classifierState = {
+    status: 'idle', // idle | disabled | training | ready | insufficient-data | failed
+    trainedAt: null,
+    trainMs: null,
+    examples: 0,
+    categories: [],   // [{ category, examples }] for the categories the model predicts
+    skippedCategories: [], // Categories with fewer than classifierConfig.minExamples products
+    calibration: null, // { sample, temperature, accuracy, logLoss }
+    error: null
+};
+
+let model = null; // { mean, categories, centroids, temperature }
+let activeTraining = null;
+let retrainPending = false;
+let retrainTimer = null;
+let intervalTimer = null;
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+const dot = (a, b) => {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+};
+
+// Weighted vector, centred on the catalog mean and scaled to unit length; null when empty
+const toUnitVector = (features, mean) => {
+    const weighted = applyWeighting(features, DEFAULT_WEIGHTING);
+    const vector = new Float64Array(dimensions);
+    let squaredNorm = 0;
+    for (let i = 0; i < dimensions; i++) {
+        vector[i] = weighted[i] - mean[i];
+        squaredNorm += vector[i] * vector[i];
+    }
+    if (squaredNorm === 0) return null;
+    const norm = Math.sqrt(squaredNorm);
+    for (let i = 0; i < dimensions; i++) vector[i] /= norm;
+    return vector;
+};
+
+// Softmax of similarities / temperature, computed stably
+const softmax = (similarities, temperature) => {
+    const max = Math.max(...similarities);
+    const exponentials = similarities.map(similarity => Math.exp((similarity - max) / temperature));
+    const total = exponentials.reduce((sum, value) => sum + value, 0);
+    return exponentials.map(value => value / total);
+};
+
+// Labelled products of the current extractor version as [{ category, features }],
+// from the catalog cache when it is ready and otherwise streamed from MongoDB. Both
+// training passes read this one snapshot, so writes during training cannot make the
+// category counts and sums disagree.
+const loadTrainingProducts = async () => {
+    const cached = getCachedProducts();
+    const source = cached || Product.find({ extractorVersion: EXTRACTOR_VERSION })
+        .select('category colorFeatures')
+        .lean()
+        .cursor({ batchSize: 500 });
+    const products = [];
+    let count = 0;
+    for await (const product of source) {
+        if (product.category && product.colorFeatures && product.colorFeatures.length === dimensions) {
+            products.push({ category: product.category, features: product.colorFeatures });
+        }
+        if (++count % YIELD_EVERY === 0) await yieldToEventLoop();
+    }
+    return products;
+};
+
+// Run callback over the snapshot, yielding to the event loop between chunks
+const forEachTrainingProduct = async (products, callback) => {
+    for (let i = 0; i < products.length; i++) {
+        callback(products[i].category, products[i].features);
+        if ((i + 1) % YIELD_EVERY === 0) await yieldToEventLoop();
+    }
+};
+
+// Leave-one-out temperature fit: each sampled product is scored against the centroids
+// with itself removed from its own category, so calibration is not flattered by
+// products voting for themselves
+const calibrate = (sample, categories, sums) => {
+    const sumNorms = sums.map(sum => dot(sum, sum));
+    const rows = sample.map(({ label, vector }) => categories.map((category, c) => {
+        const projection = dot(vector, sums[c]);
+        if (c !== label) {
+            return sumNorms[c] > 0 ? projection / Math.sqrt(sumNorms[c]) : 0;
+        }
+        // |S - x|^2 = |S|^2 - 2 x.S + |x|^2, with |x| = 1
+        const remainderNorm = sumNorms[c] - 2 * projection + 1;
+        return remainderNorm > 1e-12 ? (projection - 1) / Math.sqrt(remainderNorm) : 0;
+    }));
+
+    let best = null;
+    TEMPERATURES.forEach(temperature => {
+        let logLoss = 0;
+        let correct = 0;
+        rows.forEach((similarities, i) => {
+            const probabilities = softmax(similarities, temperature);
+            const label = sample[i].label;
+            logLoss -= Math.log(Math.max(probabilities[label], 1e-12));
+            if (probabilities.indexOf(Math.max(...probabilities)) === label) correct++;
+        });
+        logLoss /= rows.length;
+        if (!best || logLoss < best.logLoss) {
+            best = { temperature, logLoss, accuracy: correct / rows.length };
+        }
+    });
+    return { sample: rows.length, ...best };
+};
+
+const runTraining = async () => {
+    const startedAt = Date.now();
+    classifierState.status = 'training';
+    classifierState.error = null;
+
+    const products = await loadTrainingProducts();
+
+    // Pass 1: catalog mean and category sizes
+    const mean = new Float64Array(dimensions);
+    const counts = new Map();
+    let examples = 0;
+    await forEachTrainingProduct(products, (category, features) => {
+        const weighted = applyWeighting(features, DEFAULT_WEIGHTING);
+        for (let i = 0; i < dimensions; i++) mean[i] += weighted[i];
+        counts.set(category, (counts.get(category) || 0) + 1);
+        examples++;
+    });
+    if (examples > 0) for (let i = 0; i < dimensions; i++) mean[i] /= examples;
+
+    const categories = [...counts.keys()].filter(category => counts.get(category) >= classifierConfig.minExamples).sort();
+    const skippedCategories = [...counts.keys()].filter(category => !categories.includes(category)).sort();
+    Object.assign(classifierState, {
+        examples,
+        categories: categories.map(category => ({ category, examples: counts.get(category) })),
+        skippedCategories
+    });
+
+    const markInsufficientData = (reason) => {
+        model = null;
+        classifierState.status = 'insufficient-data';
+        classifierState.calibration = null;
+        console.warn(`⚠️ Category classifier not trained: ${reason}`);
+    };
+
+    if (categories.length < 2) {
+        markInsufficientData(`needs 2+ categories with ${classifierConfig.minExamples}+ products, found ${categories.length}`);
+        return;
+    }
+
+    // Pass 2: per-category sums of unit vectors and a reservoir sample for calibration
+    const categoryIndex = new Map(categories.map((category, c) => [category, c]));
+    const sums = categories.map(() => new Float64Array(dimensions));
+    const sample = [];
+    let seen = 0;
+    await forEachTrainingProduct(products, (category, features) => {
+        const label = categoryIndex.get(category);
+        if (label === undefined) return;
+        const vector = toUnitVector(features, mean);
+        if (!vector) return;
+        for (let i = 0; i < dimensions; i++) sums[label][i] += vector[i];
+
+        seen++;
+        if (sample.length < classifierConfig.calibrationSample) {
+            sample.push({ label, vector });
+        } else {
+            const slot = Math.floor(Math.random() * seen);
+            if (slot < sample.length) sample[slot] = { label, vector };
+        }
+    });
+
+    // Every vector equal to the catalog mean leaves nothing to calibrate on
+    if (sample.length === 0) {
+        markInsufficientData('no product vector differs from the catalog mean');
+        return;
+    }
+
+    const calibration = calibrate(sample, categories, sums);
+    const centroids = sums.map(sum => {
+        const norm = Math.sqrt(dot(sum, sum));
+        return Float32Array.from(sum, value => (norm > 0 ? value / norm : 0));
+    });
+
+    model = { mean, categories, centroids, temperature: calibration.temperature };
+    Object.assign(classifierState, {
+        status: 'ready',
+        trainedAt: new Date(),
+        trainMs: Date.now() - startedAt,
+        calibration
+    });
+    console.log(`🏷️ Category classifier trained on ${examples} products, ${categories.length} categories in ${classifierState.trainMs}ms (leave-one-out accuracy ${(calibration.accuracy * 100).toFixed(1)}%)`);
+};
+
+// Train (or retrain) from the catalog; a call during training queues exactly one more run.
+// The previous model keeps answering until the new one is ready.
+const trainCategoryClassifier = () => {
+    if (!classifierConfig.enabled) {
+        classifierState.status = 'disabled';
+        return Promise.resolve(getCategoryClassifierStatus());
+    }
+    if (activeTraining) {
+        retrainPending = true;
+        return activeTraining.then(() => getCategoryClassifierStatus());
+    }
+
+    activeTraining = runTraining()
+        .catch(error => {
+            console.error('💥 Category classifier training failed:', error);
+            classifierState.status = model ? 'ready' : 'failed';
+            classifierState.error = error.message;
+        })
+        .finally(() => {
+            activeTraining = null;
+            if (retrainPending) {
+                retrainPending = false;
+                scheduleRetrain();
+            }
+        });
+    return activeTraining.then(() => getCategoryClassifierStatus());
+};
+
+// Coalesce bursts of catalog writes into one retraining
+const scheduleRetrain = () => {
+    if (retrainTimer || !classifierConfig.enabled) return;
+    retrainTimer = setTimeout(() => {
+        retrainTimer = null;
+        trainCategoryClassifier();
+    }, classifierConfig.retrainDelayMs);
+    retrainTimer.unref();
+};
+
+productEvents.on('change', () => {
+    if (classifierState.status !== 'idle' && classifierState.status !== 'disabled') scheduleRetrain();
+});
+
+// Train once connected and keep the model current
+const initCategoryClassifier = async () => {
+    const status = await trainCategoryClassifier();
+    if (classifierConfig.enabled && classifierConfig.retrainIntervalMs > 0 && !intervalTimer) {
+        intervalTimer = setInterval(trainCategoryClassifier, classifierConfig.retrainIntervalMs);
+        intervalTimer.unref();
+    }
+    return status;
+};
+
+// Ranked category distribution for a feature vector, or null without a trained model.
+// category is the top prediction only when its probability reaches minConfidence.
+const classifyCategory = (features, { minConfidence = classifierConfig.minConfidence } = {}) => {
+    if (!model || !features || features.length !== dimensions) return null;
+    const vector = toUnitVector(features, model.mean);
+    if (!vector) return null;
+
+    const similarities = model.centroids.map(centroid => dot(vector, centroid));
+    const probabilities = softmax(similarities, model.temperature);
+    const distribution = model.categories
+        .map((category, c) => ({ category, probability: probabilities[c], similarity: similarities[c] }))
+        .sort((a, b) => b.probability - a.probability);
+    const top = distribution[0];
+
+    return {
+        category: top.probability >= minConfidence ? top.category : null,
+        topCategory: top.category,
+        confidence: top.probability,
+        minConfidence,
+        distribution,
+        method: 'centroid'
+    };
+};
+
+const getCategoryClassifierStatus = () => ({
+    ...classifierState,
+    enabled: classifierConfig.enabled,
+    training: activeTraining !== null,
+    settings: {
+        minConfidence: classifierConfig.minConfidence,
+        minExamples: classifierConfig.minExamples,
+        calibrationSample: classifierConfig.calibrationSample,
+        retrainIntervalMs: classifierConfig.retrainIntervalMs
+    }
+});
+
+module.exports = {
+    initCategoryClassifier,
+    trainCategoryClassifier,
+    classifyCategory,
+    getCategoryClassifierStatus
+};
@@ -0,0 +1,205 @@
+const { rgbToLab, ciede2000 } = require('./colorScience');
+
+// Named-colour palette (CSS/X11 names plus common retail names), each assigned to one
+// of the ISCC-NBS style families below. Colours are named by their CIEDE2000 nearest
+// neighbour in CIELAB, so "navy" and "burgundy" come out where a shopper expects them.
+
+const COLOR_FAMILIES = [
+    'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple',
+    'pink', 'brown', 'beige', 'white', 'gray', 'black'
+];
+
+const NAMED_COLORS = [
+    // Neutrals
+    { name: 'black', hex: '#000000', family: 'black' },
+    { name: 'charcoal', hex: '#36454f', family: 'gray' },
+    { name: 'dimgray', hex: '#696969', family: 'gray' },
+    { name: 'gray', hex: '#808080', family: 'gray' },
+    { name: 'silver', hex: '#c0c0c0', family: 'gray' },
+    { name: 'lightgray', hex: '#d3d3d3', family: 'gray' },
+    { name: 'white', hex: '#ffffff', family: 'white' },
+    { name: 'ivory', hex: '#fffff0', family: 'white' },
+    { name: 'cream', hex: '#fffdd0', family: 'beige' },
+    { name: 'beige', hex: '#f5f5dc', family: 'beige' },
+    { name: 'wheat', hex: '#f5deb3', family: 'beige' },
+    { name: 'khaki', hex: '#c3b091', family: 'beige' },
+    { name: 'tan', hex: '#d2b48c', family: 'beige' },
+    // Browns
+    { name: 'camel', hex: '#c19a6b', family: 'brown' },
+    { name: 'chocolate', hex: '#d2691e', family: 'brown' },
+    { name: 'sienna', hex: '#a0522d', family: 'brown' },
+    { name: 'brown', hex: '#8b4513', family: 'brown' },
+    { name: 'chestnut', hex: '#954535', family: 'brown' },
+    { name: 'coffee', hex: '#6f4e37', family: 'brown' },
+    { name: 'darkbrown', hex: '#3d2b1f', family: 'brown' },
+    // Reds
+    { name: 'red', hex: '#ff0000', family: 'red' },
+    { name: 'scarlet', hex: '#ff2400', family: 'red' },
+    { name: 'tomato', hex: '#ff6347', family: 'red' },
+    { name: 'crimson', hex: '#dc143c', family: 'red' },
+    { name: 'brick', hex: '#b22222', family: 'red' },
+    { name: 'maroon', hex: '#800000', family: 'red' },
+    { name: 'burgundy', hex: '#800020', family: 'red' },
+    { name: 'wine', hex: '#722f37', family: 'red' },
+    // Oranges
+    { name: 'orange', hex: '#ffa500', family: 'orange' },
+    { name: 'darkorange', hex: '#ff8c00', family: 'orange' },
+    { name: 'amber', hex: '#ffbf00', family: 'orange' },
+    { name: 'coral', hex: '#ff7f50', family: 'orange' },
+    { name: 'terracotta', hex: '#e2725b', family: 'orange' },
+    { name: 'rust', hex: '#b7410e', family: 'orange' },
+    { name: 'peach', hex: '#ffcba4', family: 'orange' },
+    // Yellows
+    { name: 'yellow', hex: '#ffff00', family: 'yellow' },
+    { name: 'lemon', hex: '#fff44f', family: 'yellow' },
+    { name: 'gold', hex: '#ffd700', family: 'yellow' },
+    { name: 'mustard', hex: '#e1ad01', family: 'yellow' },
+    { name: 'lightyellow', hex: '#ffffe0', family: 'yellow' },
+    // Greens
+    { name: 'green', hex: '#008000', family: 'green' },
+    { name: 'darkgreen', hex: '#006400', family: 'green' },
+    { name: 'forestgreen', hex: '#228b22', family: 'green' },
+    { name: 'lime', hex: '#00ff00', family: 'green' },
+    { name: 'emerald', hex: '#50c878', family: 'green' },
+    { name: 'mint', hex: '#98ff98', family: 'green' },
+    { name: 'sage', hex: '#9caf88', family: 'green' },
+    { name: 'olive', hex: '#808000', family: 'green' },
+    { name: 'olivedrab', hex: '#556b2f', family: 'green' },
+    // Teals
+    { name: 'teal', hex: '#008080', family: 'teal' },
+    { name: 'turquoise', hex: '#40e0d0', family: 'teal' },
+    { name: 'cyan', hex: '#00ffff', family: 'teal' },
+    { name: 'aquamarine', hex: '#7fffd4', family: 'teal' },
+    // Blues
+    { name: 'blue', hex: '#0000ff', family: 'blue' },
+    { name: 'navy', hex: '#000080', family: 'blue' },
+    { name: 'cobalt', hex: '#0047ab', family: 'blue' },
+    { name: 'royalblue', hex: '#4169e1', family: 'blue' },
+    { name: 'denim', hex: '#1560bd', family: 'blue' },
+    { name: 'steelblue', hex: '#4682b4', family: 'blue' },
+    { name: 'skyblue', hex: '#87ceeb', family: 'blue' },
+    { name: 'lightblue', hex: '#add8e6', family: 'blue' },
+    { name: 'powderblue', hex: '#b0e0e6', family: 'blue' },
+    // Purples
+    { name: 'purple', hex: '#800080', family: 'purple' },
+    { name: 'indigo', hex: '#4b0082', family: 'purple' },
+    { name: 'eggplant', hex: '#614051', family: 'purple' },
+    { name: 'violet', hex: '#8f00ff', family: 'purple' },
+    { name: 'magenta', hex: '#ff00ff', family: 'purple' },
+    { name: 'plum', hex: '#dda0dd', family: 'purple' },
+    { name: 'lilac', hex: '#c8a2c8', family: 'purple' },
+    { name: 'lavender', hex: '#b57edc', family: 'purple' },
+    { name: 'mauve', hex: '#e0b0ff', family: 'purple' },
+    // Pinks
+    { name: 'pink', hex: '#ffc0cb', family: 'pink' },
+    { name: 'hotpink', hex: '#ff69b4', family: 'pink' },
+    { name: 'deeppink', hex: '#ff1493', family: 'pink' },
+    { name: 'rose', hex: '#ff007f', family: 'pink' },
+    { name: 'blush', hex: '#de5d83', family: 'pink' },
+    { name: 'salmon', hex: '#fa8072', family: 'pink' },
+    { name: 'dustyrose', hex: '#c08081', family: 'pink' }
+].map(color => {
+    const value = parseInt(color.hex.slice(1), 16);
+    return { ...color, lab: rgbToLab(value >> 16, (value >> 8) & 0xff, value & 0xff) };
+});
+
+// Spellings accepted in filters
+const COLOR_ALIASES = {
+    grey: 'gray',
+    dimgrey: 'dimgray',
+    lightgrey: 'lightgray',
+    aqua: 'cyan',
+    fuchsia: 'magenta',
+    oxblood: 'burgundy'
+};
+
+const MIN_NAMED_SHARE = 0.08; // Palette entries covering less of the object are not named
+
+// "Sky Blue", "sky-blue" and "skyblue" all mean the same colour
+const normalizeColorTerm = (term) => {
+    const compact = String(term).toLowerCase().replace(/[\s_-]+/g, '');
+    return COLOR_ALIASES[compact] || compact;
+};
+
+// Nearest named colour of a CIELAB value
+const nameLabColor = (lab) => {
+    let best = null;
+    let bestDistance = Infinity;
+    NAMED_COLORS.forEach(color => {
+        const distance = ciede2000(lab, color.lab);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = color;
+        }
+    });
+    return { name: best.name, family: best.family, hex: best.hex, distance: bestDistance };
+};
+
+// Names and families of a decoded Lab palette ({ lab, weight } entries), most
+// prominent first; entries below MIN_NAMED_SHARE are skipped
+const nameLabPalette = (palette) => {
+    const names = [];
+    const families = [];
+    const colors = [];
+
+    [...palette]
+        .filter(color => color.weight >= MIN_NAMED_SHARE)
+        .sort((a, b) => b.weight - a.weight)
+        .forEach(color => {
+            const named = nameLabColor(color.lab);
+            if (!names.includes(named.name)) names.push(named.name);
+            if (!families.includes(named.family)) families.push(named.family);
+            colors.push({ ...named, share: color.weight });
+        });
+
+    return { names, families, colors };
+};
+
+// Parse a colors filter ("navy,burgundy" or an array) into colour names and families.
+// Unknown terms are returned separately so routes can reject them.
+const parseColorFilter = (value) => {
+    const terms = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(normalizeColorTerm)
+        .filter(Boolean);
+
+    const names = [];
+    const families = [];
+    const unknown = [];
+    terms.forEach(term => {
+        if (COLOR_FAMILIES.includes(term)) families.push(term);
+        else if (NAMED_COLORS.some(color => color.name === term)) names.push(term);
+        else unknown.push(term);
+    });
+
+    return { names, families, unknown, isEmpty: terms.length === 0 };
+};
+
+// MongoDB condition matching products with any of the requested names or families
+const buildColorQuery = ({ names, families }) => ({
+    $or: [
+        { 'productMetadata.dominantColorNames': { $in: names } },
+        { 'productMetadata.colorFamilies': { $in: families } }
+    ]
+});
+
+// Same test as buildColorQuery for products already in memory
+const matchesColorFilter = (product, { names, families }) => {
+    const metadata = product.productMetadata || {};
+    return (metadata.dominantColorNames || []).some(name => names.includes(name)) ||
+        (metadata.colorFamilies || []).some(family => families.includes(family));
+};
+
+const getColorVocabulary = () => ({
+    families: COLOR_FAMILIES,
+    names: NAMED_COLORS.map(({ name, family, hex }) => ({ name, family, hex }))
+});
+
+module.exports = {
+    COLOR_FAMILIES,
+    nameLabColor,
+    nameLabPalette,
+    parseColorFilter,
+    buildColorQuery,
+    matchesColorFilter,
+    getColorVocabulary
+};
@@ -0,0 +1,142 @@
+// Perceptual colour helpers: sRGB -> CIELAB (D65) conversion, CIEDE2000 colour
+// difference and an earth-mover style distance between weighted palettes.
+
+// D65 reference white
+const REF_X = 95.047, REF_Y = 100.0, REF_Z = 108.883;
+
+const srgbToLinear = (channel) => {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+// r, g, b in 0-255 -> [L, a, b]
+const rgbToLab = (r, g, b) => {
+    const lr = srgbToLinear(r), lg = srgbToLinear(g), lb = srgbToLinear(b);
+
+    const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) * 100;
+    const y = (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750) * 100;
+    const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) * 100;
+
+    const f = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+    const fx = f(x / REF_X), fy = f(y / REF_Y), fz = f(z / REF_Z);
+
+    return [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+};
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const toDegrees = (radians) => radians * 180 / Math.PI;
+
+// CIEDE2000 colour difference (Sharma et al. 2005), kL = kC = kH = 1
+const ciede2000 = ([L1, a1, b1], [L2, a2, b2]) => {
+    const C1 = Math.sqrt(a1 * a1 + b1 * b1);
+    const C2 = Math.sqrt(a2 * a2 + b2 * b2);
+    const Cbar = (C1 + C2) / 2;
+    const G = 0.5 * (1 - Math.sqrt(Math.pow(Cbar, 7) / (Math.pow(Cbar, 7) + Math.pow(25, 7))));
+
+    const a1p = (1 + G) * a1;
+    const a2p = (1 + G) * a2;
+    const C1p = Math.sqrt(a1p * a1p + b1 * b1);
+    const C2p = Math.sqrt(a2p * a2p + b2 * b2);
+
+    const hueAngle = (b, ap) => {
+        if (b === 0 && ap === 0) return 0;
+        const h = toDegrees(Math.atan2(b, ap));
+        return h >= 0 ? h : h + 360;
+    };
+    const h1p = hueAngle(b1, a1p);
+    const h2p = hueAngle(b2, a2p);
+
+    const dLp = L2 - L1;
+    const dCp = C2p - C1p;
+
+    let dhp = 0;
+    if (C1p * C2p !== 0) {
+        dhp = h2p - h1p;
+        if (dhp > 180) dhp -= 360;
+        else if (dhp < -180) dhp += 360;
+    }
+    const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(toRadians(dhp / 2));
+
+    const Lbarp = (L1 + L2) / 2;
+    const Cbarp = (C1p + C2p) / 2;
+
+    let hbarp = h1p + h2p;
+    if (C1p * C2p !== 0) {
+        if (Math.abs(h1p - h2p) <= 180) hbarp = (h1p + h2p) / 2;
+        else if (h1p + h2p < 360) hbarp = (h1p + h2p + 360) / 2;
+        else hbarp = (h1p + h2p - 360) / 2;
+    }
+
+    const T = 1 -
+        0.17 * Math.cos(toRadians(hbarp - 30)) +
+        0.24 * Math.cos(toRadians(2 * hbarp)) +
+        0.32 * Math.cos(toRadians(3 * hbarp + 6)) -
+        0.20 * Math.cos(toRadians(4 * hbarp - 63));
+
+    const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+    const RC = 2 * Math.sqrt(Math.pow(Cbarp, 7) / (Math.pow(Cbarp, 7) + Math.pow(25, 7)));
+    const SL = 1 + (0.015 * Math.pow(Lbarp - 50, 2)) / Math.sqrt(20 + Math.pow(Lbarp - 50, 2));
+    const SC = 1 + 0.045 * Cbarp;
+    const SH = 1 + 0.015 * Cbarp * T;
+    const RT = -Math.sin(toRadians(2 * dTheta)) * RC;
+
+    return Math.sqrt(
+        Math.pow(dLp / SL, 2) +
+        Math.pow(dCp / SC, 2) +
+        Math.pow(dHp / SH, 2) +
+        RT * (dCp / SC) * (dHp / SH)
+    );
+};
+
+// Earth-mover style distance between palettes of { lab, weight } entries.
+// Mass is moved greedily along the cheapest CIEDE2000 pairs first, which is
+// exact for most small palettes and a close upper bound otherwise.
+const paletteDistance = (paletteA, paletteB) => {
+    const normalize = (palette) => {
+        const total = palette.reduce((sum, color) => sum + Math.max(0, color.weight), 0);
+        return total > 0
+            ? palette.map(color => ({ lab: color.lab, weight: Math.max(0, color.weight) / total }))
+            : palette.map(color => ({ lab: color.lab, weight: 1 / palette.length }));
+    };
+
+    if (!paletteA.length || !paletteB.length) return null;
+
+    const supply = normalize(paletteA);
+    const demand = normalize(paletteB);
+
+    const pairs = [];
+    supply.forEach((from, i) => {
+        demand.forEach((to, j) => {
+            pairs.push({ i, j, distance: ciede2000(from.lab, to.lab) });
+        });
+    });
+    pairs.sort((a, b) => a.distance - b.distance);
+
+    const remainingSupply = supply.map(color => color.weight);
+    const remainingDemand = demand.map(color => color.weight);
+    let cost = 0;
+
+    pairs.forEach(({ i, j, distance }) => {
+        const flow = Math.min(remainingSupply[i], remainingDemand[j]);
+        if (flow <= 0) return;
+        cost += flow * distance;
+        remainingSupply[i] -= flow;
+        remainingDemand[j] -= flow;
+    });
+
+    return cost;
+};
+
+// Map a palette distance (average ΔE00) to a 0-1 similarity
+const PALETTE_DISTANCE_SCALE = 25;
+const paletteSimilarity = (paletteA, paletteB) => {
+    const distance = paletteDistance(paletteA, paletteB);
+    return distance === null ? null : Math.exp(-distance / PALETTE_DISTANCE_SCALE);
+};
+
+module.exports = {
+    rgbToLab,
+    ciede2000,
+    paletteDistance,
+    paletteSimilarity
+};
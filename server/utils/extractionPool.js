@@ -0,0 +1,236 @@
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { analyzeImage, downloadImage } = require('./imageProcessor');
+
+// Bounded pool of worker threads running feature extraction, so CPU-heavy analysis
+// (Sobel, LBP, moments, k-means...) never blocks the Express event loop.
+// Jobs wait in a bounded queue; when it is full new jobs are rejected right away with
+// error.code EXTRACTION_QUEUE_FULL and error.retryAfter (seconds) for HTTP 503 responses.
+// A job running longer than the timeout fails with EXTRACTION_TIMEOUT (also carrying
+// retryAfter) and its worker is replaced, since a busy worker cannot be interrupted.
+// A job whose worker crashes fails with EXTRACTION_WORKER_CRASHED.
+
+const readInt = (name, defaultValue) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+};
+
+const poolConfig = {
+    size: readInt('EXTRACTION_WORKERS', Math.max(1, os.cpus().length - 1)), // 0 = extract on the main thread
+    maxQueue: readInt('EXTRACTION_QUEUE_SIZE', 20),                        // Jobs waiting for a worker
+    timeoutMs: readInt('EXTRACTION_TIMEOUT_MS', 30000)                     // Per-job limit
+};
+
+const WORKER_SCRIPT = path.join(__dirname, 'extractionWorker.js');
+const QUEUE_FULL = 'EXTRACTION_QUEUE_FULL';
+const TIMEOUT = 'EXTRACTION_TIMEOUT';
+const WORKER_CRASHED = 'EXTRACTION_WORKER_CRASHED';
+
+const workers = [];
+const queue = [];
+const stats = {
+    completed: 0,
+    failed: 0,
+    timedOut: 0,
+    rejected: 0,
+    averageJobMs: 1000
+};
+let nextJobId = 1;
+let startupFailed = false;
+
+const createPoolError = (code, message, extra = {}) => {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, extra);
+    return error;
+};
+
+const isQueueFullError = (error) => Boolean(error && error.code === QUEUE_FULL);
+const isExtractionTimeoutError = (error) => Boolean(error && error.code === TIMEOUT);
+
+// Rough wait before a slot frees up, from the queue length and recent job durations
+const estimateRetryAfter = () => {
+    const workerCount = Math.max(1, poolConfig.size);
+    const waitMs = ((queue.length / workerCount) + 1) * stats.averageJobMs;
+    return Math.max(1, Math.ceil(waitMs / 1000));
+};
+
+const recordDuration = (startedAt) => {
+    stats.averageJobMs = stats.averageJobMs * 0.8 + (Date.now() - startedAt) * 0.2;
+};
+
+const spawnWorker = () => {
+    const worker = new Worker(WORKER_SCRIPT);
+    const slot = { worker, job: null, timer: null, ready: false };
+
+    worker.on('message', ({ id, result, error, ready }) => {
+        if (ready) {
+            slot.ready = true;
+            return;
+        }
+
+        const { job } = slot;
+        if (!job || job.id !== id) return;
+        finishJob(slot);
+
+        if (error) {
+            stats.failed++;
+            job.reject(error.code ? createPoolError(error.code, error.message) : new Error(error.message));
+        } else {
+            stats.completed++;
+            job.resolve(result);
+        }
+    });
+
+    // A crashed worker fails its job and is replaced
+    const handleCrash = (error) => {
+        if (!workers.includes(slot)) return;
+        console.error('💥 Extraction worker crashed:', error.message);
+
+        const { job } = slot;
+        if (job) finishJob(slot);
+
+        // Workers that cannot even load the extractors would crash forever;
+        // extract on the main thread instead
+        if (!slot.ready) {
+            startupFailed = true;
+            console.error('⚠️ Extraction workers failed to start, extracting on the main thread');
+            workers.splice(workers.indexOf(slot), 1);
+            const pending = job ? [job, ...queue.splice(0)] : queue.splice(0);
+            pending.forEach(queued => analyzeImage(queued.buffer, queued.options).then(queued.resolve, queued.reject));
+            return;
+        }
+
+        if (job) {
+            stats.failed++;
+            job.reject(createPoolError(WORKER_CRASHED, `Feature extraction failed: ${error.message}`));
+        }
+        replaceWorker(slot);
+    };
+
+    worker.on('error', handleCrash);
+    worker.on('exit', (code) => handleCrash(new Error(`Extraction worker exited with code ${code}`)));
+
+    // Idle workers don't keep scripts (seed, re-index) alive
+    worker.unref();
+    workers.push(slot);
+    return slot;
+};
+
+const replaceWorker = (slot) => {
+    const index = workers.indexOf(slot);
+    if (index === -1) return;
+    workers.splice(index, 1);
+    slot.worker.terminate().catch(() => {});
+    spawnWorker();
+    dispatch();
+};
+
+const finishJob = (slot) => {
+    clearTimeout(slot.timer);
+    recordDuration(slot.job.startedAt);
+    slot.job = null;
+    slot.timer = null;
+    slot.worker.unref();
+    // Hand the next queued job to the now idle worker
+    setImmediate(dispatch);
+};
+
+const runOnWorker = (slot, job) => {
+    slot.job = job;
+    job.startedAt = Date.now();
+    slot.worker.ref();
+
+    slot.timer = setTimeout(() => {
+        if (slot.job !== job) return;
+        console.error(`⏱️ Extraction job ${job.id} exceeded ${poolConfig.timeoutMs}ms, restarting worker`);
+        slot.job = null;
+        stats.timedOut++;
+        job.reject(createPoolError(TIMEOUT, `Feature extraction timed out after ${poolConfig.timeoutMs}ms`, {
+            retryAfter: estimateRetryAfter()
+        }));
+        replaceWorker(slot);
+    }, poolConfig.timeoutMs);
+
+    // Copy into a standalone ArrayBuffer so it can be transferred without cloning
+    const arrayBuffer = job.buffer.buffer.slice(job.buffer.byteOffset, job.buffer.byteOffset + job.buffer.byteLength);
+    slot.worker.postMessage({ id: job.id, buffer: arrayBuffer, options: job.options }, [arrayBuffer]);
+};
+
+const dispatch = () => {
+    while (queue.length > 0) {
+        const idle = workers.find(slot => !slot.job);
+        if (!idle) return;
+        runOnWorker(idle, queue.shift());
+    }
+};
+
+const ensureWorkers = () => {
+    while (workers.length < poolConfig.size) spawnWorker();
+};
+
+// Throw EXTRACTION_QUEUE_FULL when a new job would be rejected; lets routes refuse
+// work before doing anything expensive (e.g. uploading to Cloudinary)
+const assertExtractionCapacity = () => {
+    if (poolConfig.size > 0 && !startupFailed && queue.length >= poolConfig.maxQueue) {
+        stats.rejected++;
+        throw createPoolError(QUEUE_FULL, 'Feature extraction queue is full', { retryAfter: estimateRetryAfter() });
+    }
+};
+
+// Pool-backed analyzeImage: same arguments and result
+const analyzeImageInPool = async (imageBuffer, options = {}) => {
+    if (poolConfig.size <= 0 || startupFailed) return analyzeImage(imageBuffer, options);
+
+    ensureWorkers();
+    assertExtractionCapacity();
+
+    return new Promise((resolve, reject) => {
+        queue.push({ id: nextJobId++, buffer: imageBuffer, options, resolve, reject });
+        dispatch();
+    });
+};
+
+// URL variant - downloads on the main thread (I/O only), then extracts in the pool
+const analyzeImageFromUrlInPool = async (imageUrl, options = {}) => {
+    const imageBuffer = await downloadImage(imageUrl);
+    console.log(`📊 Extracting advanced features...`);
+    return analyzeImageInPool(imageBuffer, options);
+};
+
+const getExtractionPoolStats = () => ({
+    mode: poolConfig.size > 0 && !startupFailed ? 'workers' : 'main-thread',
+    workers: workers.length,
+    busy: workers.filter(slot => slot.job).length,
+    queued: queue.length,
+    maxQueue: poolConfig.maxQueue,
+    timeoutMs: poolConfig.timeoutMs,
+    completed: stats.completed,
+    failed: stats.failed,
+    timedOut: stats.timedOut,
+    rejected: stats.rejected,
+    averageJobMs: Math.round(stats.averageJobMs)
+});
+
+// Terminate all workers; queued jobs are rejected
+const shutdownExtractionPool = async () => {
+    queue.splice(0).forEach(job => job.reject(new Error('Extraction pool shut down')));
+    const slots = workers.splice(0);
+    await Promise.all(slots.map(slot => {
+        clearTimeout(slot.timer);
+        if (slot.job) slot.job.reject(new Error('Extraction pool shut down'));
+        return slot.worker.terminate();
+    }));
+};
+
+module.exports = {
+    poolConfig,
+    analyzeImageInPool,
+    analyzeImageFromUrlInPool,
+    assertExtractionCapacity,
+    isQueueFullError,
+    isExtractionTimeoutError,
+    getExtractionPoolStats,
+    shutdownExtractionPool
+};
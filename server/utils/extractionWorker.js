@@ -0,0 +1,16 @@
+const { parentPort } = require('worker_threads');
+const { analyzeImage } = require('./imageProcessor');
+
+// Worker thread entry point: runs analyzeImage off the main event loop.
+// Messages are { id, buffer, options }; replies are { id, result } or { id, error }.
+parentPort.on('message', async ({ id, buffer, options }) => {
+    try {
+        const result = await analyzeImage(Buffer.from(buffer), options);
+        parentPort.postMessage({ id, result });
+    } catch (error) {
+        parentPort.postMessage({ id, error: { message: error.message, code: error.code } });
+    }
+});
+
+// Modules loaded - the pool only counts this worker as started from here
+parentPort.postMessage({ ready: true });
@@ -0,0 +1,118 @@
+const { spatialPyramidConfig, isSpatialPyramidEnabled, describeFeatureConfig } = require('../config/features');
+const { freezeRegistry, describeCustomExtractors } = require('./featureRegistry');
+
+// Feature vector layout shared by the extractor and every consumer of stored vectors.
+// Stored vectors are unweighted; group weights are defaults applied at query time
+// (see weightProfiles.js).
+// Bump EXTRACTOR_CODE_VERSION whenever bins, group order or the per-product
+// analysis stored alongside the vector change, so that stored products can be
+// told apart from freshly extracted ones and re-indexed. Deployment settings from
+// config/features.js and plugin extractor signatures are appended so that changing
+// them has the same effect.
+const EXTRACTOR_CODE_VERSION = '3.0.0';
+
+// Ordered feature groups as they appear in the combined vector, one per registered
+// extractor (see featureRegistry.js). Group names match the keys of Product.visualFeatures.
+// metric is the group's recommended similarity metric (query-time only, like weight).
+const FEATURE_GROUPS = freezeRegistry().map(({ name, length, weight, featureType, metric, pyramid }) => {
+    const group = { name, length, weight, featureType };
+    if (metric) group.metric = metric;
+    if (pyramid) group.pyramid = pyramid;
+    return group;
+});
+
+const EXTRACTOR_VERSION = `${EXTRACTOR_CODE_VERSION}+${describeFeatureConfig()}${describeCustomExtractors()}`;
+
+// Build the manifest with explicit offsets for each group
+const buildFeatureManifest = (groups = FEATURE_GROUPS, version = EXTRACTOR_VERSION) => {
+    let offset = 0;
+    const manifestGroups = groups.map(group => {
+        const entry = { ...group, offset };
+        offset += group.length;
+        return entry;
+    });
+
+    return {
+        version,
+        totalLength: offset,
+        groups: manifestGroups,
+        spatialPyramid: {
+            enabled: manifestGroups.some(group => group.pyramid),
+            levels: isSpatialPyramidEnabled() ? spatialPyramidConfig.levels : [1]
+        }
+    };
+};
+
+const FEATURE_MANIFEST = buildFeatureManifest();
+
+const getFeatureGroup = (name, manifest = FEATURE_MANIFEST) => {
+    return manifest.groups.find(group => group.name === name) || null;
+};
+
+// Split a combined vector into per-group vectors
+const splitFeatureVector = (vector, manifest = FEATURE_MANIFEST) => {
+    if (!vector || vector.length !== manifest.totalLength) {
+        throw new Error(
+            `Feature vector length ${vector ? vector.length : 0} does not match manifest ${manifest.version} (${manifest.totalLength})`
+        );
+    }
+
+    const groups = {};
+    manifest.groups.forEach(({ name, offset, length }) => {
+        groups[name] = Array.from(vector.slice(offset, offset + length));
+    });
+    return groups;
+};
+
+// Concatenate per-group vectors into a combined vector in manifest order
+const assembleFeatureVector = (groups, manifest = FEATURE_MANIFEST) => {
+    const combined = [];
+    manifest.groups.forEach(({ name, length }) => {
+        const groupVector = groups[name];
+        if (!groupVector || groupVector.length !== length) {
+            throw new Error(
+                `Feature group "${name}" has length ${groupVector ? groupVector.length : 0}, expected ${length}`
+            );
+        }
+        groupVector.forEach(val => combined.push(val));
+    });
+    return combined;
+};
+
+// Placeholder vector used when extraction fails, sized from the manifest
+const createFallbackVector = (manifest = FEATURE_MANIFEST, value = 0.001) => {
+    return new Array(manifest.totalLength).fill(value);
+};
+
+// Serializable description of the layout for API responses
+const describeManifest = (manifest = FEATURE_MANIFEST) => ({
+    version: manifest.version,
+    totalLength: manifest.totalLength,
+    spatialPyramid: manifest.spatialPyramid,
+    featureTypes: getFeatureTypes(manifest),
+    groups: manifest.groups.map(({ name, offset, length, weight, featureType, metric, pyramid }) => {
+        const group = { name, offset, length, weight, featureType };
+        if (metric) group.metric = metric;
+        if (pyramid) group.pyramid = pyramid;
+        return group;
+    })
+});
+
+// Distinct coarse feature labels (color, edge, texture...) in vector order
+const getFeatureTypes = (manifest = FEATURE_MANIFEST) => {
+    return [...new Set(manifest.groups.map(group => group.featureType || group.name))];
+};
+
+module.exports = {
+    EXTRACTOR_CODE_VERSION,
+    EXTRACTOR_VERSION,
+    FEATURE_GROUPS,
+    FEATURE_MANIFEST,
+    buildFeatureManifest,
+    getFeatureGroup,
+    splitFeatureVector,
+    assembleFeatureVector,
+    createFallbackVector,
+    describeManifest,
+    getFeatureTypes
+};
@@ -0,0 +1,262 @@
+const { FEATURE_MANIFEST } = require('./featureManifest');
+const { metricConfig } = require('../config/search');
+
+// Per-group similarity metrics. By default every group is compared by the "blend"
+// (cosine, inverse Euclidean and correlation over the concatenated weighted vector);
+// a metric configuration can take groups out of that blend and compare them with a
+// histogram distance instead. Such groups contribute their similarity in proportion
+// to their weight, and the blended groups together count with the sum of theirs.
+//
+// Histogram metrics normalise both sides to unit mass (negative values count as 0)
+// and return null when both are empty, which leaves the group out of the score.
+
+const toDistribution = (values) => {
+    let total = 0;
+    for (let i = 0; i < values.length; i++) total += Math.max(0, values[i]);
+    if (total === 0) return null;
+    return Float64Array.from(values, value => Math.max(0, value) / total);
+};
+
+// Both histograms as distributions; null when both are empty, 0 when only one is
+const histogramPair = (a, b, compare) => {
+    const p = toDistribution(a);
+    const q = toDistribution(b);
+    if (!p && !q) return null;
+    if (!p || !q) return 0;
+    return compare(p, q);
+};
+
+const cosineSimilarity = (a, b) => {
+    let dot = 0, normA = 0, normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return Math.max(0, dot / Math.sqrt(normA * normB));
+};
+
+const l2Similarity = (a, b) => {
+    let squaredSum = 0;
+    for (let i = 0; i < a.length; i++) squaredSum += (a[i] - b[i]) * (a[i] - b[i]);
+    return 1 / (1 + Math.sqrt(squaredSum));
+};
+
+const correlationSimilarity = (a, b) => {
+    const n = a.length;
+    let meanA = 0, meanB = 0;
+    for (let i = 0; i < n; i++) {
+        meanA += a[i] / n;
+        meanB += b[i] / n;
+    }
+    let covariance = 0, varianceA = 0, varianceB = 0;
+    for (let i = 0; i < n; i++) {
+        covariance += (a[i] - meanA) * (b[i] - meanB);
+        varianceA += (a[i] - meanA) * (a[i] - meanA);
+        varianceB += (b[i] - meanB) * (b[i] - meanB);
+    }
+    const denominator = Math.sqrt(varianceA * varianceB);
+    return denominator === 0 ? 0 : Math.abs(covariance / denominator);
+};
+
+const METRICS = {
+    blend: {
+        description: 'Cosine 50%, inverse Euclidean 30%, absolute correlation 20%',
+        histogram: false,
+        similarity: (a, b) => Math.max(0, Math.min(1,
+            cosineSimilarity(a, b) * 0.5 + l2Similarity(a, b) * 0.3 + correlationSimilarity(a, b) * 0.2
+        ))
+    },
+    cosine: {
+        description: 'Cosine of the angle between the vectors',
+        histogram: false,
+        similarity: cosineSimilarity
+    },
+    l2: {
+        description: '1 / (1 + Euclidean distance), for moments and other unnormalised values',
+        histogram: false,
+        similarity: l2Similarity
+    },
+    'chi-square': {
+        description: '1 - chi-square distance 0.5 * sum((p - q)^2 / (p + q))',
+        histogram: true,
+        similarity: (a, b) => histogramPair(a, b, (p, q) => {
+            let distance = 0;
+            for (let i = 0; i < p.length; i++) {
+                const sum = p[i] + q[i];
+                if (sum > 0) distance += (p[i] - q[i]) * (p[i] - q[i]) / sum;
+            }
+            return Math.max(0, 1 - distance / 2);
+        })
+    },
+    bhattacharyya: {
+        description: '1 - Bhattacharyya (Hellinger) distance sqrt(1 - sum(sqrt(p * q)))',
+        histogram: true,
+        similarity: (a, b) => histogramPair(a, b, (p, q) => {
+            let coefficient = 0;
+            for (let i = 0; i < p.length; i++) coefficient += Math.sqrt(p[i] * q[i]);
+            return 1 - Math.sqrt(Math.max(0, 1 - coefficient));
+        })
+    },
+    intersection: {
+        description: 'Histogram intersection sum(min(p, q))',
+        histogram: true,
+        similarity: (a, b) => histogramPair(a, b, (p, q) => {
+            let overlap = 0;
+            for (let i = 0; i < p.length; i++) overlap += Math.min(p[i], q[i]);
+            return overlap;
+        })
+    },
+    emd: {
+        description: "1 - earth mover's distance over ordered bins, normalised by the bin count",
+        histogram: true,
+        similarity: (a, b) => histogramPair(a, b, (p, q) => {
+            if (p.length < 2) return 1;
+            let carried = 0;
+            let work = 0;
+            for (let i = 0; i < p.length - 1; i++) {
+                carried += p[i] - q[i];
+                work += Math.abs(carried);
+            }
+            return Math.max(0, 1 - work / (p.length - 1));
+        })
+    }
+};
+
+const METRIC_PRESETS = {
+    blend: {
+        description: 'Every group in the cosine/Euclidean/correlation blend',
+        metricFor: () => 'blend'
+    },
+    recommended: {
+        description: "Each group's declared metric, e.g. Bhattacharyya for the HSV histogram and L2 for shape moments",
+        metricFor: (group) => group.metric || 'blend'
+    }
+};
+
+const createInvalidMetricsError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_METRICS';
+    return error;
+};
+
+const isInvalidMetricsError = (error) => Boolean(error && error.code === 'INVALID_METRICS');
+
+// Overrides arrive as an object (JSON bodies) or a JSON string (multipart forms, env)
+const parseMetricOverrides = (metrics) => {
+    if (metrics === undefined || metrics === null || metrics === '') return {};
+    if (typeof metrics === 'string') {
+        try {
+            return parseMetricOverrides(JSON.parse(metrics));
+        } catch (error) {
+            throw createInvalidMetricsError('metrics must be a JSON object mapping groups or feature types to metrics');
+        }
+    }
+    if (typeof metrics !== 'object' || Array.isArray(metrics)) {
+        throw createInvalidMetricsError('metrics must be an object mapping groups or feature types to metrics');
+    }
+    return metrics;
+};
+
+// Metric and preset names come from requests; "toString" and friends must not resolve
+// through Object.prototype
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const isKnownMetric = (metric) => typeof metric === 'string' && hasOwn(METRICS, metric);
+
+// Resolve a preset plus optional overrides into { preset, custom, groupMetrics }.
+// Override keys are group names, feature types or "default" (every other group);
+// group names win over feature types, which win over the default. baseMetrics (group
+// name -> metric) replaces the preset's choices, for overrides on top of a resolved
+// default. Throws INVALID_METRICS.
+const resolveMetrics = ({ preset = metricConfig.preset, metrics, baseMetrics = null } = {}, manifest = FEATURE_MANIFEST) => {
+    const presetName = preset || metricConfig.preset;
+    const presetDefinition = hasOwn(METRIC_PRESETS, presetName) ? METRIC_PRESETS[presetName] : null;
+    if (!presetDefinition) {
+        throw createInvalidMetricsError(
+            `Unknown metric preset "${presetName}". Valid presets: ${Object.keys(METRIC_PRESETS).join(', ')}`
+        );
+    }
+
+    const overrides = parseMetricOverrides(metrics);
+    const groupNames = manifest.groups.map(group => group.name);
+    const featureTypes = manifest.groups.map(group => group.featureType);
+    Object.entries(overrides).forEach(([key, metric]) => {
+        if (key !== 'default' && !groupNames.includes(key) && !featureTypes.includes(key)) {
+            throw createInvalidMetricsError(
+                `Unknown metric key "${key}". Use "default", a feature group (${groupNames.join(', ')}) or feature type (${[...new Set(featureTypes)].join(', ')})`
+            );
+        }
+        if (!isKnownMetric(metric)) {
+            throw createInvalidMetricsError(`Unknown metric "${metric}" for "${key}". Valid metrics: ${Object.keys(METRICS).join(', ')}`);
+        }
+    });
+
+    const groupMetrics = {};
+    manifest.groups.forEach(group => {
+        let metric = baseMetrics && hasOwn(baseMetrics, group.name) ? baseMetrics[group.name] : presetDefinition.metricFor(group);
+        if (hasOwn(overrides, 'default')) metric = overrides.default;
+        if (hasOwn(overrides, group.featureType)) metric = overrides[group.featureType];
+        if (hasOwn(overrides, group.name)) metric = overrides[group.name];
+        if (!isKnownMetric(metric)) {
+            throw createInvalidMetricsError(`Feature group "${group.name}" declares unknown metric "${metric}"`);
+        }
+        groupMetrics[group.name] = metric;
+    });
+
+    return {
+        preset: presetName,
+        custom: Object.keys(overrides).length > 0,
+        groupMetrics,
+        manifestVersion: manifest.version
+    };
+};
+
+// Deployment default from FEATURE_METRIC_PRESET / FEATURE_METRICS; invalid settings fail at startup
+const DEFAULT_METRICS = resolveMetrics({ preset: metricConfig.preset, metrics: metricConfig.overrides });
+
+// Metrics for a request: the deployment default unless it names a preset or overrides.
+// Overrides without a preset apply on top of the deployment default, FEATURE_METRICS
+// included; naming a preset starts from that preset alone.
+const resolveRequestMetrics = ({ preset, metrics } = {}) => {
+    const hasOverrides = metrics !== undefined && metrics !== null && metrics !== '';
+    if (!preset && !hasOverrides) return DEFAULT_METRICS;
+    if (!preset) {
+        return resolveMetrics({ preset: DEFAULT_METRICS.preset, metrics, baseMetrics: DEFAULT_METRICS.groupMetrics });
+    }
+    return resolveMetrics({ preset, metrics });
+};
+
+// Similarity of two slices of one group under a metric (null when it has nothing to say)
+const calculateMetricSimilarity = (metric, a, b) => METRICS[metric].similarity(a, b);
+
+// Serializable summary for API responses
+const describeMetrics = (metrics = DEFAULT_METRICS) => ({
+    preset: metrics.preset,
+    custom: metrics.custom,
+    groupMetrics: metrics.groupMetrics
+});
+
+// Metrics and presets with their resolved group metrics, for GET /api/metrics
+const describeMetricOptions = (manifest = FEATURE_MANIFEST) => ({
+    metrics: Object.entries(METRICS).map(([name, { description, histogram }]) => ({ name, description, histogram })),
+    presets: Object.entries(METRIC_PRESETS).map(([name, { description }]) => ({
+        name,
+        description,
+        groupMetrics: resolveMetrics({ preset: name }, manifest).groupMetrics
+    })),
+    deploymentDefault: describeMetrics(DEFAULT_METRICS)
+});
+
+module.exports = {
+    METRICS,
+    METRIC_PRESETS,
+    DEFAULT_METRICS,
+    resolveMetrics,
+    resolveRequestMetrics,
+    calculateMetricSimilarity,
+    describeMetrics,
+    describeMetricOptions,
+    isInvalidMetricsError
+};
@@ -0,0 +1,134 @@
+const path = require('path');
+const { BUILTIN_EXTRACTORS } = require('./builtinExtractors');
+
+// Registry of feature extractors. Every registered extractor becomes one group of the
+// combined vector, in registration order: built-ins first, then plugins listed in
+// FEATURE_EXTRACTORS (comma-separated module paths, resolved from the working directory).
+//
+// A descriptor looks like:
+//   {
+//       name: 'patternFeatures',   // Group name, also the Product.visualFeatures key
+//       length: 32,                // Output length
+//       weight: 0.1,               // Default query-time weight of the group
+//       version: '1',              // Bump when the output changes (triggers a re-index)
+//       featureType: 'pattern',    // Coarse label reported in API metadata (defaults to name)
+//       metric: 'chi-square',      // Optional: metric used by the "recommended" preset (featureMetrics.js)
+//       extract: async (buffer, context) => [...]
+//   }
+//
+// extract receives the standardized 224x224 RGB buffer and a context with
+// { width, height, channels, mask, source, memo(key, compute) }; mask is null when no
+// foreground was isolated and memo shares per-image work between extractors.
+// FEATURE_EXTRACTORS is the only way to add extractors: plugins load when this module
+// is first required and the feature manifest freezes the registry right after, before
+// application code could register anything, so there is no runtime registration API.
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+
+const extractors = [];
+let frozen = false;
+
+const validateExtractor = (descriptor) => {
+    if (!descriptor || typeof descriptor !== 'object') {
+        throw new Error('Feature extractor must be an object');
+    }
+
+    const { name, length, weight, extract } = descriptor;
+    if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid feature extractor name "${name}": use letters and digits only`);
+    }
+    if (extractors.some(extractor => extractor.name === name)) {
+        throw new Error(`Feature extractor "${name}" is already registered`);
+    }
+    if (!Number.isInteger(length) || length <= 0) {
+        throw new Error(`Feature extractor "${name}" must declare a positive integer length`);
+    }
+    if (typeof weight !== 'number' || !(weight > 0)) {
+        throw new Error(`Feature extractor "${name}" must declare a positive weight`);
+    }
+    if (typeof extract !== 'function') {
+        throw new Error(`Feature extractor "${name}" must provide an extract function`);
+    }
+};
+
+const addExtractor = (descriptor, builtin) => {
+    if (frozen) {
+        throw new Error(
+            `Cannot register feature extractor "${descriptor && descriptor.name}" after the feature manifest has been built`
+        );
+    }
+    validateExtractor(descriptor);
+
+    const extractor = {
+        name: descriptor.name,
+        length: descriptor.length,
+        weight: descriptor.weight,
+        version: String(descriptor.version || '1'),
+        featureType: descriptor.featureType || descriptor.name,
+        description: descriptor.description || '',
+        extract: descriptor.extract,
+        builtin
+    };
+    if (descriptor.pyramid) extractor.pyramid = descriptor.pyramid;
+    if (descriptor.metric) extractor.metric = descriptor.metric;
+
+    extractors.push(extractor);
+    return extractor;
+};
+
+const registerPluginExtractor = (descriptor) => addExtractor(descriptor, false);
+
+// Load plugin modules; each exports a descriptor or an array of descriptors
+const loadExtractorPlugins = (modulePaths = process.env.FEATURE_EXTRACTORS) => {
+    if (!modulePaths) return [];
+
+    return modulePaths
+        .split(',')
+        .map(modulePath => modulePath.trim())
+        .filter(Boolean)
+        .flatMap(modulePath => {
+            const resolved = path.resolve(process.cwd(), modulePath);
+            let exported;
+            try {
+                exported = require(resolved);
+            } catch (error) {
+                throw new Error(`Failed to load feature extractor plugin "${modulePath}": ${error.message}`);
+            }
+
+            const descriptors = Array.isArray(exported) ? exported : [exported];
+            const registered = descriptors.map(registerPluginExtractor);
+            console.log(`🧩 Loaded feature extractor plugin ${modulePath}: ${registered.map(e => e.name).join(', ')}`);
+            return registered;
+        });
+};
+
+const getRegisteredExtractors = () => extractors.slice();
+
+const getExtractor = (name) => {
+    return extractors.find(extractor => extractor.name === name) || null;
+};
+
+// Called when the manifest is built; the vector layout cannot change afterwards
+const freezeRegistry = () => {
+    frozen = true;
+    return getRegisteredExtractors();
+};
+
+// Signature of the plugin extractors, appended to the extractor version so that
+// adding, removing or upgrading a plugin marks stored vectors as stale
+const describeCustomExtractors = () => {
+    return extractors
+        .filter(extractor => !extractor.builtin)
+        .map(extractor => `.x-${extractor.name}@${extractor.version}-${extractor.length}`)
+        .join('');
+};
+
+BUILTIN_EXTRACTORS.forEach(descriptor => addExtractor(descriptor, true));
+loadExtractorPlugins();
+
+module.exports = {
+    getRegisteredExtractors,
+    getExtractor,
+    freezeRegistry,
+    describeCustomExtractors
+};
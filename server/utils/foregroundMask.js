@@ -0,0 +1,162 @@
+const sharp = require('sharp');
+
+// Foreground isolation so extractors only look at object pixels.
+// Transparent images use their alpha channel; opaque images estimate the
+// background from the border colour and flood-fill it inwards.
+
+const ALPHA_THRESHOLD = 128;        // Alpha at or above this is treated as object
+const MIN_TRANSPARENT_RATIO = 0.01; // Alpha is only trusted when some pixels are see-through
+const BORDER_MAX_DEVIATION = 28;    // Border colour spread above this means no plain background
+const MIN_COLOR_TOLERANCE = 24;     // Minimum RGB distance that still counts as background
+const MIN_COVERAGE = 0.05;          // Masks smaller than this fall back to the whole image
+
+const buildAlphaMask = (rgbaBuffer, width, height) => {
+    const mask = new Uint8Array(width * height);
+    let transparent = 0;
+
+    for (let i = 0; i < mask.length; i++) {
+        if (rgbaBuffer[i * 4 + 3] >= ALPHA_THRESHOLD) {
+            mask[i] = 1;
+        } else {
+            transparent++;
+        }
+    }
+
+    return transparent / mask.length >= MIN_TRANSPARENT_RATIO ? mask : null;
+};
+
+const estimateBorderColor = (rgbaBuffer, width, height) => {
+    const borderWidth = Math.max(2, Math.round(Math.min(width, height) * 0.03));
+    const samples = [];
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const onBorder = x < borderWidth || y < borderWidth ||
+                x >= width - borderWidth || y >= height - borderWidth;
+            if (!onBorder) continue;
+
+            const offset = (y * width + x) * 4;
+            samples.push([rgbaBuffer[offset], rgbaBuffer[offset + 1], rgbaBuffer[offset + 2]]);
+        }
+    }
+
+    const mean = [0, 1, 2].map(c => samples.reduce((sum, pixel) => sum + pixel[c], 0) / samples.length);
+    const deviation = Math.sqrt(
+        samples.reduce((sum, pixel) => sum + colorDistanceSquared(pixel, mean), 0) / samples.length
+    );
+
+    return { color: mean, deviation };
+};
+
+const buildBorderMask = (rgbaBuffer, width, height) => {
+    const { color, deviation } = estimateBorderColor(rgbaBuffer, width, height);
+    if (deviation > BORDER_MAX_DEVIATION) return null;
+
+    const tolerance = Math.max(MIN_COLOR_TOLERANCE, deviation * 2.5);
+    const toleranceSquared = tolerance * tolerance;
+    const isBackgroundColor = (index) => {
+        const offset = index * 4;
+        return colorDistanceSquared(
+            [rgbaBuffer[offset], rgbaBuffer[offset + 1], rgbaBuffer[offset + 2]],
+            color
+        ) <= toleranceSquared;
+    };
+
+    // Flood fill from the border so background-coloured pixels inside the object are kept
+    const background = new Uint8Array(width * height);
+    const stack = [];
+    const visit = (index) => {
+        if (!background[index] && isBackgroundColor(index)) {
+            background[index] = 1;
+            stack.push(index);
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        visit(x);
+        visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        visit(y * width);
+        visit(y * width + width - 1);
+    }
+
+    while (stack.length > 0) {
+        const index = stack.pop();
+        const x = index % width;
+        const y = (index - x) / width;
+        if (x > 0) visit(index - 1);
+        if (x < width - 1) visit(index + 1);
+        if (y > 0) visit(index - width);
+        if (y < height - 1) visit(index + width);
+    }
+
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < mask.length; i++) {
+        mask[i] = background[i] ? 0 : 1;
+    }
+    return mask;
+};
+
+// Compute the foreground mask for an RGBA buffer
+const computeForegroundMask = (rgbaBuffer, width, height, { hasAlpha = false } = {}) => {
+    let method = 'none';
+    let mask = null;
+
+    if (hasAlpha) {
+        mask = buildAlphaMask(rgbaBuffer, width, height);
+        if (mask) method = 'alpha';
+    }
+    if (!mask) {
+        mask = buildBorderMask(rgbaBuffer, width, height);
+        if (mask) method = 'border';
+    }
+
+    const coverage = mask ? countForeground(mask) / mask.length : 1;
+    if (!mask || coverage < MIN_COVERAGE) {
+        return {
+            mask: null,
+            method: 'none',
+            coverage: 1,
+            detectedCoverage: mask ? coverage : null
+        };
+    }
+
+    return { mask, method, coverage, detectedCoverage: coverage };
+};
+
+// Resize a 0/1 mask to the working size of an extractor (null stays null)
+const resizeMask = async (mask, width, height, size) => {
+    if (!mask) return null;
+
+    const scaled = Buffer.alloc(mask.length);
+    for (let i = 0; i < mask.length; i++) scaled[i] = mask[i] ? 255 : 0;
+
+    const resized = await sharp(scaled, { raw: { width, height, channels: 1 } })
+        .resize(size, size, { kernel: 'nearest' })
+        .toColourspace('b-w')
+        .raw()
+        .toBuffer();
+
+    const result = new Uint8Array(size * size);
+    for (let i = 0; i < result.length; i++) result[i] = resized[i] > 127 ? 1 : 0;
+
+    // A mask that vanished at this resolution would leave the extractor with nothing
+    return countForeground(result) > 0 ? result : null;
+};
+
+const countForeground = (mask) => {
+    let count = 0;
+    for (let i = 0; i < mask.length; i++) count += mask[i];
+    return count;
+};
+
+const colorDistanceSquared = (a, b) => {
+    return Math.pow(a[0] - b[0], 2) + Math.pow(a[1] - b[1], 2) + Math.pow(a[2] - b[2], 2);
+};
+
+module.exports = {
+    computeForegroundMask,
+    resizeMask,
+    countForeground
+};
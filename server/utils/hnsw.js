@@ -0,0 +1,384 @@
+// Hierarchical Navigable Small World graph (Malkov & Yashunin) for approximate
+// nearest-neighbour search over unit-length vectors with cosine distance.
+// Nodes are never unlinked: removing an id leaves a tombstone that still routes
+// searches but is filtered from results; rebuild the index once they pile up.
+
+const SERIALIZATION_VERSION = 1;
+
+// Small deterministic PRNG so the same inserts build the same graph
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Binary heap ordered by `distance`; `max` puts the largest distance on top
+const createHeap = (max = false) => {
+    const items = [];
+    const before = max
+        ? (a, b) => a.distance > b.distance
+        : (a, b) => a.distance < b.distance;
+
+    const push = (item) => {
+        items.push(item);
+        let index = items.length - 1;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (!before(items[index], items[parent])) break;
+            [items[index], items[parent]] = [items[parent], items[index]];
+            index = parent;
+        }
+    };
+
+    const pop = () => {
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let index = 0;
+            while (true) {
+                const left = index * 2 + 1;
+                const right = left + 1;
+                let next = index;
+                if (left < items.length && before(items[left], items[next])) next = left;
+                if (right < items.length && before(items[right], items[next])) next = right;
+                if (next === index) break;
+                [items[index], items[next]] = [items[next], items[index]];
+                index = next;
+            }
+        }
+        return top;
+    };
+
+    return {
+        push,
+        pop,
+        peek: () => items[0],
+        size: () => items.length,
+        toArray: () => items.slice()
+    };
+};
+
+const normalize = (vector) => {
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    const unit = new Float32Array(vector.length);
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) unit[i] = vector[i] / norm;
+    }
+    return unit;
+};
+
+// options: dimensions, m (links per node and layer, 2m on layer 0),
+// efConstruction (candidate list size while inserting), seed
+const createHnswIndex = (options = {}) => {
+    const {
+        dimensions,
+        m = 16,
+        efConstruction = 100,
+        seed = 42
+    } = options;
+    if (!(dimensions > 0)) throw new Error('HNSW index needs a positive dimension count');
+
+    const maxLinks = m;
+    const maxLinksLayer0 = m * 2;
+    const levelMultiplier = 1 / Math.log(Math.max(2, m));
+    const random = createRandom(seed);
+
+    let capacity = 1024;
+    let vectors = new Float32Array(capacity * dimensions);
+    let visitMarks = new Uint32Array(capacity);
+    let visitGeneration = 0;
+    let count = 0;
+    let entryPoint = -1;
+    let maxLevel = -1;
+
+    const ids = [];           // External id per node
+    const levels = [];        // Top layer per node
+    const links = [];         // links[node][layer] = neighbour node numbers
+    const deleted = new Set(); // Tombstoned nodes
+    const nodeById = new Map();
+
+    const grow = () => {
+        capacity *= 2;
+        const grownVectors = new Float32Array(capacity * dimensions);
+        grownVectors.set(vectors);
+        vectors = grownVectors;
+        visitMarks = new Uint32Array(capacity);
+        visitGeneration = 0;
+    };
+
+    const distanceTo = (query, node) => {
+        let dot = 0;
+        const offset = node * dimensions;
+        for (let i = 0; i < dimensions; i++) dot += query[i] * vectors[offset + i];
+        return 1 - dot;
+    };
+
+    const nodeVector = (node) => vectors.subarray(node * dimensions, (node + 1) * dimensions);
+
+    const nextVisitGeneration = () => {
+        visitGeneration++;
+        if (visitGeneration === 0xFFFFFFFF) {
+            visitMarks.fill(0);
+            visitGeneration = 1;
+        }
+        return visitGeneration;
+    };
+
+    // Best-first search of one layer, returning up to ef nearest nodes (max-heap)
+    const searchLayer = (query, entries, ef, layer) => {
+        const generation = nextVisitGeneration();
+        const candidates = createHeap(false);
+        const nearest = createHeap(true);
+
+        entries.forEach(entry => {
+            visitMarks[entry.node] = generation;
+            candidates.push(entry);
+            nearest.push(entry);
+        });
+
+        while (candidates.size() > 0) {
+            const current = candidates.pop();
+            if (nearest.size() >= ef && current.distance > nearest.peek().distance) break;
+
+            const neighbours = links[current.node][layer] || [];
+            for (let i = 0; i < neighbours.length; i++) {
+                const neighbour = neighbours[i];
+                if (visitMarks[neighbour] === generation) continue;
+                visitMarks[neighbour] = generation;
+
+                const distance = distanceTo(query, neighbour);
+                if (nearest.size() < ef || distance < nearest.peek().distance) {
+                    const item = { node: neighbour, distance };
+                    candidates.push(item);
+                    nearest.push(item);
+                    if (nearest.size() > ef) nearest.pop();
+                }
+            }
+        }
+        return nearest;
+    };
+
+    // Neighbour selection heuristic: keep a candidate only when it is closer to the
+    // base than to every neighbour kept so far, which spreads links across clusters;
+    // the remaining slots are filled with the nearest pruned candidates
+    const selectNeighbours = (sortedCandidates, limit) => {
+        const selected = [];
+        const pruned = [];
+        for (const candidate of sortedCandidates) {
+            if (selected.length >= limit) break;
+            const candidateVector = nodeVector(candidate.node);
+            const diverse = selected.every(kept => distanceTo(candidateVector, kept.node) > candidate.distance);
+            if (diverse) selected.push(candidate);
+            else pruned.push(candidate);
+        }
+        for (let i = 0; i < pruned.length && selected.length < limit; i++) selected.push(pruned[i]);
+        return selected;
+    };
+
+    const connect = (node, neighbour, layer) => {
+        const neighbourLinks = links[neighbour][layer];
+        neighbourLinks.push(node);
+        const limit = layer === 0 ? maxLinksLayer0 : maxLinks;
+        if (neighbourLinks.length <= limit) return;
+
+        const base = nodeVector(neighbour);
+        const candidates = neighbourLinks
+            .map(linked => ({ node: linked, distance: distanceTo(base, linked) }))
+            .sort((a, b) => a.distance - b.distance);
+        links[neighbour][layer] = selectNeighbours(candidates, limit).map(item => item.node);
+    };
+
+    // Insert (or replace) the vector stored under id
+    const add = (id, vector) => {
+        if (vector.length !== dimensions) {
+            throw new Error(`Vector has ${vector.length} dimensions, index expects ${dimensions}`);
+        }
+        if (nodeById.has(id)) remove(id);
+        if (count === capacity) grow();
+
+        const node = count++;
+        const query = normalize(vector);
+        vectors.set(query, node * dimensions);
+        const level = Math.floor(-Math.log(1 - random()) * levelMultiplier);
+
+        ids.push(id);
+        levels.push(level);
+        links.push(Array.from({ length: level + 1 }, () => []));
+        nodeById.set(id, node);
+
+        if (entryPoint === -1) {
+            entryPoint = node;
+            maxLevel = level;
+            return;
+        }
+
+        let entries = [{ node: entryPoint, distance: distanceTo(query, entryPoint) }];
+        for (let layer = maxLevel; layer > level; layer--) {
+            const nearest = searchLayer(query, entries, 1, layer).toArray();
+            entries = nearest;
+        }
+
+        for (let layer = Math.min(level, maxLevel); layer >= 0; layer--) {
+            const nearest = searchLayer(query, entries, efConstruction, layer).toArray()
+                .sort((a, b) => a.distance - b.distance);
+            const neighbours = selectNeighbours(nearest, maxLinks);
+            links[node][layer] = neighbours.map(item => item.node);
+            neighbours.forEach(item => connect(node, item.node, layer));
+            entries = nearest;
+        }
+
+        if (level > maxLevel) {
+            maxLevel = level;
+            entryPoint = node;
+        }
+    };
+
+    const remove = (id) => {
+        const node = nodeById.get(id);
+        if (node === undefined) return false;
+        deleted.add(node);
+        nodeById.delete(id);
+        return true;
+    };
+
+    // k nearest live ids as [{ id, distance }], closest first
+    const search = (vector, k = 10, ef = 50) => {
+        if (entryPoint === -1 || nodeById.size === 0) return [];
+        const query = normalize(vector);
+
+        let entries = [{ node: entryPoint, distance: distanceTo(query, entryPoint) }];
+        for (let layer = maxLevel; layer > 0; layer--) {
+            entries = searchLayer(query, entries, 1, layer).toArray();
+        }
+
+        // Tombstones take up slots in the candidate list; widen it accordingly
+        const width = Math.max(ef, k) + Math.min(deleted.size, Math.max(ef, k));
+        return searchLayer(query, entries, width, 0).toArray()
+            .filter(item => !deleted.has(item.node))
+            .sort((a, b) => a.distance - b.distance)
+            .slice(0, k)
+            .map(item => ({ id: ids[item.node], distance: item.distance }));
+    };
+
+    // Binary layout: [uint32 header length][header JSON][float32 vectors][int32 links]
+    // where links are, per node and layer, a count followed by the neighbour numbers
+    const serialize = (meta = {}) => {
+        let linkInts = 0;
+        for (let node = 0; node < count; node++) {
+            links[node].forEach(layerLinks => { linkInts += 1 + layerLinks.length; });
+        }
+
+        const header = Buffer.from(JSON.stringify({
+            serializationVersion: SERIALIZATION_VERSION,
+            dimensions, m, efConstruction, seed,
+            count, entryPoint, maxLevel,
+            ids, levels,
+            deleted: [...deleted],
+            meta
+        }));
+
+        const vectorBytes = count * dimensions * 4;
+        const buffer = Buffer.alloc(4 + header.length + vectorBytes + linkInts * 4);
+        buffer.writeUInt32LE(header.length, 0);
+        header.copy(buffer, 4);
+
+        let offset = 4 + header.length;
+        Buffer.from(vectors.buffer, vectors.byteOffset, vectorBytes).copy(buffer, offset);
+        offset += vectorBytes;
+
+        for (let node = 0; node < count; node++) {
+            links[node].forEach(layerLinks => {
+                buffer.writeInt32LE(layerLinks.length, offset);
+                offset += 4;
+                layerLinks.forEach(linked => {
+                    buffer.writeInt32LE(linked, offset);
+                    offset += 4;
+                });
+            });
+        }
+        return buffer;
+    };
+
+    // Restore state written by serialize (used by deserializeHnswIndex)
+    const load = (header, buffer, offset) => {
+        while (capacity < header.count) capacity *= 2;
+        vectors = new Float32Array(capacity * dimensions);
+        visitMarks = new Uint32Array(capacity);
+
+        const vectorBytes = header.count * dimensions * 4;
+        const stored = new Float32Array(buffer.buffer.slice(buffer.byteOffset + offset, buffer.byteOffset + offset + vectorBytes));
+        vectors.set(stored);
+        offset += vectorBytes;
+
+        count = header.count;
+        entryPoint = header.entryPoint;
+        maxLevel = header.maxLevel;
+        for (let node = 0; node < count; node++) {
+            ids.push(header.ids[node]);
+            levels.push(header.levels[node]);
+            const nodeLinks = [];
+            for (let layer = 0; layer <= header.levels[node]; layer++) {
+                const length = buffer.readInt32LE(offset);
+                offset += 4;
+                const layerLinks = new Array(length);
+                for (let i = 0; i < length; i++) {
+                    layerLinks[i] = buffer.readInt32LE(offset);
+                    offset += 4;
+                }
+                nodeLinks.push(layerLinks);
+            }
+            links.push(nodeLinks);
+        }
+
+        header.deleted.forEach(node => deleted.add(node));
+        for (let node = 0; node < count; node++) {
+            if (!deleted.has(node)) nodeById.set(ids[node], node);
+        }
+    };
+
+    return {
+        dimensions,
+        add,
+        remove,
+        search,
+        has: (id) => nodeById.has(id),
+        ids: () => [...nodeById.keys()],
+        size: () => nodeById.size,
+        tombstones: () => deleted.size,
+        serialize,
+        load
+    };
+};
+
+// Rebuild an index from serialize() output; returns { index, meta }
+const deserializeHnswIndex = (buffer) => {
+    const headerLength = buffer.readUInt32LE(0);
+    const header = JSON.parse(buffer.toString('utf8', 4, 4 + headerLength));
+    if (header.serializationVersion !== SERIALIZATION_VERSION) {
+        throw new Error(`Unsupported HNSW file version ${header.serializationVersion}`);
+    }
+
+    const index = createHnswIndex({
+        dimensions: header.dimensions,
+        m: header.m,
+        efConstruction: header.efConstruction,
+        // Continue the level sequence instead of replaying the original one
+        seed: header.seed + header.count
+    });
+    index.load(header, buffer, 4 + headerLength);
+    return { index, meta: header.meta };
+};
+
+module.exports = {
+    createRandom,
+    createHnswIndex,
+    deserializeHnswIndex
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { embeddingConfig, EMBEDDING_NORMALIZATIONS } = require('../config/features');
+
+// Optional learned image embedding from a local ONNX model (small CNN, CLIP image
+// encoder...), run on the CPU through onnxruntime-node. Nothing is downloaded at
+// runtime: the model file comes from ONNX_MODEL_PATH and the runtime is an optional
+// dependency that is only required when a model is configured.
+
+let modelPromise = null;
+let modelId;
+
+const isEmbeddingEnabled = () => Boolean(embeddingConfig.modelPath);
+
+const resolveModelPath = () => path.resolve(process.cwd(), embeddingConfig.modelPath);
+
+// Identifier stored with each embedding: model file name, content hash and preprocessing,
+// so swapping the file or changing how images are fed to it marks embeddings as stale
+const getEmbeddingModelId = () => {
+    if (!isEmbeddingEnabled()) return null;
+    if (modelId === undefined) {
+        try {
+            const digest = crypto.createHash('sha256').update(fs.readFileSync(resolveModelPath())).digest('hex');
+            modelId = `${path.basename(embeddingConfig.modelPath)}@${digest.slice(0, 12)}` +
+                `:${embeddingConfig.normalization}-${embeddingConfig.inputSize}-${embeddingConfig.layout}`;
+        } catch (error) {
+            console.error('❌ Cannot read embedding model:', error.message);
+            modelId = null;
+        }
+    }
+    return modelId;
+};
+
+const loadRuntime = () => {
+    try {
+        return require('onnxruntime-node');
+    } catch (error) {
+        throw new Error('onnxruntime-node is not installed; install it to use ONNX_MODEL_PATH');
+    }
+};
+
+// Load the model once; a failed load disables embeddings until restart instead of
+// retrying on every request
+const loadEmbeddingModel = () => {
+    if (!isEmbeddingEnabled()) return Promise.resolve(null);
+
+    if (!modelPromise) {
+        modelPromise = (async () => {
+            const ort = loadRuntime();
+            const id = getEmbeddingModelId();
+            if (!id) throw new Error(`Model file ${embeddingConfig.modelPath} is not readable`);
+
+            const session = await ort.InferenceSession.create(resolveModelPath(), {
+                executionProviders: ['cpu'],
+                intraOpNumThreads: embeddingConfig.threads
+            });
+            const inputName = embeddingConfig.inputName || session.inputNames[0];
+            const outputName = embeddingConfig.outputName || session.outputNames[0];
+
+            console.log(`🧠 Loaded embedding model ${id} (input ${inputName}, output ${outputName})`);
+            return { ort, session, id, inputName, outputName };
+        })().catch(error => {
+            console.error('❌ Failed to load embedding model, embeddings disabled:', error.message);
+            return null;
+        });
+    }
+    return modelPromise;
+};
+
+// Resize (centre crop), flatten onto white and normalise into a float32 input tensor
+const buildInputTensor = async (ort, imageBuffer) => {
+    const size = embeddingConfig.inputSize;
+    const { mean, std } = EMBEDDING_NORMALIZATIONS[embeddingConfig.normalization];
+
+    const pixels = await sharp(imageBuffer)
+        .resize(size, size, { fit: 'cover' })
+        .flatten({ background: '#ffffff' })
+        .toColourspace('srgb')
+        .raw()
+        .toBuffer();
+
+    const planeSize = size * size;
+    const data = new Float32Array(planeSize * 3);
+    for (let i = 0; i < planeSize; i++) {
+        for (let c = 0; c < 3; c++) {
+            const value = (pixels[i * 3 + c] / 255 - mean[c]) / std[c];
+            if (embeddingConfig.layout === 'nchw') data[c * planeSize + i] = value;
+            else data[i * 3 + c] = value;
+        }
+    }
+
+    const dims = embeddingConfig.layout === 'nchw' ? [1, 3, size, size] : [1, size, size, 3];
+    return new ort.Tensor('float32', data, dims);
+};
+
+// Collapse the model output to a vector: [1, D] is used as is, feature maps
+// [1, C, H, W] are average-pooled over H and W
+const outputToVector = (tensor) => {
+    const { data, dims } = tensor;
+    if (dims.length === 4 && dims[2] * dims[3] > 1) {
+        const [, channels, height, width] = dims;
+        const area = height * width;
+        const pooled = new Array(channels).fill(0);
+        for (let c = 0; c < channels; c++) {
+            for (let i = 0; i < area; i++) pooled[c] += data[c * area + i];
+            pooled[c] /= area;
+        }
+        return pooled;
+    }
+    return Array.from(data);
+};
+
+const l2Normalize = (vector) => {
+    const norm = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+    if (!(norm > 0) || !Number.isFinite(norm)) {
+        throw new Error('Embedding model returned a zero or non-finite vector');
+    }
+    return vector.map(val => val / norm);
+};
+
+// Unit-length embedding of an image, or null when no model is available
+const computeImageEmbedding = async (imageBuffer) => {
+    const model = await loadEmbeddingModel();
+    if (!model) return null;
+
+    const input = await buildInputTensor(model.ort, imageBuffer);
+    const outputs = await model.session.run({ [model.inputName]: input });
+    const output = outputs[model.outputName];
+    if (!output) {
+        throw new Error(`Embedding model has no output named "${model.outputName}"`);
+    }
+
+    return {
+        vector: l2Normalize(outputToVector(output)),
+        model: model.id
+    };
+};
+
+// Cosine similarity of two unit-length embeddings clamped to 0-1; null when they
+// come from different models or either is missing
+const calculateEmbeddingSimilarity = (queryEmbedding, product) => {
+    if (!queryEmbedding || !product || !product.embedding || product.embeddingModel !== queryEmbedding.model) {
+        return null;
+    }
+    const vector = product.embedding;
+    if (vector.length !== queryEmbedding.vector.length) return null;
+
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) {
+        dot += vector[i] * queryEmbedding.vector[i];
+    }
+    return Math.max(0, Math.min(1, dot));
+};
+
+module.exports = {
+    isEmbeddingEnabled,
+    getEmbeddingModelId,
+    loadEmbeddingModel,
+    computeImageEmbedding,
+    calculateEmbeddingSimilarity
+};
@@ -0,0 +1,138 @@
+const sharp = require('sharp');
+
+// Input normalisation ahead of feature extraction: whatever arrives (phone JPEG with an
+// EXIF orientation, CMYK or ICC-profiled print file, 16-bit TIFF, animated GIF/WebP,
+// AVIF...) leaves as upright 8-bit sRGB frames, so every extractor sees the same pixels.
+// Alpha is kept for foreground isolation and flattened onto NORMALIZATION_BACKGROUND
+// wherever the extractors need opaque pixels.
+
+const NORMALIZATION_BACKGROUND = '#ffffff';
+const MAX_NORMALIZED_SIZE = 1024;  // Longest side; extraction never works above 224px
+const ANIMATION_SAMPLE_FRAMES = 3; // Frames sampled from animated GIF/WebP
+const ANIMATED_FORMATS = ['gif', 'webp'];
+
+// Formats this sharp build can decode from a buffer (jpeg, png, webp, gif, tiff, heif...)
+const getSupportedInputFormats = () => {
+    return Object.entries(sharp.format)
+        .filter(([format, info]) => format !== 'raw' && info.input && info.input.buffer)
+        .map(([format]) => format);
+};
+
+const createUnsupportedFormatError = (message) => {
+    const error = new Error(`${message}. Supported formats: ${getSupportedInputFormats().join(', ')}`);
+    error.code = 'UNSUPPORTED_IMAGE_FORMAT';
+    return error;
+};
+
+const isUnsupportedFormatError = (error) => Boolean(error && error.code === 'UNSUPPORTED_IMAGE_FORMAT');
+
+// Evenly spaced frame indices, always including the first and last frame
+const sampleFrameIndices = (pages, count = ANIMATION_SAMPLE_FRAMES) => {
+    if (pages <= 1 || count <= 1) return [0];
+    const indices = [];
+    for (let i = 0; i < Math.min(count, pages); i++) {
+        indices.push(Math.round((i * (pages - 1)) / (Math.min(count, pages) - 1)));
+    }
+    return [...new Set(indices)];
+};
+
+const readMetadata = async (buffer) => {
+    try {
+        return await sharp(buffer, { animated: true }).metadata();
+    } catch (error) {
+        throw createUnsupportedFormatError(`Cannot decode image (${error.message})`);
+    }
+};
+
+// Decode one frame into an upright, 8-bit sRGB PNG (lossless, fast to re-read)
+const normalizeFrame = async (buffer, page, resize) => {
+    let pipeline = sharp(buffer, { page, failOn: 'error' })
+        .rotate() // Applies and strips the EXIF orientation
+        .toColourspace('srgb');
+
+    if (resize) {
+        pipeline = pipeline.resize(MAX_NORMALIZED_SIZE, MAX_NORMALIZED_SIZE, { fit: 'inside', withoutEnlargement: true });
+    }
+
+    return pipeline.png({ compressionLevel: 0 }).toBuffer();
+};
+
+// Normalise an encoded image. Returns the frames to analyse plus a report of the
+// detected input and every transform applied, for API responses.
+// options.sampleFrames caps the frames taken from animated images.
+const normalizeImage = async (buffer, options = {}) => {
+    const { sampleFrames = ANIMATION_SAMPLE_FRAMES } = options;
+
+    const metadata = await readMetadata(buffer);
+    const { format, orientation, space, hasProfile, hasAlpha, depth, compression } = metadata;
+
+    if (!getSupportedInputFormats().includes(format)) {
+        throw createUnsupportedFormatError(`Image format "${format}" is not supported`);
+    }
+    if (format === 'heif' && compression === 'hevc') {
+        throw createUnsupportedFormatError('HEIC (HEVC-compressed HEIF) cannot be decoded by this build; convert it to JPEG or AVIF');
+    }
+
+    const pages = metadata.pages || 1;
+    const animated = ANIMATED_FORMATS.includes(format) && pages > 1;
+    const width = metadata.width;
+    const height = animated && metadata.pageHeight ? metadata.pageHeight : metadata.height;
+    const rotated = orientation && orientation >= 5; // EXIF 5-8 swap width and height
+    const uprightWidth = rotated ? height : width;
+    const uprightHeight = rotated ? width : height;
+    const needsResize = Math.max(uprightWidth, uprightHeight) > MAX_NORMALIZED_SIZE;
+
+    const transforms = [];
+    if (orientation && orientation > 1) transforms.push(`auto-rotated (EXIF orientation ${orientation})`);
+    if (space === 'cmyk') transforms.push('converted CMYK to sRGB');
+    else if (space === 'b-w' || space === 'grey16') transforms.push('expanded grayscale to sRGB');
+    else if (space && !['srgb', 'rgb'].includes(space)) transforms.push(`converted ${space} to sRGB`);
+    if (hasProfile) transforms.push('converted embedded ICC profile to sRGB');
+    if (depth && depth !== 'uchar') transforms.push(`reduced ${depth} samples to 8 bits`);
+
+    const frameIndices = animated ? sampleFrameIndices(pages, sampleFrames) : [0];
+    if (animated) transforms.push(`sampled frames ${frameIndices.join(', ')} of ${pages}`);
+    else if (pages > 1) transforms.push(`used page 1 of ${pages}`);
+
+    if (needsResize) {
+        const scale = MAX_NORMALIZED_SIZE / Math.max(uprightWidth, uprightHeight);
+        transforms.push(
+            `downscaled ${uprightWidth}x${uprightHeight} to ${Math.round(uprightWidth * scale)}x${Math.round(uprightHeight * scale)}`
+        );
+    }
+    if (hasAlpha) transforms.push(`alpha kept for foreground isolation, flattened onto ${NORMALIZATION_BACKGROUND} for extraction`);
+
+    const frames = [];
+    for (const page of frameIndices) {
+        frames.push({ page, buffer: await normalizeFrame(buffer, page, needsResize) });
+    }
+
+    return {
+        frames,
+        report: {
+            input: {
+                format,
+                compression: compression || null,
+                width: uprightWidth,
+                height: uprightHeight,
+                pages,
+                animated,
+                orientation: orientation || 1,
+                colourSpace: space || null,
+                hasProfile: Boolean(hasProfile),
+                hasAlpha: Boolean(hasAlpha),
+                bitDepth: depth || null
+            },
+            transforms,
+            framesAnalyzed: frameIndices,
+            background: NORMALIZATION_BACKGROUND
+        }
+    };
+};
+
+module.exports = {
+    NORMALIZATION_BACKGROUND,
+    getSupportedInputFormats,
+    isUnsupportedFormatError,
+    normalizeImage
+};
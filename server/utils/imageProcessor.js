@@ -1,431 +1,418 @@
 const sharp = require('sharp');
 const axios = require('axios');
+const {
+    FEATURE_MANIFEST,
+    getFeatureGroup,
+    assembleFeatureVector
+} = require('./featureManifest');
+const { getExtractor } = require('./featureRegistry');
+const { decodeLabPalette } = require('./builtinExtractors');
+const { computeForegroundMask } = require('./foregroundMask');
+const { cropToSalientRegion } = require('./saliencyCrop');
+const { computePerceptualHashes } = require('./perceptualHash');
+const { paletteSimilarity } = require('./colorScience');
+const { pyramidMatchSimilarity } = require('./spatialPyramid');
+const { computeImageEmbedding, calculateEmbeddingSimilarity } = require('./imageEmbedding');
+const { normalizeImage, NORMALIZATION_BACKGROUND } = require('./imageNormalizer');
+const { measureFrameQuality, measureCompression, assessImageQuality } = require('./imageQuality');
+const { embeddingConfig } = require('../config/features');
+const { DEFAULT_WEIGHTING } = require('./weightProfiles');
+const { DEFAULT_METRICS, calculateMetricSimilarity } = require('./featureMetrics');
 
 // Enhanced feature extraction with multiple computer vision techniques
-const extractAdvancedFeatures = async (imageBuffer) => {
+// Returns the combined feature vector together with analysis metadata
+// options.autoCrop crops query photos to their most salient region first
+const analyzeImage = async (originalBuffer, options = {}) => {
     try {
-        // Resize to standard size for consistent processing across all feature extraction
-        const processedBuffer = await sharp(imageBuffer)
-            .resize(224, 224)
-            .raw()
-            .toBuffer();
-
-        const processedWidth = 224;
-        const processedHeight = 224;
-
-        // Extract multiple types of features using the standardized processedBuffer
-        const features = {
-            colorHistogram: await extractColorHistogram(processedBuffer, processedWidth, processedHeight),
-            edgeFeatures: await extractEdgeFeatures(processedBuffer, processedWidth, processedHeight),
-            textureFeatures: await extractTextureFeatures(processedBuffer, processedWidth, processedHeight),
-            shapeFeatures: await extractShapeFeatures(processedBuffer, processedWidth, processedHeight),
-            dominantColors: await extractDominantColors(processedBuffer, processedWidth, processedHeight),
-            brightness: await extractBrightnessFeatures(processedBuffer, processedWidth, processedHeight),
-            contrast: await extractContrastFeatures(processedBuffer, processedWidth, processedHeight)
-        };
+        // Upright 8-bit sRGB frames; animated images contribute several sampled frames
+        const { frames, report } = await normalizeImage(originalBuffer);
+
+        const frameAnalyses = [];
+        for (const frame of frames) {
+            frameAnalyses.push(await analyzeFrame(frame.buffer, options));
+        }
+        const [firstFrame] = frameAnalyses;
+
+        // Hashes describe the whole uploaded image, not the crop, so exact copies still match
+        const perceptualHashes = await computePerceptualHashes(frames[0].buffer);
+
+        // Blur/exposure/coverage come from the analysed first frame, compression from the upload itself
+        let compression = null;
+        try {
+            compression = await measureCompression(originalBuffer, report.input.format, report.input.width, report.input.height);
+        } catch (error) {
+            console.error('Error measuring compression:', error.message);
+        }
+        const quality = assessImageQuality({
+            frame: firstFrame.quality,
+            compression,
+            input: report.input,
+            foreground: firstFrame.foreground,
+            crop: firstFrame.crop
+        });
 
-        // Combine all features into a single vector
-        return combineFeatures(features);
+        // Combine all features into a single vector laid out by the manifest,
+        // averaged over the sampled frames
+        return {
+            features: averageVectors(frameAnalyses.map(analysis => analysis.features)),
+            metadata: {
+                perceptualHashes: perceptualHashes,
+                foreground: firstFrame.foreground,
+                crop: firstFrame.crop,
+                embedding: averageEmbeddings(frameAnalyses.map(analysis => analysis.embedding)),
+                normalization: report,
+                quality: quality
+            }
+        };
     } catch (error) {
         console.error('Error extracting advanced features:', error);
         throw error;
     }
 };
 
-// Enhanced color histogram with better binning - uses processed buffer
-const extractColorHistogram = async (processedBuffer, width, height) => {
-    try {
-        // Sample from the processed buffer for histogram calculation
-        const sampleSize = 128;
-        const sampleBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
-            .resize(sampleSize, sampleSize)
-            .raw()
-            .toBuffer();
-
-        // Use HSV color space for better perceptual similarity
-        const pixels = [];
-        for (let i = 0; i < sampleBuffer.length; i += 3) {
-            const r = sampleBuffer[i] / 255;
-            const g = sampleBuffer[i + 1] / 255;
-            const b = sampleBuffer[i + 2] / 255;
-            
-            // Convert RGB to HSV
-            const hsv = rgbToHsv(r, g, b);
-            pixels.push(hsv);
-        }
+// Features, foreground, embedding and quality measurements of a single normalised frame
+const analyzeFrame = async (frameBuffer, options = {}) => {
+    const { autoCrop = false } = options;
 
-        // Create HSV histogram (16x8x8 bins)
-        const hBins = 16, sBins = 8, vBins = 8;
-        const histogram = new Array(hBins * sBins * vBins).fill(0);
+    let imageBuffer = frameBuffer;
+    let crop = null;
+    if (autoCrop) {
+        const cropResult = await cropToSalientRegion(frameBuffer);
+        imageBuffer = cropResult.buffer;
+        crop = cropResult.region;
+    }
 
-        pixels.forEach(([h, s, v]) => {
-            const hBin = Math.min(Math.floor(h * hBins), hBins - 1);
-            const sBin = Math.min(Math.floor(s * sBins), sBins - 1);
-            const vBin = Math.min(Math.floor(v * vBins), vBins - 1);
-            const index = hBin * sBins * vBins + sBin * vBins + vBin;
-            histogram[index]++;
-        });
+    const processedWidth = 224;
+    const processedHeight = 224;
+
+    const { hasAlpha } = await sharp(imageBuffer).metadata();
+
+    // RGBA copy keeps the alpha channel for foreground isolation
+    const rgbaBuffer = await sharp(imageBuffer)
+        .resize(processedWidth, processedHeight)
+        .ensureAlpha()
+        .raw()
+        .toBuffer();
+
+    // Resize to standard size for consistent processing across all feature extraction
+    const processedBuffer = await sharp(imageBuffer)
+        .resize(processedWidth, processedHeight)
+        .flatten({ background: NORMALIZATION_BACKGROUND })
+        .raw()
+        .toBuffer();
+
+    // Only object pixels feed the extractors; null mask means the whole image
+    const foreground = computeForegroundMask(rgbaBuffer, processedWidth, processedHeight, { hasAlpha });
+    const mask = foreground.mask;
+    const quality = await measureFrameQuality(imageBuffer, mask, processedWidth);
+
+    // Run every registered extractor on the standardized processedBuffer
+    const features = await runExtractors(processedBuffer, {
+        width: processedWidth,
+        height: processedHeight,
+        channels: 3,
+        mask,
+        source: imageBuffer
+    });
 
-        // Normalize
-        const total = pixels.length;
-        return histogram.map(count => count / total);
+    // Learned embedding when an ONNX model is configured; classic features don't depend on it
+    let embedding = null;
+    try {
+        embedding = await computeImageEmbedding(imageBuffer);
     } catch (error) {
-        console.error('Error extracting color histogram:', error);
-        return new Array(1024).fill(0);
+        console.error('Error computing image embedding:', error.message);
     }
+
+    return {
+        features: combineFeatures(features),
+        foreground: {
+            method: foreground.method,
+            coverage: foreground.coverage,
+            detectedCoverage: foreground.detectedCoverage
+        },
+        crop: crop,
+        embedding: embedding,
+        quality: quality
+    };
 };
 
-// Extract edge features using Sobel operator - uses processed buffer
-const extractEdgeFeatures = async (processedBuffer, width, height) => {
-    try {
-        // Convert processed buffer to grayscale and resize for edge detection
-        const edgeSize = 64;
-        const grayBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
-            .resize(edgeSize, edgeSize)
-            .grayscale()
-            .raw()
-            .toBuffer();
-
-        const edgeWidth = edgeSize, edgeHeight = edgeSize;
-        const edgeStrength = new Array(edgeWidth * edgeHeight).fill(0);
-
-        // Sobel kernels
-        const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
-        const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
-
-        // Apply Sobel operator
-        for (let y = 1; y < edgeHeight - 1; y++) {
-            for (let x = 1; x < edgeWidth - 1; x++) {
-                let gx = 0, gy = 0;
-                
-                for (let ky = -1; ky <= 1; ky++) {
-                    for (let kx = -1; kx <= 1; kx++) {
-                        const pixel = grayBuffer[(y + ky) * edgeWidth + (x + kx)];
-                        const kernelIndex = (ky + 1) * 3 + (kx + 1);
-                        gx += pixel * sobelX[kernelIndex];
-                        gy += pixel * sobelY[kernelIndex];
-                    }
-                }
-                
-                edgeStrength[y * edgeWidth + x] = Math.sqrt(gx * gx + gy * gy);
-            }
-        }
+const averageVectors = (vectors) => {
+    if (vectors.length === 1) return vectors[0];
+    return vectors[0].map((val, index) => (
+        vectors.reduce((sum, vector) => sum + vector[index], 0) / vectors.length
+    ));
+};
 
-        // Create edge histogram
-        const bins = 16;
-        const maxEdge = Math.max(...edgeStrength);
-        const edgeHist = new Array(bins).fill(0);
-        
-        if (maxEdge > 0) {
-            edgeStrength.forEach(strength => {
-                const bin = Math.min(Math.floor((strength / maxEdge) * bins), bins - 1);
-                edgeHist[bin]++;
-            });
-        }
+// Mean of unit-length embeddings, renormalised; null unless every frame has one
+const averageEmbeddings = (embeddings) => {
+    if (embeddings.some(embedding => !embedding)) return null;
+    if (embeddings.length === 1) return embeddings[0];
 
-        // Normalize
-        const total = edgeStrength.length;
-        return edgeHist.map(count => count / total);
-    } catch (error) {
-        console.error('Error extracting edge features:', error);
-        return new Array(16).fill(0);
-    }
+    const mean = averageVectors(embeddings.map(embedding => embedding.vector));
+    const norm = Math.sqrt(mean.reduce((sum, val) => sum + val * val, 0));
+    return norm > 0
+        ? { vector: mean.map(val => val / norm), model: embeddings[0].model }
+        : null;
 };
 
-// Extract texture features using Local Binary Pattern - uses processed buffer
-const extractTextureFeatures = async (processedBuffer, width, height) => {
-    try {
-        const textureSize = 64;
-        const grayBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
-            .resize(textureSize, textureSize)
-            .grayscale()
-            .raw()
-            .toBuffer();
-
-        const textureWidth = textureSize, textureHeight = textureSize;
-        const lbpHistogram = new Array(256).fill(0);
-
-        // Simplified LBP calculation
-        for (let y = 1; y < textureHeight - 1; y++) {
-            for (let x = 1; x < textureWidth - 1; x++) {
-                const center = grayBuffer[y * textureWidth + x];
-                let lbpValue = 0;
-                
-                // 8 neighbors
-                const neighbors = [
-                    grayBuffer[(y-1) * textureWidth + (x-1)], // top-left
-                    grayBuffer[(y-1) * textureWidth + x],     // top
-                    grayBuffer[(y-1) * textureWidth + (x+1)], // top-right
-                    grayBuffer[y * textureWidth + (x+1)],     // right
-                    grayBuffer[(y+1) * textureWidth + (x+1)], // bottom-right
-                    grayBuffer[(y+1) * textureWidth + x],     // bottom
-                    grayBuffer[(y+1) * textureWidth + (x-1)], // bottom-left
-                    grayBuffer[y * textureWidth + (x-1)]      // left
-                ];
-
-                // Calculate LBP value
-                for (let i = 0; i < 8; i++) {
-                    if (neighbors[i] >= center) {
-                        lbpValue |= (1 << i);
-                    }
-                }
-                
-                lbpHistogram[lbpValue]++;
-            }
+// Run the extractors of every manifest group, sharing per-image work through context.memo.
+// A failing or malformed extractor yields a zero group instead of failing the whole image.
+const runExtractors = async (processedBuffer, context, manifest = FEATURE_MANIFEST) => {
+    const cache = new Map();
+    const extractionContext = {
+        ...context,
+        memo: (key, compute) => {
+            if (!cache.has(key)) cache.set(key, compute());
+            return cache.get(key);
         }
+    };
 
-        // Normalize
-        const total = (textureWidth - 2) * (textureHeight - 2);
-        return lbpHistogram.map(count => count / total);
-    } catch (error) {
-        console.error('Error extracting texture features:', error);
-        return new Array(256).fill(0);
-    }
-};
-
-// Extract shape features using moments - uses processed buffer
-const extractShapeFeatures = async (processedBuffer, width, height) => {
-    try {
-        // Convert processed buffer to binary image using threshold
-        const shapeSize = 64;
-        const grayBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
-            .resize(shapeSize, shapeSize)
-            .grayscale()
-            .raw()
-            .toBuffer();
-
-        const shapeWidth = shapeSize, shapeHeight = shapeSize;
-        const threshold = 128;
-        
-        // Calculate moments
-        let m00 = 0, m10 = 0, m01 = 0, m20 = 0, m11 = 0, m02 = 0;
-        
-        for (let y = 0; y < shapeHeight; y++) {
-            for (let x = 0; x < shapeWidth; x++) {
-                const pixel = grayBuffer[y * shapeWidth + x] > threshold ? 1 : 0;
-                m00 += pixel;
-                m10 += x * pixel;
-                m01 += y * pixel;
-                m20 += x * x * pixel;
-                m11 += x * y * pixel;
-                m02 += y * y * pixel;
+    const features = {};
+    for (const { name, length } of manifest.groups) {
+        try {
+            const output = await getExtractor(name).extract(processedBuffer, extractionContext);
+            const values = output ? Array.from(output) : [];
+            if (values.length !== length || values.some(value => !Number.isFinite(value))) {
+                throw new Error(`returned ${values.length} values, expected ${length} finite numbers`);
             }
+            features[name] = values;
+        } catch (error) {
+            console.error(`Error running feature extractor "${name}":`, error.message);
+            features[name] = new Array(length).fill(0);
         }
+    }
+    return features;
+};
 
-        if (m00 === 0) return [0, 0, 0, 0, 0, 0, 0];
+// Feature vector only - kept for callers that don't need analysis metadata
+const extractAdvancedFeatures = async (imageBuffer) => {
+    const { features } = await analyzeImage(imageBuffer);
+    return features;
+};
 
-        // Calculate central moments
-        const xc = m10 / m00;
-        const yc = m01 / m00;
-        
-        const mu20 = m20 / m00 - xc * xc;
-        const mu11 = m11 / m00 - xc * yc;
-        const mu02 = m02 / m00 - yc * yc;
+// Combine all features into one unweighted vector in manifest order;
+// weights are applied at query time (see weightProfiles.js)
+const combineFeatures = (features, manifest = FEATURE_MANIFEST) => {
+    return assembleFeatureVector(features, manifest);
+};
 
-        // Hu moments (invariant to translation, scale, rotation)
-        const eta20 = mu20 / Math.pow(m00, 2);
-        const eta11 = mu11 / Math.pow(m00, 2);
-        const eta02 = mu02 / Math.pow(m00, 2);
+// Share of the final similarity given to each specialised component when available
+const COMPONENT_WEIGHTS = {
+    color: 0.25,  // CIEDE2000 palette comparison
+    layout: 0.2   // Spatial pyramid match
+};
 
-        const hu1 = eta20 + eta02;
-        const hu2 = Math.pow(eta20 - eta02, 2) + 4 * eta11 * eta11;
-        
-        // Compactness and aspect ratio
-        const perimeter = calculatePerimeter(grayBuffer, shapeWidth, shapeHeight, threshold);
-        const compactness = perimeter > 0 ? (4 * Math.PI * m00) / (perimeter * perimeter) : 0;
-        const aspectRatio = mu20 > 0 && mu02 > 0 ? Math.sqrt(mu20 / mu02) : 1;
+// Contiguous slice of a feature vector; typed arrays are viewed, not copied
+const sliceFeatures = (features, offset, length) => {
+    return typeof features.subarray === 'function'
+        ? features.subarray(offset, offset + length)
+        : features.slice(offset, offset + length);
+};
 
-        return [hu1, hu2, compactness, aspectRatio, eta20, eta11, eta02];
-    } catch (error) {
-        console.error('Error extracting shape features:', error);
-        return new Array(7).fill(0);
-    }
+const decodePalette = (features, manifest = FEATURE_MANIFEST) => {
+    const paletteGroup = getFeatureGroup('labPalette', manifest);
+    if (!paletteGroup || features.length !== manifest.totalLength) return null;
+    return decodeLabPalette(Array.from(sliceFeatures(features, paletteGroup.offset, paletteGroup.length)));
 };
 
-// Extract dominant colors using k-means clustering - uses processed buffer
-const extractDominantColors = async (processedBuffer, width, height) => {
-    try {
-        const colorSize = 32;
-        const resizedBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
-            .resize(colorSize, colorSize)
-            .raw()
-            .toBuffer();
-
-        const pixels = [];
-        for (let i = 0; i < resizedBuffer.length; i += 3) {
-            pixels.push([
-                resizedBuffer[i],
-                resizedBuffer[i + 1],
-                resizedBuffer[i + 2]
-            ]);
+// Per-group sums and sums of squares of a full, unweighted vector plus its decoded
+// palette. Norms and means under any weighting follow from these, so the catalog
+// cache computes them once per product instead of once per comparison.
+const computeFeatureStats = (features, manifest = FEATURE_MANIFEST) => {
+    const groupSums = new Float64Array(manifest.groups.length);
+    const groupSquares = new Float64Array(manifest.groups.length);
+    manifest.groups.forEach(({ offset, length }, index) => {
+        for (let i = offset; i < offset + length; i++) {
+            groupSums[index] += features[i];
+            groupSquares[index] += features[i] * features[i];
         }
+    });
+    return { groupSums, groupSquares, palette: decodePalette(features, manifest) };
+};
 
-        // Simple k-means for 5 dominant colors
-        const k = 5;
-        const maxIterations = 10;
-        
-        // Initialize centroids randomly
-        let centroids = [];
-        for (let i = 0; i < k; i++) {
-            const randomPixel = pixels[Math.floor(Math.random() * pixels.length)];
-            centroids.push([...randomPixel]);
+// Query side of a comparison, computed once per search. Groups compared by the blend
+// get the query weighted twice (so one dot product with an unweighted product vector
+// gives the weighted dot product), its weighted norm and sum and the group weights;
+// groups with their own metric (see featureMetrics.js) are left out of those and
+// listed in metricGroups instead.
+const prepareSimilarityQuery = (features, weighting = DEFAULT_WEIGHTING, metrics = DEFAULT_METRICS, manifest = FEATURE_MANIFEST) => {
+    const isFullVector = Boolean(features) && features.length === manifest.totalLength &&
+        weighting.weightVector.length === features.length;
+    if (!isFullVector) return { features, weighting, metrics, manifest, isFullVector: false };
+
+    const isBlended = (group) => metrics.groupMetrics[group.name] === 'blend';
+    const blendedRanges = manifest.groups
+        .filter(group => isBlended(group) && weighting.groupWeights[group.name] > 0)
+        .map(({ offset, length }) => ({ offset, length }));
+    const doublyWeighted = new Float64Array(features.length);
+    let squaredNorm = 0;
+    let sum = 0;
+    blendedRanges.forEach(({ offset, length }) => {
+        for (let i = offset; i < offset + length; i++) {
+            const weight = weighting.weightVector[i];
+            const weighted = features[i] * weight;
+            doublyWeighted[i] = weighted * weight;
+            squaredNorm += weighted * weighted;
+            sum += weighted;
         }
+    });
 
-        // K-means iterations
-        for (let iter = 0; iter < maxIterations; iter++) {
-            const clusters = Array(k).fill().map(() => []);
-            
-            // Assign pixels to nearest centroid
-            pixels.forEach(pixel => {
-                let minDist = Infinity;
-                let closestCluster = 0;
-                
-                centroids.forEach((centroid, index) => {
-                    const dist = euclideanDistance(pixel, centroid);
-                    if (dist < minDist) {
-                        minDist = dist;
-                        closestCluster = index;
-                    }
-                });
-                
-                clusters[closestCluster].push(pixel);
-            });
-
-            // Update centroids
-            centroids = clusters.map(cluster => {
-                if (cluster.length === 0) return [0, 0, 0];
-                
-                const sum = cluster.reduce((acc, pixel) => [
-                    acc[0] + pixel[0],
-                    acc[1] + pixel[1],
-                    acc[2] + pixel[2]
-                ], [0, 0, 0]);
-                
-                return [
-                    sum[0] / cluster.length,
-                    sum[1] / cluster.length,
-                    sum[2] / cluster.length
-                ];
-            });
-        }
+    return {
+        features,
+        weighting,
+        metrics,
+        manifest,
+        isFullVector: true,
+        doublyWeighted,
+        squaredNorm,
+        sum,
+        blendedRanges,
+        blendedLength: blendedRanges.reduce((total, range) => total + range.length, 0),
+        groupWeights: Float64Array.from(manifest.groups, group => isBlended(group) ? weighting.groupWeights[group.name] : 0),
+        blendWeight: manifest.groups.filter(isBlended).reduce((total, group) => total + weighting.groupWeights[group.name], 0),
+        metricGroups: manifest.groups
+            .filter(group => !isBlended(group) && weighting.groupWeights[group.name] > 0)
+            .map(({ name, offset, length }) => ({
+                offset,
+                length,
+                metric: metrics.groupMetrics[name],
+                weight: weighting.groupWeights[name],
+                values: sliceFeatures(features, offset, length)
+            })),
+        palette: decodePalette(features, manifest)
+    };
+};
 
-        // Return normalized dominant colors
-        return centroids.flat().map(val => val / 255);
-    } catch (error) {
-        console.error('Error extracting dominant colors:', error);
-        return new Array(15).fill(0);
-    }
+// Cosine, Euclidean and correlation similarity of the weighted vectors in one pass,
+// using the identities |a-b|^2 = |a|^2 + |b|^2 - 2ab and cov = ab - n * mean(a) * mean(b).
+// Only the blended groups with a weight take part, so n counts their elements alone.
+const calculateVisualSimilarity = (query, features, stats) => {
+    let dot = 0;
+    query.blendedRanges.forEach(({ offset, length }) => {
+        for (let i = offset; i < offset + length; i++) dot += query.doublyWeighted[i] * features[i];
+    });
+
+    let squaredNorm = 0;
+    let sum = 0;
+    query.groupWeights.forEach((weight, index) => {
+        squaredNorm += weight * weight * stats.groupSquares[index];
+        sum += weight * stats.groupSums[index];
+    });
+
+    const n = query.blendedLength;
+    const cosineSim = query.squaredNorm === 0 || squaredNorm === 0
+        ? 0
+        : dot / Math.sqrt(query.squaredNorm * squaredNorm);
+    const euclideanSim = 1 / (1 + Math.sqrt(Math.max(0, query.squaredNorm + squaredNorm - 2 * dot)));
+
+    const covariance = dot - (query.sum * sum) / n;
+    const variance1 = query.squaredNorm - (query.sum * query.sum) / n;
+    const variance2 = squaredNorm - (sum * sum) / n;
+    const correlationSim = n === 0 || variance1 <= 0 || variance2 <= 0
+        ? 0
+        : Math.min(1, Math.abs(covariance) / Math.sqrt(variance1 * variance2));
+
+    return Math.max(0, Math.min(1, (
+        cosineSim * 0.5 +
+        euclideanSim * 0.3 +
+        correlationSim * 0.2
+    )));
 };
 
-// Extract brightness features - uses processed buffer
-const extractBrightnessFeatures = async (processedBuffer, width, height) => {
-    try {
-        const brightnessSize = 64;
-        const grayBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
-            .resize(brightnessSize, brightnessSize)
-            .grayscale()
-            .raw()
-            .toBuffer();
-
-        const pixels = Array.from(grayBuffer);
-        const mean = pixels.reduce((sum, pixel) => sum + pixel, 0) / pixels.length;
-        const variance = pixels.reduce((sum, pixel) => sum + Math.pow(pixel - mean, 2), 0) / pixels.length;
-        const skewness = variance > 0 ? 
-            pixels.reduce((sum, pixel) => sum + Math.pow(pixel - mean, 3), 0) / (pixels.length * Math.pow(variance, 1.5)) : 0;
-
-        return [mean / 255, variance / (255 * 255), skewness];
-    } catch (error) {
-        console.error('Error extracting brightness features:', error);
-        return [0, 0, 0];
+// Similarity of a prepared query to one product vector, split into its components:
+//   visual - cosine/Euclidean/correlation blend over the blended groups, weighted per group,
+//            averaged with the groups that have their own metric
+//   color  - CIEDE2000 earth-mover match of the Lab palettes (null when unavailable)
+//   layout - pyramid match over the spatial pyramid groups (null when disabled)
+// Groups weighted 0 are ignored and the color/layout shares shrink with their groups'
+// weights. stats (from computeFeatureStats) are computed on the fly when not cached.
+const compareWithQuery = (query, features, stats = null) => {
+    const { features: queryFeatures, weighting, manifest } = query;
+    if (!queryFeatures || !features || queryFeatures.length !== features.length) {
+        return { visual: 0, color: null, layout: null, combined: 0 };
     }
-};
 
-// Extract contrast features - uses processed buffer
-const extractContrastFeatures = async (processedBuffer, width, height) => {
-    try {
-        const contrastSize = 64;
-        const grayBuffer = await sharp(processedBuffer, { raw: { width, height, channels: 3 } })
-            .resize(contrastSize, contrastSize)
-            .grayscale()
-            .raw()
-            .toBuffer();
-
-        const contrastWidth = contrastSize, contrastHeight = contrastSize;
-        let totalContrast = 0;
-        let contrastCount = 0;
-
-        // Calculate local contrast
-        for (let y = 1; y < contrastHeight - 1; y++) {
-            for (let x = 1; x < contrastWidth - 1; x++) {
-                const center = grayBuffer[y * contrastWidth + x];
-                const neighbors = [
-                    grayBuffer[(y-1) * contrastWidth + x],     // top
-                    grayBuffer[y * contrastWidth + (x+1)],     // right
-                    grayBuffer[(y+1) * contrastWidth + x],     // bottom
-                    grayBuffer[y * contrastWidth + (x-1)]      // left
-                ];
-
-                const localContrast = neighbors.reduce((sum, neighbor) => {
-                    return sum + Math.abs(center - neighbor);
-                }, 0) / 4;
-
-                totalContrast += localContrast;
-                contrastCount++;
-            }
-        }
+    // Partial vectors (single groups) are compared as is
+    if (!query.isFullVector) {
+        const visualSimilarity = Math.max(0, Math.min(1, (
+            calculateCosineSimilarity(queryFeatures, features) * 0.5 +
+            calculateEuclideanSimilarity(queryFeatures, features) * 0.3 +
+            calculateCorrelationSimilarity(queryFeatures, features) * 0.2
+        )));
+        return { visual: visualSimilarity, color: null, layout: null, combined: visualSimilarity };
+    }
 
-        const avgContrast = contrastCount > 0 ? totalContrast / contrastCount : 0;
-        return [avgContrast / 255];
-    } catch (error) {
-        console.error('Error extracting contrast features:', error);
-        return [0];
+    const productStats = stats || computeFeatureStats(features, manifest);
+    let visualSimilarity;
+    if (query.metricGroups.length === 0) {
+        visualSimilarity = calculateVisualSimilarity(query, features, productStats);
+    } else {
+        // Blended groups count with their summed weight, metric groups with their own
+        let total = 0;
+        let totalWeight = 0;
+        if (query.blendWeight > 0) {
+            total += calculateVisualSimilarity(query, features, productStats) * query.blendWeight;
+            totalWeight += query.blendWeight;
+        }
+        query.metricGroups.forEach(({ offset, length, metric, weight, values }) => {
+            const similarity = calculateMetricSimilarity(metric, values, sliceFeatures(features, offset, length));
+            if (similarity === null) return;
+            total += similarity * weight;
+            totalWeight += weight;
+        });
+        visualSimilarity = totalWeight > 0 ? total / totalWeight : 0;
     }
-};
 
-// Combine all features into a weighted vector
-const combineFeatures = (features) => {
-    const combined = [];
-    
-    // Weight different features based on importance for product similarity
-    const weights = {
-        colorHistogram: 0.3,    // Color is very important for products
-        dominantColors: 0.25,   // Dominant colors are also crucial
-        edgeFeatures: 0.15,     // Shape/edges matter for product recognition
-        textureFeatures: 0.15,  // Texture helps distinguish materials
-        shapeFeatures: 0.1,     // Basic shape information
-        brightness: 0.03,       // Less important but still useful
-        contrast: 0.02          // Least important for product matching
-    };
+    // Perceptual palette match
+    const colorSimilarity = query.palette && productStats.palette
+        ? paletteSimilarity(query.palette, productStats.palette)
+        : null;
+
+    // Layout match, averaged over the pyramid groups in the manifest
+    let layoutSimilarity = null;
+    const pyramidGroups = manifest.groups.filter(group => group.pyramid);
+    if (pyramidGroups.length > 0) {
+        const scores = pyramidGroups.map(({ offset, length, pyramid }) => pyramidMatchSimilarity(
+            sliceFeatures(queryFeatures, offset, length),
+            sliceFeatures(features, offset, length),
+            pyramid.levels,
+            pyramid.binCount
+        ));
+        layoutSimilarity = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    }
 
-    // Apply weights and combine
-    Object.entries(features).forEach(([featureType, featureVector]) => {
-        const weight = weights[featureType] || 0.1;
-        const weightedFeatures = featureVector.map(val => val * weight);
-        combined.push(...weightedFeatures);
+    // Blend available components; the visual score takes whatever share is left
+    const components = { color: colorSimilarity, layout: layoutSimilarity };
+    let combined = 0;
+    let visualShare = 1;
+    Object.entries(components).forEach(([name, value]) => {
+        if (value === null) return;
+        const share = COMPONENT_WEIGHTS[name] * weighting.componentScales[name];
+        combined += value * share;
+        visualShare -= share;
     });
+    combined += visualSimilarity * visualShare;
 
-    return combined;
+    return {
+        visual: visualSimilarity,
+        color: colorSimilarity,
+        layout: layoutSimilarity,
+        combined: Math.max(0, Math.min(1, combined))
+    };
 };
 
-// Enhanced similarity calculation with multiple metrics
-const calculateAdvancedSimilarity = (features1, features2) => {
+// Similarity of two vectors split into components (see compareWithQuery);
+// weighting comes from resolveWeighting(), metrics from resolveMetrics()
+const calculateSimilarityBreakdown = (features1, features2, weighting = DEFAULT_WEIGHTING, metrics = DEFAULT_METRICS, manifest = FEATURE_MANIFEST) => {
     if (!features1 || !features2 || features1.length !== features2.length) {
-        return 0;
+        return { visual: 0, color: null, layout: null, combined: 0 };
     }
+    return compareWithQuery(prepareSimilarityQuery(features1, weighting, metrics, manifest), features2);
+};
 
-    // Calculate multiple similarity metrics
-    const cosineSim = calculateCosineSimilarity(features1, features2);
-    const euclideanSim = calculateEuclideanSimilarity(features1, features2);
-    const correlationSim = calculateCorrelationSimilarity(features1, features2);
-
-    // Weighted combination of similarity metrics
-    const finalSimilarity = (
-        cosineSim * 0.5 +
-        euclideanSim * 0.3 +
-        correlationSim * 0.2
-    );
-
-    return Math.max(0, Math.min(1, finalSimilarity));
+// Enhanced similarity calculation with multiple metrics
+const calculateAdvancedSimilarity = (features1, features2, weighting = DEFAULT_WEIGHTING, metrics = DEFAULT_METRICS) => {
+    return calculateSimilarityBreakdown(features1, features2, weighting, metrics).combined;
 };
 
 // Cosine similarity
@@ -477,13 +464,52 @@ const calculateCorrelationSimilarity = (features1, features2) => {
 };
 
 // Enhanced product matching with category weighting
-const findAdvancedSimilarProducts = (uploadedFeatures, products, limit = 10, categoryBoost = 0.1) => {
+// Ranking modes: classic features, learned embedding, or a blend of both.
+// Products without a comparable embedding keep their classic score.
+const RANKING_MODES = ['classic', 'embedding', 'blend'];
+
+const rankingScore = (classicSimilarity, embeddingSimilarity, rankBy, embeddingWeight) => {
+    if (embeddingSimilarity === null || rankBy === 'classic') return classicSimilarity;
+    if (rankBy === 'embedding') return embeddingSimilarity;
+    return embeddingSimilarity * embeddingWeight + classicSimilarity * (1 - embeddingWeight);
+};
+
+// options.queryEmbedding / rankBy / embeddingWeight select how products are scored,
+// options.weighting the feature group weights (see weightProfiles.js) and
+// options.metrics the per-group similarity metrics (see featureMetrics.js) and
+// options.categoryPrediction the query's classifyCategory() result: products in its
+// category (set only above the confidence threshold) get categoryBoost, and
+// options.textMatches a searchTextIndex() result blended in with weight textAlpha
+const findAdvancedSimilarProducts = (uploadedFeatures, products, limit = 10, categoryBoost = 0.1, options = {}) => {
+    const {
+        queryEmbedding = null,
+        rankBy = 'classic',
+        embeddingWeight = embeddingConfig.blendWeight,
+        weighting = DEFAULT_WEIGHTING,
+        metrics = DEFAULT_METRICS,
+        categoryPrediction = null,
+        textMatches = null,
+        textAlpha = 0
+    } = options;
+
+    // Cached catalog entries carry precomputed feature stats (see catalogCache.js)
+    const query = prepareSimilarityQuery(uploadedFeatures, weighting, metrics);
+    const boostedCategory = categoryPrediction ? categoryPrediction.category : null;
     const similarities = products.map(product => {
-        let baseSimilarity = calculateAdvancedSimilarity(uploadedFeatures, product.colorFeatures);
+        const similarityComponents = compareWithQuery(query, product.colorFeatures, product.featureStats);
+        const embeddingSimilarity = calculateEmbeddingSimilarity(queryEmbedding, product);
+        const imageSimilarity = rankingScore(similarityComponents.combined, embeddingSimilarity, rankBy, embeddingWeight);
+
+        // Hybrid search: products without a text match score 0 on the text side
+        const textMatch = textMatches ? textMatches.hits.get(String(product._id)) || null : null;
+        const textSimilarity = textMatches ? (textMatch ? textMatch.score : 0) : null;
+        let baseSimilarity = textMatches
+            ? imageSimilarity * (1 - textAlpha) + textSimilarity * textAlpha
+            : imageSimilarity;
         
-        // Apply category-based boosting (if we can infer category from features)
-        const inferredCategory = inferCategoryFromFeatures(uploadedFeatures);
-        if (inferredCategory && product.category.toLowerCase() === inferredCategory.toLowerCase()) {
+        // Apply category-based boosting (only for a confident category prediction)
+        const categoryMatch = Boolean(boostedCategory) && product.category.toLowerCase() === boostedCategory.toLowerCase();
+        if (categoryMatch) {
             baseSimilarity += categoryBoost;
         }
 
@@ -491,10 +517,20 @@ const findAdvancedSimilarProducts = (uploadedFeatures, products, limit = 10, cat
         const priceWeight = calculatePriceRelevance(product.price, products);
         
         return {
-            ...product.toObject(),
+            ...toPlainProduct(product),
             similarity: Math.min(1, baseSimilarity + priceWeight * 0.05),
             baseSimilarity: baseSimilarity,
-            categoryMatch: inferredCategory === product.category,
+            similarityComponents: {
+                visual: similarityComponents.visual,
+                color: similarityComponents.color,
+                layout: similarityComponents.layout,
+                classic: similarityComponents.combined,
+                embedding: embeddingSimilarity,
+                image: imageSimilarity,
+                text: textSimilarity
+            },
+            textMatch: textMatch ? { score: textMatch.score, rawScore: textMatch.rawScore, matchedTerms: textMatch.matchedTerms } : null,
+            categoryMatch: categoryMatch,
             priceRange: getPriceRange(product.price)
         };
     });
@@ -517,74 +553,9 @@ const findAdvancedSimilarProducts = (uploadedFeatures, products, limit = 10, cat
         .filter(product => product.similarity > 0.15); // Higher threshold for better matches
 };
 
-// Helper functions
-const rgbToHsv = (r, g, b) => {
-    const max = Math.max(r, g, b);
-    const min = Math.min(r, g, b);
-    const diff = max - min;
-    
-    let h = 0;
-    if (diff !== 0) {
-        if (max === r) h = ((g - b) / diff) % 6;
-        else if (max === g) h = (b - r) / diff + 2;
-        else h = (r - g) / diff + 4;
-    }
-    h = h / 6;
-    if (h < 0) h += 1;
-    
-    const s = max === 0 ? 0 : diff / max;
-    const v = max;
-    
-    return [h, s, v];
-};
-
-const euclideanDistance = (point1, point2) => {
-    return Math.sqrt(
-        Math.pow(point1[0] - point2[0], 2) +
-        Math.pow(point1[1] - point2[1], 2) +
-        Math.pow(point1[2] - point2[2], 2)
-    );
-};
-
-const calculatePerimeter = (binaryBuffer, width, height, threshold) => {
-    let perimeter = 0;
-    for (let y = 0; y < height; y++) {
-        for (let x = 0; x < width; x++) {
-            const current = binaryBuffer[y * width + x] > threshold;
-            if (current) {
-                // Check if it's a boundary pixel
-                const neighbors = [
-                    y > 0 ? binaryBuffer[(y-1) * width + x] > threshold : false,
-                    x < width-1 ? binaryBuffer[y * width + (x+1)] > threshold : false,
-                    y < height-1 ? binaryBuffer[(y+1) * width + x] > threshold : false,
-                    x > 0 ? binaryBuffer[y * width + (x-1)] > threshold : false
-                ];
-                
-                if (neighbors.some(neighbor => !neighbor)) {
-                    perimeter++;
-                }
-            }
-        }
-    }
-    return perimeter;
-};
-
-const inferCategoryFromFeatures = (features) => {
-    // Simple heuristic-based category inference
-    // This is a simplified approach - in practice, you'd use ML classification
-    
-    if (!features || features.length === 0) return null;
-    
-    // Analyze feature patterns to guess category
-    const avgBrightness = features[features.length - 3] || 0;
-    const avgContrast = features[features.length - 1] || 0;
-    
-    // Very basic heuristics
-    if (avgBrightness > 0.8 && avgContrast < 0.3) return 'Electronics';
-    if (avgBrightness < 0.4) return 'Fashion';
-    if (avgContrast > 0.6) return 'Tools';
-    
-    return null; // No clear category inference
+// Mongoose documents and cached catalog entries (plain objects) alike
+const toPlainProduct = (product) => {
+    return typeof product.toObject === 'function' ? product.toObject() : { ...product };
 };
 
 const calculatePriceRelevance = (productPrice, allProducts) => {
@@ -601,29 +572,34 @@ const getPriceRange = (price) => {
     return 'luxury';
 };
 
-// Updated main extraction function for URLs
+// Download an image into a buffer - throws on network errors
+const downloadImage = async (imageUrl) => {
+    console.log(`🌐 Downloading image from: ${imageUrl}`);
+    const response = await axios({
+        method: 'GET',
+        url: imageUrl,
+        responseType: 'arraybuffer',
+        timeout: 10000,
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+        }
+    });
+    return Buffer.from(response.data);
+};
+
+// Updated main extraction function for URLs - throws on download and decode errors,
+// so callers (seed, re-index) record the product as failed instead of storing defaults
 const extractFeaturesFromUrl = async (imageUrl) => {
-    try {
-        console.log(`🌐 Downloading image from: ${imageUrl}`);
-        const response = await axios({
-            method: 'GET',
-            url: imageUrl,
-            responseType: 'arraybuffer',
-            timeout: 10000,
-            headers: {
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-            }
-        });
-        
-        const imageBuffer = Buffer.from(response.data);
-        console.log(`📊 Extracting advanced features...`);
-        return await extractAdvancedFeatures(imageBuffer);
-    } catch (error) {
-        console.error('❌ Error downloading/processing image from URL:', error.message);
-        // Return default features instead of throwing
-        console.log('🔄 Returning default features...');
-        return new Array(1331).fill(0.001); // Default feature vector
-    }
+    const imageBuffer = await downloadImage(imageUrl);
+    console.log(`📊 Extracting advanced features...`);
+    return extractAdvancedFeatures(imageBuffer);
+};
+
+// URL variant of analyzeImage - throws like extractFeaturesFromUrl
+const analyzeImageFromUrl = async (imageUrl, options = {}) => {
+    const imageBuffer = await downloadImage(imageUrl);
+    console.log(`📊 Extracting advanced features...`);
+    return analyzeImage(imageBuffer, options);
 };
 
 // Backward compatibility - keep the old function name
@@ -636,11 +612,21 @@ const calculateSimilarity = calculateAdvancedSimilarity;
 const findSimilarProducts = findAdvancedSimilarProducts;
 
 module.exports = {
+    RANKING_MODES,
+    featureManifest: FEATURE_MANIFEST,
     extractColorFeatures,
     extractAdvancedFeatures,
     extractFeaturesFromUrl,
+    analyzeImage,
+    analyzeImageFromUrl,
+    downloadImage,
     calculateSimilarity,
     calculateAdvancedSimilarity,
+    calculateSimilarityBreakdown,
+    computeFeatureStats,
+    prepareSimilarityQuery,
+    compareWithQuery,
+    toPlainProduct,
     findSimilarProducts,
     findAdvancedSimilarProducts
 };
\ No newline at end of file
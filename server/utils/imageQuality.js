@@ -0,0 +1,234 @@
+const sharp = require('sharp');
+const { resizeMask } = require('./foregroundMask');
+
+// Image quality assessment for query and catalog images. Every check yields a 0-1
+// component score; the weighted mean is the overall score and components below
+// WARNING_LEVEL produce a structured warning the client can show as-is.
+
+const QUALITY_SIZE = 256;        // Working size, close to the 224px extraction scale
+const SHARPNESS_TILE = 32;       // Tile size for the Laplacian variance
+const FLAT_TILE_VARIANCE = 25;   // Tiles below this grey-level variance (plain background) are skipped
+const BLOCK_SAMPLE_SIZE = 512;   // Region of the original JPEG checked for 8x8 block artefacts
+
+const COMPONENT_WEIGHTS = {
+    sharpness: 0.3,
+    exposure: 0.25,
+    resolution: 0.2,
+    coverage: 0.15,
+    compression: 0.1
+};
+
+const WARNING_LEVEL = 0.6;
+const CRITICAL_LEVEL = 0.3;
+
+// Linear ramp: 0 at `bad`, 1 at `good` (works for either direction)
+const ramp = (value, bad, good) => {
+    const t = (value - bad) / (good - bad);
+    return Math.max(0, Math.min(1, t));
+};
+
+// Sharpness and exposure statistics of one frame, restricted to foreground pixels when a
+// mask is available. Sharpness is the variance of the Laplacian averaged over tiles with
+// visible content, so a sharp product on a large plain background doesn't read as blurry
+// (null when nothing but plain background is visible).
+const measureFrameQuality = async (imageBuffer, mask = null, maskSize = 224) => {
+    const size = QUALITY_SIZE;
+    const gray = await sharp(imageBuffer)
+        .resize(size, size)
+        .flatten({ background: '#ffffff' })
+        .grayscale()
+        .raw()
+        .toBuffer();
+    const qualityMask = await resizeMask(mask, maskSize, maskSize, size);
+    const inMask = (index) => !qualityMask || qualityMask[index];
+
+    let sharpnessSum = 0, contentTiles = 0;
+    for (let tileY = 0; tileY < size; tileY += SHARPNESS_TILE) {
+        for (let tileX = 0; tileX < size; tileX += SHARPNESS_TILE) {
+            let sum = 0, squares = 0, laplacianSum = 0, laplacianSquares = 0, count = 0;
+            for (let y = Math.max(1, tileY); y < Math.min(size - 1, tileY + SHARPNESS_TILE); y++) {
+                for (let x = Math.max(1, tileX); x < Math.min(size - 1, tileX + SHARPNESS_TILE); x++) {
+                    const index = y * size + x;
+                    if (!inMask(index)) continue;
+                    const laplacian = gray[index - size] + gray[index + size] + gray[index - 1] + gray[index + 1] - 4 * gray[index];
+                    sum += gray[index];
+                    squares += gray[index] * gray[index];
+                    laplacianSum += laplacian;
+                    laplacianSquares += laplacian * laplacian;
+                    count++;
+                }
+            }
+            if (count < SHARPNESS_TILE) continue;
+
+            const mean = sum / count;
+            if (squares / count - mean * mean < FLAT_TILE_VARIANCE) continue;
+            const laplacianMean = laplacianSum / count;
+            sharpnessSum += laplacianSquares / count - laplacianMean * laplacianMean;
+            contentTiles++;
+        }
+    }
+
+    let brightnessSum = 0, shadows = 0, highlights = 0, pixelCount = 0;
+    for (let i = 0; i < gray.length; i++) {
+        if (!inMask(i)) continue;
+        brightnessSum += gray[i];
+        if (gray[i] <= 8) shadows++;
+        if (gray[i] >= 247) highlights++;
+        pixelCount++;
+    }
+
+    return {
+        sharpness: contentTiles > 0 ? sharpnessSum / contentTiles : null,
+        brightness: pixelCount > 0 ? brightnessSum / (pixelCount * 255) : 0,
+        shadowClipping: pixelCount > 0 ? shadows / pixelCount : 0,
+        highlightClipping: pixelCount > 0 ? highlights / pixelCount : 0
+    };
+};
+
+// JPEG compression: blockiness (luminance steps across 8x8 block edges relative to steps
+// inside blocks, ~1 for clean images) plus bytes per pixel for reference. Measured on the original
+// file without resizing or rotating, so the block grid stays aligned. null for other formats.
+const measureCompression = async (originalBuffer, format, width, height) => {
+    if (format !== 'jpeg') return null;
+
+    const { width: storedWidth, height: storedHeight } = await sharp(originalBuffer).metadata();
+    const sampleWidth = Math.min(storedWidth, BLOCK_SAMPLE_SIZE);
+    const sampleHeight = Math.min(storedHeight, BLOCK_SAMPLE_SIZE);
+    const gray = await sharp(originalBuffer)
+        .extract({ left: 0, top: 0, width: sampleWidth, height: sampleHeight })
+        .grayscale()
+        .raw()
+        .toBuffer();
+
+    let boundary = 0, boundaryCount = 0, interior = 0, interiorCount = 0;
+    for (let y = 0; y < sampleHeight; y++) {
+        for (let x = 1; x < sampleWidth; x++) {
+            const step = Math.abs(gray[y * sampleWidth + x] - gray[y * sampleWidth + x - 1]);
+            if (x % 8 === 0) {
+                boundary += step;
+                boundaryCount++;
+            } else {
+                interior += step;
+                interiorCount++;
+            }
+        }
+    }
+    for (let y = 1; y < sampleHeight; y++) {
+        for (let x = 0; x < sampleWidth; x++) {
+            const step = Math.abs(gray[y * sampleWidth + x] - gray[(y - 1) * sampleWidth + x]);
+            if (y % 8 === 0) {
+                boundary += step;
+                boundaryCount++;
+            } else {
+                interior += step;
+                interiorCount++;
+            }
+        }
+    }
+
+    const boundaryMean = boundaryCount > 0 ? boundary / boundaryCount : 0;
+    const interiorMean = interiorCount > 0 ? interior / interiorCount : 0;
+    return {
+        bytesPerPixel: originalBuffer.length / Math.max(1, width * height),
+        // +1 keeps flat images at ~1 while blocks flattened to a single colour still stand out
+        blockiness: (boundaryMean + 1) / (interiorMean + 1)
+    };
+};
+
+const buildWarning = (code, score, message, value) => ({
+    code,
+    severity: score < CRITICAL_LEVEL ? 'critical' : 'warning',
+    message,
+    value
+});
+
+// Combine the measurements into component scores, an overall score and warnings.
+//   frame       - measureFrameQuality result for the analysed (cropped) frame
+//   compression - measureCompression result or null
+//   input       - { width, height } of the uploaded image
+//   foreground  - { method, coverage, detectedCoverage } from foreground isolation
+//   crop        - saliency crop region (effective resolution shrinks with it) or null
+const assessImageQuality = ({ frame, compression = null, input, foreground = null, crop = null }) => {
+    const components = {};
+    const warnings = [];
+
+    if (frame.sharpness !== null) components.sharpness = ramp(frame.sharpness, 30, 200);
+    if (components.sharpness < WARNING_LEVEL) {
+        warnings.push(buildWarning('blurry', components.sharpness,
+            'Image is blurry, results may be poor. Try a sharper, well-focused photo.', frame.sharpness));
+    }
+
+    const underexposure = Math.min(ramp(frame.brightness, 0.08, 0.25), ramp(frame.shadowClipping, 0.5, 0.15));
+    const overexposure = Math.min(ramp(frame.brightness, 0.97, 0.85), ramp(frame.highlightClipping, 0.6, 0.25));
+    components.exposure = Math.min(underexposure, overexposure);
+    if (underexposure < WARNING_LEVEL) {
+        warnings.push(buildWarning('underexposed', underexposure,
+            'Image is too dark, colours may not match. Try better lighting.', frame.brightness));
+    } else if (overexposure < WARNING_LEVEL) {
+        warnings.push(buildWarning('overexposed', overexposure,
+            'Image is overexposed, colours and details are washed out.', frame.brightness));
+    }
+
+    const cropScale = crop && crop.normalized
+        ? Math.sqrt(crop.normalized.width * crop.normalized.height)
+        : 1;
+    const effectiveSide = Math.min(input.width, input.height) * cropScale;
+    components.resolution = ramp(effectiveSide, 64, 224);
+    if (components.resolution < WARNING_LEVEL) {
+        warnings.push(buildWarning('low_resolution', components.resolution,
+            `Image is only ${Math.round(effectiveSide)}px on its short side, fine details are lost. Upload a larger image.`,
+            Math.round(effectiveSide)));
+    }
+
+    // Detected coverage counts even when the mask was too small to be used;
+    // photos without a detectable background are not judged on it
+    const coverage = foreground && foreground.detectedCoverage !== undefined ? foreground.detectedCoverage : null;
+    if (coverage !== null) {
+        components.coverage = ramp(coverage, 0.03, 0.15);
+        if (components.coverage < WARNING_LEVEL) {
+            warnings.push(buildWarning('small_object', components.coverage,
+                `The product fills only ${Math.round(coverage * 100)}% of the image. Crop closer to the product.`,
+                coverage));
+        }
+    }
+
+    if (compression) {
+        components.compression = ramp(compression.blockiness, 2, 1.3);
+        if (components.compression < WARNING_LEVEL) {
+            warnings.push(buildWarning('heavy_compression', components.compression,
+                'Image is heavily compressed, JPEG artefacts may distort texture matching.', compression.blockiness));
+        }
+    }
+
+    // Weighted mean over the components that could be measured, scaled down by the
+    // worst one so a single critical problem can't hide behind good averages
+    let weighted = 0, totalWeight = 0;
+    Object.entries(components).forEach(([name, value]) => {
+        weighted += value * COMPONENT_WEIGHTS[name];
+        totalWeight += COMPONENT_WEIGHTS[name];
+    });
+    const worst = Math.min(1, ...Object.values(components));
+
+    return {
+        score: totalWeight > 0 ? (weighted / totalWeight) * (0.5 + 0.5 * worst) : 0,
+        components,
+        metrics: {
+            sharpness: frame.sharpness,
+            brightness: frame.brightness,
+            shadowClipping: frame.shadowClipping,
+            highlightClipping: frame.highlightClipping,
+            width: input.width,
+            height: input.height,
+            foregroundCoverage: coverage,
+            blockiness: compression ? compression.blockiness : null,
+            bytesPerPixel: compression ? compression.bytesPerPixel : null
+        },
+        warnings
+    };
+};
+
+module.exports = {
+    measureFrameQuality,
+    measureCompression,
+    assessImageQuality
+};
@@ -0,0 +1,198 @@
+const sharp = require('sharp');
+
+// Perceptual hashes (64-bit, hex encoded) for exact and near-duplicate detection
+//   aHash - 8x8 grayscale thumbnail compared with its mean
+//   dHash - horizontal gradient signs on a 9x8 thumbnail
+//   pHash - signs of the low-frequency 8x8 DCT block of a 32x32 thumbnail vs its median
+
+const HASH_TYPES = ['aHash', 'dHash', 'pHash'];
+const HASH_BITS = 64;
+
+// Multi-index hashing: every hash is split into HASH_BANDS 16-bit bands stored on the
+// product as indexed "<type>:<band>:<hex>" keys. Two hashes within distance d share at
+// least one band that differs in at most floor(d / HASH_BANDS) bits, so lookups fetch
+// the products holding one of those band variants instead of every hashed product.
+const HASH_BANDS = 4;
+const BAND_BITS = HASH_BITS / HASH_BANDS;
+const MAX_BAND_RADIUS = 3;            // 697 variants per band; more stops being selective
+const MAX_INDEXED_DISTANCE = HASH_BANDS * (MAX_BAND_RADIUS + 1) - 1;
+
+const grayThumbnail = (imageBuffer, width, height) => {
+    return sharp(imageBuffer)
+        .flatten({ background: '#ffffff' })
+        .resize(width, height, { fit: 'fill' })
+        .grayscale()
+        .raw()
+        .toBuffer();
+};
+
+// Pack an array of 64 booleans into a 16-character hex string
+const bitsToHex = (bits) => {
+    let hex = '';
+    for (let i = 0; i < bits.length; i += 4) {
+        const nibble = (bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3];
+        hex += nibble.toString(16);
+    }
+    return hex;
+};
+
+const computeAverageHash = async (imageBuffer) => {
+    const pixels = await grayThumbnail(imageBuffer, 8, 8);
+    const mean = pixels.reduce((sum, pixel) => sum + pixel, 0) / pixels.length;
+    return bitsToHex(Array.from(pixels, pixel => (pixel > mean ? 1 : 0)));
+};
+
+const computeDifferenceHash = async (imageBuffer) => {
+    const pixels = await grayThumbnail(imageBuffer, 9, 8);
+    const bits = [];
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            bits.push(pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1 : 0);
+        }
+    }
+    return bitsToHex(bits);
+};
+
+// 2D DCT-II of an N x N block, keeping only the top-left `keep` x `keep` coefficients
+const lowFrequencyDct = (pixels, size, keep) => {
+    const cosines = [];
+    for (let u = 0; u < keep; u++) {
+        cosines[u] = [];
+        for (let x = 0; x < size; x++) {
+            cosines[u][x] = Math.cos(((2 * x + 1) * u * Math.PI) / (2 * size));
+        }
+    }
+
+    const coefficients = [];
+    for (let v = 0; v < keep; v++) {
+        for (let u = 0; u < keep; u++) {
+            let sum = 0;
+            for (let y = 0; y < size; y++) {
+                for (let x = 0; x < size; x++) {
+                    sum += pixels[y * size + x] * cosines[u][x] * cosines[v][y];
+                }
+            }
+            coefficients.push(sum);
+        }
+    }
+    return coefficients;
+};
+
+const computePerceptualHashDct = async (imageBuffer) => {
+    const size = 32;
+    const pixels = await grayThumbnail(imageBuffer, size, size);
+    const coefficients = lowFrequencyDct(pixels, size, 8);
+
+    // The DC term only encodes overall brightness, so it is left out of the median
+    const sorted = coefficients.slice(1).sort((a, b) => a - b);
+    const median = (sorted[Math.floor(sorted.length / 2) - 1] + sorted[Math.floor(sorted.length / 2)]) / 2;
+    return bitsToHex(coefficients.map(value => (value > median ? 1 : 0)));
+};
+
+const computePerceptualHashes = async (imageBuffer) => {
+    return {
+        aHash: await computeAverageHash(imageBuffer),
+        dHash: await computeDifferenceHash(imageBuffer),
+        pHash: await computePerceptualHashDct(imageBuffer)
+    };
+};
+
+// Number of differing bits between two hex hashes (HASH_BITS when either is missing)
+const hammingDistance = (hashA, hashB) => {
+    if (!hashA || !hashB || hashA.length !== hashB.length) return HASH_BITS;
+
+    let distance = 0;
+    for (let i = 0; i < hashA.length; i++) {
+        let diff = parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16);
+        while (diff) {
+            distance += diff & 1;
+            diff >>= 1;
+        }
+    }
+    return distance;
+};
+
+const compareHashes = (hashesA, hashesB) => {
+    const distances = {};
+    HASH_TYPES.forEach(type => {
+        distances[type] = hammingDistance(hashesA && hashesA[type], hashesB && hashesB[type]);
+    });
+    return distances;
+};
+
+const bandKey = (type, band, value) => `${type}:${band}:${value.toString(16).padStart(BAND_BITS / 4, '0')}`;
+
+const splitBands = (hash) => {
+    const bandLength = BAND_BITS / 4;
+    return Array.from({ length: HASH_BANDS }, (_, band) => parseInt(hash.substr(band * bandLength, bandLength), 16));
+};
+
+const isCompleteHash = (hash) => typeof hash === 'string' && hash.length === HASH_BITS / 4;
+
+// Band keys stored with a product's hashes (types without a hash contribute none)
+const computeHashBands = (hashes) => {
+    return HASH_TYPES.flatMap(type => {
+        const hash = hashes && hashes[type];
+        return isCompleteHash(hash)
+            ? splitBands(hash).map((value, band) => bandKey(type, band, value))
+            : [];
+    });
+};
+
+// Every band value within `radius` flipped bits of value
+const bandVariants = (value, radius) => {
+    const variants = [value];
+    const flipFrom = (current, firstBit, remaining) => {
+        for (let bit = firstBit; bit < BAND_BITS; bit++) {
+            const flipped = current ^ (1 << bit);
+            variants.push(flipped);
+            if (remaining > 1) flipFrom(flipped, bit + 1, remaining - 1);
+        }
+    };
+    if (radius > 0) flipFrom(value, 0, radius);
+    return variants;
+};
+
+// Band keys a product must hold at least one of to be within maxDistance of the query.
+// 'all' needs every hash type within range, so the pHash bands alone narrow it down.
+const nearDuplicateBandKeys = (queryHashes, { maxDistance = 10, hashType = 'pHash' } = {}) => {
+    if (maxDistance > MAX_INDEXED_DISTANCE) {
+        throw new Error(`maxDistance above ${MAX_INDEXED_DISTANCE} cannot use the hash band index`);
+    }
+
+    const type = hashType === 'all' ? 'pHash' : hashType;
+    const hash = queryHashes && queryHashes[type];
+    if (!isCompleteHash(hash)) return [];
+
+    const radius = Math.floor(maxDistance / HASH_BANDS);
+    return splitBands(hash).flatMap((value, band) => {
+        return bandVariants(value, radius).map(variant => bandKey(type, band, variant));
+    });
+};
+
+// Products within maxDistance of the query hashes, closest first.
+// hashType 'all' requires every hash type to be within range.
+const findNearDuplicates = (queryHashes, products, { maxDistance = 10, hashType = 'pHash' } = {}) => {
+    const types = hashType === 'all' ? HASH_TYPES : [hashType];
+
+    return products
+        .map(product => {
+            const distances = compareHashes(queryHashes, product.perceptualHashes);
+            const distance = Math.max(...types.map(type => distances[type]));
+            return { product, distances, distance };
+        })
+        .filter(match => match.distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance);
+};
+
+module.exports = {
+    HASH_TYPES,
+    HASH_BITS,
+    MAX_INDEXED_DISTANCE,
+    computePerceptualHashes,
+    computeHashBands,
+    nearDuplicateBandKeys,
+    hammingDistance,
+    compareHashes,
+    findNearDuplicates
+};
@@ -0,0 +1,15 @@
+const { EventEmitter } = require('events');
+
+// In-process notifications of catalog writes, emitted by the Product model's
+// middleware. Listeners get { type, ids } where ids is null when the write was a
+// query (updateMany, deleteMany...) and the affected products are unknown.
+const productEvents = new EventEmitter();
+
+const emitProductChange = (type, ids = null) => {
+    productEvents.emit('change', { type, ids: ids ? ids.map(String) : null });
+};
+
+module.exports = {
+    productEvents,
+    emitProductChange
+};
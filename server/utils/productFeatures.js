@@ -0,0 +1,53 @@
+const { FEATURE_MANIFEST, splitFeatureVector } = require('./featureManifest');
+const { decodeLabPalette } = require('./builtinExtractors');
+const { nameLabPalette } = require('./colorNames');
+const { computeHashBands } = require('./perceptualHash');
+
+// Build the feature-related fields stored on a Product from a combined feature vector
+// and the analysis metadata returned by analyzeImage.
+// Shared by the seed script and the catalog re-indexer so both store identical layouts.
+const buildProductFeatureData = (featureVector, { analysis } = {}, manifest = FEATURE_MANIFEST) => {
+    const visualFeatures = splitFeatureVector(featureVector, manifest);
+
+    const averageBrightness = visualFeatures.brightnessFeatures.length > 0
+        ? visualFeatures.brightnessFeatures[0] : 0.5;
+    const averageContrast = visualFeatures.contrastFeatures.length > 0
+        ? visualFeatures.contrastFeatures[0] : 0.5;
+    const colors = extractColorNames(visualFeatures);
+
+    return {
+        colorFeatures: featureVector,
+        visualFeatures: visualFeatures,
+        extractorVersion: manifest.version,
+        featureLayout: {
+            pyramidLevels: manifest.spatialPyramid.levels
+        },
+        embedding: analysis && analysis.embedding ? analysis.embedding.vector : [],
+        embeddingModel: analysis && analysis.embedding ? analysis.embedding.model : null,
+        perceptualHashes: analysis && analysis.perceptualHashes
+            ? { ...analysis.perceptualHashes, bands: computeHashBands(analysis.perceptualHashes) }
+            : { aHash: null, dHash: null, pHash: null, bands: [] },
+        metadata: {
+            dominantColorNames: colors.names.length > 0 ? colors.names : ['unknown'],
+            colorFamilies: colors.families,
+            averageBrightness: averageBrightness,
+            averageContrast: averageContrast
+        },
+        // Measured image quality (see imageQuality.js); 0.5 when no analysis is available
+        featureExtractionScore: analysis && analysis.quality ? analysis.quality.score : 0.5,
+        qualityMetrics: analysis && analysis.quality ? analysis.quality.metrics : {},
+        qualityWarnings: analysis && analysis.quality
+            ? analysis.quality.warnings.map(warning => warning.code)
+            : []
+    };
+};
+
+// Named colours of a split feature vector, from its Lab palette
+const extractColorNames = (visualFeatures) => {
+    return nameLabPalette(decodeLabPalette(visualFeatures.labPalette || []));
+};
+
+module.exports = {
+    buildProductFeatureData,
+    extractColorNames
+};
@@ -0,0 +1,117 @@
+// Multi-image queries: several photos of one item (front, side, detail) searched
+// together. Three ways to fuse them:
+//   mean - average the feature vectors (and embeddings) into one query and rank once
+//   max  - rank for every image and score each product by its best image
+//   rrf  - reciprocal rank fusion, sum(1 / (k + rank)) over the per-image rankings,
+//          which rewards products that rank well for several views
+// Every fused result lists its rank and similarity for each image.
+
+const FUSION_MODES = ['mean', 'max', 'rrf'];
+const DEFAULT_FUSION_MODE = 'mean';
+const MAX_QUERY_IMAGES = 5;
+const RRF_K = 60; // Damping constant from Cormack et al.; higher values flatten the rank curve
+
+const meanVector = (vectors) => {
+    const length = vectors[0].length;
+    const mean = new Array(length).fill(0);
+    vectors.forEach(vector => {
+        for (let i = 0; i < length; i++) mean[i] += vector[i] / vectors.length;
+    });
+    return mean;
+};
+
+// Mean feature vector of the query images
+const fuseFeatureVectors = (vectors) => meanVector(vectors);
+
+// Mean embedding rescaled to unit length; null unless every image has one from the same model
+const fuseEmbeddings = (embeddings) => {
+    if (embeddings.length === 0 || embeddings.some(embedding => !embedding)) return null;
+    const model = embeddings[0].model;
+    if (embeddings.some(embedding => embedding.model !== model || embedding.vector.length !== embeddings[0].vector.length)) {
+        return null;
+    }
+
+    const vector = meanVector(embeddings.map(embedding => embedding.vector));
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    if (norm === 0) return null;
+    return { ...embeddings[0], vector: vector.map(value => value / norm) };
+};
+
+// Rank and similarity of a product in each per-image ranking (rank is 1-based, null when absent)
+const buildContributions = (rankings) => {
+    const contributions = new Map();
+    rankings.forEach((ranking, image) => {
+        ranking.forEach((product, position) => {
+            const id = String(product._id);
+            if (!contributions.has(id)) {
+                contributions.set(id, rankings.map((_, index) => ({ image: index, rank: null, similarity: null })));
+            }
+            contributions.get(id)[image] = { image, rank: position + 1, similarity: product.similarity };
+        });
+    });
+    return contributions;
+};
+
+// The image a product is most similar to, or null when no image ranked it
+const bestContribution = (imageContributions) => {
+    return imageContributions
+        .filter(contribution => contribution.rank !== null)
+        .reduce((top, contribution) => (!top || contribution.similarity > top.similarity ? contribution : top), null);
+};
+
+// Attach per-image contributions to an already ranked list (mean fusion)
+const annotateContributions = (results, rankings) => {
+    const contributions = buildContributions(rankings);
+    return results.map(product => {
+        const imageContributions = contributions.get(String(product._id)) ||
+            rankings.map((_, image) => ({ image, rank: null, similarity: null }));
+        const best = bestContribution(imageContributions);
+        return {
+            ...product,
+            bestImage: best ? best.image : null,
+            imageContributions
+        };
+    });
+};
+
+// Fuse per-image rankings (each sorted best first) with max or rrf
+const fuseRankings = (rankings, mode, { limit = 12, rrfK = RRF_K } = {}) => {
+    const contributions = buildContributions(rankings);
+    const products = new Map();
+    rankings.forEach(ranking => ranking.forEach(product => {
+        const id = String(product._id);
+        const known = products.get(id);
+        if (!known || product.similarity > known.similarity) products.set(id, product);
+    }));
+
+    const fused = [...products.entries()].map(([id, product]) => {
+        const imageContributions = contributions.get(id);
+        const best = bestContribution(imageContributions);
+        const fusionScore = mode === 'rrf'
+            ? imageContributions.reduce((sum, contribution) => sum + (contribution.rank !== null ? 1 / (rrfK + contribution.rank) : 0), 0)
+            : best.similarity;
+
+        return {
+            ...product,
+            similarity: best.similarity,
+            fusionScore,
+            bestImage: best.image,
+            imageContributions
+        };
+    });
+
+    return fused
+        .sort((a, b) => b.fusionScore - a.fusionScore || b.similarity - a.similarity)
+        .slice(0, limit);
+};
+
+module.exports = {
+    FUSION_MODES,
+    DEFAULT_FUSION_MODE,
+    MAX_QUERY_IMAGES,
+    RRF_K,
+    fuseFeatureVectors,
+    fuseEmbeddings,
+    annotateContributions,
+    fuseRankings
+};
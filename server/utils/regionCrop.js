@@ -0,0 +1,118 @@
+const sharp = require('sharp');
+const { normalizeImage } = require('./imageNormalizer');
+
+// Client-supplied regions of interest, e.g. just the bag in an outfit photo. Boxes are
+// normalised to the upright image (after EXIF rotation): { x, y, width, height } with
+// the top-left corner at 0,0 and the full image at 1,1, or the array [x, y, width, height].
+// Each region is cut out with sharp and searched on its own.
+
+const MAX_REGIONS = 5;
+const MIN_REGION_SIZE = 0.02;   // Smallest box side as a fraction of the image
+const MIN_REGION_PIXELS = 16;   // Smallest cut-out side in pixels
+const EDGE_TOLERANCE = 1e-6;    // Rounding slack for boxes that end on the image edge
+
+const createInvalidRegionsError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_REGIONS';
+    return error;
+};
+
+const isInvalidRegionsError = (error) => Boolean(error && error.code === 'INVALID_REGIONS');
+
+const parseBox = (value, index) => {
+    const box = Array.isArray(value)
+        ? { x: value[0], y: value[1], width: value[2], height: value[3] }
+        : value && (value.box || value);
+    if (!box || typeof box !== 'object') {
+        throw createInvalidRegionsError(`Region ${index + 1} must be { x, y, width, height } or [x, y, width, height]`);
+    }
+
+    const numbers = {};
+    ['x', 'y', 'width', 'height'].forEach(field => {
+        const number = Number(box[field]);
+        if (box[field] === undefined || box[field] === null || box[field] === '' || !Number.isFinite(number)) {
+            throw createInvalidRegionsError(`Region ${index + 1} needs a numeric ${field}`);
+        }
+        numbers[field] = number;
+    });
+
+    const { x, y, width, height } = numbers;
+    if (x < 0 || y < 0 || x >= 1 || y >= 1) {
+        throw createInvalidRegionsError(`Region ${index + 1} starts outside the image; x and y are fractions from 0 to 1`);
+    }
+    if (width < MIN_REGION_SIZE || height < MIN_REGION_SIZE) {
+        throw createInvalidRegionsError(`Region ${index + 1} is too small; width and height must be at least ${MIN_REGION_SIZE}`);
+    }
+    if (x + width > 1 + EDGE_TOLERANCE || y + height > 1 + EDGE_TOLERANCE) {
+        throw createInvalidRegionsError(`Region ${index + 1} extends past the image; x + width and y + height must not exceed 1`);
+    }
+    return { x, y, width: Math.min(width, 1 - x), height: Math.min(height, 1 - y) };
+};
+
+// Regions from a request body: an array or a JSON string (multipart forms). Each entry
+// may carry a label. Returns [] when none were sent; throws INVALID_REGIONS.
+const parseRegions = (value) => {
+    if (value === undefined || value === null || value === '') return [];
+    let regions = value;
+    if (typeof regions === 'string') {
+        try {
+            regions = JSON.parse(regions);
+        } catch (error) {
+            throw createInvalidRegionsError('regions must be a JSON array of boxes');
+        }
+    }
+    if (!Array.isArray(regions)) regions = [regions];
+    // A single box sent as a bare [x, y, width, height]
+    if (regions.length === 4 && regions.every(entry => typeof entry === 'number')) regions = [regions];
+
+    if (regions.length === 0) return [];
+    if (regions.length > MAX_REGIONS) {
+        throw createInvalidRegionsError(`At most ${MAX_REGIONS} regions per image`);
+    }
+
+    return regions.map((region, index) => ({
+        index,
+        label: region && !Array.isArray(region) && region.label ? String(region.label) : null,
+        box: parseBox(region, index)
+    }));
+};
+
+// Cut the regions out of an encoded image (first frame of animations). Returns each
+// region with its PNG buffer and pixel box on the normalised image (upright, longest
+// side at most 1024px, as for every query); throws INVALID_REGIONS for slivers.
+const cropRegions = async (imageBuffer, regions) => {
+    const { frames } = await normalizeImage(imageBuffer, { sampleFrames: 1 });
+    const frame = frames[0].buffer;
+    const { width: imageWidth, height: imageHeight } = await sharp(frame).metadata();
+
+    return Promise.all(regions.map(async (region) => {
+        const left = Math.min(imageWidth - 1, Math.round(region.box.x * imageWidth));
+        const top = Math.min(imageHeight - 1, Math.round(region.box.y * imageHeight));
+        const pixelBox = {
+            left,
+            top,
+            width: Math.min(imageWidth - left, Math.round(region.box.width * imageWidth)),
+            height: Math.min(imageHeight - top, Math.round(region.box.height * imageHeight))
+        };
+        if (pixelBox.width < MIN_REGION_PIXELS || pixelBox.height < MIN_REGION_PIXELS) {
+            throw createInvalidRegionsError(
+                `Region ${region.index + 1} is only ${pixelBox.width}x${pixelBox.height} pixels of a ${imageWidth}x${imageHeight} image; regions need at least ${MIN_REGION_PIXELS}px per side`
+            );
+        }
+
+        const buffer = await sharp(frame).extract(pixelBox).png({ compressionLevel: 0 }).toBuffer();
+        return {
+            ...region,
+            pixelBox,
+            imageSize: { width: imageWidth, height: imageHeight },
+            buffer
+        };
+    }));
+};
+
+module.exports = {
+    MAX_REGIONS,
+    parseRegions,
+    cropRegions,
+    isInvalidRegionsError
+};
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const { FEATURE_MANIFEST } = require('./featureManifest');
+const { feedbackConfig } = require('../config/search');
+
+// Rocchio relevance feedback: move the query towards the products the user liked and
+// away from the ones they disliked,
+//
+//   q' = (alpha * q + beta * mean(liked) - gamma * mean(disliked)) / (alpha + beta)
+//
+// on the stored, unweighted vectors. Group weights are linear and applied at query
+// time, so refining before or after weighting gives the same ranking. Dividing by
+// alpha + beta (alpha alone without liked products) keeps q' at the catalog's scale
+// for the Euclidean part of the blend.
+
+const createInvalidFeedbackError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_FEEDBACK';
+    return error;
+};
+
+const isInvalidFeedbackError = (error) => Boolean(error && error.code === 'INVALID_FEEDBACK');
+
+const safeParse = (text, field) => {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw createInvalidFeedbackError(`${field} is not valid JSON`);
+    }
+};
+
+// Ids arrive as arrays (JSON), comma-separated strings (forms) or JSON strings
+const parseIdList = (value, field) => {
+    if (value === undefined || value === null || value === '') return [];
+    let ids = value;
+    if (typeof ids === 'string') {
+        const trimmed = ids.trim();
+        ids = trimmed.startsWith('[') ? safeParse(trimmed, field) : trimmed.split(',');
+    }
+    if (!Array.isArray(ids)) throw createInvalidFeedbackError(`${field} must be a list of product ids`);
+
+    const unique = [...new Set(ids.map(id => String(id).trim()).filter(Boolean))];
+    const invalid = unique.filter(id => !mongoose.isValidObjectId(id));
+    if (invalid.length > 0) {
+        throw createInvalidFeedbackError(`Invalid product id${invalid.length === 1 ? '' : 's'} in ${field}: ${invalid.join(', ')}`);
+    }
+    return unique;
+};
+
+const parseCoefficient = (value, name) => {
+    if (value === undefined || value === null || value === '') return feedbackConfig[name];
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+        throw createInvalidFeedbackError(`${name} must be a non-negative number`);
+    }
+    return number;
+};
+
+const parseQueryFeatures = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const features = typeof value === 'string' ? safeParse(value, 'queryFeatures') : value;
+    if (!Array.isArray(features) || features.length !== FEATURE_MANIFEST.totalLength ||
+        !features.every(feature => typeof feature === 'number' && Number.isFinite(feature))) {
+        throw createInvalidFeedbackError(
+            `queryFeatures must be an array of ${FEATURE_MANIFEST.totalLength} numbers (feature layout ${FEATURE_MANIFEST.version})`
+        );
+    }
+    return features;
+};
+
+// Validate a feedback request body. Throws INVALID_FEEDBACK.
+const parseFeedbackRequest = (body = {}) => {
+    const searchId = body.searchId ? String(body.searchId) : null;
+    if (searchId && !mongoose.isValidObjectId(searchId)) {
+        throw createInvalidFeedbackError(`Invalid searchId "${searchId}"`);
+    }
+    const queryFeatures = parseQueryFeatures(body.queryFeatures);
+    if (!searchId && !queryFeatures) {
+        throw createInvalidFeedbackError('Provide a searchId from a previous search or the queryFeatures vector');
+    }
+
+    const liked = parseIdList(body.liked, 'liked');
+    const disliked = parseIdList(body.disliked, 'disliked');
+    if (liked.length === 0 && disliked.length === 0) {
+        throw createInvalidFeedbackError('Mark at least one product as liked or disliked');
+    }
+    if (liked.length + disliked.length > feedbackConfig.maxProducts) {
+        throw createInvalidFeedbackError(`At most ${feedbackConfig.maxProducts} liked and disliked products per request`);
+    }
+    const conflicting = liked.filter(id => disliked.includes(id));
+    if (conflicting.length > 0) {
+        throw createInvalidFeedbackError(`Products both liked and disliked: ${conflicting.join(', ')}`);
+    }
+
+    return {
+        searchId,
+        queryFeatures,
+        liked,
+        disliked,
+        coefficients: {
+            alpha: parseCoefficient(body.alpha, 'alpha'),
+            beta: parseCoefficient(body.beta, 'beta'),
+            gamma: parseCoefficient(body.gamma, 'gamma')
+        }
+    };
+};
+
+const meanVector = (vectors, length) => {
+    if (vectors.length === 0) return null;
+    const mean = new Float64Array(length);
+    vectors.forEach(vector => {
+        for (let i = 0; i < length; i++) mean[i] += vector[i] / vectors.length;
+    });
+    return mean;
+};
+
+// Refined query from the current query and the liked / disliked vectors. Negative
+// feedback cannot push a dimension below the smallest value among the query and the
+// liked vectors (0 for histograms and other non-negative features), so the result
+// stays a valid feature vector instead of growing negative histogram bins.
+const computeRocchioQuery = (query, likedVectors, dislikedVectors, { alpha, beta, gamma } = feedbackConfig) => {
+    const length = query.length;
+    const likedMean = meanVector(likedVectors, length);
+    const dislikedMean = meanVector(dislikedVectors, length);
+
+    const scale = alpha + (likedMean ? beta : 0);
+    if (scale <= 0) {
+        throw createInvalidFeedbackError('alpha must be positive when no liked product can be used');
+    }
+
+    const refined = new Array(length);
+    for (let i = 0; i < length; i++) {
+        let value = alpha * query[i];
+        let floor = Math.min(0, query[i]);
+        if (likedMean) {
+            value += beta * likedMean[i];
+            likedVectors.forEach(vector => {
+                if (vector[i] < floor) floor = vector[i];
+            });
+        }
+        if (dislikedMean) value -= gamma * dislikedMean[i];
+        refined[i] = Math.max(floor, value / scale);
+    }
+    return refined;
+};
+
+module.exports = {
+    parseFeedbackRequest,
+    computeRocchioQuery,
+    isInvalidFeedbackError
+};
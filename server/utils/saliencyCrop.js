@@ -0,0 +1,169 @@
+const sharp = require('sharp');
+
+// Saliency-based object cropping for query photos.
+// Saliency combines Sobel edge density with colour contrast against the image mean;
+// the chosen box is the one capturing the most saliency relative to its area.
+
+const SALIENCY_SIZE = 96;         // Working resolution of the saliency map
+const SEARCH_STRIDE = 4;          // Box position step on the saliency map
+const BOX_FRACTIONS = [0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const MIN_GAIN = 0.15;            // Captured saliency share minus area share needed to crop
+const MAX_CROP_AREA = 0.85;       // Boxes covering more than this are not worth cropping
+const BOX_PADDING = 0.05;         // Padding added around the winning box (fraction of image)
+
+const computeSaliencyMap = async (imageBuffer) => {
+    const size = SALIENCY_SIZE;
+    const rgbBuffer = await sharp(imageBuffer)
+        .resize(size, size)
+        .flatten({ background: '#ffffff' })
+        .raw()
+        .toBuffer();
+    const grayBuffer = await sharp(rgbBuffer, { raw: { width: size, height: size, channels: 3 } })
+        .grayscale()
+        .raw()
+        .toBuffer();
+
+    // Mean colour of the whole image as the "expected" colour
+    const meanColor = [0, 0, 0];
+    for (let i = 0; i < rgbBuffer.length; i += 3) {
+        meanColor[0] += rgbBuffer[i];
+        meanColor[1] += rgbBuffer[i + 1];
+        meanColor[2] += rgbBuffer[i + 2];
+    }
+    const pixelCount = size * size;
+    meanColor.forEach((sum, c) => { meanColor[c] = sum / pixelCount; });
+
+    const edges = new Float64Array(pixelCount);
+    const contrast = new Float64Array(pixelCount);
+    let maxEdge = 0, maxContrast = 0;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const index = y * size + x;
+
+            if (x > 0 && y > 0 && x < size - 1 && y < size - 1) {
+                const at = (dx, dy) => grayBuffer[(y + dy) * size + (x + dx)];
+                const gx = -at(-1, -1) - 2 * at(-1, 0) - at(-1, 1) + at(1, -1) + 2 * at(1, 0) + at(1, 1);
+                const gy = -at(-1, -1) - 2 * at(0, -1) - at(1, -1) + at(-1, 1) + 2 * at(0, 1) + at(1, 1);
+                edges[index] = Math.sqrt(gx * gx + gy * gy);
+                maxEdge = Math.max(maxEdge, edges[index]);
+            }
+
+            const offset = index * 3;
+            contrast[index] = Math.sqrt(
+                Math.pow(rgbBuffer[offset] - meanColor[0], 2) +
+                Math.pow(rgbBuffer[offset + 1] - meanColor[1], 2) +
+                Math.pow(rgbBuffer[offset + 2] - meanColor[2], 2)
+            );
+            maxContrast = Math.max(maxContrast, contrast[index]);
+        }
+    }
+
+    const saliency = new Float64Array(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const edgeScore = maxEdge > 0 ? edges[i] / maxEdge : 0;
+        const contrastScore = maxContrast > 0 ? contrast[i] / maxContrast : 0;
+        saliency[i] = edgeScore * 0.6 + contrastScore * 0.4;
+    }
+    return saliency;
+};
+
+// Summed-area table with a zero row/column so box sums need no bounds checks
+const buildIntegralImage = (values, size) => {
+    const stride = size + 1;
+    const integral = new Float64Array(stride * stride);
+    for (let y = 0; y < size; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < size; x++) {
+            rowSum += values[y * size + x];
+            integral[(y + 1) * stride + (x + 1)] = integral[y * stride + (x + 1)] + rowSum;
+        }
+    }
+    return integral;
+};
+
+const boxSum = (integral, size, left, top, width, height) => {
+    const stride = size + 1;
+    const right = left + width, bottom = top + height;
+    return integral[bottom * stride + right] - integral[top * stride + right] -
+        integral[bottom * stride + left] + integral[top * stride + left];
+};
+
+// Find the most salient region; box is in original pixel coordinates
+const findSalientRegion = async (imageBuffer) => {
+    const { width: imageWidth, height: imageHeight } = await sharp(imageBuffer).metadata();
+    const size = SALIENCY_SIZE;
+
+    const saliency = await computeSaliencyMap(imageBuffer);
+    const integral = buildIntegralImage(saliency, size);
+    const totalSaliency = boxSum(integral, size, 0, 0, size, size);
+
+    let best = { left: 0, top: 0, width: size, height: size, gain: 0, captured: 1 };
+
+    if (totalSaliency > 0) {
+        BOX_FRACTIONS.forEach(widthFraction => {
+            BOX_FRACTIONS.forEach(heightFraction => {
+                const boxWidth = Math.round(size * widthFraction);
+                const boxHeight = Math.round(size * heightFraction);
+                const areaShare = (boxWidth * boxHeight) / (size * size);
+
+                for (let top = 0; top + boxHeight <= size; top += SEARCH_STRIDE) {
+                    for (let left = 0; left + boxWidth <= size; left += SEARCH_STRIDE) {
+                        const captured = boxSum(integral, size, left, top, boxWidth, boxHeight) / totalSaliency;
+                        const gain = captured - areaShare;
+                        if (gain > best.gain) {
+                            best = { left, top, width: boxWidth, height: boxHeight, gain, captured };
+                        }
+                    }
+                }
+            });
+        });
+    }
+
+    // Pad the box and convert to normalised coordinates
+    const padding = BOX_PADDING * size;
+    const x0 = Math.max(0, best.left - padding) / size;
+    const y0 = Math.max(0, best.top - padding) / size;
+    const x1 = Math.min(size, best.left + best.width + padding) / size;
+    const y1 = Math.min(size, best.top + best.height + padding) / size;
+    const normalized = { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+
+    const cropped = best.gain >= MIN_GAIN && normalized.width * normalized.height <= MAX_CROP_AREA;
+    const box = cropped
+        ? {
+            left: Math.round(normalized.x * imageWidth),
+            top: Math.round(normalized.y * imageHeight),
+            width: Math.max(1, Math.round(normalized.width * imageWidth)),
+            height: Math.max(1, Math.round(normalized.height * imageHeight))
+        }
+        : { left: 0, top: 0, width: imageWidth, height: imageHeight };
+
+    // Keep the pixel box inside the image after rounding
+    box.width = Math.min(box.width, imageWidth - box.left);
+    box.height = Math.min(box.height, imageHeight - box.top);
+
+    return {
+        cropped,
+        box,
+        normalized: cropped ? normalized : { x: 0, y: 0, width: 1, height: 1 },
+        imageSize: { width: imageWidth, height: imageHeight },
+        saliencyCaptured: best.captured,
+        score: best.gain
+    };
+};
+
+// Crop the image to its most salient region (returns the original buffer when not worth it)
+const cropToSalientRegion = async (imageBuffer) => {
+    const region = await findSalientRegion(imageBuffer);
+    if (!region.cropped) {
+        return { buffer: imageBuffer, region };
+    }
+
+    const buffer = await sharp(imageBuffer).extract(region.box).toBuffer();
+    return { buffer, region };
+};
+
+module.exports = {
+    findSalientRegion,
+    cropToSalientRegion
+};
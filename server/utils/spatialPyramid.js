@@ -0,0 +1,81 @@
+// Spatial pyramid histograms: the image is split into 1x1, 2x2, 4x4... grids and
+// a histogram is built per cell, so layout (red top / blue bottom) is preserved.
+// Cells are stored level by level, row by row; each cell histogram sums to 1
+// (or is all zeros when the cell holds no foreground pixels).
+
+// binIndices[i] is the histogram bin of pixel i (-1 = skip), size x size pixels
+const buildPyramidHistograms = (binIndices, size, levels, binCount) => {
+    const descriptor = [];
+
+    levels.forEach(grid => {
+        const histograms = Array(grid * grid).fill().map(() => new Array(binCount).fill(0));
+        const counts = new Array(grid * grid).fill(0);
+
+        for (let y = 0; y < size; y++) {
+            const cellY = Math.min(grid - 1, Math.floor((y * grid) / size));
+            for (let x = 0; x < size; x++) {
+                const bin = binIndices[y * size + x];
+                if (bin < 0) continue;
+
+                const cellX = Math.min(grid - 1, Math.floor((x * grid) / size));
+                const cell = cellY * grid + cellX;
+                histograms[cell][bin]++;
+                counts[cell]++;
+            }
+        }
+
+        histograms.forEach((histogram, cell) => {
+            histogram.forEach(count => descriptor.push(counts[cell] > 0 ? count / counts[cell] : 0));
+        });
+    });
+
+    return descriptor;
+};
+
+// Pyramid match kernel: histogram intersection per level, finer levels weighted higher
+// (1/2^(L-l) as in Lazebnik et al.), normalised to a 0-1 similarity
+const pyramidMatchSimilarity = (descriptorA, descriptorB, levels, binCount) => {
+    if (!descriptorA || !descriptorB || descriptorA.length !== descriptorB.length || levels.length === 0) {
+        return null;
+    }
+
+    let offset = 0;
+    let weightedScore = 0;
+    let totalWeight = 0;
+
+    levels.forEach((grid, levelIndex) => {
+        const levelWeight = 1 / Math.pow(2, levels.length - 1 - levelIndex);
+        let intersection = 0;
+        let comparedCells = 0;
+
+        for (let cell = 0; cell < grid * grid; cell++) {
+            let cellIntersection = 0;
+            let massA = 0, massB = 0;
+            for (let bin = 0; bin < binCount; bin++) {
+                const a = descriptorA[offset + bin];
+                const b = descriptorB[offset + bin];
+                cellIntersection += Math.min(a, b);
+                massA += a;
+                massB += b;
+            }
+            offset += binCount;
+
+            // Cells empty in both images say nothing about layout
+            if (massA === 0 && massB === 0) continue;
+            intersection += cellIntersection;
+            comparedCells++;
+        }
+
+        if (comparedCells > 0) {
+            weightedScore += levelWeight * (intersection / comparedCells);
+            totalWeight += levelWeight;
+        }
+    });
+
+    return totalWeight > 0 ? weightedScore / totalWeight : 0;
+};
+
+module.exports = {
+    buildPyramidHistograms,
+    pyramidMatchSimilarity
+};
@@ -0,0 +1,252 @@
+const Product = require('../models/Product');
+const { textSearchConfig } = require('../config/search');
+const { EXTRACTOR_VERSION } = require('./featureManifest');
+const { getCachedProducts } = require('./catalogCache');
+const { productEvents } = require('./productEvents');
+
+// In-process BM25 index over the searchable products' text, for hybrid text + image
+// search. Fields count with a weight (BM25F-style): a term in the name counts twice,
+// in the category, search tags or description once. Scores are divided by the best
+// score for the query, so the top text match scores 1 and the blend with visual
+// similarity (0-1) is on a common scale.
+//
+// The index is built on startup and rebuilt after catalog writes (debounced) and on an
+// interval for writes made by other processes, the same way as the category classifier.
+
+const FIELD_WEIGHTS = {
+    name: 2,
+    category: 1,
+    searchTags: 1,
+    description: 1
+};
+
+// Words too common in product text and queries to tell products apart
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+    'of', 'on', 'or', 'the', 'to', 'with', 'without', 'your', 'this', 'that'
+]);
+
+const YIELD_EVERY = 1000;
+
+const indexState = {
+    status: 'idle', // idle | disabled | building | ready | failed
+    builtAt: null,
+    buildMs: null,
+    documents: 0,
+    terms: 0,
+    error: null
+};
+
+let index = null; // { postings: Map(term -> Map(id -> weighted tf)), lengths: Map(id -> length), averageLength }
+let activeBuild = null;
+let rebuildPending = false;
+let rebuildTimer = null;
+let intervalTimer = null;
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+// Light suffix stripping so "shoes"/"shoe" and "running"/"run" meet
+const stem = (token) => {
+    if (token.length > 5 && token.endsWith('ing')) {
+        const root = token.slice(0, -3);
+        // running -> run, not runn
+        return root.length > 3 && root[root.length - 1] === root[root.length - 2] ? root.slice(0, -1) : root;
+    }
+    if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+    if (token.length > 4 && /(ches|shes|sses|xes)$/.test(token)) return token.slice(0, -2);
+    if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+    return token;
+};
+
+// Lower-cased, accent-free word stems without stopwords
+const tokenize = (text) => {
+    if (!text) return [];
+    return String(text)
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z0-9]+/)
+        .filter(token => token.length > 1 && !STOPWORDS.has(token))
+        .map(stem);
+};
+
+// Weighted term frequencies and length of a product's text
+const analyzeProduct = (product) => {
+    const frequencies = new Map();
+    let length = 0;
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+        const value = product[field];
+        const text = Array.isArray(value) ? value.join(' ') : value;
+        tokenize(text).forEach(term => {
+            frequencies.set(term, (frequencies.get(term) || 0) + weight);
+            length += weight;
+        });
+    });
+    return { frequencies, length };
+};
+
+// Searchable products, from the catalog cache when it is ready and otherwise from MongoDB
+const forEachIndexedProduct = async (callback) => {
+    const cached = getCachedProducts();
+    const products = cached || Product.find({ extractorVersion: EXTRACTOR_VERSION })
+        .select('name category searchTags description')
+        .lean()
+        .cursor({ batchSize: 1000 });
+    let count = 0;
+    for await (const product of products) {
+        callback(product);
+        if (++count % YIELD_EVERY === 0) await yieldToEventLoop();
+    }
+};
+
+const runBuild = async () => {
+    const startedAt = Date.now();
+    indexState.status = index ? 'ready' : 'building';
+    indexState.error = null;
+
+    const postings = new Map();
+    const lengths = new Map();
+    let totalLength = 0;
+    await forEachIndexedProduct(product => {
+        const id = String(product._id);
+        const { frequencies, length } = analyzeProduct(product);
+        frequencies.forEach((frequency, term) => {
+            if (!postings.has(term)) postings.set(term, new Map());
+            postings.get(term).set(id, frequency);
+        });
+        lengths.set(id, length);
+        totalLength += length;
+    });
+
+    index = {
+        postings,
+        lengths,
+        averageLength: lengths.size > 0 ? totalLength / lengths.size : 0
+    };
+    Object.assign(indexState, {
+        status: 'ready',
+        builtAt: new Date(),
+        buildMs: Date.now() - startedAt,
+        documents: lengths.size,
+        terms: postings.size
+    });
+    console.log(`🔤 Text index built: ${lengths.size} products, ${postings.size} terms in ${indexState.buildMs}ms`);
+};
+
+// Build (or rebuild) the index; a call during a build queues exactly one more run.
+// The previous index keeps answering until the new one is ready.
+const buildTextIndex = () => {
+    if (!textSearchConfig.enabled) {
+        indexState.status = 'disabled';
+        return Promise.resolve(getTextIndexStatus());
+    }
+    if (activeBuild) {
+        rebuildPending = true;
+        return activeBuild.then(() => getTextIndexStatus());
+    }
+
+    activeBuild = runBuild()
+        .catch(error => {
+            console.error('💥 Text index build failed:', error);
+            indexState.status = index ? 'ready' : 'failed';
+            indexState.error = error.message;
+        })
+        .finally(() => {
+            activeBuild = null;
+            if (rebuildPending) {
+                rebuildPending = false;
+                scheduleRebuild();
+            }
+        });
+    return activeBuild.then(() => getTextIndexStatus());
+};
+
+// Coalesce bursts of catalog writes into one rebuild
+const scheduleRebuild = () => {
+    if (rebuildTimer || !textSearchConfig.enabled) return;
+    rebuildTimer = setTimeout(() => {
+        rebuildTimer = null;
+        buildTextIndex();
+    }, textSearchConfig.rebuildDelayMs);
+    rebuildTimer.unref();
+};
+
+productEvents.on('change', () => {
+    if (indexState.status !== 'idle' && indexState.status !== 'disabled') scheduleRebuild();
+});
+
+// Build once connected and keep the index current
+const initTextIndex = async () => {
+    const status = await buildTextIndex();
+    if (textSearchConfig.enabled && textSearchConfig.rebuildIntervalMs > 0 && !intervalTimer) {
+        intervalTimer = setInterval(buildTextIndex, textSearchConfig.rebuildIntervalMs);
+        intervalTimer.unref();
+    }
+    return status;
+};
+
+const isTextIndexReady = () => index !== null;
+
+// BM25 matches for a text query: { query, terms, hits: Map(id -> { score, rawScore,
+// matchedTerms }), topIds } with scores relative to the best match; null without an index
+const searchTextIndex = (text, { limit = textSearchConfig.candidates } = {}) => {
+    if (!index) return null;
+    const terms = [...new Set(tokenize(String(text).slice(0, textSearchConfig.maxQueryLength)))];
+    const { k1, b } = textSearchConfig;
+    const documentCount = index.lengths.size;
+
+    const raw = new Map();
+    terms.forEach(term => {
+        const posting = index.postings.get(term);
+        if (!posting) return;
+        // BM25 idf, kept positive for terms in most products
+        const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+        posting.forEach((frequency, id) => {
+            const lengthRatio = index.averageLength > 0 ? index.lengths.get(id) / index.averageLength : 1;
+            const termScore = idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * lengthRatio));
+            const hit = raw.get(id) || { rawScore: 0, matchedTerms: [] };
+            hit.rawScore += termScore;
+            hit.matchedTerms.push(term);
+            raw.set(id, hit);
+        });
+    });
+
+    let best = 0;
+    raw.forEach(hit => {
+        if (hit.rawScore > best) best = hit.rawScore;
+    });
+    const hits = new Map();
+    raw.forEach((hit, id) => {
+        hits.set(id, { score: best > 0 ? hit.rawScore / best : 0, rawScore: hit.rawScore, matchedTerms: hit.matchedTerms });
+    });
+    const topIds = [...hits.entries()]
+        .sort((a, b) => b[1].rawScore - a[1].rawScore)
+        .slice(0, limit)
+        .map(([id]) => id);
+
+    return { query: String(text), terms, hits, topIds };
+};
+
+const getTextIndexStatus = () => ({
+    ...indexState,
+    enabled: textSearchConfig.enabled,
+    building: activeBuild !== null,
+    averageLength: index ? index.averageLength : null,
+    settings: {
+        alpha: textSearchConfig.alpha,
+        candidates: textSearchConfig.candidates,
+        k1: textSearchConfig.k1,
+        b: textSearchConfig.b,
+        fieldWeights: FIELD_WEIGHTS,
+        rebuildIntervalMs: textSearchConfig.rebuildIntervalMs
+    }
+});
+
+module.exports = {
+    tokenize,
+    initTextIndex,
+    buildTextIndex,
+    searchTextIndex,
+    isTextIndexReady,
+    getTextIndexStatus
+};
@@ -0,0 +1,161 @@
+const { FEATURE_MANIFEST } = require('./featureManifest');
+
+// Query-time feature weighting. Stored vectors are unweighted; a weighting scales
+// each manifest group before vectors are compared, so "match on shape, ignore colour"
+// needs no re-index. Profiles multiply the manifest's default group weights by
+// featureType; custom weights then set absolute weights by group name or featureType.
+
+const WEIGHT_PROFILES = {
+    balanced: {
+        description: 'Default manifest weights',
+        multipliers: {}
+    },
+    'color-first': {
+        description: 'Colour dominates; edges, shape and texture count less',
+        multipliers: { color: 2, brightness: 1.5, edge: 0.5, shape: 0.5, hog: 0.5, texture: 0.5, layout: 0.5 }
+    },
+    'shape-first': {
+        description: 'Silhouette and structure; colour is ignored',
+        multipliers: { color: 0, brightness: 0.5, contrast: 0.5, edge: 2, shape: 3, hog: 2, layout: 0.5 }
+    },
+    'texture-first': {
+        description: 'Material and surface pattern',
+        multipliers: { texture: 3, edge: 1.5, color: 0.5, hog: 0.5 }
+    }
+};
+
+const DEFAULT_WEIGHT_PROFILE = 'balanced';
+const MAX_GROUP_WEIGHT = 10;
+
+const createInvalidWeightsError = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_WEIGHTS';
+    return error;
+};
+
+const isInvalidWeightsError = (error) => Boolean(error && error.code === 'INVALID_WEIGHTS');
+
+// Profile names and weight keys come from requests; "constructor" and friends must not
+// resolve through Object.prototype
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+// Custom weights arrive as an object (JSON bodies) or a JSON string (multipart forms)
+const parseCustomWeights = (weights) => {
+    if (weights === undefined || weights === null || weights === '') return {};
+    if (typeof weights === 'string') {
+        try {
+            return parseCustomWeights(JSON.parse(weights));
+        } catch (error) {
+            throw createInvalidWeightsError('weights must be a JSON object of group or feature type weights');
+        }
+    }
+    if (typeof weights !== 'object' || Array.isArray(weights)) {
+        throw createInvalidWeightsError('weights must be an object of group or feature type weights');
+    }
+    return weights;
+};
+
+// Resolve a profile name plus optional custom weights into a weighting:
+//   { profile, custom, groupWeights: { group: weight }, weightVector, componentScales }
+// componentScales shrink the palette and layout components along with their groups,
+// never above the default share. Throws INVALID_WEIGHTS for bad input.
+const resolveWeighting = ({ profile = DEFAULT_WEIGHT_PROFILE, weights } = {}, manifest = FEATURE_MANIFEST) => {
+    const profileName = profile || DEFAULT_WEIGHT_PROFILE;
+    const profileDefinition = hasOwn(WEIGHT_PROFILES, profileName) ? WEIGHT_PROFILES[profileName] : null;
+    if (!profileDefinition) {
+        throw createInvalidWeightsError(
+            `Unknown weight profile "${profileName}". Valid profiles: ${Object.keys(WEIGHT_PROFILES).join(', ')}`
+        );
+    }
+
+    const custom = parseCustomWeights(weights);
+    const groupNames = manifest.groups.map(group => group.name);
+    const featureTypes = manifest.groups.map(group => group.featureType);
+    Object.entries(custom).forEach(([key, value]) => {
+        if (!groupNames.includes(key) && !featureTypes.includes(key)) {
+            throw createInvalidWeightsError(
+                `Unknown weight "${key}". Use a feature group (${groupNames.join(', ')}) or feature type (${[...new Set(featureTypes)].join(', ')})`
+            );
+        }
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > MAX_GROUP_WEIGHT) {
+            throw createInvalidWeightsError(`Weight "${key}" must be a number between 0 and ${MAX_GROUP_WEIGHT}`);
+        }
+    });
+
+    const groupWeights = {};
+    manifest.groups.forEach(({ name, featureType, weight }) => {
+        const { multipliers } = profileDefinition;
+        let groupWeight = weight * (hasOwn(multipliers, featureType) ? multipliers[featureType] : 1);
+        // Group names win over feature types
+        if (hasOwn(custom, featureType)) groupWeight = custom[featureType];
+        if (hasOwn(custom, name)) groupWeight = custom[name];
+        groupWeights[name] = groupWeight;
+    });
+
+    if (Object.values(groupWeights).every(value => value === 0)) {
+        throw createInvalidWeightsError('At least one feature group needs a weight above 0');
+    }
+
+    const weightVector = new Float64Array(manifest.totalLength);
+    manifest.groups.forEach(({ name, offset, length }) => {
+        weightVector.fill(groupWeights[name], offset, offset + length);
+    });
+
+    // Relative to the default weights: 1 keeps the default component share, 0 drops it
+    const scaleFor = (groups) => {
+        if (groups.length === 0) return 1;
+        const ratios = groups.map(group => Math.min(1, groupWeights[group.name] / group.weight));
+        return ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length;
+    };
+
+    return {
+        profile: profileName,
+        custom: Object.keys(custom).length > 0,
+        groupWeights,
+        weightVector,
+        componentScales: {
+            color: scaleFor(manifest.groups.filter(group => group.name === 'labPalette')),
+            layout: scaleFor(manifest.groups.filter(group => group.pyramid))
+        },
+        manifestVersion: manifest.version
+    };
+};
+
+const DEFAULT_WEIGHTING = resolveWeighting();
+
+// Weighted copy of a full-length unweighted vector
+const applyWeighting = (vector, weighting = DEFAULT_WEIGHTING) => {
+    const weighted = new Float64Array(vector.length);
+    for (let i = 0; i < vector.length; i++) {
+        weighted[i] = vector[i] * weighting.weightVector[i];
+    }
+    return weighted;
+};
+
+// Serializable summary for API responses
+const describeWeighting = (weighting = DEFAULT_WEIGHTING) => ({
+    profile: weighting.profile,
+    custom: weighting.custom,
+    groupWeights: weighting.groupWeights
+});
+
+// Every profile with its resolved group weights, for GET /api/weight-profiles
+const describeWeightProfiles = (manifest = FEATURE_MANIFEST) => {
+    return Object.entries(WEIGHT_PROFILES).map(([name, { description, multipliers }]) => ({
+        name,
+        description,
+        multipliers,
+        groupWeights: resolveWeighting({ profile: name }, manifest).groupWeights
+    }));
+};
+
+module.exports = {
+    WEIGHT_PROFILES,
+    DEFAULT_WEIGHT_PROFILE,
+    DEFAULT_WEIGHTING,
+    resolveWeighting,
+    applyWeighting,
+    describeWeighting,
+    describeWeightProfiles,
+    isInvalidWeightsError
+};